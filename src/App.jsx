@@ -7,14 +7,16 @@ import TetrisBoard from './components/boards/TetrisBoard';
 import Controls from './components/Controls';
 import StatsPanel from './components/StatsPanel';
 import PopulationGrid from './components/PopulationGrid';
+import SearchTreePanel from './components/SearchTreePanel';
 import { NQueensProblem } from './core/problems/n-queens.js';
 import { TSPProblem } from './core/problems/tsp.js';
 import { SudokuProblem } from './core/problems/sudoku.js';
 import { MapColoringProblem } from './core/problems/map-coloring.js';
 import { TetrisPackingProblem } from './core/problems/tetris-packing.js';
 import { BooleanSatProblem } from './core/problems/boolean-sat.js';
-import { Algorithms } from './core/algorithms.js';
-import { BenchmarkRunner, getValidConfigs, BENCHMARK_SEEDS } from './core/benchmark.js';
+import { PROBLEM_REGISTRY } from './core/problems/index.js';
+import { EngineClient } from './core/engine-client.js';
+import { getValidConfigs, BENCHMARK_SEEDS } from './core/benchmark.js';
 import BenchmarkModal from './components/BenchmarkModal.jsx';
 
 // Attach board components to problem objects for generic rendering
@@ -26,18 +28,7 @@ TetrisPackingProblem.BoardComponent = TetrisBoard;
 import BooleanSatBoard from './components/boards/BooleanSatBoard';
 BooleanSatProblem.BoardComponent = BooleanSatBoard;
 
-export const PROBLEM_REGISTRY = {
-  [NQueensProblem.id]: NQueensProblem,
-  [TSPProblem.id]: TSPProblem,
-  [SudokuProblem.id]: SudokuProblem,
-  [MapColoringProblem.id]: MapColoringProblem,
-  [TetrisPackingProblem.id]: TetrisPackingProblem,
-  [BooleanSatProblem.id]: BooleanSatProblem
-};
-
-const isConstructive = (algo) => {
-  return ['bfs', 'dfs', 'backtracking', 'forwardChecking', 'arcConsistency'].includes(algo);
-};
+export { PROBLEM_REGISTRY };
 
 function App() {
   // Config State
@@ -60,12 +51,42 @@ function App() {
     variant: 'standard',
     initialTemp: 1000,
     coolingRate: 0.99,
+    schedule: 'geometric',
+    lundyMeesBeta: 0.001,
+    targetAcceptance: 0.3,
+    autoInitialTemp: false,
+    reheatAfter: 0,
+    maxReheats: 3,
+    replicas: 6,
+    minTemp: 0.5,
+    maxTemp: 50,
+    swapInterval: 10,
     startingPopulationSize: 50,
     mutationRate: 0.1,
     mixingNumber: 2,
     cullRate: 0.0,
     elitism: true,
-    maxIterations: 10000
+    eliteCount: 1,
+    selectionScheme: 'tournament',
+    tournamentSize: 3,
+    truncationRate: 0.5,
+    islandCount: 1,
+    migrationInterval: 10,
+    migrationSize: 2,
+    migrationTopology: 'ring',
+    niching: 'none',
+    sharingRadius: 0.3,
+    maxIterations: 10000,
+    tabuTenure: 10,
+    aspiration: true,
+    maxSteps: 10000,
+    walkProbability: 0,
+    tieBreak: 'random',
+    noise: 0.5,
+    maxFlips: 1000,
+    maxTries: 10,
+    pureLiterals: true,
+    vsidsDecay: 0.95
   });
   const [speed, setSpeed] = useState(100); // ms delay
 
@@ -74,7 +95,16 @@ function App() {
   const [initialState, setInitialState] = useState(null); // Store the starting state for restarts
   const [currentState, setCurrentState] = useState(null);
   const [population, setPopulation] = useState(null); // Full population for GA
+  const [tabuMoves, setTabuMoves] = useState(null); // Moves currently forbidden by Tabu Search
+  const [prunedValues, setPrunedValues] = useState(null); // Domain values removed by the last propagation step (FC, AC-3)
+  const [satStep, setSatStep] = useState(null); // Clause picked and variable flipped by WalkSAT / GSAT
+  const [chosenVariable, setChosenVariable] = useState(null); // Conflicted variable reassigned by Min-Conflicts
+  const [satTrail, setSatTrail] = useState(null); // Assignment trail, levels and learned clauses of DPLL / CDCL
   const [history, setHistory] = useState([]); // Array of costs
+  const [populationHistory, setPopulationHistory] = useState([]); // populationStats per generation (GA, beam search)
+  const [temperatureHistory, setTemperatureHistory] = useState([]); // Temperature per step (simulated annealing)
+  const [searchTree, setSearchTree] = useState([]); // Search-tree events of constructive searches
+  const [treeSelection, setTreeSelection] = useState(null); // Search-tree node shown on the board instead of the current state
   const [stepCount, setStepCount] = useState(0);
   const [evaluations, setEvaluations] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -82,21 +112,35 @@ function App() {
   const [isFinished, setIsFinished] = useState(false);
   const [algoNote, setAlgoNote] = useState('');
   const [optimalCost, setOptimalCost] = useState(null);
+  const [costBounds, setCostBounds] = useState(null); // { lower, upper, lowerBy, upperBy } of the instance's optimum, if known
+  const [runCostBounds, setRunCostBounds] = useState(null); // Bounds tightened by the running algorithm
   const [bestSolutionCost, setBestSolutionCost] = useState(Infinity); // Track best complete solution cost
   // We use a ref for the best state to avoid stale closures in the animation loop
   const bestSolutionRef = useRef({ cost: Infinity, state: null });
 
   // Benchmark State
   const [showBenchmark, setShowBenchmark] = useState(false);
-  const [benchmarkRunner, setBenchmarkRunner] = useState(null);
+  const [isBenchmarkRunning, setIsBenchmarkRunning] = useState(false);
   const [benchmarkProgress, setBenchmarkProgress] = useState(0);
   const [benchmarkResults, setBenchmarkResults] = useState(null);
 
   // Refs
-  const iteratorRef = useRef(null);
-  const timerRef = useRef(null);
+  // Algorithms run in a Web Worker; engineRef is the UI-side client, runActiveRef tracks
+  // whether the engine holds a run for the current start state.
+  const engineRef = useRef(null);
+  const runActiveRef = useRef(false);
   const currentStateRef = useRef(currentState);
 
+  useEffect(() => {
+    const engine = new EngineClient();
+    engineRef.current = engine;
+    return () => {
+      engine.terminate();
+      engineRef.current = null;
+      runActiveRef.current = false;
+    };
+  }, []);
+
   // Keep ref updated
   useEffect(() => {
     currentStateRef.current = currentState;
@@ -108,25 +152,23 @@ function App() {
     setBenchmarkResults(null);
     setBenchmarkProgress(0);
 
-    // Create runner with CURRENT problem setup
-    // Ensure we use a fresh runner
+    // Benchmark the CURRENT problem setup
     const params = { ...problemParams };
     // Generic instance params extraction
     if (currentProblem.extractInstanceParams && currentState) {
       Object.assign(params, currentProblem.extractInstanceParams(currentState));
     }
 
-    const runner = new BenchmarkRunner(currentProblem, params);
-    setBenchmarkRunner(runner);
-
-    const results = await runner.run((prog) => {
+    setIsBenchmarkRunning(true);
+    const results = await engineRef.current.runBenchmark(currentProblem, params, (prog) => {
       setBenchmarkProgress(prog);
     });
+    setIsBenchmarkRunning(false);
 
     if (results) {
       setBenchmarkResults(results);
     }
-  }, [currentProblem, problemParams, selectedProblemId, currentState]);
+  }, [currentProblem, problemParams, currentState]);
 
   const searchSpace = currentProblem.getSearchSpace ? currentProblem.getSearchSpace(problemParams, currentState) : { formula: '?', approx: '?' };
 
@@ -136,7 +178,8 @@ function App() {
     setIsPlaying(false);
     setIsTurbo(false);
     setIsFinished(false);
-    iteratorRef.current = null;
+    engineRef.current?.cancel();
+    runActiveRef.current = false;
 
     setCurrentState(state);
 
@@ -148,10 +191,20 @@ function App() {
       setHistory([state.cost]);
     }
 
+    setPopulationHistory([]);
+    setTemperatureHistory([]);
+    setSearchTree([]);
+    setTreeSelection(null);
     setStepCount(0);
     setEvaluations(0);
     setAlgoNote('Ready');
     setPopulation(null);
+    setTabuMoves(null);
+    setPrunedValues(null);
+    setSatStep(null);
+    setChosenVariable(null);
+    setSatTrail(null);
+    setRunCostBounds(null);
     setBestSolutionCost(Infinity); // Reset best found
     bestSolutionRef.current = { cost: Infinity, state: null };
   }, []);
@@ -181,6 +234,7 @@ function App() {
       opt = currentProblem.estimatedOptimalCost(defParams);
     }
     setOptimalCost(opt);
+    setCostBounds(currentProblem.getCostBounds ? currentProblem.getCostBounds(defParams) : null);
 
     // Set Initial State to the EMPTY state
     setInitialState(emptyState);
@@ -222,9 +276,8 @@ function App() {
     setBenchmarkResults(null);
     setBenchmarkProgress(0);
     // Also stop any running benchmark
-    if (benchmarkRunner) {
-      benchmarkRunner.cancel();
-    }
+    engineRef.current?.cancelBenchmark();
+    setIsBenchmarkRunning(false);
   }, [selectedProblemId]);
 
   const handleNewProblem = () => {
@@ -233,115 +286,48 @@ function App() {
 
 
 
-  const startAlgorithm = useCallback(() => {
-    if (!iteratorRef.current) {
-      // Create generator
-      let gen;
-      // Merge params
-      let fullParams = { ...algoParams, ...problemParams };
-      let current = currentStateRef.current;
-
-      // Generic instance params extraction from current/initial state
-      if (currentProblem.extractInstanceParams) {
-        if (current) {
-          Object.assign(fullParams, currentProblem.extractInstanceParams(current));
-        } else if (initialState) {
-          Object.assign(fullParams, currentProblem.extractInstanceParams(initialState));
-        }
-      }
+  // Apply a decoded batch of steps from the engine
+  const handleBatch = useCallback((batch) => {
+    const { costs, populationStats: generations, temperatures, searchTree: treeEvents, value, best, bestCost, done, returned, result, solved } = batch;
 
-      // AUTO-START CHECKS:
-      // If Algorithm is Local Search (needs full state) AND Current State is Partial/Empty:
-      // We must generate a RANDOM start state on the fly.
-      if (!isConstructive(algorithm) && current && current.isPartial) {
-        console.log('Auto-generating random start state for Local Search...');
-        // Use fullParams which now contains cities/puzzle
-        const randomStart = currentProblem.randomState(fullParams);
-
-        // Update View immediately to show the random start
-        setCurrentState(randomStart);
-        setHistory([randomStart.cost]); // Start chart with this valid random state cost
-        setStepCount(0); // Reset counters for the new run
-        setEvaluations(0);
-        current = randomStart; // Use this new state for the algo
-      }
-
-      if (algorithm === 'geneticAlgorithm' || algorithm === 'localBeamSearch') {
-        // GA and Beam Search create their own population but we pass just params AND problem instance
-        gen = Algorithms[algorithm](null, fullParams, currentProblem);
-      } else {
-        gen = Algorithms[algorithm](current, fullParams, currentProblem);
-      }
-      iteratorRef.current = gen;
+    if (value && value.state) {
+      setCurrentState(value.state);
+      setTreeSelection(null); // Back to the live board once the search moves on
     }
-  }, [algorithm, algoParams, problemParams, currentProblem, selectedProblemId, initialState]);
-
-  // Helper to run N steps (batch)
-  const runBatch = useCallback((batchSize) => {
-    if (!iteratorRef.current) {
-      startAlgorithm();
+    if (costs.length > 0) {
+      setHistory(prev => [...prev, ...costs]);
+      setStepCount(prev => prev + costs.length);
     }
-
-    // Safety check
-    if (!iteratorRef.current) return;
-
-    let lastResult = null;
-    let batchHistory = [];
-    let lastValidState = null;
-    let lastValidValue = null;
-
-    let batchBestState = null;
-    let batchBestCost = Infinity;
-
-    // Run loop
-    for (let i = 0; i < batchSize; i++) {
-      lastResult = iteratorRef.current.next();
-      if (lastResult.done) break;
-
-      if (lastResult.value) {
-        lastValidValue = lastResult.value;
-        if (lastResult.value.state) {
-          const state = lastResult.value.state;
-          lastValidState = state;
-          batchHistory.push(state.cost);
-
-          // Track Best State in THIS Batch locally
-          if (!state.isPartial || currentProblem.isSolution(state)) {
-            if (state.cost < batchBestCost) {
-              batchBestCost = state.cost;
-              batchBestState = state;
-            }
-          }
-        }
-      }
+    if (generations?.length > 0) {
+      setPopulationHistory(prev => [...prev, ...generations]);
+    }
+    if (temperatures?.length > 0) {
+      setTemperatureHistory(prev => [...prev, ...temperatures]);
+    }
+    if (treeEvents?.length > 0) {
+      setSearchTree(prev => [...prev, ...treeEvents]);
     }
 
-    if (!lastResult) return;
-
-    // Update State (Apply regardless of done status if we have data)
-    if (lastValidState) {
-      setCurrentState(lastValidState);
-      setHistory(prev => [...prev, ...batchHistory]);
-      setStepCount(prev => prev + batchHistory.length);
-
-      // Update Global Best Solution using the BEST from THIS BATCH
-      // We must compare against current bestSolutionRef (source of truth)
-      if (batchBestState) {
-        if (batchBestCost < bestSolutionRef.current.cost) {
-          bestSolutionRef.current = { cost: batchBestCost, state: batchBestState };
-          setBestSolutionCost(batchBestCost); // Trigger re-render
-        }
-      }
+    // Update Global Best Solution (bestSolutionRef is the source of truth)
+    if (best && bestCost < bestSolutionRef.current.cost) {
+      bestSolutionRef.current = { cost: bestCost, state: best };
+      setBestSolutionCost(bestCost);
     }
 
-    if (lastValidValue) {
-      const { population, note, populationStats, restartCount, evaluations } = lastValidValue;
+    if (value) {
+      const { population, note, populationStats, restartCount, evaluations } = value;
 
       if (population) setPopulation(population);
+      setTabuMoves(value.tabuMoves || null);
+      setPrunedValues(value.prunedValues || null);
+      setSatStep(value.satStep || null);
+      setChosenVariable(value.chosenVariable ?? null);
+      setSatTrail(value.satTrail || null);
+      if (value.costBounds) setRunCostBounds(value.costBounds);
 
       let detailedNote = note;
       if (populationStats) {
-        detailedNote = `${note} | Pop: ${populationStats.size} | Avg: ${populationStats.avgCost} `;
+        detailedNote = `${note} | Pop: ${populationStats.size} | Avg: ${populationStats.avgCost.toFixed(2)} `;
       } else if (restartCount !== undefined && restartCount > 0) {
         detailedNote = `${note} (Restart #${restartCount})`;
       }
@@ -350,127 +336,90 @@ function App() {
       if (evaluations !== undefined) setEvaluations(evaluations);
     }
 
+    if (!done) return;
+
     // Handle Finished
-    if (lastResult.done) {
-      setIsPlaying(false);
-      setIsTurbo(false);
-      setIsFinished(true);
+    setIsPlaying(false);
+    setIsTurbo(false);
+    setIsFinished(true);
 
+    if (result && typeof result === 'object') {
       // If generator returns a value (best state), use it
-      if (lastResult.value && typeof lastResult.value === 'object') {
-        const { state, note } = lastResult.value;
-        if (note) setAlgoNote(note);
-
-        if (state) {
-          // Always restore the best state returned by the algorithm
-          setCurrentState(state);
-          setAlgoNote(prev => prev + ' (Best Restored)');
-
-          // Also update the Best Found stat if this is better
-          if (state.cost < bestSolutionCost) {
-            setBestSolutionCost(state.cost);
-          }
-        }
-      } else if (typeof lastResult.value === 'string') {
-        setAlgoNote(lastResult.value);
-      } else {
-        if (!algoNote.includes('Solution') && !algoNote.includes('Stopped')) {
-          setAlgoNote('Finished');
+      const { state, note } = result;
+      if (note) setAlgoNote(note);
+
+      if (state) {
+        // Always restore the best state returned by the algorithm
+        setCurrentState(state);
+        setTabuMoves(null); // Tabu marks describe the last visited state, not the restored one
+        setPrunedValues(null);
+        setSatStep(null);
+        setChosenVariable(null);
+        setSatTrail(null);
+        setAlgoNote(prev => prev + ' (Best Restored)');
+
+        // Also update the Best Found stat if this is better
+        if (state.cost < bestSolutionRef.current.cost) {
+          bestSolutionRef.current = { cost: state.cost, state };
+          setBestSolutionCost(state.cost);
         }
       }
-      return;
-    }
-
-    // Auto-stop solution (redundant check if generator handles it, but good for safety)
-    if (lastValidState && currentProblem.isSolution(lastValidState)) {
-      setIsPlaying(false);
-      setIsTurbo(false);
-      setIsFinished(true);
+    } else if (typeof result === 'string') {
+      setAlgoNote(result);
+    } else if (solved) {
       setAlgoNote('Solution Found!');
-    } else if (lastResult.value && !lastResult.value.state && !lastResult.done) {
-      // Case where state is null but not done? (Shouldn't happen with new logic)
-    }
-  }, [currentProblem, selectedProblemId, algorithm, algoParams, problemParams, startAlgorithm]); // Removed currentState
-
-  const step = useCallback(() => {
-    if (!iteratorRef.current) {
-      startAlgorithm();
+    } else if (returned) {
+      setAlgoNote(prev => (prev.includes('Solution') || prev.includes('Stopped')) ? prev : 'Finished');
     }
+  }, []);
 
-    const result = iteratorRef.current.next();
+  // Show a search-tree node's partial state; clicking it again returns to the live board
+  const selectTreeNode = useCallback((node) => {
+    setTreeSelection(prev => (prev && prev.id === node.id ? null : { id: node.id, state: node.state }));
+  }, []);
 
-    if (result.done) {
-      setIsPlaying(false);
-      setIsFinished(true);
-
-      if (result.value && typeof result.value === 'object') {
-        const { state, note } = result.value;
-        if (note) setAlgoNote(note);
-
-        if (state) {
-          setCurrentState(state);
-          setAlgoNote(prev => prev + ' (Best Restored)');
-          if (state.cost < bestSolutionCost) {
-            setBestSolutionCost(state.cost);
-          }
-        }
-      } else if (typeof result.value === 'string') {
-        setAlgoNote(result.value);
-      } else {
-        setAlgoNote('Finished');
-      }
-      return;
-    }
+  // Local search was handed an empty board: the engine generated a random start state
+  const handleStarted = useCallback((state) => {
+    setCurrentState(state);
+    setHistory([state.cost]); // Start chart with this valid random state cost
+    setPopulationHistory([]);
+    setTemperatureHistory([]);
+    setStepCount(0);
+    setEvaluations(0);
+  }, []);
 
-    const { state, population, note, populationStats, restartCount, evaluations } = result.value;
-    // console.log('Step result:', { note, evaluations, restartCount }); // Debug log
+  const handleEngineError = useCallback((message) => {
+    setIsPlaying(false);
+    setIsTurbo(false);
+    setIsFinished(true);
+    setAlgoNote(`Error: ${message}`);
+  }, []);
 
-    if (state) {
-      setCurrentState(state);
-    }
-    // We could store population in state if we want to visualize it
-    // For now, let's just keep 'state' as the best, but maybe pass population to a new view
-
-    // Hack: We can temporarily attach population to the state object or separate state
-    // Let's separate state
-    if (population) setPopulation(population);
-
-    let detailedNote = note;
-    if (populationStats) {
-      detailedNote = `${note} | Pop: ${populationStats.size} | Avg: ${populationStats.avgCost} `;
-    } else if (restartCount !== undefined && restartCount > 0) {
-      detailedNote = `${note} (Restart #${restartCount})`;
-    }
+  useEffect(() => {
+    engineRef.current?.setHandlers({ onBatch: handleBatch, onStarted: handleStarted, onError: handleEngineError });
+  }, [handleBatch, handleStarted, handleEngineError]);
 
-    setAlgoNote(detailedNote);
-    if (evaluations !== undefined) setEvaluations(evaluations);
+  // Hand the current start state to the engine if it has no run yet
+  const startAlgorithm = useCallback(() => {
+    if (runActiveRef.current || !engineRef.current) return;
 
-    if (state) {
-      setHistory(prev => [...prev, state.cost]);
-      setStepCount(prev => prev + 1);
+    // Merge params
+    const fullParams = { ...algoParams, ...problemParams };
+    const current = currentStateRef.current || initialState;
 
-      if (!state.isPartial || currentProblem.isSolution(state)) {
-        if (state.cost < bestSolutionRef.current.cost) {
-          bestSolutionRef.current = { cost: state.cost, state: state };
-          setBestSolutionCost(state.cost);
-        }
-      }
+    // Generic instance params extraction from current/initial state
+    if (currentProblem.extractInstanceParams && current) {
+      Object.assign(fullParams, currentProblem.extractInstanceParams(current));
     }
 
-    // Auto-stop if solution found (cost 0 or problem says so)
-    // For Tetris (optimization), don't stop just because isSolution is true (complete state)
-    // unless cost is 0.
-    const isOptimization = currentProblem.id === 'tetris';
-    const isComplete = state && ((currentProblem.id !== 'tetris') || state.pieces) && currentProblem.isSolution(state);
+    engineRef.current.start(currentProblem, algorithm, fullParams, current);
+    runActiveRef.current = true;
+  }, [algorithm, algoParams, problemParams, currentProblem, initialState]);
 
-    if (state && isComplete && (!isOptimization || (state.cost === 0))) {
-      setIsPlaying(false);
-      setIsFinished(true);
-    } else if (!state) {
-      setIsPlaying(false);
-      setIsFinished(true);
-    }
-  }, [algorithm, algoParams, problemParams, currentProblem, startAlgorithm]); // Removed currentState
+  const step = useCallback(() => {
+    startAlgorithm();
+    engineRef.current?.step();
+  }, [startAlgorithm]);
 
   const togglePlay = () => {
     if (isPlaying) {
@@ -491,43 +440,18 @@ function App() {
     }
   };
 
-  // Timer / Animation Loop
+  // Play / Pause: the engine paces itself (one step per `speed` ms, or time-sliced batches in turbo)
   useEffect(() => {
-    if (!isPlaying) {
-      return;
-    }
+    const engine = engineRef.current;
+    if (!engine) return;
 
-    if (isTurbo) {
-      // Turbo Loop: requestAnimationFrame with large batch
-      let animId;
-      const loop = () => {
-        // dynamic batch size? 
-        // For HC, 100 is too laggy. Let's try 20.
-        // For Simulated Annealing (O(1) per step), 100 was fine. 
-        // We could make it dynamic based on algorithm, but 20 is a safe middle ground.
-        // Or distinct: SA -> 500, HC -> 10.
-        let batch = 10;
-        if (algorithm === 'simulatedAnnealing' || algorithm === 'stochasticHillClimbing') {
-          // Stochastic HC (First Choice) is cheap if it doesn't scan all neighbors.
-          // But 'weighted' variant scans all.
-          // Let's keep it simple: 20.
-          batch = 50;
-        }
-        if (algorithm === 'hillClimbing') batch = 5; // Very expensive per step
-
-        runBatch(batch);
-        animId = requestAnimationFrame(loop);
-      };
-      loop();
-      return () => cancelAnimationFrame(animId);
+    if (isPlaying) {
+      startAlgorithm();
+      engine.play({ turbo: isTurbo, speed });
     } else {
-      // Normal Speed
-      timerRef.current = setInterval(step, speed);
-      return () => clearInterval(timerRef.current);
+      engine.pause();
     }
-  }, [isPlaying, isTurbo, speed, step, runBatch]);
-
-
+  }, [isPlaying, isTurbo, speed, startAlgorithm]);
 
   return (
     <div className="flex h-screen w-full bg-slate-900 text-slate-100 overflow-auto min-w-[1280px] font-sans">
@@ -548,6 +472,7 @@ function App() {
           currentProblem={currentProblem}
           problemParams={problemParams}
           setProblemParams={setProblemParams}
+          getExportState={() => bestSolutionRef.current.state || currentStateRef.current}
 
           algoParams={algoParams}
           setAlgoParams={setAlgoParams}
@@ -593,7 +518,9 @@ function App() {
             ) : (
               (() => {
                 const BoardComponent = currentProblem.BoardComponent;
-                return BoardComponent ? <BoardComponent state={currentState} /> : null;
+                if (!BoardComponent) return null;
+                if (treeSelection) return <BoardComponent state={treeSelection.state} />;
+                return <BoardComponent state={currentState} tabuMoves={tabuMoves} prunedValues={prunedValues} satStep={satStep} satTrail={satTrail} chosenVariable={chosenVariable} />;
               })()
             )}
           </div>
@@ -602,14 +529,20 @@ function App() {
           <div className="w-96 flex-shrink-0 flex flex-col gap-4">
             <StatsPanel
               history={history}
+              populationHistory={populationHistory}
+              temperatureHistory={temperatureHistory}
               currentCost={currentState?.cost}
               bestCost={bestSolutionCost}
               optimalCost={optimalCost}
+              costBounds={runCostBounds || costBounds}
               stepCount={stepCount}
               evaluations={evaluations}
               formatCost={currentProblem.formatCost}
               searchSpace={searchSpace}
             />
+            {searchTree.length > 0 && (
+              <SearchTreePanel events={searchTree} selectedId={treeSelection?.id ?? null} onSelect={selectTreeNode} />
+            )}
           </div>
         </div>
       </div>
@@ -618,7 +551,7 @@ function App() {
         isOpen={showBenchmark}
         onClose={() => setShowBenchmark(false)}
         onRun={handleRunBenchmark}
-        isRunning={benchmarkRunner && benchmarkRunner.isRunning}
+        isRunning={isBenchmarkRunning}
         progress={benchmarkProgress}
         results={benchmarkResults}
         configCount={getValidConfigs(selectedProblemId, currentProblem).length}
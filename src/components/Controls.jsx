@@ -1,5 +1,72 @@
-import React from 'react';
-import { Play, Pause, RotateCcw, FastForward, SkipForward, Zap, Shuffle, RefreshCw, Trophy } from 'lucide-react';
+import React, { useState } from 'react';
+import { Play, Pause, RotateCcw, FastForward, SkipForward, Zap, Shuffle, RefreshCw, Trophy, Upload, Download } from 'lucide-react';
+import { parseTSPLIB, parseTSPLIBTour, formatTSPLIB, formatTSPLIBTour } from '../core/problems/tsplib.js';
+import { parseDIMACSCNF, formatDIMACSCNF, formatDIMACSSolution } from '../core/problems/dimacs.js';
+import { astToClauses } from '../core/problems/boolean-sat.js';
+import { parseSudoku, formatSudoku } from '../core/problems/sudoku-formats.js';
+import { parseDIMACSCol, formatDIMACSCol, parseAdjacencyJSON, formatAdjacencyJSON, graphAdjacency, layoutGraph } from '../core/problems/graph-formats.js';
+import { MAP_COLORING_PALETTE } from '../core/constants.js';
+import { GA_SELECTION_SCHEMES, MIN_CONFLICTS_TIE_BREAKS, SA_SCHEDULES } from '../core/algorithms.js';
+
+// Save generated text (instance / solution exports) as a file download
+const downloadText = (filename, text) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Some browsers start the download asynchronously: keep the blob alive until then
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Paste box + file picker for instance files. onImport(text, fileName) reports problems by throwing.
+const FileImport = ({ placeholder, accept, disabled, onImport, onError }) => {
+    const [text, setText] = useState('');
+
+    const run = (content, fileName) => {
+        try {
+            onImport(content, fileName);
+            onError(null);
+            setText('');
+        } catch (e) {
+            onError(e.message);
+        }
+    };
+
+    return (
+        <>
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={placeholder}
+                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1 text-xs font-mono h-16"
+                disabled={disabled}
+            />
+            <div className="flex gap-2">
+                <button
+                    onClick={() => run(text, null)}
+                    disabled={disabled || !text.trim()}
+                    className="flex-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 py-1 rounded text-xs"
+                >
+                    Import
+                </button>
+                <label className={`flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs cursor-pointer ${disabled ? 'opacity-50 pointer-events-none' : ''}`}>
+                    <Upload size={12} /> File
+                    <input
+                        type="file"
+                        accept={accept}
+                        className="hidden"
+                        onChange={async (e) => {
+                            const file = e.target.files[0];
+                            e.target.value = '';
+                            if (file) run(await file.text(), file.name);
+                        }}
+                    />
+                </label>
+            </div>
+        </>
+    );
+};
 
 const Controls = ({
     algorithm,
@@ -23,7 +90,12 @@ const Controls = ({
     setSpeed,
     problemRegistry,
     currentProblem,
+    getExportState, // () => best state found so far, or the displayed state
 }) => {
+    // Last import/export failure, only shown while its problem is selected
+    const [fileErrorEntry, setFileErrorEntry] = useState(null);
+    const fileError = fileErrorEntry?.problemId === problemId ? fileErrorEntry.message : null;
+    const setFileError = (message) => setFileErrorEntry(message ? { problemId, message } : null);
 
     const handleAlgoParamChange = (key, value) => {
         setAlgoParams(prev => ({ ...prev, [key]: value }));
@@ -41,6 +113,134 @@ const Controls = ({
         });
     };
 
+    // TSPLIB: a .tsp file replaces the cities, a .tour file for the loaded instance sets the known optimum
+    const importTSPLIB = (text) => {
+        if (/^\s*TYPE\s*:\s*TOUR/m.test(text)) {
+            if (!problemParams.cities) throw new Error('Load the matching .tsp instance before its tour');
+            const { tour } = parseTSPLIBTour(text, problemParams.cities.length);
+            setProblemParams(prev => ({ ...prev, optimalTour: tour }));
+        } else {
+            const { name, comment, edgeWeightType, cities } = parseTSPLIB(text);
+            setProblemParams(prev => ({
+                ...prev,
+                cities,
+                size: cities.length,
+                tsplib: { name, comment, edgeWeightType },
+                optimalTour: undefined
+            }));
+        }
+    };
+
+    const clearTSPLIB = () => {
+        setProblemParams(prev => {
+            const { cities: _cities, tsplib: _tsplib, optimalTour: _optimalTour, ...rest } = prev;
+            return { ...rest, size: currentProblem.defaultParams.size };
+        });
+        setFileError(null);
+    };
+
+    const exportTSPLIB = (what) => {
+        const state = getExportState?.();
+        if (!state || !state.cities) return;
+        const name = problemParams.tsplib?.name || `random${state.cities.length}`;
+        if (what === 'instance') {
+            downloadText(`${name}.tsp`, formatTSPLIB({ ...problemParams.tsplib, name, cities: state.cities }));
+        } else {
+            if (state.isPartial) {
+                setFileError('No complete tour to export yet');
+                return;
+            }
+            const comment = `Length ${currentProblem.formatCost(state.cost)}`;
+            downloadText(`${name}.tour`, formatTSPLIBTour({ name: `${name}.tour`, comment, tour: state.tour }));
+        }
+    };
+
+    // Sudoku: an imported puzzle replaces the generated one
+    const importSudoku = (text, fileName) => {
+        const puzzle = parseSudoku(text);
+        const name = puzzle.name || (fileName ? fileName.replace(/\.(sdk|txt)$/i, '') : 'pasted');
+        setProblemParams(prev => ({ ...prev, size: puzzle.size, puzzle: { ...puzzle, name } }));
+    };
+
+    const clearSudoku = () => {
+        setProblemParams(prev => {
+            const { puzzle: _puzzle, ...rest } = prev;
+            const size = currentProblem.defaultParams.size;
+            return { ...rest, size, removeCount: Math.floor(size * size * 0.60) };
+        });
+        setFileError(null);
+    };
+
+    const exportSudoku = (format) => {
+        const state = getExportState?.();
+        if (!state || !state.grid) return;
+        const name = problemParams.puzzle?.name || `sudoku${state.size}`;
+        downloadText(`${name}.txt`, formatSudoku(state.grid, format));
+    };
+
+    // Map coloring: an imported graph (DIMACS .col or adjacency JSON) replaces the map. It is laid
+    // out once here, so every new instance of it is drawn the same way.
+    const importGraph = (text, fileName) => {
+        const isJSON = /\.json$/i.test(fileName || '') || /^\s*\{/.test(text);
+        const { comments, adjacency, positions } = isJSON ? parseAdjacencyJSON(text) : parseDIMACSCol(text);
+        const name = fileName ? fileName.replace(/\.(col|json|txt)$/i, '') : 'pasted';
+        setProblemParams(prev => ({
+            ...prev,
+            graphType: 'custom',
+            customGraph: { name, comments, adjacency, positions: positions || layoutGraph(adjacency) }
+        }));
+    };
+
+    const clearGraph = () => {
+        setProblemParams(prev => {
+            const { customGraph: _customGraph, ...rest } = prev;
+            return { ...rest, graphType: currentProblem.defaultParams.graphType, numColors: currentProblem.defaultParams.numColors };
+        });
+        setFileError(null);
+    };
+
+    const exportGraph = (format) => {
+        const state = getExportState?.();
+        if (!state || !state.graph) return;
+        const custom = problemParams.graphType === 'custom' ? problemParams.customGraph : null;
+        const name = custom?.name || state.graphType || 'graph';
+        const adjacency = graphAdjacency(state.graph);
+        if (format === 'col') {
+            const comments = custom ? custom.comments : [name];
+            downloadText(`${name}.col`, formatDIMACSCol({ comments, adjacency }));
+        } else {
+            downloadText(`${name}.json`, formatAdjacencyJSON({ adjacency, positions: state.graph.positions }));
+        }
+        setFileError(null);
+    };
+
+    // DIMACS CNF: switches SAT to the imported formula
+    const importDIMACS = (text, fileName) => {
+        const cnf = parseDIMACSCNF(text);
+        const name = fileName ? fileName.replace(/\.(cnf|dimacs|txt)$/i, '') : 'pasted';
+        setProblemParams(prev => ({ ...prev, mode: 'dimacs', cnf: { name, ...cnf } }));
+    };
+
+    const exportDIMACS = (what) => {
+        const state = getExportState?.();
+        if (!state || !state.variables) return;
+        const clauses = state.clauses || astToClauses(state.ast, state.variables);
+        if (!clauses) {
+            setFileError('Expression is not in CNF (an AND of OR-clauses), so it cannot be written as DIMACS');
+            return;
+        }
+        const name = (problemParams.mode === 'dimacs' && problemParams.cnf?.name) || 'formula';
+        if (what === 'formula') {
+            const comments = problemParams.mode === 'dimacs' && problemParams.cnf ? problemParams.cnf.comments : [name];
+            downloadText(`${name}.cnf`, formatDIMACSCNF({ comments, variables: state.variables, clauses }));
+        } else {
+            const satisfied = currentProblem.isSolution(state);
+            const comments = [`${name}: ${state.cost} unsatisfied clause(s)`];
+            downloadText(`${name}.sol`, formatDIMACSSolution({ variables: state.variables, assignments: state.assignments, satisfied, comments }));
+        }
+        setFileError(null);
+    };
+
     return (
         <div className="bg-slate-800 p-4 rounded-lg shadow-lg text-slate-200 flex flex-col gap-4 h-full overflow-y-auto">
             <h2 className="text-xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent">
@@ -75,6 +275,7 @@ const Controls = ({
                         {Object.entries(currentProblem.graphTypes).map(([key, label]) => (
                             <option key={key} value={key}>{label}</option>
                         ))}
+                        {problemParams.customGraph && <option value="custom">Imported: {problemParams.customGraph.name}</option>}
                     </select>
                 </div>
             )}
@@ -92,10 +293,29 @@ const Controls = ({
                             >
                                 <option value="random">Random 3-SAT</option>
                                 <option value="custom">Custom Expression</option>
+                                <option value="dimacs">DIMACS File</option>
                             </select>
                         </div>
                         
-                        {problemParams.mode !== 'custom' ? (
+                        {problemParams.mode === 'dimacs' ? (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">DIMACS CNF</label>
+                                {problemParams.cnf ? (
+                                    <div className="text-xs font-mono bg-slate-900 rounded px-2 py-1 truncate">
+                                        {problemParams.cnf.name} ({problemParams.cnf.variables.length} vars, {problemParams.cnf.clauses.length} clauses)
+                                    </div>
+                                ) : (
+                                    <div className="text-[10px] text-slate-500">No file loaded: showing a random formula.</div>
+                                )}
+                                <FileImport
+                                    placeholder="Paste a DIMACS .cnf file (p cnf ...)"
+                                    accept=".cnf,.dimacs,.txt"
+                                    disabled={isPlaying}
+                                    onImport={importDIMACS}
+                                    onError={setFileError}
+                                />
+                            </div>
+                        ) : problemParams.mode !== 'custom' ? (
                             <>
                                 <div className="space-y-2">
                                     <label className="text-xs font-semibold uppercase text-slate-400">Variables (N)</label>
@@ -132,16 +352,52 @@ const Controls = ({
                                 <div className="text-[10px] text-slate-500">Ops: ^ (AND), v (OR), ~ (NOT).</div>
                             </div>
                         )}
+
+                        <div className="flex gap-2">
+                            <button
+                                onClick={() => exportDIMACS('formula')}
+                                className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                            >
+                                <Download size={12} /> .cnf
+                            </button>
+                            <button
+                                onClick={() => exportDIMACS('assignment')}
+                                className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                            >
+                                <Download size={12} /> Best Assignment
+                            </button>
+                        </div>
+                        {fileError && <p className="text-[10px] text-red-400">{fileError}</p>}
                     </div>
                 )}
 
+            {/* Map Coloring: Objective */}
+            {problemId === 'map-coloring' && currentProblem?.objectives && (
+                <div className="space-y-2">
+                    <label className="text-xs font-semibold uppercase text-slate-400">Objective</label>
+                    <select
+                        value={problemParams.objective || 'satisfy'}
+                        onChange={(e) => handleProblemParamChange('objective', e.target.value)}
+                        className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                        disabled={isPlaying}
+                    >
+                        {Object.entries(currentProblem.objectives).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    {problemParams.objective === 'minimizeColors' && (
+                        <p className="text-[10px] text-slate-500">Cost = colors used + one node count per clash. The palette starts at the DSatur / greedy-by-degree coloring.</p>
+                    )}
+                </div>
+            )}
+
             {/* Map Coloring: Number of Colors */}
-            {problemId === 'map-coloring' && (
+            {problemId === 'map-coloring' && problemParams.objective !== 'minimizeColors' && (
                 <div className="space-y-2">
                     <label className="text-xs font-semibold uppercase text-slate-400">Number of Colors</label>
                     <input
                         type="number"
-                        min="2" max="8"
+                        min="2" max={MAP_COLORING_PALETTE.length}
                         value={problemParams.numColors || 3}
                         onChange={(e) => handleProblemParamChange('numColors', parseInt(e.target.value))}
                         className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
@@ -150,8 +406,126 @@ const Controls = ({
                 </div>
             )}
 
+            {/* Map Coloring: graph import / export */}
+            {problemId === 'map-coloring' && (
+                <div className="space-y-2">
+                    <label className="text-xs font-semibold uppercase text-slate-400">Graph File</label>
+                    {problemParams.customGraph && (
+                        <div className="flex items-center justify-between text-xs bg-slate-900 rounded px-2 py-1">
+                            <span className="font-mono truncate">
+                                {problemParams.customGraph.name} ({Object.keys(problemParams.customGraph.adjacency).length} nodes)
+                            </span>
+                            <button onClick={clearGraph} disabled={isPlaying} className="text-slate-400 hover:text-white disabled:opacity-50">
+                                Clear
+                            </button>
+                        </div>
+                    )}
+                    <FileImport
+                        placeholder={'Paste a DIMACS .col file or adjacency JSON {"A": ["B"], ...}'}
+                        accept=".col,.json,.txt"
+                        disabled={isPlaying}
+                        onImport={importGraph}
+                        onError={setFileError}
+                    />
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => exportGraph('col')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                        >
+                            <Download size={12} /> .col
+                        </button>
+                        <button
+                            onClick={() => exportGraph('json')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                        >
+                            <Download size={12} /> JSON
+                        </button>
+                    </div>
+                    {fileError && <p className="text-[10px] text-red-400">{fileError}</p>}
+                </div>
+            )}
+
+            {/* TSP: TSPLIB instance import / export */}
+            {problemId === 'tsp' && (
+                <div className="space-y-2">
+                    <label className="text-xs font-semibold uppercase text-slate-400">TSPLIB Instance</label>
+                    {problemParams.tsplib && (
+                        <div className="flex items-center justify-between text-xs bg-slate-900 rounded px-2 py-1">
+                            <span className="font-mono truncate">
+                                {problemParams.tsplib.name} ({problemParams.cities.length}, {problemParams.tsplib.edgeWeightType})
+                                {problemParams.optimalTour && <span className="text-green-400"> opt</span>}
+                            </span>
+                            <button onClick={clearTSPLIB} disabled={isPlaying} className="text-slate-400 hover:text-white disabled:opacity-50">
+                                Clear
+                            </button>
+                        </div>
+                    )}
+                    <FileImport
+                        placeholder="Paste a .tsp or .opt.tour file..."
+                        accept=".tsp,.tour"
+                        disabled={isPlaying}
+                        onImport={importTSPLIB}
+                        onError={setFileError}
+                    />
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => exportTSPLIB('instance')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                        >
+                            <Download size={12} /> .tsp
+                        </button>
+                        <button
+                            onClick={() => exportTSPLIB('tour')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                        >
+                            <Download size={12} /> Best .tour
+                        </button>
+                    </div>
+                    {fileError && <p className="text-[10px] text-red-400">{fileError}</p>}
+                </div>
+            )}
+
+            {/* Sudoku: puzzle import / export */}
+            {problemId === 'sudoku' && (
+                <div className="space-y-2">
+                    <label className="text-xs font-semibold uppercase text-slate-400">Puzzle</label>
+                    {problemParams.puzzle && (
+                        <div className="flex items-center justify-between text-xs bg-slate-900 rounded px-2 py-1">
+                            <span className="font-mono truncate">
+                                {problemParams.puzzle.name} ({problemParams.puzzle.size}x{problemParams.puzzle.size})
+                            </span>
+                            <button onClick={clearSudoku} disabled={isPlaying} className="text-slate-400 hover:text-white disabled:opacity-50">
+                                Clear
+                            </button>
+                        </div>
+                    )}
+                    <FileImport
+                        placeholder="Paste an 81-character puzzle or a grid (. or 0 for blanks)"
+                        accept=".sdk,.txt"
+                        disabled={isPlaying}
+                        onImport={importSudoku}
+                        onError={setFileError}
+                    />
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => exportSudoku('line')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                        >
+                            <Download size={12} /> Line
+                        </button>
+                        <button
+                            onClick={() => exportSudoku('grid')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-slate-700 hover:bg-slate-600 py-1 rounded text-xs"
+                        >
+                            <Download size={12} /> Grid
+                        </button>
+                    </div>
+                    {fileError && <p className="text-[10px] text-red-400">{fileError}</p>}
+                </div>
+            )}
+
             {/* Board Size / N / Cities — for non-map-coloring problems */}
-            {problemId !== 'map-coloring' && problemId !== 'boolean-sat' && (
+            {problemId !== 'map-coloring' && problemId !== 'boolean-sat' && !(problemId === 'tsp' && problemParams.tsplib) && !(problemId === 'sudoku' && problemParams.puzzle) && (
                 <div className="space-y-2">
                     <label className="text-xs font-semibold uppercase text-slate-400">
                         {problemId === 'tsp' ? 'Number of Cities' : (problemId === 'sudoku' ? 'Grid Size' : 'Board Size (N)')}
@@ -176,13 +550,16 @@ const Controls = ({
                     ) : (
                         <input
                             type="number"
-                            min="4" max={problemId === 'tsp' ? "50" : "20"}
+                            min="4" max={problemId === 'tsp' ? "50" : (problemId === 'n-queens' ? "1000" : "20")}
                             value={problemParams.size || (problemId === 'tsp' ? 20 : 8)}
                             onChange={(e) => handleProblemParamChange('size', parseInt(e.target.value))}
                             className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
                             disabled={isPlaying}
                         />
                     )}
+                    {problemId === 'n-queens' && (problemParams.size || 8) > 50 && (
+                        <p className="text-[10px] text-slate-500">Large boards: use Hill Climbing, Simulated Annealing or Min-Conflicts. Algorithms that build every neighbor state need O(N³) memory.</p>
+                    )}
                 </div>
             )}
 
@@ -201,7 +578,26 @@ const Controls = ({
                 </div>
             )}
 
-            {problemId === 'sudoku' && (
+            {problemId === 'sudoku' && !problemParams.puzzle && (
+                <div className="space-y-2">
+                    <label className="text-xs font-semibold uppercase text-slate-400">Difficulty</label>
+                    <select
+                        value={problemParams.difficulty || 'any'}
+                        onChange={(e) => handleProblemParamChange('difficulty', e.target.value)}
+                        className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                        disabled={isPlaying}
+                    >
+                        <option value="any">Any (use Empty Cells)</option>
+                        <option value="easy">Easy (singles)</option>
+                        <option value="medium">Medium (pairs)</option>
+                        <option value="hard">Hard (X-wing)</option>
+                        <option value="expert">Expert (trial and error)</option>
+                    </select>
+                    <p className="text-[10px] text-slate-500">Generated puzzles always have a unique solution.</p>
+                </div>
+            )}
+
+            {problemId === 'sudoku' && !problemParams.puzzle && (problemParams.difficulty || 'any') === 'any' && (
                 <div className="space-y-2">
                     <div className="flex justify-between text-xs text-slate-400 uppercase">
                         <label className="font-semibold">Empty Cells (k)</label>
@@ -215,9 +611,60 @@ const Controls = ({
                         onChange={(e) => handleProblemParamChange('removeCount', parseInt(e.target.value))}
                         className="w-full accent-blue-500"
                     />
+                    <p className="text-[10px] text-slate-500">Upper bound: a cell is only cleared if the solution stays unique.</p>
                 </div>
             )}
 
+            {/* Sudoku: local search encoding */}
+            {problemId === 'sudoku' && currentProblem?.encodings && (
+                <div className="space-y-2">
+                    <label className="text-xs font-semibold uppercase text-slate-400">Encoding</label>
+                    <select
+                        value={problemParams.encoding || 'cells'}
+                        onChange={(e) => handleProblemParamChange('encoding', e.target.value)}
+                        className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                        disabled={isPlaying}
+                    >
+                        {Object.entries(currentProblem.encodings).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    <p className="text-[10px] text-slate-500">Representation used by HC, SA, Tabu and the GA. Set a seed to compare on the same puzzle.</p>
+                </div>
+            )}
+
+            {/* TSP: Neighborhood Operator */}
+            {problemId === 'tsp' && currentProblem?.neighborhoods && (
+                <div className="space-y-2">
+                    <label className="text-xs font-semibold uppercase text-slate-400">Neighborhood</label>
+                    <select
+                        value={problemParams.neighborhood || 'swap'}
+                        onChange={(e) => handleProblemParamChange('neighborhood', e.target.value)}
+                        className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                        disabled={isPlaying}
+                    >
+                        {Object.entries(currentProblem.neighborhoods).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    <p className="text-[10px] text-slate-500">Move used by HC, SA and Tabu. Set a seed to compare on the same cities.</p>
+                </div>
+            )}
+
+            {/* Random Seed (reproducible instances and runs) */}
+            <div className="space-y-2">
+                <label className="text-xs font-semibold uppercase text-slate-400">Random Seed</label>
+                <input
+                    type="text"
+                    placeholder="Unseeded"
+                    value={problemParams.seed ?? ''}
+                    onChange={(e) => handleProblemParamChange('seed', e.target.value)}
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1 font-mono"
+                    disabled={isPlaying}
+                />
+                <p className="text-[10px] text-slate-500">Same seed + problem + settings replays the exact same run.</p>
+            </div>
+
             {/* Algorithm Selection */}
             <div className="space-y-2">
                 <label className="text-xs font-semibold uppercase text-slate-400">Algorithm</label>
@@ -231,16 +678,48 @@ const Controls = ({
                     <option value="stochasticHillClimbing">Stochastic Hill Climbing</option>
                     <option value="localBeamSearch">Local Beam Search</option>
                     <option value="simulatedAnnealing">Simulated Annealing</option>
+                    <option value="parallelTempering">Parallel Tempering</option>
+                    <option value="tabuSearch">Tabu Search</option>
                     <option value="geneticAlgorithm">Genetic Algorithm</option>
                     <optgroup label="Uninformed Search">
                         <option value="bfs">Breadth-First Search</option>
                         <option value="dfs">Depth-First Search</option>
                     </optgroup>
+                    <optgroup label="Informed Search">
+                        <option value="greedyBestFirst">Greedy Best-First</option>
+                        <option value="aStar">A*</option>
+                        <option value="uniformCost">Uniform Cost Search</option>
+                        <option value="idaStar">IDA*</option>
+                    </optgroup>
+                    {problemId === 'boolean-sat' && (
+                        <optgroup label="SAT Local Search">
+                            <option value="walkSat">WalkSAT</option>
+                            <option value="gsat">GSAT</option>
+                        </optgroup>
+                    )}
+                    {problemId === 'boolean-sat' && (
+                        <optgroup label="SAT Solvers">
+                            <option value="dpll">DPLL</option>
+                            <option value="cdcl">CDCL (Clause Learning)</option>
+                        </optgroup>
+                    )}
                     {currentProblem?.supportsCSP && (
                         <optgroup label="Constraint Satisfaction">
                             <option value="backtracking">Backtracking</option>
                             <option value="forwardChecking">Forward Checking</option>
                             <option value="arcConsistency">Arc Consistency (AC-3)</option>
+                            {problemId !== 'boolean-sat' && (
+                                <>
+                                    <option value="conflictDirectedBackjumping">Conflict-Directed Backjumping</option>
+                                    <option value="backmarking">Backmarking</option>
+                                </>
+                            )}
+                            <option value="minConflicts">Min-Conflicts (Local Search)</option>
+                        </optgroup>
+                    )}
+                    {problemId === 'map-coloring' && (
+                        <optgroup label="Graph Coloring">
+                            <option value="chromaticNumber">Chromatic Number (Tighten k)</option>
                         </optgroup>
                     )}
                 </select>
@@ -326,24 +805,346 @@ const Controls = ({
                             <input
                                 type="number"
                                 value={algoParams.initialTemp || 100}
+                                disabled={algoParams.autoInitialTemp}
                                 onChange={(e) => handleAlgoParamChange('initialTemp', parseFloat(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1 disabled:opacity-50"
+                            />
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="checkbox"
+                                checked={!!algoParams.autoInitialTemp}
+                                onChange={(e) => handleAlgoParamChange('autoInitialTemp', e.target.checked)}
+                                className="bg-slate-700 border border-slate-600 rounded"
+                            />
+                            <label className="text-xs font-semibold uppercase text-slate-400">Estimate from Uphill Moves</label>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Cooling Schedule</label>
+                            <select
+                                value={algoParams.schedule || 'geometric'}
+                                onChange={(e) => handleAlgoParamChange('schedule', e.target.value)}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            >
+                                {Object.entries(SA_SCHEDULES).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {['geometric', 'adaptive'].includes(algoParams.schedule || 'geometric') && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Cooling Rate</label>
+                                <input
+                                    type="number"
+                                    step="0.001"
+                                    min="0.1" max="0.999"
+                                    value={algoParams.coolingRate || 0.99}
+                                    onChange={(e) => handleAlgoParamChange('coolingRate', parseFloat(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                            </div>
+                        )}
+                        {algoParams.schedule === 'lundyMees' && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Lundy–Mees β</label>
+                                <input
+                                    type="number"
+                                    step="0.0001"
+                                    min="0"
+                                    value={algoParams.lundyMeesBeta ?? 0.001}
+                                    onChange={(e) => handleAlgoParamChange('lundyMeesBeta', parseFloat(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                            </div>
+                        )}
+                        {algoParams.schedule === 'adaptive' && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Target Acceptance (0-1)</label>
+                                <input
+                                    type="number"
+                                    step="0.05"
+                                    min="0.01" max="1"
+                                    value={algoParams.targetAcceptance ?? 0.3}
+                                    onChange={(e) => handleAlgoParamChange('targetAcceptance', parseFloat(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                                <p className="text-[10px] text-slate-500">Share of uphill moves accepted; cooling speeds up above it and slows down below it.</p>
+                            </div>
+                        )}
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Reheat After (Steps, 0 = off)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={algoParams.reheatAfter || 0}
+                                onChange={(e) => handleAlgoParamChange('reheatAfter', Math.max(0, parseInt(e.target.value) || 0))}
                                 className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
                             />
+                            <p className="text-[10px] text-slate-500">Steps without a new best (or freezing) before reheating to half the last starting temperature.</p>
                         </div>
+                        {(algoParams.reheatAfter || 0) > 0 && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Max Reheats</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={algoParams.maxReheats ?? 3}
+                                    onChange={(e) => handleAlgoParamChange('maxReheats', Math.max(1, parseInt(e.target.value) || 1))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                            </div>
+                        )}
                         <div className="space-y-2">
-                            <label className="text-xs font-semibold uppercase text-slate-400">Cooling Rate</label>
+                            <label className="text-xs font-semibold uppercase text-slate-400">Max Iterations</label>
                             <input
                                 type="number"
-                                step="0.001"
-                                min="0.1" max="0.999"
-                                value={algoParams.coolingRate || 0.99}
-                                onChange={(e) => handleAlgoParamChange('coolingRate', parseFloat(e.target.value))}
+                                min="10" max="1000000"
+                                value={algoParams.maxIterations || 10000}
+                                onChange={(e) => handleAlgoParamChange('maxIterations', parseInt(e.target.value))}
                                 className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
                             />
                         </div>
                     </>
                 )}
 
+                {algorithm === 'parallelTempering' && (
+                    <>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Replicas</label>
+                            <input
+                                type="number"
+                                min="2" max="20"
+                                value={algoParams.replicas || 6}
+                                onChange={(e) => handleAlgoParamChange('replicas', Math.max(2, parseInt(e.target.value) || 2))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Min Temp</label>
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    min="0.001"
+                                    value={algoParams.minTemp ?? 0.5}
+                                    onChange={(e) => handleAlgoParamChange('minTemp', parseFloat(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Max Temp</label>
+                                <input
+                                    type="number"
+                                    min="0.001"
+                                    value={algoParams.maxTemp ?? 50}
+                                    onChange={(e) => handleAlgoParamChange('maxTemp', parseFloat(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                            </div>
+                        </div>
+                        <p className="text-[10px] text-slate-500">Temperatures are spaced geometrically between the two.</p>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Swap Interval (Steps)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={algoParams.swapInterval || 10}
+                                onChange={(e) => handleAlgoParamChange('swapInterval', Math.max(1, parseInt(e.target.value) || 1))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Max Iterations</label>
+                            <input
+                                type="number"
+                                min="10" max="1000000"
+                                value={algoParams.maxIterations || 10000}
+                                onChange={(e) => handleAlgoParamChange('maxIterations', parseInt(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                    </>
+                )}
+
+                {algorithm === 'tabuSearch' && (
+                    <>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Tabu Tenure</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={algoParams.tabuTenure || 10}
+                                onChange={(e) => handleAlgoParamChange('tabuTenure', parseInt(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                            <p className="text-[10px] text-slate-500">Iterations a move stays forbidden after being undone.</p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="checkbox"
+                                checked={algoParams.aspiration !== false}
+                                onChange={(e) => handleAlgoParamChange('aspiration', e.target.checked)}
+                                className="bg-slate-700 border border-slate-600 rounded"
+                            />
+                            <label className="text-xs font-semibold uppercase text-slate-400">Aspiration (Allow tabu if new best)</label>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Max Iterations</label>
+                            <input
+                                type="number"
+                                min="10" max="1000000"
+                                value={algoParams.maxIterations || 10000}
+                                onChange={(e) => handleAlgoParamChange('maxIterations', parseInt(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                    </>
+                )}
+
+                {algorithm === 'minConflicts' && (
+                    <>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Max Steps</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={algoParams.maxSteps || 10000}
+                                onChange={(e) => handleAlgoParamChange('maxSteps', parseInt(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Tie Break</label>
+                            <select
+                                value={algoParams.tieBreak || 'random'}
+                                onChange={(e) => handleAlgoParamChange('tieBreak', e.target.value)}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            >
+                                {Object.entries(MIN_CONFLICTS_TIE_BREAKS).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <div className="flex justify-between text-xs text-slate-400 uppercase">
+                                <label className="font-semibold">Random Walk (p)</label>
+                                <span>{(algoParams.walkProbability ?? 0).toFixed(2)}</span>
+                            </div>
+                            <input
+                                type="range"
+                                min="0" max="1" step="0.05"
+                                value={algoParams.walkProbability ?? 0}
+                                onChange={(e) => handleAlgoParamChange('walkProbability', parseFloat(e.target.value))}
+                                className="w-full accent-blue-500"
+                            />
+                            <p className="text-[10px] text-slate-500">Chance of giving the picked variable a random value instead of the least-conflicting one.</p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Tabu Tenure</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={algoParams.tabuTenure ?? 10}
+                                onChange={(e) => handleAlgoParamChange('tabuTenure', parseInt(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                            <p className="text-[10px] text-slate-500">Steps a variable may not return to a value it just left (0 = off).</p>
+                        </div>
+                    </>
+                )}
+
+                {algorithm === 'chromaticNumber' && (
+                    <div className="space-y-2">
+                        <label className="text-xs font-semibold uppercase text-slate-400">k-Coloring Solver</label>
+                        <select
+                            value={algoParams.colorSolver || 'forwardChecking'}
+                            onChange={(e) => handleAlgoParamChange('colorSolver', e.target.value)}
+                            className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                        >
+                            <option value="backtracking">Backtracking</option>
+                            <option value="forwardChecking">Forward Checking</option>
+                            <option value="arcConsistency">Arc Consistency (AC-3)</option>
+                            <option value="conflictDirectedBackjumping">Conflict-Directed Backjumping</option>
+                            <option value="backmarking">Backmarking</option>
+                            <option value="minConflicts">Min-Conflicts (no proof)</option>
+                        </select>
+                        <p className="text-[10px] text-slate-500">
+                            {problemParams.objective === 'minimizeColors'
+                                ? 'Asks for a coloring with one color fewer until the solver finds none (or matches the clique bound).'
+                                : 'Set the map objective to "Minimize colors" first.'}
+                        </p>
+                    </div>
+                )}
+
+                {(algorithm === 'walkSat' || algorithm === 'gsat') && (
+                    <>
+                        <div className="space-y-2">
+                            <div className="flex justify-between text-xs text-slate-400 uppercase">
+                                <label className="font-semibold">Noise (p)</label>
+                                <span>{(algoParams.noise ?? 0.5).toFixed(2)}</span>
+                            </div>
+                            <input
+                                type="range"
+                                min="0" max="1" step="0.05"
+                                value={algoParams.noise ?? 0.5}
+                                onChange={(e) => handleAlgoParamChange('noise', parseFloat(e.target.value))}
+                                className="w-full accent-blue-500"
+                            />
+                            <p className="text-[10px] text-slate-500">
+                                {algorithm === 'walkSat'
+                                    ? 'Chance of flipping a random variable of the picked clause instead of the least-breaking one.'
+                                    : 'Chance of a random-walk flip inside an unsatisfied clause instead of the best-scoring flip.'}
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Max Flips (per try)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={algoParams.maxFlips || 1000}
+                                onChange={(e) => handleAlgoParamChange('maxFlips', parseInt(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Max Tries</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={algoParams.maxTries || 10}
+                                onChange={(e) => handleAlgoParamChange('maxTries', parseInt(e.target.value))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                    </>
+                )}
+
+                {algorithm === 'dpll' && (
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={algoParams.pureLiterals !== false}
+                            onChange={(e) => handleAlgoParamChange('pureLiterals', e.target.checked)}
+                            className="bg-slate-700 border border-slate-600 rounded"
+                        />
+                        <label className="text-xs font-semibold uppercase text-slate-400">Pure Literal Elimination</label>
+                    </div>
+                )}
+
+                {algorithm === 'cdcl' && (
+                    <div className="space-y-2">
+                        <label className="text-xs font-semibold uppercase text-slate-400">VSIDS Decay</label>
+                        <input
+                            type="number"
+                            min="0.5" max="0.999" step="0.01"
+                            value={algoParams.vsidsDecay ?? 0.95}
+                            onChange={(e) => handleAlgoParamChange('vsidsDecay', parseFloat(e.target.value))}
+                            className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                        />
+                        <p className="text-[10px] text-slate-500">Lower values favor variables from recent conflicts when deciding.</p>
+                    </div>
+                )}
+
                 {algorithm === 'geneticAlgorithm' && (
                     <>
                         <div className="space-y-2">
@@ -377,15 +1178,165 @@ const Controls = ({
                                 className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
                             />
                         </div>
-                        <div className="flex items-center gap-2">
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Selection</label>
+                            <select
+                                value={algoParams.selectionScheme || 'tournament'}
+                                onChange={(e) => handleAlgoParamChange('selectionScheme', e.target.value)}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            >
+                                {Object.entries(GA_SELECTION_SCHEMES).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {(algoParams.selectionScheme || 'tournament') === 'tournament' && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Tournament Size</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={algoParams.tournamentSize || 3}
+                                    onChange={(e) => handleAlgoParamChange('tournamentSize', parseInt(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                            </div>
+                        )}
+                        {algoParams.selectionScheme === 'truncation' && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Truncation Fraction (0-1)</label>
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    min="0.1" max="1"
+                                    value={algoParams.truncationRate ?? 0.5}
+                                    onChange={(e) => handleAlgoParamChange('truncationRate', parseFloat(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                            </div>
+                        )}
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Parents per Child</label>
                             <input
-                                type="checkbox"
-                                checked={algoParams.elitism !== false}
-                                onChange={(e) => handleAlgoParamChange('elitism', e.target.checked)}
-                                className="bg-slate-700 border border-slate-600 rounded"
+                                type="number"
+                                min="2"
+                                value={algoParams.mixingNumber || 2}
+                                onChange={(e) => handleAlgoParamChange('mixingNumber', Math.max(2, parseInt(e.target.value) || 2))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Elites (0 = none)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={algoParams.eliteCount ?? (algoParams.elitism !== false ? 1 : 0)}
+                                onChange={(e) => handleAlgoParamChange('eliteCount', Math.max(0, parseInt(e.target.value) || 0))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                            />
+                        </div>
+                        {currentProblem.crossoverOperators && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Crossover</label>
+                                <select
+                                    value={algoParams.crossoverOperator in currentProblem.crossoverOperators ? algoParams.crossoverOperator : Object.keys(currentProblem.crossoverOperators)[0]}
+                                    onChange={(e) => handleAlgoParamChange('crossoverOperator', e.target.value)}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                >
+                                    {Object.entries(currentProblem.crossoverOperators).map(([key, label]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        {currentProblem.mutationOperators && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Mutation</label>
+                                <select
+                                    value={algoParams.mutationOperator in currentProblem.mutationOperators ? algoParams.mutationOperator : Object.keys(currentProblem.mutationOperators)[0]}
+                                    onChange={(e) => handleAlgoParamChange('mutationOperator', e.target.value)}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                >
+                                    {Object.entries(currentProblem.mutationOperators).map(([key, label]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        <div className="space-y-2">
+                            <label className="text-xs font-semibold uppercase text-slate-400">Islands</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={algoParams.islandCount || 1}
+                                onChange={(e) => handleAlgoParamChange('islandCount', Math.max(1, parseInt(e.target.value) || 1))}
+                                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
                             />
-                            <label className="text-xs font-semibold uppercase text-slate-400">Elitism</label>
+                            <p className="text-[10px] text-slate-500">The population is split evenly; 1 keeps a single population.</p>
                         </div>
+                        {(algoParams.islandCount || 1) > 1 && (
+                            <>
+                                <div className="space-y-2">
+                                    <label className="text-xs font-semibold uppercase text-slate-400">Migration Interval (Generations)</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={algoParams.migrationInterval || 10}
+                                        onChange={(e) => handleAlgoParamChange('migrationInterval', Math.max(1, parseInt(e.target.value) || 1))}
+                                        className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className="text-xs font-semibold uppercase text-slate-400">Migrants per Island</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={algoParams.migrationSize || 2}
+                                        onChange={(e) => handleAlgoParamChange('migrationSize', Math.max(1, parseInt(e.target.value) || 1))}
+                                        className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className="text-xs font-semibold uppercase text-slate-400">Topology</label>
+                                    <select
+                                        value={algoParams.migrationTopology || 'ring'}
+                                        onChange={(e) => handleAlgoParamChange('migrationTopology', e.target.value)}
+                                        className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                    >
+                                        <option value="ring">Ring (to the next island)</option>
+                                        <option value="full">Fully Connected</option>
+                                    </select>
+                                </div>
+                            </>
+                        )}
+                        {currentProblem.distance && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Niching</label>
+                                <select
+                                    value={algoParams.niching || 'none'}
+                                    onChange={(e) => handleAlgoParamChange('niching', e.target.value)}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                >
+                                    <option value="none">None</option>
+                                    <option value="sharing">Fitness Sharing</option>
+                                    <option value="crowding">Deterministic Crowding</option>
+                                </select>
+                            </div>
+                        )}
+                        {currentProblem.distance && algoParams.niching === 'sharing' && (
+                            <div className="space-y-2">
+                                <label className="text-xs font-semibold uppercase text-slate-400">Sharing Radius (0-1)</label>
+                                <input
+                                    type="number"
+                                    step="0.05"
+                                    min="0.05" max="1"
+                                    value={algoParams.sharingRadius ?? 0.3}
+                                    onChange={(e) => handleAlgoParamChange('sharingRadius', parseFloat(e.target.value))}
+                                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
+                                />
+                                <p className="text-[10px] text-slate-500">Share of differing genes below which two individuals compete for the same niche.</p>
+                            </div>
+                        )}
                     </>
                 )}
 
@@ -444,7 +1395,7 @@ const Controls = ({
                     </div>
                 )}
 
-                {(algorithm === 'bfs' || algorithm === 'dfs' || algorithm === 'backtracking' || algorithm === 'forwardChecking' || algorithm === 'arcConsistency') && (
+                {(algorithm === 'bfs' || algorithm === 'dfs' || algorithm === 'greedyBestFirst' || algorithm === 'aStar' || algorithm === 'uniformCost' || algorithm === 'idaStar' || algorithm === 'backtracking' || algorithm === 'conflictDirectedBackjumping' || algorithm === 'backmarking' || algorithm === 'forwardChecking' || algorithm === 'arcConsistency' || algorithm === 'dpll' || algorithm === 'cdcl' || algorithm === 'chromaticNumber') && (
                     <div className="space-y-2">
                         <label className="text-xs font-semibold uppercase text-slate-400">Max Iterations (Limit)</label>
                         <input
@@ -454,7 +1405,7 @@ const Controls = ({
                             onChange={(e) => handleAlgoParamChange('maxIterations', parseInt(e.target.value))}
                             className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1"
                         />
-                        <p className="text-[10px] text-slate-500">Uninformed search can take a very long time. Use limit to stop execution.</p>
+                        <p className="text-[10px] text-slate-500">Tree search can take a very long time. Use limit to stop execution.</p>
                     </div>
                 )}
             </div>
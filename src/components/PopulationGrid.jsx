@@ -19,57 +19,98 @@ function detectBoardComponent(individual) {
     return NQueensBoard;
 }
 
-const PopulationGrid = ({ population, BoardComponent: ProvidedBoard }) => {
-    if (!population) return null;
+// Border color and opacity for each GA status
+const STATUS_STYLES = {
+    Elite: { borderColor: 'border-green-500' },
+    Survivor: { borderColor: 'border-blue-400' },
+    Culled: { borderColor: 'border-red-900', opacity: 'opacity-30' },
+    Child: { borderColor: 'border-purple-500' },
+    Migrant: { borderColor: 'border-amber-400' },
+    Replica: { borderColor: 'border-sky-400' }
+};
+
+// Corner labels for the statuses worth calling out
+const STATUS_LABELS = {
+    Elite: 'bg-green-600/90',
+    Migrant: 'bg-amber-500/90',
+    Replica: 'bg-sky-700/90'
+};
+
+// Frame around one board: status border, cost and label
+const Individual = ({ individual, children }) => {
+    const style = STATUS_STYLES[individual.metadata?.status] || {};
+    const borderColor = style.borderColor || 'border-slate-600';
+    const opacity = style.opacity || 'opacity-100';
+    const labelColor = STATUS_LABELS[individual.metadata?.status];
+    // Algorithms may supply their own label text (e.g. a replica's temperature)
+    const label = individual.metadata?.label || individual.metadata?.status;
 
     return (
-        <div className="grid grid-cols-5 gap-2 p-2 overflow-y-auto w-full h-full content-start">
-            {population.map((individual, idx) => {
-                // Use provided board component, or auto-detect
-                const BoardComponent = ProvidedBoard || detectBoardComponent(individual);
+        <div className={`aspect-square w-full relative border-2 ${borderColor} ${opacity} bg-slate-800 transition-all duration-300`}>
+            {children}
 
-                // Determine border color based on status
-                let borderColor = 'border-slate-600';
-                let opacity = 'opacity-100';
+            {/* Cost Overlay */}
+            <div className="absolute bottom-0 right-0 bg-black/70 text-[10px] text-white px-1 leading-tight">
+                {individual.cost?.toFixed(1) || individual.cost}
+            </div>
 
-                if (individual.metadata) {
-                    switch (individual.metadata.status) {
-                        case 'Elite':
-                            borderColor = 'border-green-500';
-                            break;
-                        case 'Survivor':
-                            borderColor = 'border-blue-400';
-                            break;
-                        case 'Culled':
-                            borderColor = 'border-red-900';
-                            opacity = 'opacity-30';
-                            break;
-                        case 'Child':
-                            borderColor = 'border-purple-500';
-                            break;
-                        default:
-                            break;
-                    }
-                }
+            {/* Status Label (optional) */}
+            {labelColor && (
+                <div className={`absolute top-0 left-0 ${labelColor} text-[8px] text-white px-1 leading-tight uppercase font-bold`}>
+                    {label}
+                </div>
+            )}
+        </div>
+    );
+};
 
-                return (
-                    <div key={idx} className={`aspect-square w-full relative border-2 ${borderColor} ${opacity} bg-slate-800 transition-all duration-300`}>
-                        <BoardComponent state={individual} small={true} />
+const PopulationGrid = ({ population, BoardComponent: ProvidedBoard }) => {
+    if (!population) return null;
 
-                        {/* Cost Overlay */}
-                        <div className="absolute bottom-0 right-0 bg-black/70 text-[10px] text-white px-1 leading-tight">
-                            {individual.cost?.toFixed(1) || individual.cost}
-                        </div>
+    const renderIndividual = (individual, idx) => {
+        // Use provided board component, or auto-detect
+        const BoardComponent = ProvidedBoard || detectBoardComponent(individual);
+        return (
+            <Individual key={idx} individual={individual}>
+                <BoardComponent state={individual} small={true} />
+            </Individual>
+        );
+    };
 
-                        {/* Status Label (optional) */}
-                        {individual.metadata?.status === 'Elite' && (
-                            <div className="absolute top-0 left-0 bg-green-600/90 text-[8px] text-white px-1 leading-tight uppercase font-bold">
-                                Elite
+    // Island-model GA: one section per island, in island order
+    const islands = new Map();
+    for (const individual of population) {
+        const island = individual.metadata?.island;
+        if (island === undefined) continue;
+        if (!islands.has(island)) islands.set(island, []);
+        islands.get(island).push(individual);
+    }
+
+    if (islands.size > 0) {
+        return (
+            <div className="flex flex-col gap-3 p-2 overflow-y-auto w-full h-full">
+                {[...islands.keys()].sort((a, b) => a - b).map(island => {
+                    const members = islands.get(island);
+                    const best = members.reduce((a, b) => (b.cost < a.cost ? b : a));
+                    return (
+                        <div key={island} className="space-y-1">
+                            <div className="flex justify-between text-[10px] uppercase text-slate-400 font-semibold px-1">
+                                <span>Island {island + 1}</span>
+                                <span>Best {best.cost?.toFixed(1) ?? best.cost}</span>
+                            </div>
+                            <div className="grid grid-cols-5 gap-2">
+                                {members.map(renderIndividual)}
                             </div>
-                        )}
-                    </div>
-                );
-            })}
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    }
+
+    return (
+        <div className="grid grid-cols-5 gap-2 p-2 overflow-y-auto w-full h-full content-start">
+            {population.map(renderIndividual)}
         </div>
     );
 };
@@ -0,0 +1,137 @@
+import React, { useRef, useEffect, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { assembleSearchTree } from '../core/search-tree.js';
+
+const NODE_SPACING = 12; // Horizontal distance between siblings
+const LEVEL_HEIGHT = 26; // Vertical distance between depths
+const MARGIN = 12;
+
+const COLORS = {
+    expand: '#60a5fa',   // blue-400
+    pruned: '#f87171',   // red-400
+    solution: '#4ade80', // green-400
+    backtrack: '#f59e0b', // amber-500
+    link: '#475569',     // slate-600
+    selected: '#22d3ee'  // cyan-400
+};
+
+const fillOf = (node) => {
+    if (node.onSolutionPath) return COLORS.solution;
+    if (node.kind === 'pruned') return COLORS.pruned;
+    return COLORS.expand;
+};
+
+const describeNode = (node, collapsed) => {
+    const lines = [`#${node.id} ${node.kind}${node.reason ? `: ${node.reason}` : ''}`];
+    if (node.note) lines.push(node.note);
+    if (node.backtrackPoint) lines.push('Backtrack point');
+    if (collapsed) lines.push(`${node.children.length} children hidden`);
+    return lines.join('\n');
+};
+
+// Live tree of a constructive search: expanded nodes, pruned branches, backtrack points and the
+// solution path. Click a node to show its partial state on the board; shift-click folds its subtree.
+const SearchTreePanel = ({ events, selectedId, onSelect }) => {
+    const svgRef = useRef(null);
+    const [open, setOpen] = useState(true);
+    const [collapsed, setCollapsed] = useState(() => new Set());
+
+    const tree = useMemo(() => assembleSearchTree(events), [events]);
+
+    useEffect(() => {
+        if (!svgRef.current) return;
+        const svg = d3.select(svgRef.current);
+        svg.selectAll('*').remove();
+        if (!open || !tree.root) return;
+
+        const hierarchy = d3.hierarchy(tree.root, node => (collapsed.has(node.id) ? null : node.children));
+        d3.tree().nodeSize([NODE_SPACING, LEVEL_HEIGHT])(hierarchy);
+
+        let minX = 0;
+        let maxX = 0;
+        hierarchy.each(d => {
+            minX = Math.min(minX, d.x);
+            maxX = Math.max(maxX, d.x);
+        });
+        svg.attr('width', maxX - minX + 2 * MARGIN).attr('height', hierarchy.height * LEVEL_HEIGHT + 2 * MARGIN);
+
+        const g = svg.append('g').attr('transform', `translate(${MARGIN - minX}, ${MARGIN})`);
+
+        g.selectAll('line')
+            .data(hierarchy.links())
+            .join('line')
+            .attr('x1', d => d.source.x).attr('y1', d => d.source.y)
+            .attr('x2', d => d.target.x).attr('y2', d => d.target.y)
+            .attr('stroke', d => (d.target.data.onSolutionPath ? COLORS.solution : COLORS.link))
+            .attr('stroke-width', d => (d.target.data.onSolutionPath ? 2 : 1))
+            .attr('stroke-dasharray', d => (d.target.data.kind === 'pruned' ? '2,2' : null));
+
+        const nodes = g.selectAll('g.node')
+            .data(hierarchy.descendants())
+            .join('g')
+            .attr('class', 'node')
+            .attr('transform', d => `translate(${d.x}, ${d.y})`)
+            .style('cursor', 'pointer')
+            .on('click', (event, d) => {
+                const node = d.data;
+                if (event.shiftKey && node.children.length > 0) {
+                    setCollapsed(prev => {
+                        const next = new Set(prev);
+                        if (next.has(node.id)) next.delete(node.id);
+                        else next.add(node.id);
+                        return next;
+                    });
+                } else {
+                    onSelect(node);
+                }
+            });
+
+        nodes.append('circle')
+            .attr('r', d => (d.data.kind === 'pruned' ? 3 : 4.5))
+            .attr('fill', d => (collapsed.has(d.data.id) ? '#1e293b' : fillOf(d.data)))
+            .attr('stroke', d => {
+                if (d.data.id === selectedId) return COLORS.selected;
+                if (d.data.backtrackPoint) return COLORS.backtrack;
+                if (d.data.id === tree.current) return '#ffffff';
+                return collapsed.has(d.data.id) ? fillOf(d.data) : 'none';
+            })
+            .attr('stroke-width', d => (d.data.id === selectedId || d.data.id === tree.current ? 2.5 : 1.5));
+
+        nodes.append('title').text(d => describeNode(d.data, collapsed.has(d.data.id)));
+    }, [tree, open, collapsed, selectedId, onSelect]);
+
+    const nodeCount = tree.nodes.size;
+    const prunedCount = useMemo(() => [...tree.nodes.values()].filter(n => n.kind === 'pruned').length, [tree]);
+
+    return (
+        <div className="bg-slate-800 rounded-lg shadow-lg p-4 flex flex-col min-h-0">
+            <button
+                onClick={() => setOpen(o => !o)}
+                className="flex justify-between items-center text-left w-full"
+            >
+                <h3 className="text-slate-300 font-bold uppercase text-xs tracking-wider">
+                    {open ? '▾' : '▸'} Search Tree
+                </h3>
+                <span className="text-xs font-mono text-slate-400">
+                    {nodeCount} nodes · {prunedCount} pruned{tree.truncated ? ' · limit reached' : ''}
+                </span>
+            </button>
+            {open && (
+                <>
+                    <div className="flex flex-wrap gap-3 text-[10px] text-slate-400 mt-2">
+                        <span><span style={{ color: COLORS.expand }}>●</span> Expanded</span>
+                        <span><span style={{ color: COLORS.pruned }}>●</span> Pruned</span>
+                        <span><span style={{ color: COLORS.backtrack }}>○</span> Backtrack point</span>
+                        <span><span style={{ color: COLORS.solution }}>●</span> Solution path</span>
+                    </div>
+                    <div className="mt-2 overflow-auto max-h-72 bg-slate-900 rounded">
+                        <svg ref={svgRef} />
+                    </div>
+                    <p className="text-[10px] text-slate-500 mt-1">Click a node to show its state · Shift+click to fold its subtree</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SearchTreePanel;
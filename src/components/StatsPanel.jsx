@@ -3,6 +3,7 @@ import {
     Chart as ChartJS,
     CategoryScale,
     LinearScale,
+    LogarithmicScale,
     PointElement,
     LineElement,
     Title,
@@ -14,6 +15,7 @@ import { Line } from 'react-chartjs-2';
 ChartJS.register(
     CategoryScale,
     LinearScale,
+    LogarithmicScale,
     PointElement,
     LineElement,
     Title,
@@ -21,10 +23,81 @@ ChartJS.register(
     Legend
 );
 
-const StatsPanel = ({ history, currentCost, bestCost, optimalCost, stepCount, evaluations, formatCost, searchSpace }) => {
+const AXIS = {
+    grid: { color: '#334155' },
+    ticks: { color: '#94a3b8' }
+};
+
+const series = (label, data, rgb, extra = {}) => ({
+    label,
+    data,
+    borderColor: `rgb(${rgb})`,
+    backgroundColor: `rgba(${rgb}, 0.5)`,
+    tension: 0.1,
+    pointRadius: 0,
+    borderWidth: 2,
+    ...extra
+});
+
+// Population algorithms: cost spread per generation on the left axis, diversity (as % of the
+// maximum distance and of the population size) on the right. Diversity collapsing while the
+// best cost stalls is premature convergence.
+const PopulationChart = ({ generations }) => {
+    const hasDiversity = generations.some(g => g.meanDistance !== null && g.meanDistance !== undefined);
+    const datasets = [
+        series('Best', generations.map(g => g.bestCost), '74, 222, 128'),
+        series('Average', generations.map(g => g.avgCost), '251, 191, 36'),
+        series('Worst', generations.map(g => g.worstCost), '248, 113, 113')
+    ];
+    if (hasDiversity) {
+        datasets.push(
+            series('Diversity %', generations.map(g => g.meanDistance * 100), '34, 211, 238', { yAxisID: 'y1', borderDash: [4, 3] }),
+            series('Unique %', generations.map(g => 100 * g.uniqueGenotypes / g.size), '192, 132, 252', { yAxisID: 'y1', borderDash: [2, 2] })
+        );
+    }
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: {
+                position: 'top',
+                labels: { color: '#cbd5e1', boxWidth: 12 }
+            },
+            title: {
+                display: true,
+                text: 'Population by Generation',
+                color: '#cbd5e1'
+            },
+        },
+        scales: {
+            x: AXIS,
+            y: { ...AXIS, beginAtZero: true },
+            ...(hasDiversity && {
+                y1: { ...AXIS, position: 'right', min: 0, max: 100, grid: { drawOnChartArea: false } }
+            })
+        },
+        animation: false
+    };
+
+    return <Line data={{ labels: generations.map((_, i) => i), datasets }} options={options} />;
+};
+
+const StatsPanel = ({ history, populationHistory, temperatureHistory, currentCost, bestCost, optimalCost, costBounds, stepCount, evaluations, formatCost, searchSpace }) => {
     // Default formatter if not provided
     const fmt = formatCost || ((c) => (c !== undefined && c !== null) ? c.toFixed(2) : '-');
 
+    // Known Best: the optimum lies in [lower, upper]; a best cost inside the bracket tightens the upper end
+    const upperBound = costBounds && bestCost <= costBounds.upper ? bestCost : costBounds?.upper;
+    const upperBy = upperBound === costBounds?.upper ? costBounds?.upperBy : 'Best found';
+
+    // Simulated annealing: temperature on a log-scale right axis, aligned with the last cost entries
+    // (the cost history may start with the initial state before the first step)
+    const hasTemperature = temperatureHistory?.length > 0;
+    const temperatureData = hasTemperature
+        ? [...Array(Math.max(0, history.length - temperatureHistory.length)).fill(null), ...temperatureHistory.map(t => (t > 0 ? t : null))]
+        : [];
+
     const data = {
         labels: history.map((_, i) => i),
         datasets: [
@@ -37,6 +110,7 @@ const StatsPanel = ({ history, currentCost, bestCost, optimalCost, stepCount, ev
                 pointRadius: 0,
                 borderWidth: 2,
             },
+            ...(hasTemperature ? [series('Temperature', temperatureData, '56, 189, 248', { yAxisID: 'y1', borderWidth: 1 })] : [])
         ],
     };
 
@@ -55,15 +129,14 @@ const StatsPanel = ({ history, currentCost, bestCost, optimalCost, stepCount, ev
             },
         },
         scales: {
-            x: {
-                grid: { color: '#334155' },
-                ticks: { color: '#94a3b8' }
-            },
+            x: AXIS,
             y: {
-                grid: { color: '#334155' },
-                ticks: { color: '#94a3b8' },
+                ...AXIS,
                 beginAtZero: true
-            }
+            },
+            ...(hasTemperature && {
+                y1: { ...AXIS, type: 'logarithmic', position: 'right', grid: { drawOnChartArea: false } }
+            })
         },
         animation: false
     };
@@ -84,12 +157,22 @@ const StatsPanel = ({ history, currentCost, bestCost, optimalCost, stepCount, ev
                         {fmt(bestCost === Infinity ? null : bestCost)}
                     </div>
                 </div>
-                <div className="bg-slate-700 p-2 rounded text-center">
-                    <div className="text-xs text-slate-400 uppercase">Target</div>
-                    <div className="text-xl font-bold text-blue-300">
-                        {fmt(optimalCost)}
+                {costBounds ? (
+                    <div className="bg-slate-700 p-2 rounded text-center" title={`Lower bound: ${costBounds.lowerBy}, upper bound: ${upperBy}`}>
+                        <div className="text-xs text-slate-400 uppercase">Known Best</div>
+                        <div className="text-xl font-bold text-blue-300">
+                            {costBounds.lower === upperBound ? fmt(upperBound) : `${fmt(costBounds.lower)}–${fmt(upperBound)}`}
+                        </div>
+                        <div className="text-[10px] text-slate-500 truncate">{costBounds.lowerBy} · {upperBy}</div>
                     </div>
-                </div>
+                ) : (
+                    <div className="bg-slate-700 p-2 rounded text-center">
+                        <div className="text-xs text-slate-400 uppercase">Target</div>
+                        <div className="text-xl font-bold text-blue-300">
+                            {fmt(optimalCost)}
+                        </div>
+                    </div>
+                )}
             </div>
 
             {/* Bottom Row: Counters */}
@@ -114,6 +197,12 @@ const StatsPanel = ({ history, currentCost, bestCost, optimalCost, stepCount, ev
             <div className="flex-grow min-h-[200px]">
                 <Line data={data} options={options} />
             </div>
+
+            {populationHistory?.length > 0 && (
+                <div className="flex-grow min-h-[220px] mt-4">
+                    <PopulationChart generations={populationHistory} />
+                </div>
+            )}
         </div>
     );
 };
@@ -1,6 +1,41 @@
 import React, { useState, useRef, useEffect, useMemo } from 'react';
 import * as d3 from 'd3';
 
+// Expression view lists at most this many clauses of an imported CNF (SATLIB files have thousands)
+const MAX_RENDERED_CLAUSES = 200;
+
+// Trail view shows only the newest assignments of large formulas
+const MAX_RENDERED_TRAIL = 300;
+
+// DPLL / CDCL: how each trail entry got its value
+const TRAIL_KIND_STYLES = {
+    decision: 'bg-blue-900/50 text-blue-300 border-blue-600 font-bold',
+    flipped: 'bg-amber-900/40 text-amber-300 border-amber-600 font-bold',
+    unit: 'bg-slate-900 text-slate-300 border-slate-600',
+    learned: 'bg-purple-900/40 text-purple-300 border-purple-600',
+    pure: 'bg-teal-900/40 text-teal-300 border-teal-700',
+    free: 'bg-slate-900 text-slate-500 border-slate-700'
+};
+
+// Variable co-occurrence edges of a clause list (DIMACS formulas)
+function extractClauseEdges(clauses, variables) {
+    const edgeSet = new Set();
+    const edges = [];
+    for (const clause of clauses) {
+        const vars = Array.from(new Set(clause.map(l => Math.abs(l) - 1))).sort((a, b) => a - b);
+        for (let i = 0; i < vars.length; i++) {
+            for (let j = i + 1; j < vars.length; j++) {
+                const key = `${vars[i]}-${vars[j]}`;
+                if (!edgeSet.has(key)) {
+                    edgeSet.add(key);
+                    edges.push([variables[vars[i]], variables[vars[j]]]);
+                }
+            }
+        }
+    }
+    return edges;
+}
+
 function extractEdges(ast) {
     if (!ast) return [];
     
@@ -49,9 +84,9 @@ function extractEdges(ast) {
 
 const SATGraphView = ({ state, width, height }) => {
     const svgRef = useRef(null);
-    const { variables, assignments, ast, domains } = state;
+    const { variables, assignments, ast, domains, clauses } = state;
     
-    const edges = useMemo(() => extractEdges(ast), [ast]);
+    const edges = useMemo(() => (clauses ? extractClauseEdges(clauses, variables) : extractEdges(ast)), [ast, clauses, variables]);
     
     // Generate static circular positions
     const positions = useMemo(() => {
@@ -148,7 +183,62 @@ const SATGraphView = ({ state, width, height }) => {
     return <svg ref={svgRef} width={width} height={height} style={{ background: 'transparent' }} />;
 };
 
-const BooleanSatBoard = ({ state }) => {
+// Assignment trail grouped by decision level, the conflict clause and the newest learned clauses
+const SatTrailPanel = ({ satTrail }) => {
+    const { trail, level, conflict, learned, learnedCount } = satTrail;
+    const hidden = Math.max(0, trail.length - MAX_RENDERED_TRAIL);
+
+    const levels = [];
+    for (const entry of trail.slice(hidden)) {
+        const last = levels[levels.length - 1];
+        if (last && last.level === entry.level) last.entries.push(entry);
+        else levels.push({ level: entry.level, entries: [entry] });
+    }
+
+    return (
+        <div className="bg-slate-800 rounded p-4 mb-4 shadow text-sm border border-slate-700">
+            <div className="flex justify-between items-center mb-3 border-b border-slate-700 pb-2">
+                <h3 className="text-slate-300 font-bold uppercase text-xs tracking-wider">Trail (decision level {level})</h3>
+                {conflict && <span className="text-xs font-mono text-red-400 font-bold">Conflict: {conflict}</span>}
+            </div>
+            <div className="max-h-40 overflow-y-auto pr-2 space-y-1 font-mono text-xs">
+                {hidden > 0 && <div className="text-slate-500">... {hidden} earlier assignments</div>}
+                {levels.length === 0 && <div className="text-slate-500">Empty assignment</div>}
+                {levels.map(({ level: l, entries }, gi) => (
+                    <div key={`${l}-${gi}`} className="flex flex-wrap items-center gap-1">
+                        <span className="text-slate-500 w-8 shrink-0">@L{l}</span>
+                        {entries.map(e => (
+                            <span
+                                key={e.variable}
+                                className={`px-1.5 rounded border ${TRAIL_KIND_STYLES[e.kind]}`}
+                                title={`${e.kind}${e.clause ? ` (${e.clause})` : ''}`}
+                            >
+                                {e.value ? '' : '~'}{e.variable}
+                                {e.clause && <span className="text-[9px] text-slate-500 ml-0.5">{e.clause}</span>}
+                            </span>
+                        ))}
+                    </div>
+                ))}
+            </div>
+            {learnedCount > 0 && (
+                <div className="mt-3 pt-2 border-t border-slate-700">
+                    <div className="text-slate-400 text-[10px] uppercase font-bold mb-1">
+                        Learned clauses ({learnedCount}{learnedCount > learned.length ? `, newest ${learned.length}` : ''})
+                    </div>
+                    <div className="flex flex-wrap gap-1 max-h-20 overflow-y-auto font-mono text-[11px]">
+                        {learned.map(c => (
+                            <span key={c.name} className="px-1.5 rounded bg-purple-900/30 text-purple-300 border border-purple-800">
+                                {c.name}: ({c.literals.join(' v ')})
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const BooleanSatBoard = ({ state, tabuMoves, satStep, satTrail, chosenVariable }) => {
     const [viewMode, setViewMode] = useState('expression');
     const containerRef = useRef(null);
     const [dims, setDims] = useState({ width: 600, height: 400 });
@@ -165,12 +255,43 @@ const BooleanSatBoard = ({ state }) => {
 
     if (!state || !state.variables) return <div className="text-slate-400 p-8">Initializing...</div>;
 
-    const { variables, assignments, ast } = state;
+    const { variables, assignments, ast, clauses } = state;
+
+    // Tabu Search: variables that may not be flipped, with iterations left
+    const tabuVars = {};
+    if (tabuMoves) {
+        for (const m of tabuMoves) tabuVars[m.variable] = m.remaining;
+    }
+
+    // WalkSAT / GSAT: clause picked this step (index into the formula's clauses) and the flipped
+    // variable; Min-Conflicts only reports the variable it reassigned
+    const pickedClause = satStep ? satStep.clause : null;
+    const flippedVar = satStep ? satStep.variable : chosenVariable;
+    const pickedClass = 'rounded ring-2 ring-cyan-400 bg-cyan-400/10';
 
-    // Helper to format nodes
-    const renderAST = (node, keyPrefix) => {
+    // DPLL / CDCL: decision level of each assigned variable and the falsified clause (C<n> names a formula clause)
+    const trailLevels = {};
+    if (satTrail) {
+        for (const e of satTrail.trail) trailLevels[e.variable] = e;
+    }
+    const conflictClause = satTrail && satTrail.conflict && satTrail.conflict.startsWith('C')
+        ? parseInt(satTrail.conflict.slice(1)) - 1
+        : null;
+
+    // The clause to highlight this step
+    const focusClause = pickedClause !== null ? pickedClause : conflictClause;
+    const focusClass = pickedClause !== null ? pickedClass : 'rounded ring-2 ring-red-500 bg-red-500/10';
+
+    // Helper to format nodes. `conjuncts` counts top-level AND operands, which are the clauses
+    const renderAST = (node, keyPrefix, conjuncts = null) => {
         if (!node) return null;
 
+        if (conjuncts && node.type !== 'AND') {
+            const index = conjuncts.next++;
+            const inner = renderAST(node, keyPrefix);
+            return index === focusClause ? <span key={`${keyPrefix}-picked`} className={focusClass}>{inner}</span> : inner;
+        }
+
         if (node.type === 'VAR') {
             const val = assignments[node.value];
             let color = 'text-slate-400';
@@ -200,9 +321,9 @@ const BooleanSatBoard = ({ state }) => {
             return (
                 <span key={`${keyPrefix}-binary`} className="inline">
                     <span className="text-slate-500">(</span>
-                    {renderAST(node.left, `${keyPrefix}-bl`)}
+                    {renderAST(node.left, `${keyPrefix}-bl`, node.type === 'AND' ? conjuncts : null)}
                     <span className={`font-bold mx-1 ${opColor}`}>{opSymbol}</span>
-                    {renderAST(node.right, `${keyPrefix}-br`)}
+                    {renderAST(node.right, `${keyPrefix}-br`, node.type === 'AND' ? conjuncts : null)}
                     <span className="text-slate-500">)</span>
                 </span>
             );
@@ -211,6 +332,45 @@ const BooleanSatBoard = ({ state }) => {
         return null;
     };
 
+    // Clause lists (DIMACS): render clause by clause instead of walking an AST
+    const renderClauses = () => {
+        // Keep the highlighted clause visible even when it lies beyond the rendered prefix
+        const shown = Math.min(clauses.length, MAX_RENDERED_CLAUSES);
+        const focusHidden = focusClause !== null && focusClause >= shown;
+        const indices = Array.from({ length: shown }, (_, i) => i);
+        if (focusHidden) indices.push(focusClause);
+        return (
+            <>
+                {indices.map(ci => (
+                    <span key={`clause-${ci}`} className="inline">
+                        {ci > 0 && <span className="font-bold mx-1 text-blue-400">{ci === focusClause && focusHidden ? '...' : '^'}</span>}
+                        <span className={ci === focusClause ? focusClass : ''}>
+                            <span className="text-slate-500">(</span>
+                            {clauses[ci].map((literal, li) => {
+                                const v = variables[Math.abs(literal) - 1];
+                                const val = assignments[v];
+                                let color = 'text-slate-400';
+                                if (val === true) color = 'text-green-400 font-bold';
+                                if (val === false) color = 'text-red-400 font-bold';
+                                return (
+                                    <span key={li} className="inline">
+                                        {li > 0 && <span className="font-bold mx-1 text-amber-400">v</span>}
+                                        {literal < 0 && <span className="text-purple-400 mr-0.5">~</span>}
+                                        <span className={`px-1 inline-block rounded bg-slate-800 ${color}`}>{v}</span>
+                                    </span>
+                                );
+                            })}
+                            <span className="text-slate-500">)</span>
+                        </span>
+                    </span>
+                ))}
+                {clauses.length > shown && (
+                    <span className="text-slate-500 text-sm ml-2">... {clauses.length - shown} more clauses</span>
+                )}
+            </>
+        );
+    };
+
     return (
         <div className="flex flex-col h-full w-full max-w-4xl max-h-full">
             {/* Variables Panel */}
@@ -221,9 +381,20 @@ const BooleanSatBoard = ({ state }) => {
                         const val = assignments[v];
                         const d = state.domains && state.domains[v];
                         return (
-                            <div key={v} className="flex flex-col gap-1 bg-slate-900 px-3 py-1.5 rounded border border-slate-700 w-36">
+                            <div key={v} className={`flex flex-col gap-1 bg-slate-900 px-3 py-1.5 rounded border w-36 ${tabuVars[v] !== undefined ? 'border-amber-500' : 'border-slate-700'} ${v === flippedVar ? 'ring-2 ring-cyan-400' : ''}`}>
                                 <div className="flex justify-between items-center">
                                     <span className="font-mono text-slate-300 w-6 font-bold">{v}</span>
+                                    {trailLevels[v] && (
+                                        <span
+                                            className={`text-[10px] font-mono ${trailLevels[v].kind === 'decision' || trailLevels[v].kind === 'flipped' ? 'text-blue-300 font-bold' : 'text-slate-500'}`}
+                                            title={`Assigned at decision level ${trailLevels[v].level} (${trailLevels[v].kind})`}
+                                        >
+                                            @L{trailLevels[v].level}
+                                        </span>
+                                    )}
+                                    {tabuVars[v] !== undefined && (
+                                        <span className="text-[10px] font-mono text-amber-400" title="Tabu: flip forbidden">tabu {tabuVars[v]}</span>
+                                    )}
                                     <span className="text-slate-500 text-xs uppercase">
                                         {val === true ? <span className="text-green-400 bg-green-400/10 px-2 py-0.5 rounded">True</span> : 
                                         (val === false ? <span className="text-red-400 bg-red-400/10 px-2 py-0.5 rounded">False</span> : 
@@ -242,6 +413,8 @@ const BooleanSatBoard = ({ state }) => {
                 </div>
             </div>
 
+            {satTrail && <SatTrailPanel satTrail={satTrail} />}
+
             {/* Expression/Graph Panel */}
             <div className="bg-slate-800 rounded flex-grow p-6 flex flex-col shadow border border-slate-700 relative overflow-hidden">
                 <div className="flex justify-between items-center mb-4 border-b border-slate-700 pb-2">
@@ -260,10 +433,20 @@ const BooleanSatBoard = ({ state }) => {
                     </div>
                 </div>
                 
+                {satStep && (
+                    <div className="mb-3 text-xs font-mono text-cyan-300 bg-slate-900 border border-cyan-800 rounded px-3 py-2">
+                        {pickedClause !== null && <span>Clause #{pickedClause + 1} picked, </span>}
+                        flip <span className="font-bold">{flippedVar}</span> ({satStep.move})
+                        {satStep.breaks && (
+                            <span className="text-slate-400"> | break: {Object.entries(satStep.breaks).map(([v, b]) => `${v}=${b}`).join(', ')}</span>
+                        )}
+                    </div>
+                )}
+
                 <div ref={containerRef} className="flex-grow flex items-center justify-center bg-slate-900 rounded border border-slate-700 p-8 overflow-auto h-0">
                     {viewMode === 'expression' ? (
                         <div className="text-2xl font-mono leading-loose flex flex-wrap justify-center font-medium max-w-full">
-                            {ast ? renderAST(ast, 'root') : <span className="text-slate-500">No expression parsed.</span>}
+                            {clauses ? renderClauses() : (ast ? renderAST(ast, 'root') : <span className="text-slate-500">No expression parsed.</span>)}
                         </div>
                     ) : (
                         <SATGraphView state={state} width={dims.width} height={dims.height} />
@@ -4,6 +4,11 @@ import { MAP_COLORING_PALETTE as COLOR_PALETTE } from '../../core/constants.js';
 
 // Unassigned color
 const UNASSIGNED_COLOR = '#374151'; // slate-700
+// Outline of the node Min-Conflicts just recolored
+const CHOSEN_COLOR = '#22d3ee'; // cyan-400
+
+// Graph view: above this many nodes, draw small unlabeled circles
+const CROWDED_NODES = 40;
 
 // Filter out non-contiguous states from US GeoJSON
 const NON_CONTIGUOUS = ['Alaska', 'Hawaii', 'Puerto Rico'];
@@ -33,10 +38,59 @@ async function loadGeoJSON(type) {
     }
 }
 
+// Tabu Search: draw each forbidden (node, color) pair as a crossed swatch above the node.
+// `at(idx)` returns the node's [x, y] anchor or null.
+function drawTabuMarks(g, tabuMoves, at) {
+    if (!tabuMoves) return;
+    const perNode = {};
+    for (const m of tabuMoves) {
+        const pos = at(m.node);
+        if (!pos) continue;
+        const k = perNode[m.node] = (perNode[m.node] || 0) + 1;
+        const x = pos[0] - 6 + (k - 1) * 9;
+        const y = pos[1] - 22;
+        const mark = g.append('g').attr('opacity', 0.9);
+        mark.append('rect')
+            .attr('x', x).attr('y', y).attr('width', 8).attr('height', 8)
+            .attr('fill', COLOR_PALETTE[m.color % COLOR_PALETTE.length])
+            .attr('stroke', '#f59e0b').attr('stroke-width', 1.5);
+        mark.append('line')
+            .attr('x1', x).attr('y1', y).attr('x2', x + 8).attr('y2', y + 8)
+            .attr('stroke', '#f59e0b').attr('stroke-width', 1.5);
+        mark.append('title').text(`Tabu for ${m.remaining} more iterations`);
+    }
+}
+
+// Remaining colors of an uncolored node as a row of swatches centered on x, followed by the colors
+// the last propagation step removed (crossed out in amber)
+function drawDomainSwatches(g, domain, removed, x, y, dotSize, gap) {
+    const swatches = [...domain.map(c => ({ c, pruned: false })), ...removed.map(c => ({ c, pruned: true }))];
+    const startX = x - (swatches.length * (dotSize + gap)) / 2;
+    swatches.forEach(({ c, pruned }, i) => {
+        const cx = startX + i * (dotSize + gap) + dotSize / 2;
+        const dot = g.append('circle')
+            .attr('cx', cx)
+            .attr('cy', y)
+            .attr('r', dotSize / 2)
+            .attr('fill', COLOR_PALETTE[c % COLOR_PALETTE.length])
+            .attr('stroke', pruned ? '#f59e0b' : '#000')
+            .attr('stroke-width', pruned ? 1 : 0.5)
+            .attr('opacity', pruned ? 0.5 : 1);
+        if (pruned) {
+            dot.append('title').text('Pruned in the last step');
+            g.append('line')
+                .attr('x1', cx - dotSize / 2).attr('y1', y - dotSize / 2)
+                .attr('x2', cx + dotSize / 2).attr('y2', y + dotSize / 2)
+                .attr('stroke', '#f59e0b').attr('stroke-width', 1)
+                .attr('pointer-events', 'none');
+        }
+    });
+}
+
 // ============================================================
 // GeoMap sub-component (US or Australia)
 // ============================================================
-const GeoMap = ({ state, graphType, width, height, small }) => {
+const GeoMap = ({ state, graphType, width, height, small, tabuMoves, prunedValues, chosenVariable }) => {
     const svgRef = useRef(null);
     const [geoData, setGeoData] = useState(geoCache[graphType] || null);
 
@@ -102,6 +156,20 @@ const GeoMap = ({ state, graphType, width, height, small }) => {
             .attr('stroke-width', small ? 0.5 : 1.5)
             .attr('cursor', 'default');
 
+        // Min-Conflicts: outline the region just recolored, on top of its neighbors' borders
+        if (!small && chosenVariable !== null && chosenVariable !== undefined) {
+            const chosen = features.find(f => nameToIdx[getFeatureName(f)] === chosenVariable);
+            if (chosen) {
+                g.append('path')
+                    .attr('d', path(chosen) || '')
+                    .attr('fill', 'none')
+                    .attr('stroke', CHOSEN_COLOR)
+                    .attr('stroke-width', 3)
+                    .attr('pointer-events', 'none')
+                    .append('title').text('Recolored by Min-Conflicts');
+            }
+        }
+
         // State labels (only in non-small mode)
         if (!small && graphType === 'us') {
             g.selectAll('text')
@@ -140,25 +208,25 @@ const GeoMap = ({ state, graphType, width, height, small }) => {
                 const centroid = path.centroid(feature);
                 if (!centroid || isNaN(centroid[0])) return;
 
-                const domain = state.domains[idx];
-                if (!domain || domain.length === 0) return;
+                const domain = state.domains[idx] || [];
+                const removed = prunedValues?.[idx] || [];
+                if (domain.length === 0 && removed.length === 0) return;
 
-                const dotSize = 4;
-                const startX = centroid[0] - (domain.length * dotSize) / 2;
+                drawDomainSwatches(g, domain, removed, centroid[0], centroid[1] + 8, 4, 2);
+            });
+        }
 
-                domain.forEach((c, di) => {
-                    g.append('circle')
-                        .attr('cx', startX + di * (dotSize + 2) + dotSize / 2)
-                        .attr('cy', centroid[1] + 8)
-                        .attr('r', dotSize / 2)
-                        .attr('fill', COLOR_PALETTE[c % COLOR_PALETTE.length])
-                        .attr('stroke', '#000')
-                        .attr('stroke-width', 0.5);
-                });
+        if (!small && tabuMoves) {
+            const featureByIdx = {};
+            features.forEach(f => { featureByIdx[nameToIdx[getFeatureName(f)]] = f; });
+            drawTabuMarks(g, tabuMoves, (idx) => {
+                const f = featureByIdx[idx];
+                const c = f && path.centroid(f);
+                return c && !isNaN(c[0]) ? c : null;
             });
         }
 
-    }, [state, geoData, graphType, width, height, small]);
+    }, [state, geoData, graphType, width, height, small, tabuMoves, prunedValues, chosenVariable]);
 
     return (
         <svg ref={svgRef} width={width} height={height}
@@ -167,9 +235,9 @@ const GeoMap = ({ state, graphType, width, height, small }) => {
 };
 
 // ============================================================
-// Random Graph sub-component
+// Graph sub-component (random and imported graphs, drawn at graph.positions)
 // ============================================================
-const GraphView = ({ state, width, height, small }) => {
+const GraphView = ({ state, width, height, small, tabuMoves, prunedValues, chosenVariable }) => {
     const svgRef = useRef(null);
 
     useEffect(() => {
@@ -204,7 +272,9 @@ const GraphView = ({ state, width, height, small }) => {
         const tx = (x) => cx + (x - dataCx) * scale;
         const ty = (y) => cy + (y - dataCy) * scale;
 
-        const nodeRadius = small ? 6 : 16;
+        // Imported benchmark graphs can have hundreds of nodes: smaller circles, no labels
+        const crowded = graph.nodeCount > CROWDED_NODES;
+        const nodeRadius = small ? 6 : (crowded ? 7 : 16);
 
         // Draw edges
         for (const [i, j] of graph.edges) {
@@ -235,16 +305,18 @@ const GraphView = ({ state, width, height, small }) => {
                 ? UNASSIGNED_COLOR
                 : COLOR_PALETTE[color % COLOR_PALETTE.length];
 
+            // Min-Conflicts: the node just recolored
+            const isChosen = !small && chosenVariable === i;
             g.append('circle')
                 .attr('cx', tx(pos.x))
                 .attr('cy', ty(pos.y))
                 .attr('r', nodeRadius)
                 .attr('fill', fill)
-                .attr('stroke', '#e2e8f0')
-                .attr('stroke-width', small ? 1 : 2);
+                .attr('stroke', isChosen ? CHOSEN_COLOR : '#e2e8f0')
+                .attr('stroke-width', isChosen ? 4 : (small ? 1 : 2));
 
             // Label
-            if (!small) {
+            if (!small && !crowded) {
                 g.append('text')
                     .attr('x', tx(pos.x))
                     .attr('y', ty(pos.y))
@@ -259,23 +331,21 @@ const GraphView = ({ state, width, height, small }) => {
             // Domain visualization for CSP
             if (!small && state.domains &&
                 (color === null || color === undefined)) {
-                const domain = state.domains[i];
-                if (domain && domain.length > 0) {
-                    const dotSize = 5;
-                    const startX = tx(pos.x) - (domain.length * (dotSize + 1)) / 2;
-                    domain.forEach((c, di) => {
-                        g.append('circle')
-                            .attr('cx', startX + di * (dotSize + 1) + dotSize / 2)
-                            .attr('cy', ty(pos.y) + nodeRadius + 8)
-                            .attr('r', dotSize / 2)
-                            .attr('fill', COLOR_PALETTE[c % COLOR_PALETTE.length])
-                            .attr('stroke', '#000')
-                            .attr('stroke-width', 0.5);
-                    });
+                const domain = state.domains[i] || [];
+                const removed = prunedValues?.[i] || [];
+                if (domain.length > 0 || removed.length > 0) {
+                    drawDomainSwatches(g, domain, removed, tx(pos.x), ty(pos.y) + nodeRadius + 8, 5, 1);
                 }
             }
         }
-    }, [state, width, height, small]);
+
+        if (!small) {
+            drawTabuMarks(g, tabuMoves, (idx) => {
+                const pos = positions[graph.names[idx]];
+                return pos ? [tx(pos.x), ty(pos.y) - nodeRadius + 10] : null;
+            });
+        }
+    }, [state, width, height, small, tabuMoves, prunedValues, chosenVariable]);
 
     return (
         <svg ref={svgRef} width={width} height={height}
@@ -286,7 +356,7 @@ const GraphView = ({ state, width, height, small }) => {
 // ============================================================
 // Main MapColoringBoard
 // ============================================================
-const MapColoringBoard = ({ state, small = false }) => {
+const MapColoringBoard = ({ state, small = false, tabuMoves = null, prunedValues = null, chosenVariable = null }) => {
     const containerRef = useRef(null);
     const [dims, setDims] = useState({ width: 600, height: 400 });
 
@@ -308,8 +378,8 @@ const MapColoringBoard = ({ state, small = false }) => {
     const graphType = state.graphType || 'random';
 
     const content = (graphType === 'us' || graphType === 'australia')
-        ? <GeoMap state={state} graphType={graphType} width={width} height={height} small={small} />
-        : <GraphView state={state} width={width} height={height} small={small} />;
+        ? <GeoMap state={state} graphType={graphType} width={width} height={height} small={small} tabuMoves={tabuMoves} prunedValues={prunedValues} chosenVariable={chosenVariable} />
+        : <GraphView state={state} width={width} height={height} small={small} tabuMoves={tabuMoves} prunedValues={prunedValues} chosenVariable={chosenVariable} />;
 
     if (small) {
         return content;
@@ -1,7 +1,73 @@
-import React from 'react';
+import React, { useRef, useEffect } from 'react';
 import { Crown } from 'lucide-react';
 
-const NQueensBoard = ({ state, small }) => {
+// Above this size the board is drawn on a canvas: n² DOM tiles get too slow to render
+const CANVAS_THRESHOLD = 32;
+const BOARD_PX = 600;
+
+// Large boards: squares, queens (red when attacked), domains of unassigned rows, tabu squares
+// and the row Min-Conflicts just reassigned
+const QueensCanvas = ({ state, tabuMoves, chosenVariable }) => {
+    const canvasRef = useRef(null);
+    const { size, queens, domains } = state;
+    const tile = BOARD_PX / size;
+    const px = Math.round(tile * size);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+
+        // Checkerboard only while squares stay distinguishable
+        ctx.fillStyle = '#334155'; // slate-700
+        ctx.fillRect(0, 0, px, px);
+        if (tile >= 3) {
+            ctx.fillStyle = '#cbd5e1'; // slate-300
+            for (let row = 0; row < size; row++) {
+                for (let col = row % 2; col < size; col += 2) ctx.fillRect(col * tile, row * tile, tile, tile);
+            }
+        }
+
+        if (domains) {
+            ctx.fillStyle = 'rgba(34, 197, 94, 0.45)'; // green-500
+            for (let row = 0; row < size; row++) {
+                if (queens[row] !== null && queens[row] !== undefined) continue;
+                for (const col of domains[row] || []) ctx.fillRect(col * tile, row * tile, tile, tile);
+            }
+        }
+
+        const attacked = state.getAttackingQueens();
+        const mark = Math.max(tile * 0.7, 1.5);
+        for (let row = 0; row < size; row++) {
+            const col = queens[row];
+            if (col === null || col === undefined) continue;
+            ctx.fillStyle = attacked.has(row) ? '#ef4444' : '#0f172a';
+            if (tile >= 6) {
+                ctx.beginPath();
+                ctx.arc((col + 0.5) * tile, (row + 0.5) * tile, mark / 2, 0, 2 * Math.PI);
+                ctx.fill();
+            } else {
+                ctx.fillRect((col + 0.5) * tile - mark / 2, (row + 0.5) * tile - mark / 2, mark, mark);
+            }
+        }
+
+        if (tabuMoves) {
+            ctx.strokeStyle = '#f59e0b'; // amber-500
+            ctx.lineWidth = Math.max(1, tile / 8);
+            for (const m of tabuMoves) ctx.strokeRect(m.col * tile, m.row * tile, tile, tile);
+        }
+
+        if (chosenVariable !== null && chosenVariable !== undefined) {
+            ctx.strokeStyle = '#22d3ee'; // cyan-400
+            ctx.lineWidth = 2;
+            ctx.strokeRect(1, chosenVariable * tile - 1, px - 2, tile + 2);
+        }
+    }, [state, size, queens, domains, tile, px, tabuMoves, chosenVariable]);
+
+    return <canvas ref={canvasRef} width={px} height={px} className="border-4 border-slate-800 shadow-2xl" />;
+};
+
+const NQueensBoard = ({ state, small, tabuMoves, prunedValues, chosenVariable }) => {
     if (!state) return <div className="text-gray-400">No state to display</div>;
 
     const { size, queens } = state;
@@ -9,6 +75,7 @@ const NQueensBoard = ({ state, small }) => {
     // Small Mode (SVG for PopulationGrid)
     if (small) {
         if (!queens) return <div className="text-xs text-gray-500">Invalid</div>;
+        const attacked = state.getAttackingQueens?.() || new Set();
         return (
             <svg viewBox={`0 0 ${size * 10} ${size * 10}`} className="w-full h-full block">
                 <rect width="100%" height="100%" fill="#1e293b" />
@@ -19,7 +86,7 @@ const NQueensBoard = ({ state, small }) => {
                             cx={col * 10 + 5}
                             cy={row * 10 + 5}
                             r={3}
-                            fill={state.getAttackingQueens?.().has(row) ? "#ef4444" : "#e2e8f0"}
+                            fill={attacked.has(row) ? "#ef4444" : "#e2e8f0"}
                         />
                     ) : null
                 ))}
@@ -29,12 +96,22 @@ const NQueensBoard = ({ state, small }) => {
 
     if (!queens) return <div className="text-gray-400">Invalid N-Queens State</div>;
 
+    if (size > CANVAS_THRESHOLD) {
+        return <QueensCanvas state={state} tabuMoves={tabuMoves} chosenVariable={chosenVariable} />;
+    }
+
     const tileSize = Math.min(60, 600 / size); // Responsive tile size
 
     // Calculate attacking queens
     // We can memorize this if needed, but for render it's okay
     const attackingQueens = state.getAttackingQueens();
 
+    // Tabu Search: squares a queen may not move back to, with iterations left
+    const tabuCells = new Map();
+    if (tabuMoves) {
+        for (const m of tabuMoves) tabuCells.set(`${m.row}-${m.col}`, m.remaining);
+    }
+
     const renderTile = (row, col) => {
         const isBlack = (row + col) % 2 === 1;
 
@@ -44,6 +121,7 @@ const NQueensBoard = ({ state, small }) => {
         const hasQueen = queens[row] !== null && queens[row] !== undefined && queens[row] === col;
 
         const isAttacking = hasQueen && attackingQueens.has(row);
+        const tabuRemaining = tabuCells.get(`${row}-${col}`);
 
         // 2. Domain Visualization (CSP)
         // If state has domains, check if this (row, col) is valid
@@ -58,6 +136,8 @@ const NQueensBoard = ({ state, small }) => {
                 isInDomain = true;
             }
         }
+        // Removed by the propagation step that produced this state
+        const isJustPruned = showDomain && !isInDomain && !!prunedValues?.[row]?.includes(col);
 
         // Check if this unassigned row has an empty domain (Cause of pruning?)
         const isEmptyDomainRow = state.domains &&
@@ -72,9 +152,11 @@ const NQueensBoard = ({ state, small }) => {
                 className={`flex items-center justify-center relative border-[0.5px] border-slate-600/20
                     ${isBlack ? 'bg-slate-700' : 'bg-slate-300'}
                     ${showDomain && isInDomain ? 'bg-green-500/20 shadow-[inset_0_0_10px_rgba(34,197,94,0.3)]' : ''} 
-                    ${showDomain && !isInDomain ? 'bg-red-500/10' : ''}
-                    ${isEmptyDomainRow ? 'bg-red-900/50' : ''}
+                    ${showDomain && !isInDomain && !isJustPruned ? 'bg-red-500/10' : ''}
+                    ${isJustPruned ? 'bg-amber-400/40' : ''}
+                    ${isEmptyDomainRow && !isJustPruned ? 'bg-red-900/50' : ''}
                 `}
+                title={isJustPruned ? 'Pruned in the last step' : undefined}
             >
                 {/* Domain Indicator */}
                 {showDomain && isInDomain && (
@@ -82,7 +164,14 @@ const NQueensBoard = ({ state, small }) => {
                 )}
                 {/* Eliminated Indicator */}
                 {showDomain && !isInDomain && (
-                    <div className="absolute text-red-500/20 text-[10px] select-none font-mono">x</div>
+                    <div className={`absolute text-[10px] select-none font-mono ${isJustPruned ? 'text-amber-600 font-bold' : 'text-red-500/20'}`}>x</div>
+                )}
+
+                {/* Tabu Indicator */}
+                {tabuRemaining !== undefined && (
+                    <div className="absolute inset-0.5 border-2 border-amber-400/80 pointer-events-none" title={`Tabu for ${tabuRemaining} more iterations`}>
+                        <span className="absolute top-0 left-0.5 text-[9px] font-mono text-amber-500 leading-none">{tabuRemaining}</span>
+                    </div>
                 )}
 
                 {isEmptyDomainRow && col === 0 && (
@@ -108,8 +197,10 @@ const NQueensBoard = ({ state, small }) => {
         for (let col = 0; col < size; col++) {
             rowTiles.push(renderTile(row, col));
         }
+        // Min-Conflicts: the row whose queen was just reassigned
+        const isChosen = chosenVariable === row;
         grid.push(
-            <div key={row} className="flex">
+            <div key={row} className={`flex ${isChosen ? 'outline outline-2 outline-cyan-400 relative z-20' : ''}`} title={isChosen ? 'Reassigned by Min-Conflicts' : undefined}>
                 {rowTiles}
             </div>
         );
@@ -1,7 +1,26 @@
 
 import React from 'react';
+import { ratePuzzle } from '../../core/problems/sudoku-rating.js';
+
+const TECHNIQUE_LABELS = {
+    nakedSingle: 'naked single',
+    hiddenSingle: 'hidden single',
+    nakedPair: 'naked pair',
+    hiddenPair: 'hidden pair',
+    xWing: 'X-wing'
+};
+
+// Rating of the puzzle's clues, cached per fixed mask (shared by every state of one puzzle)
+const ratingCache = new WeakMap();
+const getPuzzleRating = (state) => {
+    if (!ratingCache.has(state.fixed)) {
+        const clues = state.grid.map((row, r) => row.map((v, c) => (state.fixed[r][c] ? v : 0)));
+        ratingCache.set(state.fixed, ratePuzzle(clues, state.boxWidth, state.boxHeight));
+    }
+    return ratingCache.get(state.fixed);
+};
 
-const SudokuBoard = ({ state, small }) => {
+const SudokuBoard = ({ state, small, tabuMoves, prunedValues, chosenVariable }) => {
     if (!state) return <div className="text-gray-400">No state</div>;
 
     const { size, grid, fixed, boxWidth, boxHeight } = state;
@@ -48,11 +67,19 @@ const SudokuBoard = ({ state, small }) => {
 
     const conflicts = state.getConflictingCells ? state.getConflictingCells() : new Set();
 
+    // Tabu Search: values a cell may not take back, keyed by "r,c"
+    const tabuCells = {};
+    if (tabuMoves) {
+        for (const m of tabuMoves) (tabuCells[`${m.r},${m.c}`] ||= []).push(m.value);
+    }
+
     const renderCell = (row, col) => {
         const val = grid[row][col];
         const isFixed = fixed && fixed[row][col];
         const isEmpty = val === 0;
         const isConflict = !isEmpty && conflicts.has(`${row},${col}`);
+        // Candidates removed by the propagation step that produced this state
+        const justPruned = (isEmpty && prunedValues?.[row]?.[col]) || [];
 
         // Borders for Subgrids
         // If col % boxWidth === 0, thick left border (unless col 0)
@@ -93,6 +120,13 @@ const SudokuBoard = ({ state, small }) => {
                             Array.from({ length: 9 }).map((_, i) => {
                                 const num = i + 1;
                                 const possible = state.domains[row][col].includes(num);
+                                if (num <= size && !possible && justPruned.includes(num)) {
+                                    return (
+                                        <div key={i} className="flex items-center justify-center text-[6px] leading-none text-amber-600 font-bold line-through" title="Pruned in the last step">
+                                            {num}
+                                        </div>
+                                    );
+                                }
                                 // Only show if possible AND number <= size
                                 if (!possible || num > size) return <div key={i}></div>;
 
@@ -106,11 +140,26 @@ const SudokuBoard = ({ state, small }) => {
                             // For > 9, just show count?
                             <div className="flex items-center justify-center w-full h-full text-xs text-slate-500 font-normal">
                                 {state.domains[row][col].length}
+                                {justPruned.length > 0 && (
+                                    <span className="ml-0.5 text-[9px] text-amber-600 font-bold" title={`Pruned in the last step: ${justPruned.join(', ')}`}>-{justPruned.length}</span>
+                                )}
                             </div>
                         )}
                     </div>
                 )}
 
+                {/* Min-Conflicts: the cell just reassigned */}
+                {chosenVariable && chosenVariable.r === row && chosenVariable.c === col && (
+                    <div className="absolute inset-0.5 border-2 border-cyan-500 pointer-events-none" title="Reassigned by Min-Conflicts" />
+                )}
+
+                {/* Tabu Values */}
+                {tabuCells[`${row},${col}`] && (
+                    <div className="absolute top-0 right-0.5 text-[9px] leading-none font-mono text-amber-600 line-through" title="Tabu values">
+                        {tabuCells[`${row},${col}`].join(' ')}
+                    </div>
+                )}
+
                 {/* Wipeout Indicator */}
                 {state.domains && isEmpty && state.domains[row][col].length === 0 && (
                     <div className="absolute inset-0 bg-red-500/30 flex items-center justify-center z-10">
@@ -130,9 +179,23 @@ const SudokuBoard = ({ state, small }) => {
         rows.push(<div key={r} className="flex">{cells}</div>);
     }
 
+    const rating = fixed ? getPuzzleRating(state) : null;
+    // Hardest technique the rating needed
+    const hardest = rating && Object.keys(TECHNIQUE_LABELS).filter(t => rating.techniques[t] > 0).pop();
+
     return (
-        <div className="border-4 border-slate-900 shadow-2xl bg-slate-900">
-            {rows}
+        <div className="flex flex-col items-center gap-2">
+            {rating && (
+                <div className="text-xs font-mono text-slate-400">
+                    Puzzle: <span className="font-bold uppercase text-slate-200">{rating.difficulty}</span>
+                    {hardest && rating.solved && <span> (needs {TECHNIQUE_LABELS[hardest]})</span>}
+                    {!rating.solved && <span> (needs trial and error)</span>}
+                    {rating.nodes !== null && <span> | {rating.nodes.toLocaleString()} search nodes</span>}
+                </div>
+            )}
+            <div className="border-4 border-slate-900 shadow-2xl bg-slate-900">
+                {rows}
+            </div>
         </div>
     );
 };
@@ -1,6 +1,6 @@
 import React, { useRef, useEffect } from 'react';
 
-const TSPBoard = ({ state, small }) => {
+const TSPBoard = ({ state, small, tabuMoves }) => {
     // state is a TSPState: { tour: [], cities: [{x,y}, ...] }
     // We render this on a canvas or SVG.
 
@@ -60,26 +60,40 @@ const TSPBoard = ({ state, small }) => {
                     );
                 })}
 
-                {/* Draw Cities */}
+                {/* Draw Cities (imported TSPLIB instances can have hundreds: smaller dots, no labels) */}
                 {cities.map((city, i) => (
                     <g key={`city-${i}`}>
                         <circle
                             cx={city.x}
                             cy={city.y}
-                            r="1.5"
+                            r={cities.length > 100 ? 0.6 : 1.5}
                             fill="#f8fafc" // Slate-50
                         />
-                        <text
+                        {cities.length <= 50 && <text
                             x={city.x + 2}
                             y={city.y + 2}
                             className="text-[4px] fill-slate-300 pointer-events-none select-none"
                             fontSize="4"
                         >
                             {city.name}
-                        </text>
+                        </text>}
                     </g>
                 ))}
 
+                {/* Tabu Search: tour positions whose swap is forbidden, linked by a dashed line */}
+                {tabuMoves && tabuMoves.map((m, k) => {
+                    const a = cities[tour[m.i]];
+                    const b = cities[tour[m.j]];
+                    if (!a || !b) return null;
+                    return (
+                        <g key={`tabu-${k}`} opacity={0.4 + 0.6 * Math.min(1, m.remaining / 10)}>
+                            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="#f59e0b" strokeWidth="0.4" strokeDasharray="1 1" />
+                            <circle cx={a.x} cy={a.y} r="2.2" fill="none" stroke="#f59e0b" strokeWidth="0.4" />
+                            <circle cx={b.x} cy={b.y} r="2.2" fill="none" stroke="#f59e0b" strokeWidth="0.4" />
+                        </g>
+                    );
+                })}
+
                 {/* Highlight Start */}
                 {tour.length > 0 && (
                     <circle
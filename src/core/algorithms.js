@@ -1,9 +1,15 @@
 // Helper to wrap algorithm steps in a generator
 // Use 'yield' to yield the current state/stats for visualization
 import { ConstructiveAlgorithms } from './constructive-algorithms.js';
+import { SatAlgorithms } from './sat-algorithms.js';
+import { getRng } from './random.js';
 
+// Each algorithm resolves one random generator per run (getRng) and passes it on as params.rng,
+// where problem.randomState, crossover, mutate etc. read it
 export const Algorithms = {
     hillClimbing: function* (initialState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
         const { maxSideways = 0, maxRestarts = 0 } = params;
 
         // If initialState is null (e.g. for TSP/Beam where we might want to let alg init), 
@@ -31,27 +37,8 @@ export const Algorithms = {
                     return { state: bestState, note: 'Solution Found!', restartCount: restarts, evaluations };
                 }
 
-                const neighbors = current.getNeighbors();
-                evaluations += neighbors.length; // Count all generated neighbors
-
-                // Find best neighbor
-                let bestNeighbor = neighbors[0];
-                let bestCost = bestNeighbor.cost;
-                let dataset = [bestNeighbor];
-
-                for (let i = 1; i < neighbors.length; i++) {
-                    const cost = neighbors[i].cost;
-                    if (cost < bestCost) {
-                        bestCost = cost;
-                        bestNeighbor = neighbors[i];
-                        dataset = [neighbors[i]];
-                    } else if (cost === bestCost) {
-                        dataset.push(neighbors[i]);
-                    }
-                }
-
-                // Random tie breaking
-                const next = dataset[Math.floor(Math.random() * dataset.length)];
+                const { state: next, evaluated } = steepestNeighbor(current, problem, rng);
+                evaluations += evaluated; // Count all generated neighbors
 
                 // Tolerance logic
                 const tolerance = params.sidewaysTolerance || 0;
@@ -94,6 +81,8 @@ export const Algorithms = {
     },
 
     stochasticHillClimbing: function* (initialState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
         const { maxSideways = 0, maxRestarts = 0, variant = 'standard' } = params;
 
         let current = initialState || problem.randomState(params);
@@ -128,12 +117,11 @@ export const Algorithms = {
                     for (let i = 0; i < MAX_ATTEMPTS; i++) {
                         evaluations++; // Count each check
 
-                        // Use problem-specific random neighbor if available, or fallback
-                        // Ideally state.getRandomNeighbor()
-                        const neighbor = current.getRandomNeighbor();
+                        // Priced from the move delta when the problem has moves
+                        const neighbor = randomCandidate(current, problem, rng);
 
                         if (neighbor.cost < current.cost) {
-                            nextState = neighbor;
+                            nextState = realize(neighbor, problem);
                             moveType = 'Improved';
                             break;
                         } else if (neighbor.cost === current.cost && !firstSideways) {
@@ -143,7 +131,7 @@ export const Algorithms = {
 
                     // If no improvement found, try sideways
                     if (!nextState && firstSideways && sidewaysMoves < maxSideways) {
-                        nextState = firstSideways;
+                        nextState = realize(firstSideways, problem);
                         moveType = 'Sideways';
                     } else if (!nextState && !firstSideways) {
                         if (restarts < maxRestarts) {
@@ -165,7 +153,7 @@ export const Algorithms = {
 
                 } else {
                     // "Standard" (Random Uphill) and "Weighted" (Steepness) use all neighbors
-                    const neighbors = current.getNeighbors();
+                    const neighbors = neighborhood(current, problem, rng);
                     evaluations += neighbors.length; // Count all generated neighbors
 
                     const betterNeighbors = neighbors.filter(n => n.cost < current.cost);
@@ -178,21 +166,21 @@ export const Algorithms = {
                             // Probability proportional to steepness (improvement)
                             const improvements = betterNeighbors.map(n => current.cost - n.cost);
                             const totalImprovement = improvements.reduce((a, b) => a + b, 0);
-                            let r = Math.random() * totalImprovement;
+                            let r = rng() * totalImprovement;
 
                             for (let i = 0; i < betterNeighbors.length; i++) {
                                 r -= improvements[i];
                                 if (r <= 0) {
-                                    nextState = betterNeighbors[i];
+                                    nextState = realize(betterNeighbors[i], problem);
                                     break;
                                 }
                             }
                             // Fallback (rounding errors)
-                            if (!nextState) nextState = betterNeighbors[betterNeighbors.length - 1];
+                            if (!nextState) nextState = realize(betterNeighbors[betterNeighbors.length - 1], problem);
 
                         } else {
                             // Standard: Random better neighbor
-                            nextState = betterNeighbors[Math.floor(Math.random() * betterNeighbors.length)];
+                            nextState = realize(betterNeighbors[Math.floor(rng() * betterNeighbors.length)], problem);
                         }
                     } else {
                         // Check for Sideways (with tolerance)
@@ -220,7 +208,7 @@ export const Algorithms = {
                         });
 
                         if (sidewaysCandidates.length > 0 && sidewaysMoves < maxSideways) {
-                            nextState = sidewaysCandidates[Math.floor(Math.random() * sidewaysCandidates.length)];
+                            nextState = realize(sidewaysCandidates[Math.floor(rng() * sidewaysCandidates.length)], problem);
                             moveType = nextState.cost === current.cost ? 'Sideways' : 'Sideways (≈)';
                         }
                     }
@@ -256,19 +244,56 @@ export const Algorithms = {
         }
     },
 
+    // Simulated Annealing: accepts a worse neighbor with probability exp(-delta / T) while the
+    // temperature T follows the chosen cooling schedule (SA_SCHEDULES). With `reheatAfter` set,
+    // a run that stagnates or freezes is reheated up to `maxReheats` times instead of stopping.
     simulatedAnnealing: function* (initialState, params = {}, problem) {
-        const { initialTemp = 100, coolingRate = 0.99 } = params;
+        const rng = getRng(params);
+        params = { ...params, rng };
+        const {
+            initialTemp = 100,
+            coolingRate = 0.99,
+            schedule = 'geometric',
+            lundyMeesBeta = 0.001,
+            targetAcceptance = 0.3,
+            autoInitialTemp = false,
+            reheatAfter = 0, // Steps without a new best before reheating (0 = never)
+            maxReheats = 3,
+            maxIterations = Infinity
+        } = params;
 
         let current = initialState || problem.randomState(params);
         if (problem.id === 'tetris' && current && current.placedCount < (current.pieces ? current.pieces.length : 0)) {
             current = problem.randomState(params);
         }
-        let temp = initialTemp;
         let evaluations = 0;
 
+        let startTemp = initialTemp;
+        if (autoInitialTemp) {
+            const estimate = estimateInitialTemp(current, rng);
+            evaluations += estimate.evaluations;
+            if (estimate.temp !== null) startTemp = estimate.temp;
+        }
+
+        // Schedule state: k counts steps since the last (re)heat at temperature t0
+        const cooling = {
+            schedule,
+            t0: startTemp,
+            coolingRate,
+            beta: lundyMeesBeta,
+            targetAcceptance,
+            acceptance: targetAcceptance, // Moving average of accepted uphill moves
+            length: Number.isFinite(maxIterations) ? maxIterations : 10000 // Linear: steps to reach 0
+        };
+        let temp = startTemp;
+        let k = 0;
+        let iteration = 0;
+        let reheats = 0;
+        let sinceBest = 0;
+
         let bestState = current;
 
-        yield { state: current, note: `T=${temp.toFixed(2)}`, evaluations };
+        yield { state: current, note: `T=${temp.toFixed(2)}${autoInitialTemp ? ' (Auto)' : ''}`, temperature: temp, acceptanceProbability: null, evaluations };
 
         while (true) {
             if (current.cost < bestState.cost) bestState = current;
@@ -279,35 +304,60 @@ export const Algorithms = {
             if (temp < 0.0001) {
                 return { state: bestState, note: 'Frozen', evaluations };
             }
+            if (iteration >= maxIterations) {
+                return { state: bestState, note: 'Stopped (Max Iterations)', evaluations };
+            }
+            iteration++;
 
-            // Random neighbor
-            const next = current.getRandomNeighbor();
+            // Random neighbor, built only if it is accepted
+            const next = randomCandidate(current, problem, rng);
             evaluations++; // Count 1 check
 
             const deltaE = current.cost - next.cost; // Positive if next is better (lower cost)
+            const bestBefore = bestState.cost;
 
             if (deltaE > 0) {
-                current = next;
+                current = realize(next, problem);
                 if (current.cost < bestState.cost) bestState = current;
-                yield { state: current, note: `T=${temp.toFixed(2)} (Improved)`, evaluations };
+                yield { state: current, note: `T=${temp.toFixed(2)} (Improved)`, temperature: temp, acceptanceProbability: 1, evaluations };
             } else {
                 // Worse move. Accept with probability exp(deltaE / T)
                 // deltaE is negative here.
-                const probability = Math.exp(deltaE / temp);
-                if (Math.random() < probability) {
-                    current = next;
-                    yield { state: current, note: `T=${temp.toFixed(2)} (Accepted worse)`, evaluations };
+                const { probability, accepted } = metropolis(deltaE, temp, rng);
+                if (deltaE < 0) {
+                    cooling.acceptance += ACCEPTANCE_SMOOTHING * ((accepted ? 1 : 0) - cooling.acceptance);
+                }
+                if (accepted) {
+                    current = realize(next, problem);
+                    yield { state: current, note: `T=${temp.toFixed(2)} (Accepted worse, p=${probability.toFixed(3)})`, temperature: temp, acceptanceProbability: probability, evaluations };
                 } else {
                     // Stay
-                    yield { state: current, note: `T=${temp.toFixed(2)}`, evaluations };
+                    yield { state: current, note: `T=${temp.toFixed(2)} (p=${probability.toFixed(3)})`, temperature: temp, acceptanceProbability: probability, evaluations };
                 }
             }
+            sinceBest = bestState.cost < bestBefore ? 0 : sinceBest + 1;
 
             // Cool down
-            temp *= coolingRate;
+            k++;
+            temp = nextTemperature(temp, k, cooling);
+
+            // Reheat when stuck: no new best for `reheatAfter` steps, or frozen
+            const frozen = temp < 0.01;
+            if (reheatAfter > 0 && reheats < maxReheats && (frozen || sinceBest >= reheatAfter)) {
+                reheats++;
+                // Each reheat starts from half the previous starting temperature
+                cooling.t0 /= 2;
+                cooling.length = Number.isFinite(maxIterations) ? Math.max(1, maxIterations - iteration) : cooling.length;
+                cooling.acceptance = targetAcceptance;
+                temp = cooling.t0;
+                k = 0;
+                sinceBest = 0;
+                yield { state: current, note: `Reheated to T=${temp.toFixed(2)} (#${reheats})`, temperature: temp, acceptanceProbability: null, evaluations };
+                continue;
+            }
 
-            // If temperature gets too low and we haven't found a solution, reheat or restart
-            if (temp < 0.01) {
+            // If temperature gets too low and we haven't found a solution, stop
+            if (frozen) {
                 if (problem.isSolution(current)) { // Should have been caught, but check again
                     if (current.cost < bestState.cost) bestState = current;
                     return { state: bestState, note: 'Solution Found!', evaluations };
@@ -315,12 +365,265 @@ export const Algorithms = {
 
                 // For TSP, we don't know if we have a solution by cost > 0.
                 // Request: Just stop when frozen.
-                return { state: bestState, note: 'Frozen', evaluations };
+                return { state: bestState, note: reheats > 0 ? `Frozen (after ${reheats} reheats)` : 'Frozen', evaluations };
+            }
+        }
+    },
+
+    // Parallel Tempering (replica exchange): K Metropolis chains at fixed temperatures on a
+    // geometric ladder from minTemp to maxTemp. Every `swapInterval` steps neighboring chains
+    // propose to exchange their states, accepted with probability min(1, exp((1/T_i - 1/T_j)(E_i - E_j))),
+    // so good states found by the hot, mobile chains sink toward the cold ones.
+    parallelTempering: function* (initialState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
+        const {
+            replicas = 6,
+            minTemp = 0.5,
+            maxTemp = 50,
+            swapInterval = 10,
+            maxIterations = 10000
+        } = params;
+
+        let start = initialState || problem.randomState(params);
+        if (problem.id === 'tetris' && start && start.placedCount < (start.pieces ? start.pieces.length : 0)) {
+            start = problem.randomState(params);
+        }
+
+        const count = Math.max(2, Math.floor(replicas));
+        const temps = Array.from({ length: count }, (_, i) => minTemp * Math.pow(maxTemp / minTemp, i / (count - 1)));
+        const chains = temps.map(() => start);
+        // swaps[i] counts exchanges proposed / accepted between chains i and i + 1
+        const swaps = temps.slice(1).map(() => ({ tried: 0, accepted: 0 }));
+        let evaluations = 0;
+        let bestState = start;
+
+        // A chain's swap rate covers the exchanges with both of its neighbors
+        const swapRate = (i) => {
+            const pairs = [swaps[i - 1], swaps[i]].filter(Boolean);
+            const tried = pairs.reduce((acc, p) => acc + p.tried, 0);
+            return tried > 0 ? pairs.reduce((acc, p) => acc + p.accepted, 0) / tried : null;
+        };
+
+        // One board per temperature, coldest first
+        const snapshot = (note) => {
+            const population = chains.map((state, i) => {
+                const replica = state.clone();
+                const rate = swapRate(i);
+                replica.metadata = {
+                    status: 'Replica',
+                    temperature: temps[i],
+                    swapRate: rate,
+                    label: `T=${temps[i].toFixed(2)}${rate === null ? '' : ` · ${Math.round(rate * 100)}% swaps`}`
+                };
+                return replica;
+            });
+            const current = chains.reduce((a, b) => (b.cost < a.cost ? b : a));
+            return { state: current, population, note, populationStats: populationStats(population, problem), evaluations };
+        };
+
+        yield snapshot(`${count} replicas, T=${minTemp}..${maxTemp}`);
+
+        for (let step = 1; step <= maxIterations; step++) {
+            // One Metropolis step per chain
+            for (let i = 0; i < count; i++) {
+                const next = chains[i].getRandomNeighbor(rng);
+                evaluations++;
+                if (metropolis(chains[i].cost - next.cost, temps[i], rng).accepted) {
+                    chains[i] = next;
+                    if (next.cost < bestState.cost) bestState = next;
+                }
+            }
+
+            let note = `Step ${step} Best: ${bestState.cost.toFixed(2)}`;
+            if (step % swapInterval === 0) {
+                // Alternate between even and odd pairs so every pair gets its turn
+                let exchanged = 0;
+                for (let i = (step / swapInterval) % 2; i + 1 < count; i += 2) {
+                    const exponent = (1 / temps[i] - 1 / temps[i + 1]) * (chains[i].cost - chains[i + 1].cost);
+                    swaps[i].tried++;
+                    if (exponent >= 0 || rng() < Math.exp(exponent)) {
+                        [chains[i], chains[i + 1]] = [chains[i + 1], chains[i]];
+                        swaps[i].accepted++;
+                        exchanged++;
+                    }
+                }
+                note += ` | ${exchanged} swaps`;
+            }
+
+            if (problem.isSolution(bestState) && (problem.id !== 'tetris' || bestState.cost === 0)) {
+                yield snapshot(note);
+                return { state: bestState, note: 'Solution Found!', evaluations };
+            }
+            yield snapshot(note);
+        }
+        return { state: bestState, note: 'Stopped (Max Iterations)', evaluations };
+    },
+
+    // Tabu Search: steepest descent that always moves to the best neighbor, even a worse one,
+    // while forbidding recently undone moves for `tabuTenure` iterations so it can't cycle back.
+    // Moves are identified by problem.getMoveSignature(from, to); a tabu move is still allowed
+    // when it beats the best cost seen so far (aspiration criterion).
+    tabuSearch: function* (initialState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
+        const { tabuTenure = 10, aspiration = true, maxIterations = 1000 } = params;
+
+        let current = initialState || problem.randomState(params);
+        if (problem.id === 'tetris' && current && current.placedCount < (current.pieces ? current.pieces.length : 0)) {
+            current = problem.randomState(params);
+        }
+        let bestState = current;
+        let evaluations = 0;
+
+        // Problems without move signatures fall back to forbidding whole states
+        const signatureOf = (from, to) => problem.getMoveSignature
+            ? problem.getMoveSignature(from, to)
+            : { state: to.toString() };
+        const keyOf = (move) => JSON.stringify(move);
+
+        const tabu = new Map(); // key -> { move, expires }
+        const tabuMoves = (iteration) => [...tabu.values()].map(({ move, expires }) => ({ ...move, remaining: expires - iteration }));
+
+        yield { state: current, note: 'Initial State', evaluations, tabuMoves: [] };
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            if (problem.isSolution(current) && (problem.id !== 'tetris' || current.cost === 0)) {
+                return { state: bestState, note: 'Solution Found!', evaluations };
+            }
+
+            for (const [key, entry] of tabu) {
+                if (entry.expires <= iteration) tabu.delete(key);
+            }
+
+            // Best admissible neighbor, ties broken at random
+            let chosen = null;
+            let chosenIsTabu = false;
+            let ties = 0;
+            for (const neighbor of current.getNeighbors(rng)) {
+                evaluations++;
+                const move = signatureOf(current, neighbor);
+                const isTabu = move !== null && tabu.has(keyOf(move));
+                if (isTabu && !(aspiration && neighbor.cost < bestState.cost)) continue;
+
+                if (!chosen || neighbor.cost < chosen.cost) {
+                    chosen = neighbor;
+                    chosenIsTabu = isTabu;
+                    ties = 1;
+                } else if (neighbor.cost === chosen.cost && rng() < 1 / ++ties) {
+                    chosen = neighbor;
+                    chosenIsTabu = isTabu;
+                }
+            }
+
+            if (!chosen) {
+                return { state: bestState, note: 'Stuck (All moves tabu)', evaluations };
+            }
+
+            // Forbid undoing this move: the reverse move restores the attribute we just changed
+            const reverse = signatureOf(chosen, current);
+            if (reverse !== null) {
+                tabu.set(keyOf(reverse), { move: reverse, expires: iteration + tabuTenure });
+            }
+
+            const delta = chosen.cost - current.cost;
+            current = chosen;
+            if (current.cost < bestState.cost) bestState = current;
+
+            let type = delta < 0 ? 'Improved' : (delta === 0 ? 'Sideways' : 'Worse (best non-tabu)');
+            if (chosenIsTabu) type = 'Aspiration (tabu overridden)';
+            yield { state: current, note: `Iter ${iteration}: ${type} | Tabu: ${tabu.size}`, evaluations, tabuMoves: tabuMoves(iteration) };
+        }
+
+        if (problem.isSolution(current) && (problem.id !== 'tetris' || current.cost === 0)) {
+            return { state: bestState, note: 'Solution Found!', evaluations };
+        }
+        return { state: bestState, note: `Max iterations (${maxIterations}) reached`, evaluations };
+    },
+
+    // Min-Conflicts (CSP local search): pick a random conflicted variable and give it the value
+    // with the fewest conflicts. Problems provide getConflictedVariables(state),
+    // countConflicts(state, variable, value) and getVariableValue(state, variable); values come from
+    // getAllValues and moves from applyMove. With probability `walkProbability` the variable takes a
+    // random value instead, and for `tabuTenure` steps a variable may not return to a value it left.
+    minConflicts: function* (initialState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
+        const { maxSteps = 10000, tabuTenure = 0, walkProbability = 0, tieBreak = 'random' } = params;
+
+        if (!problem.getConflictedVariables) return `Min-Conflicts needs a constraint problem (${problem.name} has no conflict counts)`;
+
+        let current = initialState || problem.randomState(params);
+        let bestState = current;
+        let evaluations = 0;
+
+        const tabu = new Map(); // variable key -> Map(value -> step the value stops being tabu)
+
+        yield { state: current, note: `Initial State | Conflicts: ${current.cost}`, evaluations };
+
+        for (let step = 1; step <= maxSteps; step++) {
+            const conflicted = problem.getConflictedVariables(current);
+            if (conflicted.length === 0) {
+                return { state: current, note: `Solution Found! (${step - 1} steps)`, evaluations };
+            }
+
+            const variable = conflicted[Math.floor(rng() * conflicted.length)];
+            const variableKey = JSON.stringify(variable);
+            const from = problem.getVariableValue(current, variable);
+            const values = problem.getAllValues(current, variable, params);
+
+            let value;
+            let move;
+            if (walkProbability > 0 && rng() < walkProbability) {
+                value = values[Math.floor(rng() * values.length)];
+                move = 'random walk';
+            } else {
+                const forbidden = tabu.get(variableKey);
+                let best = [];
+                let fewest = Infinity;
+                for (const v of values) {
+                    if (forbidden && forbidden.get(v) > step) continue;
+                    evaluations++;
+                    const conflicts = problem.countConflicts(current, variable, v);
+                    if (conflicts < fewest) {
+                        fewest = conflicts;
+                        best = [v];
+                    } else if (conflicts === fewest) {
+                        best.push(v);
+                    }
+                }
+                if (tieBreak === 'preferChange' && best.length > 1) best = best.filter(v => v !== from);
+                value = best.length > 0 ? best[Math.floor(rng() * best.length)] : from;
+                move = best.length > 0 ? `${fewest} conflicts` : 'all values tabu';
             }
+
+            if (value !== from) {
+                if (tabuTenure > 0) {
+                    if (!tabu.has(variableKey)) tabu.set(variableKey, new Map());
+                    tabu.get(variableKey).set(from, step + tabuTenure);
+                }
+                current = problem.applyMove(current, variable, value, null);
+                if (current.cost < bestState.cost) bestState = current;
+            }
+
+            const label = typeof variable === 'object' ? `(${Object.values(variable).join(', ')})` : variable;
+            yield {
+                state: current,
+                note: `Step ${step}: ${label} = ${JSON.stringify(value)} (${move}) | Conflicts: ${current.cost}`,
+                evaluations,
+                chosenVariable: variable
+            };
+        }
+
+        if (problem.getConflictedVariables(current).length === 0) {
+            return { state: current, note: `Solution Found! (${maxSteps} steps)`, evaluations };
         }
+        return { state: bestState, note: `Max steps (${maxSteps}) reached`, evaluations };
     },
 
     localBeamSearch: function* (dummyState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
         const { beamWidth = 5, variant = 'deterministic', maxGenerations = 1000, maxSideways = 0, maxRestarts = 0 } = params;
         let evaluations = 0;
         let restarts = 0;
@@ -346,7 +649,7 @@ export const Algorithms = {
                 state: best,
                 population,
                 note: restarts > 0 ? `Beam Init(Restart #${restarts})` : `Beam Init(k = ${beamWidth})`,
-                populationStats: { size: population.length, avgCost: avgCost(population) },
+                populationStats: populationStats(population, problem),
                 restartCount: restarts,
                 evaluations
             };
@@ -360,10 +663,10 @@ export const Algorithms = {
                     return;
                 }
 
-                // Generate all successors
+                // Generate all successors (as candidates: only the selected ones are built)
                 let allSuccessors = [];
                 for (const parent of population) {
-                    const neighbors = parent.getNeighbors();
+                    const neighbors = neighborhood(parent, problem, rng);
                     evaluations += neighbors.length;
                     allSuccessors.push(...neighbors);
                 }
@@ -391,7 +694,7 @@ export const Algorithms = {
                     const totalWeight = weights.reduce((a, b) => a + b, 0);
 
                     for (let k = 0; k < beamWidth; k++) {
-                        let r = Math.random() * totalWeight;
+                        let r = rng() * totalWeight;
                         let selected = null;
                         for (let i = 0; i < allSuccessors.length; i++) {
                             r -= weights[i];
@@ -401,13 +704,14 @@ export const Algorithms = {
                             }
                         }
                         if (!selected) selected = allSuccessors[allSuccessors.length - 1];
-                        selected.metadata = { status: 'Selected' };
-                        nextPopulation.push(selected);
+                        const state = realize(selected, problem);
+                        state.metadata = { status: 'Selected' };
+                        nextPopulation.push(state);
                     }
                 } else {
                     // Deterministic: Select k best
                     allSuccessors.sort((a, b) => a.cost - b.cost);
-                    nextPopulation = allSuccessors.slice(0, beamWidth);
+                    nextPopulation = allSuccessors.slice(0, beamWidth).map(candidate => realize(candidate, problem));
                     nextPopulation.forEach(p => p.metadata = { status: 'Best' });
                 }
 
@@ -442,7 +746,7 @@ export const Algorithms = {
                     state: best,
                     population,
                     note: note,
-                    populationStats: { size: population.length, avgCost: avgCost(population) },
+                    populationStats: populationStats(population, problem),
                     restartCount: restarts,
                     evaluations
                 };
@@ -472,36 +776,64 @@ export const Algorithms = {
 
     geneticAlgorithm: function* (dummyState, params = {}, problem) {
         // params now contains problem specific params too
+        const rng = getRng(params);
+        params = { ...params, rng };
         const {
             startingPopulationSize = 100,
             mutationRate = 0.1,
             cullRate = 0.0,
             elitism = true,
-            maxGenerations = 1000
+            maxGenerations = 1000,
+            mixingNumber = 2, // Parents per child
+            migrationInterval = 10, // Generations between migrations
+            migrationSize = 2, // Individuals each island sends per migration
+            migrationTopology = 'ring' // 'ring' (to the next island) or 'full' (to every island)
         } = params;
 
-        const mixingNumber = 2; // Fixed
+        // Island model: the population is split into islands that evolve on their own
+        // and only exchange their best individuals when migrating
+        const islandCount = Math.max(1, Math.floor(params.islandCount || 1));
+        const islandSize = islandCount > 1
+            ? Math.max(2, Math.round(startingPopulationSize / islandCount))
+            : startingPopulationSize;
+        const tag = (status, island) => (islandCount > 1 ? { status, island } : { status });
+
+        // Elites copied unchanged into the next generation (`elitism` alone keeps one)
+        const eliteCount = Math.min(params.eliteCount ?? (elitism ? 1 : 0), islandSize);
+
+        // Niching needs a genotype distance from the problem
+        const niching = problem.distance ? (params.niching || 'none') : 'none';
+        const sharingRadius = params.sharingRadius ?? 0.3;
+
         let evaluations = 0;
 
         // Initialize Population
-        let population = [];
-        for (let i = 0; i < startingPopulationSize; i++) {
-            const ind = problem.randomState(params);
-            ind.metadata = { status: 'New' }; // Abstract metadata
-            population.push(ind);
-            evaluations++;
+        let islands = [];
+        for (let island = 0; island < islandCount; island++) {
+            const members = [];
+            for (let i = 0; i < islandSize; i++) {
+                const ind = problem.randomState(params);
+                ind.metadata = tag('New', island); // Abstract metadata
+                members.push(ind);
+                evaluations++;
+            }
+            // Sort by fitness (lowest cost is best)
+            members.sort((a, b) => a.cost - b.cost);
+            islands.push(members);
         }
 
-        // Sort by fitness (lowest cost is best)
-        population.sort((a, b) => a.cost - b.cost);
+        const bestOf = () => islands.map(members => members[0]).reduce((a, b) => (b.cost < a.cost ? b : a));
+        // Islands stay contiguous, each sorted best first
+        const flatten = () => islands.flat();
 
         // Track best
-        let best = population[0];
+        let best = bestOf();
+        let population = flatten();
         yield {
             state: best,
             population: population, // Yield full population
             note: `Gen 0 Best: ${best.cost.toFixed(2)} `,
-            populationStats: { size: population.length, avgCost: avgCost(population) },
+            populationStats: populationStats(population, problem),
             evaluations
         };
 
@@ -513,84 +845,368 @@ export const Algorithms = {
                 return { state: bestGlobal, population, note: `Solution in Gen ${gen - 1} `, evaluations };
             }
 
-            // Mark everyone as 'Survivor' initially
-            population.forEach(p => p.metadata = { status: 'Survivor' });
-
-            // Culling
-            let survivors = population;
-            if (cullRate > 0) {
-                const keepCount = Math.floor(population.length * (1 - cullRate));
-                // Mark culled
-                for (let i = keepCount; i < population.length; i++) {
-                    population[i].metadata = { status: 'Culled' };
+            islands = islands.map((members, island) => {
+                // Mark everyone as 'Survivor' initially
+                members.forEach(p => p.metadata = tag('Survivor', island));
+
+                // Culling
+                let survivors = members;
+                if (cullRate > 0) {
+                    const keepCount = Math.max(1, Math.floor(members.length * (1 - cullRate)));
+                    // Mark culled
+                    for (let i = keepCount; i < members.length; i++) {
+                        members[i].metadata = tag('Culled', island);
+                    }
+                    survivors = members.slice(0, keepCount);
                 }
-                survivors = population.slice(0, keepCount);
-            }
 
-            const newPopulation = [];
+                // Fitness sharing: crowded individuals compete with an inflated cost
+                let costOf = s => s.cost;
+                if (niching === 'sharing') {
+                    const shared = sharedCosts(survivors, problem, sharingRadius);
+                    costOf = s => shared.get(s);
+                    survivors = [...survivors].sort((a, b) => costOf(a) - costOf(b));
+                }
 
-            // Elitism: Keep best
-            if (elitism) {
-                const elite = survivors[0].clone(); // Clone to prevent mutation affecting previous gen stats if ref held?
-                // Actually, state objects are usually immutable-ish or replaced. 
-                // But deep clone is safer for elite persistence.
-                elite.metadata = { status: 'Elite' };
-                newPopulation.push(elite);
-            }
+                const newMembers = [];
 
-            // Generate new population
-            while (newPopulation.length < startingPopulationSize) {
-                // Selection - Tournament
-                const parents = [];
-                for (let p = 0; p < mixingNumber; p++) {
-                    const parent = tournamentSelect(survivors, 3);
-                    parents.push(parent);
+                // Elitism: Keep the best survivors (by raw cost)
+                for (let i = 0; i < eliteCount && i < members.length && members[i].metadata.status !== 'Culled'; i++) {
+                    // Deep clone so mutation of children never reaches the previous generation
+                    const elite = members[i].clone();
+                    elite.metadata = tag('Elite', island);
+                    newMembers.push(elite);
                 }
 
-                // Crossover
-                const childState = problem.crossover(parents, params);
+                // Generate new population
+                while (newMembers.length < islandSize) {
+                    // Selection (survivors are sorted best first)
+                    const parents = selectParents(survivors, mixingNumber, params, rng, costOf);
+
+                    // Crossover
+                    const childState = problem.crossover(parents, params);
+
+                    // Mutation
+                    problem.mutate(childState, mutationRate, params);
+                    evaluations++;
+
+                    // Deterministic crowding: the child replaces its closest parent only if it is no worse
+                    if (niching === 'crowding') {
+                        const closest = parents.reduce((a, b) => (problem.distance(childState, b) < problem.distance(childState, a) ? b : a));
+                        if (closest.cost < childState.cost) {
+                            const kept = closest.clone();
+                            kept.metadata = tag('Survivor', island);
+                            newMembers.push(kept);
+                            continue;
+                        }
+                    }
 
-                // Mutation
-                problem.mutate(childState, mutationRate, params);
+                    childState.metadata = tag('Child', island); // New child
+                    newMembers.push(childState);
+                }
 
-                childState.metadata = { status: 'Child' }; // New child
-                newPopulation.push(childState);
-                evaluations++;
+                newMembers.sort((a, b) => a.cost - b.cost);
+                return newMembers;
+            });
+
+            // Migration: copies of each island's best replace the worst of the receiving islands
+            let migrated = 0;
+            if (islandCount > 1 && gen % migrationInterval === 0) {
+                const emigrants = islands.map(members => members.slice(0, migrationSize));
+                islands.forEach((members, island) => {
+                    const sources = migrationTopology === 'full'
+                        ? islands.map((_, i) => i).filter(i => i !== island)
+                        : [(island - 1 + islandCount) % islandCount];
+                    const arrivals = sources.flatMap(i => emigrants[i]).slice(0, members.length - 1);
+                    arrivals.forEach((emigrant, k) => {
+                        const migrant = emigrant.clone();
+                        migrant.metadata = tag('Migrant', island);
+                        members[members.length - 1 - k] = migrant;
+                    });
+                    members.sort((a, b) => a.cost - b.cost);
+                    migrated += arrivals.length;
+                });
             }
 
-            population = newPopulation;
-            population.sort((a, b) => a.cost - b.cost);
-            best = population[0];
+            population = flatten();
+            best = bestOf();
             if (best.cost < bestGlobal.cost) bestGlobal = best;
 
             yield {
                 state: best,
                 population: population,
-                note: `Gen ${gen} Best: ${best.cost.toFixed(2)} `,
-                populationStats: { size: population.length, avgCost: avgCost(population) },
+                note: `Gen ${gen} Best: ${best.cost.toFixed(2)} ${migrated > 0 ? `| ${migrated} migrants ` : ''}`,
+                populationStats: populationStats(population, problem),
                 evaluations
             };
         }
     },
 
     // spread constructive
-    ...ConstructiveAlgorithms
+    ...ConstructiveAlgorithms,
+
+    // Boolean SAT only
+    ...SatAlgorithms
 };
 
+// --- Local Search Move Helpers ---
+
+// Problems may describe their neighborhood as moves (see docs/ADDING_NEW_PROBLEM.md):
+//   enumerateMoves(state), moveDelta(state, move), applyNeighborMove(state, move), randomMove(state, rng)?
+// Local search then prices candidates from the deltas and builds only the states it keeps.
+// A candidate is { from, move, cost } or, through getNeighbors, { from, state, cost }.
+const hasMoves = (problem) => Boolean(problem && problem.enumerateMoves && problem.moveDelta && problem.applyNeighborMove);
+
+// All neighbors of `state` as candidates
+function neighborhood(state, problem, rng) {
+    if (hasMoves(problem)) {
+        const base = state.cost;
+        return problem.enumerateMoves(state).map(move => ({ from: state, move, cost: base + problem.moveDelta(state, move) }));
+    }
+    return state.getNeighbors(rng).map(neighbor => ({ from: state, state: neighbor, cost: neighbor.cost }));
+}
+
+// One random neighbor as a candidate. Problems without randomMove draw from enumerateMoves;
+// a null move (no neighbors) stays on `state`.
+function randomCandidate(state, problem, rng) {
+    if (hasMoves(problem)) {
+        let move;
+        if (problem.randomMove) {
+            move = problem.randomMove(state, rng);
+        } else {
+            const moves = problem.enumerateMoves(state);
+            move = moves.length > 0 ? moves[Math.floor(rng() * moves.length)] : null;
+        }
+        if (!move) return { from: state, state, cost: state.cost };
+        return { from: state, move, cost: state.cost + problem.moveDelta(state, move) };
+    }
+    const neighbor = state.getRandomNeighbor(rng);
+    return { from: state, state: neighbor, cost: neighbor.cost };
+}
+
+// The candidate's state, built on first use
+function realize(candidate, problem) {
+    if (!candidate.state) candidate.state = problem.applyNeighborMove(candidate.from, candidate.move);
+    return candidate.state;
+}
+
+// --- Hill Climbing Helpers ---
+
+// Best neighbor of `state`, ties broken at random. Returns { state, evaluated }.
+// With moves, the deltas are scanned directly: no candidate objects on the hot path.
+function steepestNeighbor(state, problem, rng) {
+    if (hasMoves(problem)) {
+        const moves = problem.enumerateMoves(state);
+        let bestDelta = Infinity;
+        let ties = [];
+        for (const move of moves) {
+            const delta = problem.moveDelta(state, move);
+            if (delta < bestDelta) {
+                bestDelta = delta;
+                ties = [move];
+            } else if (delta === bestDelta) {
+                ties.push(move);
+            }
+        }
+        const move = ties[Math.floor(rng() * ties.length)];
+        return { state: problem.applyNeighborMove(state, move), evaluated: moves.length };
+    }
+
+    const neighbors = state.getNeighbors(rng);
+    let bestCost = Infinity;
+    let ties = [];
+    for (const neighbor of neighbors) {
+        const cost = neighbor.cost;
+        if (cost < bestCost) {
+            bestCost = cost;
+            ties = [neighbor];
+        } else if (cost === bestCost) {
+            ties.push(neighbor);
+        }
+    }
+    return { state: ties[Math.floor(rng() * ties.length)], evaluated: neighbors.length };
+}
+
+// How Min-Conflicts picks among the values tied for the fewest conflicts
+export const MIN_CONFLICTS_TIE_BREAKS = {
+    random: 'Random (may keep the current value)',
+    preferChange: 'Prefer a new value'
+};
+
+// --- Simulated Annealing Helpers ---
+
+export const SA_SCHEDULES = {
+    geometric: 'Geometric (T × rate)',
+    linear: 'Linear (0 at Max Iterations)',
+    logarithmic: 'Logarithmic (T0 / ln(e + k))',
+    lundyMees: 'Lundy–Mees (T / (1 + βT))',
+    adaptive: 'Adaptive (acceptance ratio)'
+};
+
+// Metropolis criterion: an improvement (deltaE > 0) is always accepted, any other move with
+// probability exp(deltaE / T)
+function metropolis(deltaE, temp, rng) {
+    if (deltaE > 0) return { probability: 1, accepted: true };
+    const probability = Math.exp(deltaE / temp);
+    return { probability, accepted: rng() < probability };
+}
+
+// Weight of the latest uphill proposal in the adaptive schedule's acceptance ratio
+const ACCEPTANCE_SMOOTHING = 0.05;
+
+// Temperature after step k of the current heat (which started at cooling.t0)
+function nextTemperature(temp, k, cooling) {
+    switch (cooling.schedule) {
+        case 'linear':
+            return cooling.t0 * Math.max(0, 1 - k / cooling.length);
+        case 'logarithmic':
+            return cooling.t0 / Math.log(Math.E + k);
+        case 'lundyMees':
+            return temp / (1 + cooling.beta * temp);
+        case 'adaptive': {
+            // Cool faster while more uphill moves are accepted than targeted, slower while fewer are
+            const ratio = Math.min(10, Math.max(0.1, cooling.acceptance / cooling.targetAcceptance));
+            return temp * Math.pow(cooling.coolingRate, ratio);
+        }
+        default:
+            return temp * cooling.coolingRate;
+    }
+}
+
+// Initial temperature at which an average uphill move is accepted with probability `acceptance`:
+// T0 = -mean(uphill delta) / ln(acceptance), with deltas sampled along a short random walk.
+// temp is null when the walk saw no uphill move.
+function estimateInitialTemp(state, rng, samples = 100, acceptance = 0.8) {
+    let current = state;
+    let total = 0;
+    let uphill = 0;
+    for (let i = 0; i < samples; i++) {
+        const next = current.getRandomNeighbor(rng);
+        const delta = next.cost - current.cost;
+        if (delta > 0) {
+            total += delta;
+            uphill++;
+        }
+        current = next;
+    }
+    return { temp: uphill > 0 ? -(total / uphill) / Math.log(acceptance) : null, evaluations: samples };
+}
+
 // --- GA Helpers ---
 
-function avgCost(pop) {
-    const sum = pop.reduce((acc, s) => acc + s.cost, 0);
-    return (sum / pop.length).toFixed(2);
+// Parent selection schemes for `params.selectionScheme`
+export const GA_SELECTION_SCHEMES = {
+    tournament: 'Tournament',
+    roulette: 'Roulette Wheel',
+    rank: 'Linear Rank',
+    sus: 'Stochastic Universal Sampling',
+    truncation: 'Truncation'
+};
+
+// Per-generation summary: best / average / worst cost and, when the problem supplies a genotype
+// distance, the mean pairwise distance (0..1) and the number of distinct genotypes.
+// Low diversity with a stalled best cost is premature convergence.
+function populationStats(pop, problem) {
+    const costs = pop.map(s => s.cost);
+    const stats = {
+        size: pop.length,
+        bestCost: Math.min(...costs),
+        avgCost: costs.reduce((acc, c) => acc + c, 0) / pop.length,
+        worstCost: Math.max(...costs),
+        meanDistance: null,
+        uniqueGenotypes: null
+    };
+    if (!problem.distance) return stats;
+
+    let total = 0;
+    let pairs = 0;
+    let unique = 0;
+    for (let i = 0; i < pop.length; i++) {
+        // Counted once, at its first occurrence
+        let seen = false;
+        for (let j = 0; j < i; j++) {
+            const d = problem.distance(pop[i], pop[j]);
+            total += d;
+            pairs++;
+            if (d === 0) seen = true;
+        }
+        if (!seen) unique++;
+    }
+    stats.meanDistance = pairs > 0 ? total / pairs : 0;
+    stats.uniqueGenotypes = unique;
+    return stats;
 }
 
-function tournamentSelect(population, k = 3) {
+function tournamentSelect(population, k = 3, rng = Math.random, costOf = s => s.cost) {
     let best = null;
     for (let i = 0; i < k; i++) {
-        const ind = population[Math.floor(Math.random() * population.length)];
-        if (!best || ind.cost < best.cost) {
+        const ind = population[Math.floor(rng() * population.length)];
+        if (!best || costOf(ind) < costOf(best)) {
             best = ind;
         }
     }
     return best;
 }
+
+// Fitness for the proportional schemes: costs are minimized and may be negative,
+// so they are shifted against the best cost first
+function proportionalWeights(population, costOf) {
+    const minCost = Math.min(...population.map(costOf));
+    return population.map(s => 1 / (1 + costOf(s) - minCost));
+}
+
+// Index into cumulative weights
+function pickWeighted(cumulative, point) {
+    let i = 0;
+    while (i < cumulative.length - 1 && cumulative[i] <= point) i++;
+    return i;
+}
+
+// Pick `count` parents from a population sorted best first (by `costOf`)
+function selectParents(population, count, params, rng, costOf = s => s.cost) {
+    const scheme = params.selectionScheme || 'tournament';
+    const n = population.length;
+
+    if (scheme === 'truncation') {
+        // Uniform among the top fraction
+        const pool = Math.max(1, Math.ceil(n * (params.truncationRate ?? 0.5)));
+        return Array.from({ length: count }, () => population[Math.floor(rng() * pool)]);
+    }
+
+    if (scheme === 'roulette' || scheme === 'rank' || scheme === 'sus') {
+        // Rank: the best gets weight n, the worst 1
+        const weights = scheme === 'rank'
+            ? population.map((_, i) => n - i)
+            : proportionalWeights(population, costOf);
+        const cumulative = [];
+        let total = 0;
+        for (const w of weights) cumulative.push(total += w);
+
+        if (scheme === 'sus') {
+            // Evenly spaced pointers from a single spin
+            const step = total / count;
+            const start = rng() * step;
+            return Array.from({ length: count }, (_, k) => population[pickWeighted(cumulative, start + k * step)]);
+        }
+        return Array.from({ length: count }, () => population[pickWeighted(cumulative, rng() * total)]);
+    }
+
+    const k = Math.max(1, params.tournamentSize || 3);
+    return Array.from({ length: count }, () => tournamentSelect(population, k, rng, costOf));
+}
+
+// Fitness sharing: each cost (shifted to start at 1) is multiplied by the niche count,
+// the summed similarity 1 - d / radius of everyone within `radius` (including itself)
+function sharedCosts(population, problem, radius) {
+    const minCost = Math.min(...population.map(s => s.cost));
+    const shared = new Map();
+    for (const a of population) {
+        let niche = 0;
+        for (const b of population) {
+            const d = a === b ? 0 : problem.distance(a, b);
+            if (d < radius) niche += 1 - d / radius;
+        }
+        shared.set(a, (1 + a.cost - minCost) * niche);
+    }
+    return shared;
+}
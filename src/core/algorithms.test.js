@@ -1,5 +1,10 @@
 import { describe, it, expect, vi } from 'vitest';
 import { Algorithms } from './algorithms';
+import { NQueensProblem } from './problems/n-queens';
+import { TSPProblem } from './problems/tsp';
+import { MapColoringProblem } from './problems/map-coloring';
+import { SudokuProblem } from './problems/sudoku';
+import { BooleanSatProblem } from './problems/boolean-sat';
 
 // Mock Problem Interface
 const createMockProblem = (type = 'standard') => {
@@ -118,6 +123,18 @@ describe('Algorithms', () => {
         });
     });
 
+    describe('Hill Climbing on large boards', () => {
+        it('should solve 200-Queens by scanning move deltas', () => {
+            const start = NQueensProblem.randomState({ size: 200, seed: 1 });
+            const generator = Algorithms.hillClimbing(start, { seed: 1, maxSideways: 20 }, NQueensProblem);
+            let res;
+            while (!(res = generator.next()).done);
+            expect(res.value.note).toBe('Solution Found!');
+            expect(NQueensProblem.isSolution(res.value.state)).toBe(true);
+            expect(res.value.evaluations).toBeGreaterThan(200 * 199);
+        });
+    });
+
     describe('Simulated Annealing', () => {
         it('should accept worse moves with probability', () => {
             const problem = createMockProblem();
@@ -155,6 +172,99 @@ describe('Algorithms', () => {
             expect(result.done).toBe(true);
             expect(result.value.note).toContain('Frozen');
         });
+
+        // Cost 10 forever: every move is sideways, so only the schedule drives the run
+        const flatState = () => ({ cost: 10, getRandomNeighbor() { return flatState(); } });
+        const run = (params) => {
+            const generator = Algorithms.simulatedAnnealing(flatState(), params, createMockProblem());
+            const steps = [];
+            let step = generator.next();
+            while (!step.done) {
+                steps.push(step.value);
+                step = generator.next();
+            }
+            return { steps, result: step.value };
+        };
+
+        it('cools with every schedule and reports the temperature', () => {
+            for (const schedule of ['geometric', 'linear', 'logarithmic', 'lundyMees', 'adaptive']) {
+                const { steps, result } = run({ initialTemp: 100, coolingRate: 0.9, lundyMeesBeta: 1, schedule, maxIterations: 200, seed: 1 });
+                const temps = steps.map(s => s.temperature);
+                expect(temps[0]).toBe(100);
+                temps.slice(1).forEach((t, i) => expect(t).toBeLessThanOrEqual(temps[i]));
+                expect(steps.slice(1).every(s => s.acceptanceProbability === 1)).toBe(true);
+                if (schedule === 'logarithmic') {
+                    // Far too slow to freeze: stopped by the iteration budget
+                    expect(result.note).toBe('Stopped (Max Iterations)');
+                    expect(temps.at(-1)).toBeCloseTo(100 / Math.log(Math.E + 199));
+                } else {
+                    expect(result.note).toBe('Frozen');
+                }
+            }
+        });
+
+        it('estimates the initial temperature from uphill moves', () => {
+            // Every neighbor costs 5 more: T0 = 5 / -ln(0.8)
+            const climb = (cost) => ({ cost, getRandomNeighbor() { return climb(cost + 5); } });
+            const generator = Algorithms.simulatedAnnealing(climb(0), { autoInitialTemp: true, seed: 1 }, createMockProblem());
+            const first = generator.next().value;
+            expect(first.temperature).toBeCloseTo(5 / -Math.log(0.8));
+            expect(first.evaluations).toBe(100);
+        });
+
+        it('reheats on stagnation a limited number of times', () => {
+            const { steps, result } = run({ initialTemp: 10, coolingRate: 0.5, reheatAfter: 3, maxReheats: 2, seed: 1 });
+            const reheats = steps.filter(s => s.note.startsWith('Reheated'));
+            expect(reheats.map(s => s.temperature)).toEqual([5, 2.5]);
+            expect(result.note).toBe('Frozen (after 2 reheats)');
+        });
+    });
+
+    describe('Parallel Tempering', () => {
+        it('runs one labeled chain per temperature on a geometric ladder', () => {
+            const start = NQueensProblem.randomState({ size: 8, seed: 'pt' });
+            const generator = Algorithms.parallelTempering(start, { size: 8, seed: 'pt', replicas: 4, minTemp: 1, maxTemp: 8, swapInterval: 2 }, NQueensProblem);
+
+            const first = generator.next().value;
+            first.population.forEach((s, i) => expect(s.metadata.temperature).toBeCloseTo(2 ** i));
+            expect(first.population[0].metadata.label).toBe('T=1.00');
+
+            let last = first;
+            for (let i = 0; i < 10; i++) last = generator.next().value;
+            expect(last.evaluations).toBe(40);
+            for (const replica of last.population) {
+                expect(replica.metadata.status).toBe('Replica');
+                expect(replica.metadata.swapRate).toBeGreaterThanOrEqual(0);
+                expect(replica.metadata.swapRate).toBeLessThanOrEqual(1);
+                expect(replica.metadata.label).toMatch(/^T=\d+\.\d\d · \d+% swaps$/);
+            }
+        });
+
+        it('alternates swap proposals between even and odd pairs', () => {
+            // Chain costs are fixed: neighbors of a state are itself
+            const fixed = (cost) => {
+                const state = { cost, getRandomNeighbor: () => state, clone: () => ({ ...state }) };
+                return state;
+            };
+            const problem = createMockProblem();
+            problem.isSolution = () => false;
+            const generator = Algorithms.parallelTempering(fixed(5), { replicas: 2, minTemp: 1, maxTemp: 2, swapInterval: 1, maxIterations: 2, seed: 1 }, problem);
+            generator.next();
+            const swapStep = generator.next().value; // Step 1: odd pairs, none with 2 chains
+            expect(swapStep.population[0].metadata.swapRate).toBeNull();
+            const { population, note } = generator.next().value; // Step 2: pair (0, 1), equal costs always swap
+            expect(note).toContain('1 swaps');
+            expect(population[0].metadata.swapRate).toBe(1);
+        });
+
+        it('solves 8-Queens', () => {
+            const start = NQueensProblem.randomState({ size: 8, seed: 7 });
+            const generator = Algorithms.parallelTempering(start, { size: 8, seed: 7, maxIterations: 5000 }, NQueensProblem);
+            let step = generator.next();
+            while (!step.done) step = generator.next();
+            expect(step.value.note).toBe('Solution Found!');
+            expect(step.value.state.cost).toBe(0);
+        });
     });
 
     describe('Genetic Algorithm', () => {
@@ -181,6 +291,320 @@ describe('Algorithms', () => {
             const doneStep = generator.next();
             expect(doneStep.done).toBe(true);
         });
+
+        it('supports every selection scheme, several parents and several elites', () => {
+            for (const selectionScheme of ['tournament', 'roulette', 'rank', 'sus', 'truncation']) {
+                const problem = createMockProblem();
+                let next = 20;
+                problem.randomState = vi.fn(() => ({ cost: next--, clone() { return { ...this }; } }));
+                problem.crossover = vi.fn((parents) => {
+                    expect(parents).toHaveLength(3);
+                    return { cost: 50, clone() { return { ...this }; } };
+                });
+
+                const generator = Algorithms.geneticAlgorithm(null, {
+                    startingPopulationSize: 10,
+                    maxGenerations: 1,
+                    selectionScheme,
+                    mixingNumber: 3,
+                    eliteCount: 2,
+                    seed: selectionScheme
+                }, problem);
+                generator.next();
+                const gen1 = generator.next().value;
+
+                const elites = gen1.population.filter(s => s.metadata.status === 'Elite');
+                expect(elites.map(s => s.cost)).toEqual([11, 12]);
+                expect(problem.crossover).toHaveBeenCalledTimes(8);
+            }
+        });
+
+        it('evolves islands separately and migrates their best individuals', () => {
+            const generator = Algorithms.geneticAlgorithm(null, {
+                size: 8,
+                seed: 'islands',
+                startingPopulationSize: 12,
+                islandCount: 3,
+                migrationInterval: 2,
+                migrationSize: 1,
+                maxGenerations: 2
+            }, NQueensProblem);
+
+            const init = generator.next().value;
+            expect(init.population).toHaveLength(12);
+            expect(init.population.map(s => s.metadata.island)).toEqual([0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2]);
+
+            const gen1 = generator.next().value;
+            expect(gen1.population.some(s => s.metadata.status === 'Migrant')).toBe(false);
+
+            // Ring: every island received one copy of its neighbor's best
+            const gen2 = generator.next().value;
+            const migrants = gen2.population.filter(s => s.metadata.status === 'Migrant');
+            expect(migrants.map(s => s.metadata.island).sort()).toEqual([0, 1, 2]);
+            expect(gen2.note).toContain('3 migrants');
+        });
+
+        it('runs with fitness sharing and deterministic crowding', () => {
+            for (const niching of ['sharing', 'crowding']) {
+                const generator = Algorithms.geneticAlgorithm(null, {
+                    size: 6,
+                    seed: niching,
+                    startingPopulationSize: 10,
+                    niching,
+                    maxGenerations: 5
+                }, NQueensProblem);
+                let last;
+                for (const step of generator) last = step;
+                expect(last.population).toHaveLength(10);
+                expect(last.population.every(s => ['Elite', 'Survivor', 'Child'].includes(s.metadata.status))).toBe(true);
+            }
+        });
+
+        it('reports cost spread and diversity for each generation', () => {
+            const generator = Algorithms.geneticAlgorithm(null, {
+                size: 8,
+                seed: 'stats',
+                startingPopulationSize: 20,
+                maxGenerations: 3
+            }, NQueensProblem);
+            const { population, populationStats: stats } = generator.next().value;
+
+            expect(stats.bestCost).toBe(population[0].cost);
+            expect(stats.worstCost).toBe(population[19].cost);
+            expect(stats.avgCost).toBeCloseTo(population.reduce((a, s) => a + s.cost, 0) / 20);
+            expect(stats.meanDistance).toBeGreaterThan(0.5); // Random boards share few rows
+            expect(stats.uniqueGenotypes).toBe(new Set(population.map(s => s.queens.join())).size);
+
+            // Without a problem distance only the costs are reported
+            const mock = createMockProblem();
+            const mockStats = Algorithms.geneticAlgorithm(null, { startingPopulationSize: 4 }, mock).next().value.populationStats;
+            expect(mockStats).toMatchObject({ size: 4, bestCost: 10, avgCost: 10, worstCost: 10, meanDistance: null });
+        });
+
+        it('prefers fitter parents under truncation selection', () => {
+            const problem = createMockProblem();
+            let next = 0;
+            problem.randomState = vi.fn(() => ({ cost: next++, clone() { return { ...this }; } }));
+            const picked = [];
+            problem.crossover = vi.fn((parents) => {
+                picked.push(...parents.map(p => p.cost));
+                return { cost: 100, clone() { return { ...this }; } };
+            });
+
+            const generator = Algorithms.geneticAlgorithm(null, {
+                startingPopulationSize: 10,
+                maxGenerations: 1,
+                selectionScheme: 'truncation',
+                truncationRate: 0.3,
+                seed: 1
+            }, problem);
+            generator.next();
+            generator.next();
+            expect(Math.max(...picked)).toBeLessThanOrEqual(2);
+        });
+    });
+
+    describe('Tabu Search', () => {
+        // Mock states identified by id; a move's signature is the id it lands on,
+        // so the reverse of B -> C is "land on B"
+        const mockTabuProblem = () => ({
+            ...createMockProblem(),
+            getMoveSignature: (from, to) => ({ to: to.id }),
+        });
+
+        it('should move to the best neighbor even when it is worse', () => {
+            const problem = mockTabuProblem();
+            const b = { id: 'B', cost: 12, getNeighbors: () => [] };
+            const a = { id: 'A', cost: 10, getNeighbors: () => [b, { id: 'C', cost: 15 }] };
+
+            const generator = Algorithms.tabuSearch(a, { tabuTenure: 5 }, problem);
+            generator.next(); // Initial
+            const step = generator.next();
+            expect(step.value.state).toBe(b);
+            expect(step.value.note).toContain('Worse');
+            expect(step.value.tabuMoves).toEqual([{ to: 'A', remaining: 5 }]);
+        });
+
+        it('should allow a tabu move only when aspiration is on and it beats the best', () => {
+            const run = (aspiration) => {
+                const problem = mockTabuProblem();
+                const back = { id: 'B', cost: 2, getNeighbors: () => [] };
+                const c = { id: 'C', cost: 9, getNeighbors: () => [back] };
+                const b = { id: 'B', cost: 8, getNeighbors: () => [c] };
+                const a = { id: 'A', cost: 10, getNeighbors: () => [b] };
+                const generator = Algorithms.tabuSearch(a, { tabuTenure: 5, aspiration }, problem);
+                const steps = [];
+                let res;
+                while (!(res = generator.next()).done) steps.push(res.value);
+                return { steps, result: res.value };
+            };
+
+            const withAspiration = run(true);
+            expect(withAspiration.steps.at(-1).note).toContain('Aspiration');
+            expect(withAspiration.result.state.cost).toBe(2);
+
+            const without = run(false);
+            expect(without.result.note).toContain('All moves tabu');
+            expect(without.result.state.cost).toBe(8);
+        });
+
+        it('should mark the square a queen just left as tabu', () => {
+            const start = NQueensProblem.randomState({ size: 8, seed: 5 });
+            const generator = Algorithms.tabuSearch(start, { seed: 5, tabuTenure: 7 }, NQueensProblem);
+            generator.next();
+            const { state, tabuMoves } = generator.next().value;
+
+            const row = state.queens.findIndex((col, r) => col !== start.queens[r]);
+            expect(tabuMoves).toEqual([{ row, col: start.queens[row], remaining: 7 }]);
+        });
+
+        it('should solve 8-Queens', () => {
+            const start = NQueensProblem.randomState({ size: 8, seed: 11 });
+            const generator = Algorithms.tabuSearch(start, { seed: 11, tabuTenure: 10, maxIterations: 2000 }, NQueensProblem);
+            let res;
+            while (!(res = generator.next()).done);
+            expect(res.value.note).toBe('Solution Found!');
+            expect(NQueensProblem.isSolution(res.value.state)).toBe(true);
+        });
     });
 
+    describe('Min-Conflicts', () => {
+        const run = (problem, params) => {
+            const start = problem.randomState({ ...params });
+            const generator = Algorithms.minConflicts(start, params, problem);
+            const steps = [];
+            let res;
+            while (!(res = generator.next()).done) steps.push(res.value);
+            return { steps, result: res.value };
+        };
+
+        it('should reassign a conflicted variable to its least-conflicting value', () => {
+            const start = NQueensProblem.randomState({ size: 8, seed: 3 });
+            const generator = Algorithms.minConflicts(start, { seed: 3 }, NQueensProblem);
+            generator.next();
+            const { state, chosenVariable } = generator.next().value;
+
+            expect(start.getAttackingQueens().has(chosenVariable)).toBe(true);
+            const fewest = Math.min(...Array.from({ length: 8 }, (_, col) => start.conflictsAt(chosenVariable, col)));
+            expect(start.conflictsAt(chosenVariable, state.queens[chosenVariable])).toBe(fewest);
+        });
+
+        it('should solve N-Queens, map coloring, Sudoku and SAT', () => {
+            const cases = [
+                [NQueensProblem, { size: 30, seed: 1 }],
+                [MapColoringProblem, { graphType: 'australia', numColors: 3, seed: 1 }],
+                [SudokuProblem, { size: 4, removeCount: 8, seed: 1, walkProbability: 0.1 }],
+                [BooleanSatProblem, { mode: 'custom', customExpression: '(A v B) ^ (~A v C) ^ (~B v ~C) ^ (B v C)', seed: 1, walkProbability: 0.1 }]
+            ];
+            for (const [problem, params] of cases) {
+                const { result } = run(problem, params);
+                expect(result.note).toContain('Solution Found!');
+                expect(problem.isSolution(result.state)).toBe(true);
+            }
+        });
+
+        it('should keep a variable off a value it just left while the tenure lasts', () => {
+            const { steps } = run(NQueensProblem, { size: 8, seed: 7, tabuTenure: 50, maxSteps: 40 });
+            const left = new Map(); // "row,col" -> step it was left
+            steps.forEach((step, i) => {
+                if (i === 0) return;
+                const previous = steps[i - 1].state;
+                const row = step.chosenVariable;
+                const col = step.state.queens[row];
+                if (col !== previous.queens[row]) {
+                    expect(left.has(`${row},${col}`) && i - left.get(`${row},${col}`) < 50).toBe(false);
+                    left.set(`${row},${previous.queens[row]}`, i);
+                }
+            });
+        });
+
+        it('should take random-walk steps', () => {
+            const { steps } = run(NQueensProblem, { size: 8, seed: 2, walkProbability: 1, maxSteps: 20 });
+            expect(steps.slice(1).every(step => step.note.includes('random walk'))).toBe(true);
+        });
+
+        it('should refuse problems without conflict counts', () => {
+            const { result } = run(TSPProblem, { size: 6, seed: 1 });
+            expect(result).toContain('Min-Conflicts needs a constraint problem');
+        });
+    });
+
+    describe('Seeded Runs', () => {
+        // Collect the yielded cost trajectory and notes of a run
+        const trace = (algorithm, params, problem, maxSteps = 300) => {
+            const start = algorithm === 'geneticAlgorithm' ? null : problem.randomState({ ...params });
+            const gen = Algorithms[algorithm](start, params, problem);
+            const out = [];
+            for (let i = 0; i < maxSteps; i++) {
+                const step = gen.next();
+                if (step.done) break;
+                out.push([step.value.state.cost, step.value.note]);
+            }
+            return out;
+        };
+
+        const cases = [
+            ['hillClimbing', { size: 8, maxSideways: 10, maxRestarts: 3 }],
+            ['stochasticHillClimbing', { size: 8, maxSideways: 10, maxRestarts: 3, variant: 'firstChoice' }],
+            ['simulatedAnnealing', { size: 8, initialTemp: 10, coolingRate: 0.95 }],
+            ['parallelTempering', { size: 8, replicas: 4, maxIterations: 200 }],
+            ['localBeamSearch', { size: 6, beamWidth: 4, variant: 'stochastic', maxGenerations: 20, maxSideways: 5 }],
+            ['geneticAlgorithm', { size: 6, startingPopulationSize: 10, maxGenerations: 10 }],
+            ['tabuSearch', { size: 8, tabuTenure: 5, maxIterations: 100 }],
+            ['minConflicts', { size: 8, tabuTenure: 3, walkProbability: 0.1, maxSteps: 100 }],
+        ];
+
+        cases.forEach(([algorithm, params]) => {
+            it(`${algorithm} should replay the same trajectory for the same seed`, () => {
+                const a = trace(algorithm, { ...params, seed: 1234 }, NQueensProblem);
+                const b = trace(algorithm, { ...params, seed: 1234 }, NQueensProblem);
+                expect(a.length).toBeGreaterThan(0);
+                expect(a).toEqual(b);
+            });
+        });
+
+        // Without the move contract the same searches go through getNeighbors / getRandomNeighbor
+        const withoutMoves = (problem) => ({ ...problem, enumerateMoves: undefined, moveDelta: undefined, applyNeighborMove: undefined, randomMove: undefined });
+        const moveCases = [
+            ['hillClimbing', { maxSideways: 10, maxRestarts: 2 }],
+            ['stochasticHillClimbing', { maxSideways: 10, maxRestarts: 2, variant: 'standard' }],
+            ['stochasticHillClimbing', { maxSideways: 10, maxRestarts: 2, variant: 'weighted' }],
+            ['stochasticHillClimbing', { maxSideways: 10, maxRestarts: 2, variant: 'firstChoice' }],
+            ['simulatedAnnealing', { initialTemp: 5, coolingRate: 0.95 }],
+            ['localBeamSearch', { beamWidth: 3, maxGenerations: 10, maxSideways: 3 }],
+            ['localBeamSearch', { beamWidth: 3, variant: 'stochastic', maxGenerations: 10, maxSideways: 3 }],
+        ];
+        const moveProblems = [
+            [NQueensProblem, { size: 6 }],
+            [TSPProblem, { size: 6, neighborhood: '2opt' }],
+            [MapColoringProblem, { graphType: 'australia', numColors: 3 }],
+            [SudokuProblem, { size: 4, encoding: 'box' }],
+        ];
+
+        moveCases.forEach(([algorithm, params]) => {
+            it(`${algorithm} (${params.variant || 'default'}) should take the same steps with and without move deltas`, () => {
+                for (const [problem, problemParams] of moveProblems) {
+                    const runParams = { ...problemParams, ...params, seed: 77 };
+                    const a = trace(algorithm, runParams, problem, 150);
+                    const b = trace(algorithm, runParams, withoutMoves(problem), 150);
+                    expect(a.length).toBeGreaterThan(1);
+                    expect(a.map(([cost, note]) => [cost.toFixed(6), note])).toEqual(b.map(([cost, note]) => [cost.toFixed(6), note]));
+                }
+            });
+        });
+
+        it('should generate identical TSP instances and runs for the same seed', () => {
+            const params = { size: 8, seed: 'tsp-demo', initialTemp: 50, coolingRate: 0.9 };
+            const a = trace('simulatedAnnealing', { ...params }, TSPProblem);
+            const b = trace('simulatedAnnealing', { ...params }, TSPProblem);
+            expect(a).toEqual(b);
+        });
+
+        it('should diverge for different seeds', () => {
+            const params = { size: 8, initialTemp: 10, coolingRate: 0.95 };
+            const a = trace('simulatedAnnealing', { ...params, seed: 1 }, NQueensProblem);
+            const b = trace('simulatedAnnealing', { ...params, seed: 2 }, NQueensProblem);
+            expect(a).not.toEqual(b);
+        });
+    });
 });
@@ -37,6 +37,59 @@ export const BENCHMARK_CONFIGS = [
         algorithm: 'simulatedAnnealing',
         params: { initialTemp: 10000, coolingRate: 0.9995 }
     },
+    {
+        id: 'pt',
+        name: 'Parallel Tempering (6 Replicas)',
+        algorithm: 'parallelTempering',
+        params: { replicas: 6, minTemp: 0.5, maxTemp: 50, swapInterval: 10, maxIterations: 5000 }
+    },
+    {
+        id: 'tabu',
+        name: 'Tabu Search (Tenure 10)',
+        algorithm: 'tabuSearch',
+        params: { tabuTenure: 10, aspiration: true, maxIterations: 500 }
+    },
+    {
+        id: 'tabu_long',
+        name: 'Tabu Search (Tenure 30)',
+        algorithm: 'tabuSearch',
+        params: { tabuTenure: 30, aspiration: true, maxIterations: 500 }
+    },
+    {
+        id: 'min_conflicts',
+        name: 'Min-Conflicts (Walk 0.1)',
+        algorithm: 'minConflicts',
+        params: { maxSteps: 2000, walkProbability: 0.1, tabuTenure: 0 },
+        problems: ['n-queens', 'map-coloring', 'sudoku', 'boolean-sat']
+    },
+    {
+        id: 'walksat',
+        name: 'WalkSAT (p=0.5)',
+        algorithm: 'walkSat',
+        params: { noise: 0.5, maxFlips: 1000, maxTries: 5 },
+        problems: ['boolean-sat']
+    },
+    {
+        id: 'gsat',
+        name: 'GSAT + Walk (p=0.5)',
+        algorithm: 'gsat',
+        params: { noise: 0.5, maxFlips: 1000, maxTries: 5 },
+        problems: ['boolean-sat']
+    },
+    {
+        id: 'dpll',
+        name: 'DPLL (Pure Literals)',
+        algorithm: 'dpll',
+        params: { pureLiterals: true, maxIterations: 10000 },
+        problems: ['boolean-sat']
+    },
+    {
+        id: 'cdcl',
+        name: 'CDCL (VSIDS 0.95)',
+        algorithm: 'cdcl',
+        params: { vsidsDecay: 0.95, maxIterations: 10000 },
+        problems: ['boolean-sat']
+    },
     {
         id: 'ga',
         name: 'Genetic Algo',
@@ -55,6 +108,12 @@ export const BENCHMARK_CONFIGS = [
         algorithm: 'dfs',
         params: { maxIterations: 10000 }
     },
+    {
+        id: 'astar',
+        name: 'A* (Informed)',
+        algorithm: 'aStar',
+        params: { maxIterations: 10000 }
+    },
     {
         id: 'backtracking',
         name: 'Backtracking (InOrder)',
@@ -73,6 +132,22 @@ export const BENCHMARK_CONFIGS = [
         algorithm: 'backtracking',
         params: { maxIterations: 10000, variableHeuristic: 'degree', valueOrdering: 'lcv' }
     },
+    {
+        // Fixed in-order variable ordering, so compare against 'backtracking' (InOrder); neither
+        // applies to SAT, whose valuesConflict cannot see the clauses
+        id: 'cbj',
+        name: 'Conflict-Directed Backjumping',
+        algorithm: 'conflictDirectedBackjumping',
+        params: { maxIterations: 10000 },
+        problems: ['n-queens', 'map-coloring', 'sudoku']
+    },
+    {
+        id: 'backmarking',
+        name: 'Backmarking',
+        algorithm: 'backmarking',
+        params: { maxIterations: 10000 },
+        problems: ['n-queens', 'map-coloring', 'sudoku']
+    },
     {
         id: 'fc',
         name: 'Forward Checking (Std)',
@@ -109,6 +184,8 @@ export const BENCHMARK_SEEDS = 5;
 
 export const getValidConfigs = (problemId, problem) => {
     return BENCHMARK_CONFIGS.filter(c => {
+        // Problem-specific algorithms (e.g. WalkSAT) only run on their own problem
+        if (c.problems && !c.problems.includes(problemId)) return false;
         // If the problem doesn't support CSP, filter out CSP algorithms
         if (problem && !problem.supportsCSP) {
             return !['backtracking', 'forwardChecking', 'arcConsistency'].includes(c.algorithm);
@@ -154,9 +231,14 @@ export class BenchmarkRunner {
         });
 
         // 1. Generate Seeds
+        // With a user seed, derive one sub-seed per instance so the whole tournament is reproducible
+        const baseSeed = this.problemParams.seed;
+        const hasSeed = baseSeed !== undefined && baseSeed !== null && baseSeed !== '';
+        const seedParamsFor = (i) => hasSeed ? { ...this.problemParams, seed: `${baseSeed}/${i}` } : this.problemParams;
+
         const seeds = [];
         for (let i = 0; i < numSeeds; i++) {
-            seeds.push(this.problem.randomState(this.problemParams));
+            seeds.push(this.problem.randomState(seedParamsFor(i)));
         }
 
         const runStart = performance.now();
@@ -169,7 +251,7 @@ export class BenchmarkRunner {
                 if (this.cancelFlag) return null;
 
                 const algoStart = performance.now();
-                const params = { ...this.problemParams, ...config.params };
+                const params = { ...seedParamsFor(i), ...config.params };
                 let gen;
 
                 // For Constructive Algos:
@@ -10,6 +10,10 @@ export const MAP_COLORING_PALETTE = [
     '#ec4899', // pink-500
     '#06b6d4', // cyan-500
     '#f97316', // orange-500
+    '#84cc16', // lime-500
+    '#6366f1', // indigo-500
+    '#14b8a6', // teal-500
+    '#78716c', // stone-500
 ];
 
 export const TETRIS_SHAPES = {
@@ -1,5 +1,9 @@
 // Constructive Algorithms (CSP)
 import { Algorithms } from './algorithms.js';
+import { getRng } from './random.js';
+import { SatSolvers } from './sat-solvers.js';
+import { MinHeap } from './min-heap.js';
+import { createSearchTree } from './search-tree.js';
 
 // Constructive Search Algorithms (Building solutions from empty/partial states)
 
@@ -51,6 +55,8 @@ const getTSPSuccessors = (state, params) => {
     const currentTour = state.tour;
 
     if (currentTour.length >= n) return [];
+    // Tours are cycles: every tour has a rotation starting at city 0, so only that start is tried
+    if (currentTour.length === 0 && n > 0) return [new state.constructor([0], state.cities, state.neighborhood)];
 
     const successors = [];
     // Available cities
@@ -59,7 +65,7 @@ const getTSPSuccessors = (state, params) => {
     for (let i = 0; i < n; i++) {
         if (!visited.has(i)) {
             const newTour = [...currentTour, i];
-            successors.push(new state.constructor(newTour, state.cities));
+            successors.push(new state.constructor(newTour, state.cities, state.neighborhood));
         }
     }
     return successors;
@@ -133,6 +139,8 @@ export const ConstructiveAlgorithms = {
     // Breadth-First Search (Uninformed / Blind)
     // Does NOT prune. Explores all partial states until full.
     bfs: function* (dummyState, params, problem) {
+        // Shared rng for random variable/value ordering and problem.emptyState
+        params = { ...params, rng: getRng(params) };
         // If dummyState is provided and valid match, use it as root. 
         // For N-Queens, dummyState is usually partial/full random, so we ignore.
         // For Sudoku, dummyState is the Puzzle.
@@ -147,6 +155,8 @@ export const ConstructiveAlgorithms = {
             root = new dummyState.constructor(dummyState.size, cleanGrid, dummyState.fixed);
         }
 
+        const tree = createSearchTree();
+        tree.add(root);
         const queue = [root];
         let evaluations = 0;
         let steps = 0;
@@ -156,7 +166,7 @@ export const ConstructiveAlgorithms = {
             const current = queue.shift(); // FIFO
             steps++;
 
-            yield { state: current, note: `BFS Queue: ${queue.length}`, evaluations };
+            yield { state: current, note: `BFS Queue: ${queue.length}`, evaluations, tree: tree.event(current, 'expand') };
 
             // Goal Test: Only check if Complete AND Valid?
             // "Blind" search typically checks goal at node generation or expansion.
@@ -164,7 +174,7 @@ export const ConstructiveAlgorithms = {
             // Or do we check if it is a solution?
             // isSolution checks cost==0.
             if (problem.isSolution(current)) {
-                yield { state: current, note: `Solution Found!`, evaluations };
+                yield { state: current, note: `Solution Found!`, evaluations, tree: tree.event(current, 'solution') };
                 return 'Solution Found!';
             }
 
@@ -178,6 +188,7 @@ export const ConstructiveAlgorithms = {
             // Only prune if "Full" (handled by getSuccessors returning empty)
             const successors = getSuccessors(current, problem, params);
             evaluations += successors.length;
+            for (const next of successors) tree.add(next, current);
             queue.push(...successors);
         }
 
@@ -188,6 +199,7 @@ export const ConstructiveAlgorithms = {
     // Depth-First Search (Blind)
     // Does NOT prune.
     dfs: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
         let root = problem.emptyState(params);
         if (dummyState && problem.id === 'sudoku') {
             const cleanGrid = dummyState.grid.map((row, r) =>
@@ -196,6 +208,8 @@ export const ConstructiveAlgorithms = {
             root = new dummyState.constructor(dummyState.size, cleanGrid, dummyState.fixed);
         }
 
+        const tree = createSearchTree({ trackBacktracks: true });
+        tree.add(root);
         const stack = [root];
         let evaluations = 0;
         let steps = 0;
@@ -205,10 +219,10 @@ export const ConstructiveAlgorithms = {
             const current = stack.pop(); // LIFO
             steps++;
 
-            yield { state: current, note: `DFS Stack: ${stack.length}`, evaluations };
+            yield { state: current, note: `DFS Stack: ${stack.length}`, evaluations, tree: tree.event(current, 'expand') };
 
             if (problem.isSolution(current)) {
-                yield { state: current, note: `Solution Found!`, evaluations };
+                yield { state: current, note: `Solution Found!`, evaluations, tree: tree.event(current, 'solution') };
                 return 'Solution Found!';
             }
 
@@ -223,6 +237,7 @@ export const ConstructiveAlgorithms = {
 
             // Push in reverse for 0->N order
             for (let i = successors.length - 1; i >= 0; i--) {
+                tree.add(successors[i], current);
                 stack.push(successors[i]);
             }
         }
@@ -234,6 +249,7 @@ export const ConstructiveAlgorithms = {
     // DFS with Pruning (Constraint Check)
     // Now uses selectVariable + value iteration for variable/value ordering
     backtracking: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
         let root = problem.emptyState(params);
         if (dummyState && problem.id === 'sudoku') {
             const cleanGrid = dummyState.grid.map((row, r) =>
@@ -247,6 +263,8 @@ export const ConstructiveAlgorithms = {
             root.domains = problem.initializeDomains(root);
         }
 
+        const tree = createSearchTree({ trackBacktracks: true });
+        tree.add(root);
         const stack = [root];
         let evaluations = 0;
         let steps = 0;
@@ -256,18 +274,6 @@ export const ConstructiveAlgorithms = {
             const current = stack.pop();
             steps++;
 
-            yield { state: current, note: `Backtrack Stack: ${stack.length}`, evaluations };
-
-            if (problem.isSolution(current)) {
-                yield { state: current, note: `Solution Found!`, evaluations };
-                return 'Solution Found!';
-            }
-
-            if (steps >= maxIter) {
-                yield { state: current, note: `Stopped (Max Iterations ${maxIter})`, evaluations };
-                return `Stopped (Max Iterations)`;
-            }
-
             // Pruning (Constraint Check)
             let isValid = true;
             if (problem.isPartiallyValid) {
@@ -278,6 +284,19 @@ export const ConstructiveAlgorithms = {
                 if (current.conflicts > 0) isValid = false;
             }
 
+            const visit = isValid ? tree.event(current, 'expand') : tree.event(current, 'pruned', 'Constraint violated');
+            yield { state: current, note: `Backtrack Stack: ${stack.length}`, evaluations, tree: visit };
+
+            if (problem.isSolution(current)) {
+                yield { state: current, note: `Solution Found!`, evaluations, tree: tree.event(current, 'solution') };
+                return 'Solution Found!';
+            }
+
+            if (steps >= maxIter) {
+                yield { state: current, note: `Stopped (Max Iterations ${maxIter})`, evaluations };
+                return `Stopped (Max Iterations)`;
+            }
+
             if (isValid) {
                 // Select variable using heuristic
                 const variable = selectVariable(current, problem, params);
@@ -304,6 +323,7 @@ export const ConstructiveAlgorithms = {
                             ? problem.applyMove(current, variable, value, current.domains)
                             : null;
                         if (nextState) {
+                            tree.add(nextState, current);
                             stack.push(nextState);
                             evaluations++;
                         }
@@ -318,6 +338,7 @@ export const ConstructiveAlgorithms = {
     // Forward Checking (Generic CSP)
     // Look ahead to prune domains.
     forwardChecking: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
         // 1. Initialize Domains if not present
         // We need a specific method to get initial domains if the state doesn't have them.
         // For Sudoku, clean start might imply domains = all possibilities.
@@ -347,16 +368,19 @@ export const ConstructiveAlgorithms = {
             }
         }
 
+        const tree = createSearchTree({ trackBacktracks: true });
+        tree.add(root);
+        const prunedBy = new WeakMap(); // state -> values its propagation step removed
         const stack = [root];
         let evaluations = 0;
 
         while (stack.length > 0) {
             const current = stack.pop();
 
-            yield { state: current, note: `FC Stack: ${stack.length}`, evaluations };
+            yield { state: current, note: `FC Stack: ${stack.length}`, evaluations, tree: tree.event(current, 'expand'), prunedValues: prunedBy.get(current) };
 
             if (problem.isSolution(current)) {
-                yield { state: current, note: `Solution Found!`, evaluations };
+                yield { state: current, note: `Solution Found!`, evaluations, tree: tree.event(current, 'solution') };
                 return 'Solution Found!';
             }
 
@@ -398,17 +422,23 @@ export const ConstructiveAlgorithms = {
                         if (result.success !== false) {
                             // Valid move
                             const nextState = problem.applyMove(current, variable, value, nextDomains);
+                            tree.add(nextState, current);
+                            prunedBy.set(nextState, removedDomainValues(current.domains, nextDomains));
                             stack.push(nextState);
                             evaluations++;
                         } else {
                             // Wipeout / Failure - VISUALIZE IT
                             // Create the state that would have happened (broken state)
                             const failState = problem.applyMove(current, variable, value, nextDomains);
-                            yield { state: failState, note: `Pruned (Wipeout on ${JSON.stringify(variable)})`, evaluations: evaluations + 1 };
+                            const reason = `Wipeout on ${JSON.stringify(variable)}`;
+                            yield {
+                                state: failState, note: `Pruned (${reason})`, evaluations: evaluations + 1,
+                                tree: tree.pruned(current, reason), prunedValues: removedDomainValues(current.domains, nextDomains)
+                            };
                         }
                     } else {
                         // null result means something went wrong or generic failure without domains
-                        yield { state: current, note: `Pruned (Invalid Move)`, evaluations: evaluations + 1 };
+                        yield { state: current, note: `Pruned (Invalid Move)`, evaluations: evaluations + 1, tree: tree.pruned(current, 'Invalid move') };
                     }
                 }
             } else {
@@ -422,6 +452,7 @@ export const ConstructiveAlgorithms = {
 
     // Arc Consistency (AC-3)
     arcConsistency: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
         // 1. Initialize
         let root = problem.emptyState(params);
         if (dummyState && problem.id === 'sudoku') {
@@ -435,16 +466,19 @@ export const ConstructiveAlgorithms = {
             root.domains = problem.initializeDomains(root);
         }
 
+        const tree = createSearchTree({ trackBacktracks: true });
+        tree.add(root);
+        const prunedBy = new WeakMap(); // state -> values its propagation step removed
         const stack = [root];
         let evaluations = 0;
 
         while (stack.length > 0) {
             const current = stack.pop();
 
-            yield { state: current, note: `AC-3 Stack: ${stack.length}`, evaluations };
+            yield { state: current, note: `AC-3 Stack: ${stack.length}`, evaluations, tree: tree.event(current, 'expand'), prunedValues: prunedBy.get(current) };
 
             if (problem.isSolution(current)) {
-                yield { state: current, note: `Solution Found!`, evaluations };
+                yield { state: current, note: `Solution Found!`, evaluations, tree: tree.event(current, 'solution') };
                 return 'Solution Found!';
             }
 
@@ -466,15 +500,20 @@ export const ConstructiveAlgorithms = {
                         const nextDomains = result.domains;
                         if (result.success !== false) {
                             const nextState = problem.applyMove(current, variable, value, result.domains);
+                            tree.add(nextState, current);
+                            prunedBy.set(nextState, removedDomainValues(current.domains, result.domains));
                             stack.push(nextState);
                             evaluations++;
                         } else {
                             // VISUALIZE AC-3 FAILURE
                             const failState = problem.applyMove(current, variable, value, result.domains);
-                            yield { state: failState, note: `AC-3 Inconsistency`, evaluations: evaluations + 1 };
+                            yield {
+                                state: failState, note: `AC-3 Inconsistency`, evaluations: evaluations + 1,
+                                tree: tree.pruned(current, 'AC-3 inconsistency'), prunedValues: removedDomainValues(current.domains, result.domains)
+                            };
                         }
                     } else {
-                        yield { state: current, note: `AC-3 Pruned`, evaluations: evaluations + 1 };
+                        yield { state: current, note: `AC-3 Pruned`, evaluations: evaluations + 1, tree: tree.pruned(current, 'Invalid move') };
                     }
                 }
             }
@@ -482,9 +521,478 @@ export const ConstructiveAlgorithms = {
 
         yield { state: null, note: `No Solution Found (Exhausted)`, evaluations };
         return 'No Solution Found (Exhausted)';
+    },
+
+    // --- Smarter Backtracking ---
+    // Both walk a fixed variable order (level i = i-th unassigned variable of the root) and check
+    // each value against the earlier levels that share a constraint with it (valuesConflict).
+    // Steps are search nodes (one per value tried), evaluations are constraint checks.
+
+    // Conflict-Directed Backjumping (Prosser): every level keeps a conflict set, the earlier levels
+    // that ruled out one of its values. When a level runs out of values the search jumps straight
+    // back to the deepest level in that set, skipping levels that had nothing to do with the
+    // failure, and merges the rest of the set into the target's.
+    conflictDirectedBackjumping: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
+        const { root, order, values, adjacent } = staticCsp(dummyState, params, problem);
+        const n = order.length;
+        const maxIter = params.maxIterations || 10000;
+        const tree = createSearchTree({ trackBacktracks: true });
+        tree.add(root);
+
+        const states = [root];    // states[i]: levels 0..i-1 assigned
+        const assigned = [];      // assigned[i]: value of level i
+        const remaining = [];     // remaining[i]: values level i has not tried yet
+        const conflictSet = [];   // conflictSet[i]: earlier levels that ruled out values of level i
+        const enter = (i) => {
+            remaining[i] = [...values[i]];
+            conflictSet[i] = new Set();
+        };
+        let evaluations = 0;
+        let steps = 0;
+        let jump = ''; // Reported with the next node
+
+        yield { state: root, note: `CBJ: ${n} variables`, evaluations, tree: tree.event(root, 'expand') };
+
+        let i = 0;
+        if (n > 0) enter(0);
+        while (i >= 0 && i < n) {
+            let next = null;
+            while (remaining[i].length > 0 && !next) {
+                const value = remaining[i].shift();
+                const state = problem.applyMove(states[i], order[i], value, states[i].domains);
+                tree.add(state, states[i]);
+                steps++;
+
+                // Earliest conflicting level, so the conflict set blames the shallowest culprit
+                let culprit = -1;
+                for (let h = 0; h < i && culprit === -1; h++) {
+                    if (!adjacent[i][h]) continue;
+                    evaluations++;
+                    if (problem.valuesConflict(order[i], value, order[h], assigned[h])) culprit = h;
+                }
+
+                const move = `${formatVariable(order[i])} = ${JSON.stringify(value)}`;
+                if (culprit === -1) {
+                    next = state;
+                    assigned[i] = value;
+                    yield { state, note: `${jump}CBJ ${move}`, evaluations, tree: tree.event(state, 'expand') };
+                } else {
+                    conflictSet[i].add(culprit);
+                    const reason = `Conflicts with ${formatVariable(order[culprit])}`;
+                    yield { state, note: `${jump}CBJ ${move}: ${reason}`, evaluations, tree: tree.event(state, 'pruned', reason) };
+                }
+                jump = '';
+
+                if (steps >= maxIter) {
+                    yield { state, note: `Stopped (Max Iterations ${maxIter})`, evaluations };
+                    return `Stopped (Max Iterations)`;
+                }
+            }
+
+            if (next) {
+                states[i + 1] = next;
+                i++;
+                if (i < n) enter(i);
+                continue;
+            }
+
+            // Dead end: jump to the deepest culprit; an empty conflict set means no solution
+            const target = conflictSet[i].size > 0 ? Math.max(...conflictSet[i]) : -1;
+            for (const h of conflictSet[i]) if (h !== target) conflictSet[target].add(h);
+            const skipped = i - target - 1;
+            jump = target >= 0
+                ? `Backjump from ${formatVariable(order[i])} to ${formatVariable(order[target])} (${skipped} level${skipped === 1 ? '' : 's'} skipped) | `
+                : '';
+            i = target;
+        }
+
+        if (i < 0) {
+            yield { state: null, note: `No Solution Found (Exhausted)`, evaluations };
+            return 'No Solution Found (Exhausted)';
+        }
+        const solution = states[n];
+        yield { state: solution, note: `Solution Found!`, evaluations, tree: tree.event(solution, 'solution') };
+        return 'Solution Found!';
+    },
+
+    // Backmarking (Gaschnig): chronological backtracking that remembers, for every value of every
+    // level, the level its last check failed at (mark), and for every level the shallowest level
+    // that changed since it was last visited (low). A value whose mark is below low still fails
+    // without a single check; otherwise only the levels from low upwards are re-checked.
+    backmarking: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
+        const { root, order, values, adjacent } = staticCsp(dummyState, params, problem);
+        const n = order.length;
+        const maxIter = params.maxIterations || 10000;
+        const tree = createSearchTree({ trackBacktracks: true });
+        tree.add(root);
+
+        const states = [root];
+        const assigned = [];
+        const remaining = [];
+        const mark = values.map(vals => vals.map(() => 0)); // mark[i][k]: for values[i][k]
+        const low = new Array(n).fill(0);
+        let evaluations = 0;
+        let steps = 0;
+        let saved = 0; // Checks plain backtracking (levels checked from 0 up) would have made on top
+
+        yield { state: root, note: `Backmarking: ${n} variables`, evaluations, tree: tree.event(root, 'expand') };
+
+        let i = 0;
+        if (n > 0) remaining[0] = values[0].map((_, k) => k);
+        while (i >= 0 && i < n) {
+            let next = null;
+            while (remaining[i].length > 0 && !next) {
+                const k = remaining[i].shift();
+                const value = values[i][k];
+                const state = problem.applyMove(states[i], order[i], value, states[i].domains);
+                tree.add(state, states[i]);
+                steps++;
+
+                let culprit = -1;
+                let backmarked = false;
+                if (mark[i][k] < low[i]) {
+                    // Failed against a level that has not changed since
+                    culprit = mark[i][k];
+                    backmarked = true;
+                    for (let h = 0; h <= culprit; h++) if (adjacent[i][h]) saved++;
+                } else {
+                    for (let h = 0; h < low[i]; h++) if (adjacent[i][h]) saved++;
+                    for (let h = low[i]; h < i && culprit === -1; h++) {
+                        if (!adjacent[i][h]) continue;
+                        evaluations++;
+                        if (problem.valuesConflict(order[i], value, order[h], assigned[h])) culprit = h;
+                    }
+                    mark[i][k] = culprit === -1 ? i : culprit;
+                }
+
+                const move = `${formatVariable(order[i])} = ${JSON.stringify(value)}`;
+                const suffix = `| ${saved} checks saved`;
+                if (culprit === -1) {
+                    next = state;
+                    assigned[i] = value;
+                    yield { state, note: `BM ${move} ${suffix}`, evaluations, tree: tree.event(state, 'expand') };
+                } else {
+                    const reason = `${backmarked ? 'Backmarked: conflicts' : 'Conflicts'} with ${formatVariable(order[culprit])}`;
+                    yield { state, note: `BM ${move}: ${reason} ${suffix}`, evaluations, tree: tree.event(state, 'pruned', reason) };
+                }
+
+                if (steps >= maxIter) {
+                    yield { state, note: `Stopped (Max Iterations ${maxIter})`, evaluations };
+                    return `Stopped (Max Iterations)`;
+                }
+            }
+
+            if (next) {
+                states[i + 1] = next;
+                i++;
+                if (i < n) remaining[i] = values[i].map((_, k) => k);
+                continue;
+            }
+
+            // Back up one level: it and everything below it may change
+            low[i] = i - 1;
+            for (let j = i + 1; j < n; j++) low[j] = Math.min(low[j], i - 1);
+            i--;
+        }
+
+        if (i < 0) {
+            yield { state: null, note: `No Solution Found (Exhausted)`, evaluations };
+            return 'No Solution Found (Exhausted)';
+        }
+        const solution = states[n];
+        yield { state: solution, note: `Solution Found! (${saved} checks saved)`, evaluations, tree: tree.event(solution, 'solution') };
+        return 'Solution Found!';
+    },
+
+    // Chromatic Number (map coloring, objective "Minimize colors"): start from the greedy clique
+    // (lower bound) and the better of DSatur / greedy-by-degree (upper bound), then ask a CSP solver
+    // (`colorSolver`) for a coloring with one color fewer than the best so far. A complete solver
+    // exhausting k colors proves the chromatic number is k + 1; Min-Conflicts can only tighten.
+    // Yields carry costBounds { lower, upper, lowerBy, upperBy } as they tighten.
+    chromaticNumber: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
+        const root = problem.emptyState(params);
+        const { graph, graphType } = root;
+        const bounds = graph?.colorBounds;
+        if (!bounds) return 'Chromatic Number needs map coloring with the "Minimize colors" objective';
+
+        const solverName = params.colorSolver || 'forwardChecking';
+        const complete = solverName !== 'minConflicts';
+        // Sub-searches run as plain k-coloring instances (no colorBounds on their graph), so any
+        // proper coloring ends them; their states are shown on the minimizing graph
+        const { colorBounds: _bounds, ...decisionGraph } = graph;
+        const onGraph = (state, k) => {
+            const s = new root.constructor(graph, k, state.assignments, state.domains);
+            s.graphType = graphType;
+            return s;
+        };
+
+        let lower = bounds.lower;
+        let upper = bounds.upper;
+        let lowerBy = 'Clique';
+        let upperBy = bounds.upperBy;
+        const costBounds = () => ({ lower, upper, lowerBy, upperBy });
+        let evaluations = graph.nodeCount;
+
+        // The clique's nodes, colored pairwise differently
+        const cliqueColors = Array(graph.nodeCount).fill(null);
+        bounds.clique.forEach((node, i) => { cliqueColors[node] = i; });
+        yield { state: onGraph({ assignments: cliqueColors, domains: null }, bounds.upper), note: `Clique of ${lower}: at least ${lower} colors`, evaluations, costBounds: costBounds() };
+
+        let best = onGraph({ assignments: bounds.coloring, domains: null }, upper);
+        yield { state: best, note: `${upperBy}: ${upper} colors`, evaluations, costBounds: costBounds() };
+
+        for (let k = upper - 1; k >= lower; k--) {
+            const subParams = { ...params, numColors: k, _graph: decisionGraph, _graphType: graphType };
+            const solver = ConstructiveAlgorithms[solverName] || Algorithms[solverName];
+            const sub = solver(null, subParams, problem);
+            let found = null;
+            let subEvaluations = 0;
+            let res = sub.next();
+            while (!res.done) {
+                const { state, tree: _tree, ...step } = res.value || {};
+                if (state) {
+                    subEvaluations = step.evaluations ?? subEvaluations;
+                    const shown = onGraph(state, k);
+                    if (!shown.isPartial && shown.conflicts === 0) found = shown;
+                    yield { ...step, state: shown, note: `k = ${k}: ${step.note}`, evaluations: evaluations + subEvaluations, costBounds: costBounds() };
+                }
+                res = sub.next();
+            }
+            evaluations += subEvaluations;
+
+            if (found) {
+                best = found;
+                upper = found.colorsUsed;
+                upperBy = complete ? 'CSP search' : 'Min-Conflicts';
+                k = upper; // The loop tries upper - 1 next
+                yield { state: best, note: `${upper} colors suffice`, evaluations, costBounds: costBounds() };
+                continue;
+            }
+            const outcome = typeof res.value === 'string' ? res.value : res.value?.note || '';
+            if (complete && outcome.startsWith('No Solution Found')) {
+                lower = k + 1;
+                lowerBy = `No ${k}-coloring`;
+                yield { state: best, note: `No ${k}-coloring exists: chromatic number is ${upper}`, evaluations, costBounds: costBounds() };
+                return `Optimal: ${upper} colors (proven)`;
+            }
+            yield { state: best, note: `k = ${k}: ${outcome || 'stopped'}, best stays ${upper} colors`, evaluations, costBounds: costBounds() };
+            return `Best: ${upper} colors (not proven optimal)`;
+        }
+        return `Optimal: ${upper} colors (matches the clique bound)`;
+    },
+
+    // --- Informed Search ---
+    // Tree search over the same successors as BFS/DFS, ordered by path cost g and an admissible
+    // estimate h of the cost still to come (see the hooks above bestFirstSearch).
+
+    // Greedy Best-First: expands the node that looks closest to a goal (lowest h). Fast, not optimal.
+    greedyBestFirst: function* (dummyState, params, problem) {
+        return yield* bestFirstSearch(dummyState, params, problem, BEST_FIRST.greedyBestFirst);
+    },
+
+    // A*: lowest f = g + h first. Optimal with an admissible h.
+    aStar: function* (dummyState, params, problem) {
+        return yield* bestFirstSearch(dummyState, params, problem, BEST_FIRST.aStar);
+    },
+
+    // Uniform Cost: lowest g first (A* with h = 0). Optimal, but blind to the goal.
+    uniformCost: function* (dummyState, params, problem) {
+        return yield* bestFirstSearch(dummyState, params, problem, BEST_FIRST.uniformCost);
+    },
+
+    // IDA*: depth-first passes that cut off at f > bound; each pass raises the bound to the smallest
+    // f that was cut off. Optimal like A*, with memory for a single path.
+    idaStar: function* (dummyState, params, problem) {
+        params = { ...params, rng: getRng(params) };
+        const root = searchRoot(dummyState, params, problem);
+        const maxIter = params.maxIterations || 10000;
+        let evaluations = 0;
+        let steps = 0;
+        let bound = heuristicOf(problem, root);
+
+        for (let pass = 1; ; pass++) {
+            let nextBound = Infinity;
+            const stack = [{ state: root, g: 0 }];
+
+            while (stack.length > 0) {
+                const { state, g } = stack.pop();
+                const h = heuristicOf(problem, state);
+                const f = g + h;
+                if (f > bound) {
+                    nextBound = Math.min(nextBound, f);
+                    continue;
+                }
+                steps++;
+
+                const search = { g, h, f, frontier: stack.length, bound };
+                yield { state, note: `IDA* Pass ${pass} (bound ${formatSearchValue(bound)}) ${describeSearchNode(search)}`, search, evaluations };
+
+                if (isSearchGoal(problem, state)) {
+                    yield { state, note: `Solution Found! (path cost ${formatSearchValue(g)})`, search, evaluations };
+                    return 'Solution Found!';
+                }
+
+                if (steps >= maxIter) {
+                    yield { state, note: `Stopped (Max Iterations ${maxIter})`, search, evaluations };
+                    return `Stopped (Max Iterations)`;
+                }
+
+                const successors = getSuccessors(state, problem, params);
+                evaluations += successors.length;
+                // Push in reverse for 0->N order
+                for (let i = successors.length - 1; i >= 0; i--) {
+                    stack.push({ state: successors[i], g: g + stepCostOf(problem, state, successors[i]) });
+                }
+            }
+
+            if (nextBound === Infinity) break;
+            bound = nextBound;
+        }
+
+        yield { state: null, note: `No Solution Found (Exhausted)`, evaluations };
+        return 'No Solution Found (Exhausted)';
+    },
+
+    // Complete SAT solvers (DPLL, CDCL) also build from the empty assignment
+    ...SatSolvers
+};
+
+// Levels for CBJ and backmarking: the root's unassigned variables in order, each with its values
+// and the earlier levels it shares a constraint with (neighbors among the root's unassigned variables;
+// clues such as Sudoku givens are already reflected in the initial domains)
+const staticCsp = (dummyState, params, problem) => {
+    const root = searchRoot(dummyState, params, problem);
+    if (!root.domains && problem.initializeDomains) root.domains = problem.initializeDomains(root);
+
+    const order = problem.getUnassignedVariables(root);
+    const levelOf = new Map(order.map((v, i) => [JSON.stringify(v), i]));
+    const adjacent = order.map(v => {
+        const row = new Array(order.length).fill(false);
+        for (const u of problem.getNeighborVariables(root, v)) {
+            const h = levelOf.get(JSON.stringify(u));
+            if (h !== undefined) row[h] = true;
+        }
+        return row;
+    });
+    const values = order.map(v => {
+        const domain = root.domains
+            ? (problem.getDomainValues ? problem.getDomainValues(root, v) : root.domains[v])
+            : (problem.getAllValues ? problem.getAllValues(root, v, params) : null);
+        return [...(domain || [])];
+    });
+    return { root, order, values, adjacent };
+};
+
+const formatVariable = (v) => (typeof v === 'object' ? `(${Object.values(v).join(', ')})` : String(v));
+
+// Values present in `before` but not in `after`, in the shape of the domains: nested arrays or
+// objects (N-Queens rows, Sudoku cells, SAT variables) down to the lists of values.
+// Boards use it to highlight what the last propagation step removed.
+const removedDomainValues = (before, after) => {
+    if (!before || !after) return null;
+    if (Array.isArray(before) && before.every(v => !Array.isArray(v))) return before.filter(v => !after.includes(v));
+    const removed = Array.isArray(before) ? [] : {};
+    for (const key of Object.keys(before)) removed[key] = removedDomainValues(before[key], after[key] || []);
+    return removed;
+};
+
+// --- Informed Search Helpers ---
+// Problems opt in with:
+//   stepCost(from, to)   cost of one successor step (default 1)
+//   heuristic(state)     admissible lower bound on the remaining cost to a goal (default 0)
+//   isSearchGoal(state)  goal test (default isSolution; e.g. any complete tour for TSP)
+//   searchKey(state)     optional: states with equal keys have the same completions, so only the
+//                        cheapest path to each is kept (graph search)
+
+const stepCostOf = (problem, from, to) => (problem.stepCost ? problem.stepCost(from, to) : 1);
+const heuristicOf = (problem, state) => (problem.heuristic ? problem.heuristic(state) : 0);
+const isSearchGoal = (problem, state) => (problem.isSearchGoal ? problem.isSearchGoal(state) : problem.isSolution(state));
+
+// Same root as BFS: the empty state, or the clues of a loaded puzzle
+const searchRoot = (dummyState, params, problem) => {
+    if (dummyState && problem.cleanStateForConstructive) return problem.cleanStateForConstructive(dummyState);
+    if (dummyState && problem.id === 'sudoku') {
+        const cleanGrid = dummyState.grid.map((row, r) =>
+            row.map((val, c) => dummyState.fixed[r][c] ? val : 0)
+        );
+        return new dummyState.constructor(dummyState.size, cleanGrid, dummyState.fixed);
     }
+    return problem.emptyState(params);
 };
 
+const formatSearchValue = (x) => (Number.isInteger(x) ? String(x) : x.toFixed(2));
+
+const describeSearchNode = ({ g, h, f, frontier }) =>
+    `f=${formatSearchValue(f)} (g=${formatSearchValue(g)} + h=${formatSearchValue(h)}) | Frontier: ${frontier}`;
+
+// Frontier order; ties go to the node with the lower h (closer to a goal)
+const BEST_FIRST = {
+    greedyBestFirst: { label: 'Greedy', priority: (g, h) => h },
+    aStar: { label: 'A*', priority: (g, h) => g + h },
+    uniformCost: { label: 'UCS', priority: (g) => g }
+};
+
+function* bestFirstSearch(dummyState, params, problem, strategy) {
+    params = { ...params, rng: getRng(params) };
+    const root = searchRoot(dummyState, params, problem);
+    const maxIter = params.maxIterations || 10000;
+    const frontier = new MinHeap();
+    const cheapest = new Map(); // searchKey -> lowest g queued so far
+    const tree = createSearchTree();
+
+    const push = (state, g) => {
+        if (problem.searchKey) {
+            const key = problem.searchKey(state);
+            if (cheapest.has(key) && cheapest.get(key) <= g) return;
+            cheapest.set(key, g);
+        }
+        const h = heuristicOf(problem, state);
+        const f = g + h;
+        frontier.push({ state, g, h, f }, [strategy.priority(g, h), h]);
+    };
+
+    tree.add(root);
+    push(root, 0);
+    let evaluations = 0;
+    let steps = 0;
+
+    while (frontier.size > 0) {
+        const { state, g, h, f } = frontier.pop();
+        // Superseded: a cheaper path to the same state was queued later
+        if (problem.searchKey && cheapest.get(problem.searchKey(state)) < g) continue;
+        steps++;
+
+        const search = { g, h, f, frontier: frontier.size };
+        yield { state, note: `${strategy.label} ${describeSearchNode(search)}`, search, evaluations, tree: tree.event(state, 'expand') };
+
+        if (isSearchGoal(problem, state)) {
+            yield { state, note: `Solution Found! (path cost ${formatSearchValue(g)})`, search, evaluations, tree: tree.event(state, 'solution') };
+            return 'Solution Found!';
+        }
+
+        if (steps >= maxIter) {
+            yield { state, note: `Stopped (Max Iterations ${maxIter})`, search, evaluations };
+            return `Stopped (Max Iterations)`;
+        }
+
+        const successors = getSuccessors(state, problem, params);
+        evaluations += successors.length;
+        for (const next of successors) {
+            tree.add(next, state);
+            push(next, g + stepCostOf(problem, state, next));
+        }
+    }
+
+    yield { state: null, note: `No Solution Found (Exhausted)`, evaluations };
+    return 'No Solution Found (Exhausted)';
+}
+
+// Constructive algorithms build from the empty state; everything else needs a complete start state
+export const isConstructiveAlgorithm = (name) => Object.prototype.hasOwnProperty.call(ConstructiveAlgorithms, name);
+
 // AC-3 Helper (Generic Logic moved to Problem or kept here if standarized?)
 // Since constraints are problem specific, 'runAC3' logic usually needs 'getNeighbors' and 'satisfies(ci, cj)'.
 // Best to delegate to problem.propagateAC3.
@@ -502,7 +1010,8 @@ const selectVariable = (state, problem, params) => {
     if (heuristic === 'inOrder') {
         return unassigned[0];
     } else if (heuristic === 'random') {
-        return unassigned[Math.floor(Math.random() * unassigned.length)];
+        const rng = getRng(params);
+        return unassigned[Math.floor(rng() * unassigned.length)];
     } else if (heuristic === 'degree') {
         // Degree Heuristic: pick variable involved in most constraints on unassigned variables
         let best = unassigned[0];
@@ -550,9 +1059,10 @@ const orderValues = (values, state, variable, problem, params) => {
         return values; // Original order
     } else if (heuristic === 'random') {
         // Fisher-Yates shuffle
+        const rng = getRng(params);
         const arr = [...values];
         for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(rng() * (i + 1));
             [arr[i], arr[j]] = [arr[j], arr[i]];
         }
         return arr;
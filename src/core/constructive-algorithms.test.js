@@ -2,6 +2,9 @@ import { describe, it, expect } from 'vitest';
 import { ConstructiveAlgorithms } from './constructive-algorithms';
 import { NQueensProblem } from './problems/n-queens';
 import { TSPProblem } from './problems/tsp';
+import { MinHeap } from './min-heap';
+import { MapColoringProblem } from './problems/map-coloring';
+import { BooleanSatProblem } from './problems/boolean-sat';
 
 describe('Constructive Algorithms', () => {
 
@@ -124,6 +127,142 @@ describe('Constructive Algorithms', () => {
             }
             expect(result.value).toBe('Solution Found!');
         });
+
+        it('should report the search tree with pruning reasons', () => {
+            const iterator = ConstructiveAlgorithms.forwardChecking(null, { size: 6 }, NQueensProblem);
+            const seen = new Set();
+            const events = [];
+            for (let result = iterator.next(); !result.done; result = iterator.next()) {
+                const { tree } = result.value;
+                // Parents are always reported before their children
+                if (tree.parent !== null) expect(seen.has(tree.parent)).toBe(true);
+                seen.add(tree.id);
+                events.push(tree);
+            }
+
+            expect(events[0]).toEqual({ id: 0, parent: null, kind: 'expand' });
+            expect(events.at(-1).kind).toBe('solution');
+            const pruned = events.filter(e => e.kind === 'pruned');
+            expect(pruned.length).toBeGreaterThan(0);
+            expect(pruned.every(e => e.reason.startsWith('Wipeout on'))).toBe(true);
+            expect(events.some(e => e.backtrack)).toBe(true);
+        });
+
+        it('should report the domain values the last propagation step removed', () => {
+            const iterator = ConstructiveAlgorithms.forwardChecking(null, { size: 6 }, NQueensProblem);
+            const root = iterator.next().value;
+            expect(root.prunedValues).toBeUndefined();
+
+            // First queen at (0, 0): row 1 loses the column and the diagonal
+            const first = iterator.next().value;
+            expect(first.state.queens[0]).toBe(0);
+            expect(first.prunedValues[1]).toEqual([0, 1]);
+            expect(first.prunedValues[5]).toEqual([0, 5]);
+            for (let row = 1; row < 6; row++) {
+                for (const col of first.prunedValues[row]) expect(first.state.domains[row]).not.toContain(col);
+            }
+        });
+    });
+
+    describe('Backjumping and Backmarking', () => {
+        const run = (name, params, problem) => {
+            const values = [];
+            const iterator = ConstructiveAlgorithms[name](null, { maxIterations: 100000, ...params }, problem);
+            let result = iterator.next();
+            while (!result.done) {
+                values.push(result.value);
+                result = iterator.next();
+            }
+            return { values, final: values[values.length - 1], result: result.value };
+        };
+
+        it('CBJ solves N-Queens and US map coloring with fewer nodes than backtracking', () => {
+            for (const [problem, params] of [[NQueensProblem, { size: 10 }], [MapColoringProblem, { graphType: 'us', numColors: 4, seed: 1 }]]) {
+                const cbj = run('conflictDirectedBackjumping', params, problem);
+                expect(cbj.result).toBe('Solution Found!');
+                expect(problem.isSolution(cbj.final.state)).toBe(true);
+
+                const plain = run('backtracking', { ...params, maxIterations: 20000 }, problem);
+                expect(cbj.values.length).toBeLessThan(plain.values.length);
+            }
+
+            const { values } = run('conflictDirectedBackjumping', { size: 10 }, NQueensProblem);
+            const jumps = values.filter(v => v.note.startsWith('Backjump'));
+            expect(jumps.length).toBeGreaterThan(0);
+            expect(jumps.some(v => /\(([1-9]\d*) levels? skipped\)/.test(v.note))).toBe(true);
+        });
+
+        it('backmarking visits the same nodes as backtracking with fewer checks', () => {
+            const plain = run('backtracking', { size: 8 }, NQueensProblem);
+            const bm = run('backmarking', { size: 8 }, NQueensProblem);
+            const cbj = run('conflictDirectedBackjumping', { size: 8 }, NQueensProblem);
+            expect(bm.result).toBe('Solution Found!');
+            expect(bm.final.state.queens).toEqual(plain.final.state.queens);
+            expect(bm.values.length).toBe(plain.values.length);
+            // CBJ checks every earlier level; backmarking skips the ones it already knows about
+            expect(bm.final.evaluations).toBeLessThan(cbj.final.evaluations);
+            expect(bm.final.note).toMatch(/\d+ checks saved/);
+        });
+
+        it('both report exhaustion on unsolvable instances', () => {
+            for (const name of ['conflictDirectedBackjumping', 'backmarking']) {
+                const { final, result } = run(name, { size: 3 }, NQueensProblem);
+                expect(result).toBe('No Solution Found (Exhausted)');
+                expect(final.state).toBe(null);
+            }
+        });
+    });
+
+    describe('Chromatic Number', () => {
+        const run = (params, problem = MapColoringProblem) => {
+            const values = [];
+            const iterator = ConstructiveAlgorithms.chromaticNumber(null, params, problem);
+            let result = iterator.next();
+            while (!result.done) {
+                values.push(result.value);
+                result = iterator.next();
+            }
+            return { values, final: values[values.length - 1], result: result.value };
+        };
+        const MYCIEL3 = [[1, 2], [1, 4], [1, 7], [1, 9], [2, 3], [2, 6], [2, 8], [3, 5], [3, 7], [3, 10], [4, 5], [4, 6], [4, 10],
+            [5, 8], [5, 9], [6, 11], [7, 11], [8, 11], [9, 11], [10, 11]];
+        const myciel3 = () => {
+            const adjacency = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [String(i + 1), []]));
+            for (const [u, v] of MYCIEL3) {
+                adjacency[u].push(String(v));
+                adjacency[v].push(String(u));
+            }
+            return { adjacency };
+        };
+
+        it('proves the chromatic number when the clique bound is not tight', () => {
+            const { values, final, result } = run({ graphType: 'custom', customGraph: myciel3(), objective: 'minimizeColors', colorSolver: 'forwardChecking' });
+            expect(values[0].state.isPartial).toBe(true); // The clique
+            expect(values[0].costBounds.lower).toBe(2);
+            expect(result).toBe('Optimal: 4 colors (proven)');
+            expect(final.state.colorsUsed).toBe(4);
+            expect(final.state.conflicts).toBe(0);
+            expect(final.costBounds).toEqual({ lower: 4, upper: 4, lowerBy: 'No 3-coloring', upperBy: final.costBounds.upperBy });
+            // Sub-search states are shown on the minimizing graph, without search-tree events
+            expect(values.every(v => v.state.graph === final.state.graph && v.tree === undefined)).toBe(true);
+            expect(values.some(v => v.note.startsWith('k = 3: '))).toBe(true);
+            expect(final.evaluations).toBeGreaterThan(11); // The heuristics, then the 3-coloring search
+        });
+
+        it('stops at the clique bound, and only tightens with Min-Conflicts', () => {
+            const us = run({ graphType: 'us', objective: 'minimizeColors', colorSolver: 'backtracking', maxIterations: 100000 });
+            expect(us.final.state.colorsUsed).toBe(4);
+            expect(MapColoringProblem.isSolution(us.final.state)).toBe(true);
+            expect(us.result).toBe('Optimal: 4 colors (matches the clique bound)');
+
+            const local = run({ graphType: 'custom', customGraph: myciel3(), objective: 'minimizeColors', colorSolver: 'minConflicts', maxSteps: 200, seed: 3 });
+            expect(local.result).toBe('Best: 4 colors (not proven optimal)');
+            expect(local.final.costBounds.lower).toBe(2);
+        });
+
+        it('needs the minimize-colors objective', () => {
+            expect(run({ graphType: 'australia' }).result).toMatch(/Minimize colors/);
+        });
     });
 
     // Test TSP BFS/DFS just to ensure they run/don't crash (even if slow)
@@ -151,4 +290,90 @@ describe('Constructive Algorithms', () => {
             expect(lastNote).toBe('No Solution Found');
         });
     });
+
+    describe('Informed Search', () => {
+        const run = (iterator) => {
+            const steps = [];
+            let result = iterator.next();
+            while (!result.done) {
+                steps.push(result.value);
+                result = iterator.next();
+            }
+            return { steps, final: steps[steps.length - 1], result: result.value };
+        };
+
+        const cities = [
+            { x: 12, y: 80 }, { x: 45, y: 10 }, { x: 90, y: 35 }, { x: 70, y: 88 },
+            { x: 30, y: 45 }, { x: 60, y: 55 }, { x: 5, y: 20 }, { x: 95, y: 70 }
+        ];
+        const params = { size: cities.length, cities, maxIterations: 100000 };
+
+        it('A* and IDA* find an optimal TSP tour', () => {
+            const optimum = TSPProblem.estimatedOptimalCost(params); // Brute force for n <= 10
+
+            const aStar = run(ConstructiveAlgorithms.aStar(null, params, TSPProblem));
+            expect(aStar.result).toBe('Solution Found!');
+            expect(aStar.final.state.tour).toHaveLength(cities.length);
+            expect(aStar.final.state.cost).toBeCloseTo(optimum, 6);
+            expect(aStar.final.search.g).toBeCloseTo(optimum, 6);
+
+            const idaStar = run(ConstructiveAlgorithms.idaStar(null, params, TSPProblem));
+            expect(idaStar.result).toBe('Solution Found!');
+            expect(idaStar.final.state.cost).toBeCloseTo(optimum, 6);
+        });
+
+        it('reports g, h and f for every expanded node', () => {
+            const { steps } = run(ConstructiveAlgorithms.aStar(null, params, TSPProblem));
+            for (const { search } of steps) {
+                expect(search.f).toBeCloseTo(search.g + search.h, 9);
+                expect(search.frontier).toBeGreaterThanOrEqual(0);
+            }
+            // The root's estimate never exceeds the optimum (admissible)
+            expect(steps[0].search.g).toBe(0);
+            expect(steps[0].search.h).toBeLessThanOrEqual(TSPProblem.estimatedOptimalCost(params));
+            expect(steps[0].note).toMatch(/^A\* f=/);
+        });
+
+        it('greedy best-first and uniform cost solve N-Queens', () => {
+            for (const name of ['greedyBestFirst', 'uniformCost']) {
+                const { final, result } = run(ConstructiveAlgorithms[name](null, { size: 6, maxIterations: 100000 }, NQueensProblem));
+                expect(result).toBe('Solution Found!');
+                expect(NQueensProblem.isSolution(final.state)).toBe(true);
+            }
+        });
+
+        it('all four solve a satisfiable SAT formula by assigning one variable per step', () => {
+            const satParams = { mode: 'dimacs', cnf: { variables: ['x1', 'x2', 'x3'], clauses: [[1, 2], [-1, 3], [-2, -3], [-1, -3]] }, maxIterations: 1000 };
+            for (const name of ['greedyBestFirst', 'aStar', 'uniformCost', 'idaStar']) {
+                const { final, result } = run(ConstructiveAlgorithms[name](null, satParams, BooleanSatProblem));
+                expect(result).toBe('Solution Found!');
+                expect(BooleanSatProblem.isSolution(final.state)).toBe(true);
+            }
+            // A branch that breaks a clause pays for it
+            const root = BooleanSatProblem.emptyState(satParams);
+            const [setTrue] = BooleanSatProblem.getSuccessors(root);
+            const [both] = BooleanSatProblem.getSuccessors(setTrue);
+            expect(BooleanSatProblem.stepCost(root, setTrue)).toBe(1);
+            expect(BooleanSatProblem.stepCost(setTrue, both)).toBe(1);
+            expect(BooleanSatProblem.heuristic(both)).toBe(1);
+            const [breaks] = BooleanSatProblem.getSuccessors(both);
+            expect(BooleanSatProblem.stepCost(both, breaks)).toBe(1 + 2); // x3 = true breaks [-2, -3] and [-1, -3]
+        });
+
+        it('stops at maxIterations', () => {
+            const { final, result } = run(ConstructiveAlgorithms.uniformCost(null, { size: 8, maxIterations: 5 }, NQueensProblem));
+            expect(result).toBe('Stopped (Max Iterations)');
+            expect(final.note).toContain('Max Iterations');
+        });
+
+        it('MinHeap pops by key, then insertion order', () => {
+            const heap = new MinHeap();
+            heap.push('c', [2, 0]);
+            heap.push('a', [1, 5]);
+            heap.push('b', [1, 5]);
+            heap.push('first', [1, 1]);
+            expect([heap.pop(), heap.pop(), heap.pop(), heap.pop()]).toEqual(['first', 'a', 'b', 'c']);
+            expect(heap.pop()).toBeUndefined();
+        });
+    });
 });
@@ -0,0 +1,161 @@
+// Execution Engine Client
+// UI-side handle on the engine: posts commands, decodes state snapshots back into State instances
+// and acknowledges each batch once the browser has had a frame to render it.
+import { createEngine } from './engine.js';
+import { SnapshotEncoder, SnapshotDecoder } from './serialization.js';
+
+const nextFrame = (fn) => {
+    if (typeof requestAnimationFrame === 'function') return requestAnimationFrame(fn);
+    return setTimeout(fn, 0);
+};
+
+export class EngineClient {
+    // handlers: { onStarted(state), onBatch(batch), onError(message) }
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+        this.runId = 0;
+        this.decoder = null;
+        this.benchmarkId = 0;
+        this.benchmarkRequest = null; // { id, resolve, onProgress }
+
+        if (typeof Worker !== 'undefined') {
+            this.worker = new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => this.handleMessage({ type: 'error', runId: this.runId, message: e.message || 'Worker error' });
+            this.post = (msg) => this.worker.postMessage(msg);
+        } else {
+            // No Worker support: run the same engine on this thread
+            this.worker = null;
+            const engine = createEngine((msg) => this.handleMessage(msg));
+            this.post = (msg) => engine.handleMessage(msg);
+        }
+    }
+
+    setHandlers(handlers) {
+        this.handlers = handlers;
+    }
+
+    // Begin a new run; any previous run is discarded and its in-flight messages ignored.
+    // `params` must already contain the problem's instance params.
+    start(problem, algorithm, params, initialState) {
+        this.runId++;
+        this.decoder = new SnapshotDecoder(problem);
+
+        const encoder = new SnapshotEncoder();
+        const encoded = encoder.encodeState(initialState);
+        this.post({
+            type: 'start',
+            runId: this.runId,
+            problemId: problem.id,
+            algorithm,
+            params: sanitizeParams(params),
+            initialState: encoded,
+            shared: encoder.takeShared()
+        });
+    }
+
+    play({ turbo = false, speed = 100 } = {}) {
+        this.post({ type: 'play', turbo, speed });
+    }
+
+    pause() {
+        this.post({ type: 'pause' });
+    }
+
+    step() {
+        this.post({ type: 'step' });
+    }
+
+    cancel() {
+        this.runId++;
+        this.decoder = null;
+        this.post({ type: 'cancel' });
+    }
+
+    // Resolves with the benchmark results, or null if cancelled/superseded
+    runBenchmark(problem, params, onProgress) {
+        this.cancelBenchmark();
+        const id = ++this.benchmarkId;
+        return new Promise((resolve) => {
+            this.benchmarkRequest = { id, resolve, onProgress };
+            this.post({ type: 'benchmark', benchmarkId: id, problemId: problem.id, params: sanitizeParams(params) });
+        });
+    }
+
+    cancelBenchmark() {
+        if (!this.benchmarkRequest) return;
+        this.benchmarkRequest.resolve(null);
+        this.benchmarkRequest = null;
+        this.post({ type: 'cancelBenchmark' });
+    }
+
+    terminate() {
+        this.cancelBenchmark();
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.post = () => { };
+    }
+
+    handleMessage(msg) {
+        switch (msg.type) {
+            case 'started': {
+                if (msg.runId !== this.runId) return;
+                this.decoder.addShared(msg.shared);
+                this.handlers.onStarted?.(this.decoder.decodeState(msg.state));
+                break;
+            }
+            case 'batch': {
+                if (msg.runId !== this.runId) return;
+                const decoder = this.decoder;
+                decoder.addShared(msg.shared);
+                this.handlers.onBatch?.({
+                    costs: msg.costs,
+                    populationStats: msg.populationStats,
+                    temperatures: msg.temperatures,
+                    searchTree: msg.searchTree.map(event => ({ ...event, state: decoder.decodeState(event.state) })),
+                    value: decoder.decodeValue(msg.value),
+                    best: decoder.decodeState(msg.best),
+                    bestCost: msg.bestCost,
+                    done: msg.done,
+                    returned: msg.returned,
+                    result: decoder.decodeValue(msg.result),
+                    solved: msg.solved
+                });
+                // Let the browser paint before asking for more
+                if (!msg.done) {
+                    const runId = msg.runId;
+                    nextFrame(() => {
+                        if (runId === this.runId) this.post({ type: 'ack', runId });
+                    });
+                }
+                break;
+            }
+            case 'error':
+                if (msg.runId !== null && msg.runId !== this.runId) return;
+                this.handlers.onError?.(msg.message);
+                break;
+            case 'benchmarkProgress':
+                if (this.benchmarkRequest && this.benchmarkRequest.id === msg.benchmarkId) {
+                    this.benchmarkRequest.onProgress?.(msg.progress);
+                }
+                break;
+            case 'benchmarkResults':
+                if (this.benchmarkRequest && this.benchmarkRequest.id === msg.benchmarkId) {
+                    this.benchmarkRequest.resolve(msg.results);
+                    this.benchmarkRequest = null;
+                }
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+// Params cross the worker boundary by structured clone: drop functions (e.g. an injected rng)
+const sanitizeParams = (params) => {
+    const out = {};
+    for (const [key, value] of Object.entries(params || {})) {
+        if (typeof value !== 'function') out[key] = value;
+    }
+    return out;
+};
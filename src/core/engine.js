@@ -0,0 +1,299 @@
+// Execution Engine
+// Drives algorithm generators off the UI thread. The engine is transport-agnostic: it receives
+// messages through handleMessage() and replies through post(), so the same code runs inside the
+// Web Worker (engine.worker.js) and in-thread when Workers are unavailable (tests, old browsers).
+//
+// Protocol (UI -> engine):
+//   start   { runId, problemId, algorithm, params, initialState, shared }
+//           params already include the instance params extracted from the UI's state
+//   play    { turbo, speed }      run continuously; turbo = time-sliced batches, else one step per `speed` ms
+//   pause   {}
+//   step    {}                    advance exactly one yield
+//   cancel  {}                    drop the current run
+//   ack     { runId }             UI has rendered the last batch; the next one may be posted
+//   benchmark       { benchmarkId, problemId, params }
+//   cancelBenchmark {}
+//
+// Protocol (engine -> UI):
+//   started { runId, state, shared }   local search needed a random complete start state
+//   batch   { runId, costs, populationStats, temperatures, searchTree, value, best, bestCost, done, returned, result, solved, shared }
+//           populationStats holds the per-generation stats of population algorithms, one per step;
+//           temperatures the annealing temperature of each step; searchTree the search-tree events
+//           of constructive searches ({ ...tree, note, state }, see search-tree.js)
+//   error   { runId, message }
+//   benchmarkProgress { benchmarkId, progress }
+//   benchmarkResults  { benchmarkId, results }
+//
+// Batches are only posted after the previous one was acknowledged, so a fast algorithm in turbo
+// mode coalesces thousands of steps into one message per rendered frame instead of flooding the UI.
+
+import { Algorithms } from './algorithms.js';
+import { isConstructiveAlgorithm } from './constructive-algorithms.js';
+import { BenchmarkRunner } from './benchmark.js';
+import { PROBLEM_REGISTRY } from './problems/index.js';
+import { SnapshotEncoder, SnapshotDecoder } from './serialization.js';
+
+// How long one turbo slice may run before yielding back to the worker's message loop
+const TURBO_SLICE_MS = 25;
+
+// Search-tree events recorded per run; every event carries a state snapshot, so deep searches stop
+// recording here and the panel shows the tree explored so far
+const SEARCH_TREE_LIMIT = 2000;
+
+// Algorithms that build their own population and ignore the start state
+const POPULATION_ALGORITHMS = ['geneticAlgorithm', 'localBeamSearch'];
+
+// Auto-stop once a solution is reached. Tetris is an optimization problem: every complete
+// packing is a "solution", so it only stops at a perfect packing.
+const isGoal = (problem, state) => problem.isSolution(state) && (problem.id !== 'tetris' || state.cost === 0);
+
+export function createEngine(post, options = {}) {
+    const problems = options.problems || PROBLEM_REGISTRY;
+    const schedule = options.schedule || ((fn, ms) => setTimeout(fn, ms));
+    const cancelSchedule = options.cancelSchedule || ((id) => clearTimeout(id));
+    const now = options.now || (() => performance.now());
+
+    let run = null;
+    let benchmark = null;
+
+    const emptyPending = () => ({ costs: [], populationStats: [], temperatures: [], searchTree: [], last: null, best: null, done: false, returned: false, result: undefined, solved: false });
+
+    const stopTimer = () => {
+        if (run && run.timer !== null) {
+            cancelSchedule(run.timer);
+            run.timer = null;
+        }
+    };
+
+    // Advance the generator by one yield, folding the result into the pending batch.
+    // Returns false once the run is over.
+    const advance = () => {
+        const { problem, pending } = run;
+        const res = run.gen.next();
+
+        if (res.done) {
+            pending.done = true;
+            pending.returned = true;
+            pending.result = res.value;
+            return false;
+        }
+
+        const value = res.value;
+        if (!value) return true;
+        pending.last = value;
+
+        const state = value.state;
+        if (!state) {
+            // Constructive searches yield a null state when exhausted
+            pending.done = true;
+            return false;
+        }
+
+        pending.costs.push(state.cost);
+        if (value.populationStats) pending.populationStats.push(value.populationStats);
+        if (value.temperature !== undefined) pending.temperatures.push(value.temperature);
+        if (value.tree) recordTreeEvent(value);
+
+        // Track the best complete state across the whole run
+        if (!state.isPartial || problem.isSolution(state)) {
+            if (state.cost < run.bestCost) {
+                run.bestCost = state.cost;
+                pending.best = state;
+            }
+        }
+
+        if (isGoal(problem, state)) {
+            // The run ends here, before the generator's own 'solution' event
+            if (value.tree && value.tree.kind !== 'solution') recordTreeEvent({ ...value, tree: { ...value.tree, kind: 'solution' } });
+            pending.done = true;
+            pending.solved = true;
+            return false;
+        }
+        return true;
+    };
+
+    const recordTreeEvent = (value) => {
+        if (run.treeEvents > SEARCH_TREE_LIMIT) return;
+        run.treeEvents++;
+        if (run.treeEvents > SEARCH_TREE_LIMIT) {
+            run.pending.searchTree.push({ kind: 'limit', limit: SEARCH_TREE_LIMIT });
+            return;
+        }
+        run.pending.searchTree.push({ ...value.tree, note: value.note, state: run.encoder.encodeState(value.state) });
+    };
+
+    const flush = () => {
+        if (!run || run.awaitingAck) return;
+        const { pending, encoder } = run;
+        if (!pending.done && pending.costs.length === 0 && !pending.last) return;
+
+        // Encode everything before collecting shared data so new shared objects ride along
+        const message = {
+            type: 'batch',
+            runId: run.id,
+            costs: pending.costs,
+            populationStats: pending.populationStats,
+            temperatures: pending.temperatures,
+            searchTree: pending.searchTree,
+            value: encoder.encodeValue(pending.last),
+            best: encoder.encodeState(pending.best),
+            bestCost: run.bestCost,
+            done: pending.done,
+            returned: pending.returned,
+            result: encoder.encodeValue(pending.result),
+            solved: pending.solved,
+        };
+        message.shared = encoder.takeShared();
+
+        run.pending = emptyPending();
+        run.awaitingAck = true;
+        if (pending.done) run.finished = true;
+        post(message);
+    };
+
+    // Run the generator, converting exceptions into an error message that ends the run
+    const safely = (fn) => {
+        try {
+            return fn();
+        } catch (e) {
+            const id = run ? run.id : null;
+            stopTimer();
+            run = null;
+            post({ type: 'error', runId: id, message: e && e.message ? e.message : String(e) });
+            return false;
+        }
+    };
+
+    const tick = () => {
+        if (!run) return;
+        run.timer = null;
+        if (!run.playing || run.finished || run.pending.done) return;
+
+        const alive = safely(() => {
+            if (run.turbo) {
+                const deadline = now() + TURBO_SLICE_MS;
+                while (advance()) {
+                    if (now() >= deadline) break;
+                }
+                return !run.pending.done;
+            }
+            return advance();
+        });
+        if (!run) return;
+
+        flush();
+        if (alive && run.playing) {
+            run.timer = schedule(tick, run.turbo ? 0 : run.speed);
+        } else {
+            run.playing = false;
+        }
+    };
+
+    const start = (msg) => {
+        stopTimer();
+        run = null;
+
+        const problem = problems[msg.problemId];
+        const algorithmFn = Algorithms[msg.algorithm];
+        if (!problem || !algorithmFn) {
+            post({ type: 'error', runId: msg.runId, message: `Unknown ${problem ? 'algorithm' : 'problem'}: ${problem ? msg.algorithm : msg.problemId}` });
+            return;
+        }
+
+        const decoder = new SnapshotDecoder(problem);
+        decoder.addShared(msg.shared);
+        let current = decoder.decodeState(msg.initialState);
+        const params = { ...msg.params };
+        const encoder = new SnapshotEncoder();
+
+        // Local search needs a complete start state: replace an empty/partial board with a random one
+        if (!isConstructiveAlgorithm(msg.algorithm) && current && current.isPartial) {
+            current = problem.randomState(params);
+            const state = encoder.encodeState(current);
+            post({ type: 'started', runId: msg.runId, state, shared: encoder.takeShared() });
+        }
+
+        const gen = POPULATION_ALGORITHMS.includes(msg.algorithm)
+            ? algorithmFn(null, params, problem)
+            : algorithmFn(current, params, problem);
+
+        run = {
+            id: msg.runId,
+            problem,
+            gen,
+            encoder,
+            pending: emptyPending(),
+            bestCost: Infinity,
+            treeEvents: 0,
+            playing: false,
+            turbo: false,
+            speed: 100,
+            timer: null,
+            awaitingAck: false,
+            finished: false,
+        };
+    };
+
+    const runBenchmark = (msg) => {
+        if (benchmark) benchmark.cancel();
+
+        // Instance params (cities, puzzle, graph...) were already extracted on the UI side
+        const runner = new BenchmarkRunner(problems[msg.problemId], msg.params);
+        benchmark = runner;
+        runner.run((progress) => {
+            post({ type: 'benchmarkProgress', benchmarkId: msg.benchmarkId, progress });
+        }).then((results) => {
+            if (benchmark === runner) benchmark = null;
+            post({ type: 'benchmarkResults', benchmarkId: msg.benchmarkId, results });
+        }).catch((e) => {
+            if (benchmark === runner) benchmark = null;
+            post({ type: 'benchmarkResults', benchmarkId: msg.benchmarkId, results: null, error: e.message });
+        });
+    };
+
+    const handleMessage = (msg) => {
+        switch (msg.type) {
+            case 'start':
+                start(msg);
+                break;
+            case 'play':
+                if (!run || run.finished) return;
+                stopTimer();
+                run.playing = true;
+                run.turbo = !!msg.turbo;
+                run.speed = msg.speed ?? run.speed;
+                tick();
+                break;
+            case 'pause':
+                if (!run) return;
+                run.playing = false;
+                stopTimer();
+                break;
+            case 'step':
+                if (!run || run.finished || run.pending.done) return;
+                safely(advance);
+                flush();
+                break;
+            case 'cancel':
+                stopTimer();
+                run = null;
+                break;
+            case 'ack':
+                if (!run || run.id !== msg.runId) return;
+                run.awaitingAck = false;
+                flush();
+                break;
+            case 'benchmark':
+                runBenchmark(msg);
+                break;
+            case 'cancelBenchmark':
+                if (benchmark) benchmark.cancel();
+                benchmark = null;
+                break;
+            default:
+                break;
+        }
+    };
+
+    return { handleMessage };
+}
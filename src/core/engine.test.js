@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { createEngine } from './engine.js';
+import { SnapshotEncoder, SnapshotDecoder } from './serialization.js';
+import { NQueensProblem } from './problems/n-queens.js';
+import { assembleSearchTree } from './search-tree.js';
+
+// Engine wired to a manual scheduler so tests control time
+const setup = () => {
+    const messages = [];
+    const timers = [];
+    let clock = 0;
+    const engine = createEngine((msg) => messages.push(structuredClone(msg)), {
+        schedule: (fn) => { timers.push(fn); return timers.length; },
+        cancelSchedule: (id) => { timers[id - 1] = null; },
+        now: () => clock++,
+    });
+    const runTimers = (max = 1000) => {
+        for (let i = 0; i < max && timers.some(Boolean); i++) {
+            const idx = timers.findIndex(Boolean);
+            const fn = timers[idx];
+            timers[idx] = null;
+            fn();
+        }
+    };
+    return { engine, messages, runTimers };
+};
+
+const startMessage = (runId, algorithm, state, params = {}) => {
+    const encoder = new SnapshotEncoder();
+    const initialState = encoder.encodeState(state);
+    return { type: 'start', runId, problemId: NQueensProblem.id, algorithm, params: { size: 6, ...params }, initialState, shared: encoder.takeShared() };
+};
+
+const batches = (messages) => messages.filter(m => m.type === 'batch');
+
+describe('Execution Engine', () => {
+    it('should advance one yield per step', () => {
+        const { engine, messages } = setup();
+        const state = NQueensProblem.randomState({ size: 6, seed: 1 });
+        engine.handleMessage(startMessage(1, 'hillClimbing', state, { seed: 1 }));
+        engine.handleMessage({ type: 'step' });
+
+        const [batch] = batches(messages);
+        expect(batch.runId).toBe(1);
+        expect(batch.costs).toHaveLength(1);
+        expect(batch.value.note).toBe('Initial State');
+
+        const decoded = new SnapshotDecoder(NQueensProblem).decodeValue(batch.value);
+        expect(decoded.state.queens).toEqual(state.queens);
+    });
+
+    it('should generate a random start state when local search gets an empty board', () => {
+        const { engine, messages } = setup();
+        engine.handleMessage(startMessage(1, 'simulatedAnnealing', NQueensProblem.emptyState({ size: 6 })));
+
+        const started = messages.find(m => m.type === 'started');
+        expect(started).toBeDefined();
+        const state = new SnapshotDecoder(NQueensProblem).decodeState(started.state);
+        expect(state.isPartial).toBe(false);
+    });
+
+    it('should hold batches until the previous one is acknowledged', () => {
+        const { engine, messages } = setup();
+        engine.handleMessage(startMessage(1, 'simulatedAnnealing', NQueensProblem.randomState({ size: 8, seed: 2 }), { seed: 2, initialTemp: 1000, coolingRate: 0.99 }));
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'step' });
+        expect(batches(messages)).toHaveLength(1);
+
+        engine.handleMessage({ type: 'ack', runId: 1 });
+        const all = batches(messages);
+        expect(all).toHaveLength(2);
+        // The held steps are coalesced into one batch
+        expect(all[1].costs).toHaveLength(2);
+    });
+
+    it('should keep the population stats of every coalesced generation', () => {
+        const { engine, messages } = setup();
+        engine.handleMessage(startMessage(1, 'geneticAlgorithm', NQueensProblem.emptyState({ size: 8 }), { size: 8, seed: 3, startingPopulationSize: 10 }));
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'ack', runId: 1 });
+
+        const all = batches(messages);
+        expect(all.map(b => b.populationStats.length)).toEqual([1, 2]);
+        expect(all[1].populationStats[1].size).toBe(10);
+        expect(all[1].temperatures).toEqual([]);
+    });
+
+    it('should send the annealing temperature of every step', () => {
+        const { engine, messages } = setup();
+        engine.handleMessage(startMessage(1, 'simulatedAnnealing', NQueensProblem.randomState({ size: 8, seed: 4 }), { seed: 4, initialTemp: 100, coolingRate: 0.5 }));
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'step' });
+        engine.handleMessage({ type: 'ack', runId: 1 });
+
+        expect(batches(messages).flatMap(b => b.temperatures)).toEqual([100, 100, 50]);
+    });
+
+    it('should run to a solution in turbo mode and report completion', () => {
+        const { engine, messages, runTimers } = setup();
+        engine.handleMessage(startMessage(1, 'backtracking', NQueensProblem.emptyState({ size: 6 }), { maxIterations: 10000 }));
+        engine.handleMessage({ type: 'play', turbo: true });
+
+        for (let i = 0; i < 1000; i++) {
+            const last = batches(messages).at(-1);
+            if (last && last.done) break;
+            engine.handleMessage({ type: 'ack', runId: 1 });
+            runTimers(1);
+        }
+
+        const last = batches(messages).at(-1);
+        expect(last.done).toBe(true);
+        expect(last.solved).toBe(true);
+        const decoded = new SnapshotDecoder(NQueensProblem).decodeValue(last.value);
+        expect(NQueensProblem.isSolution(decoded.state)).toBe(true);
+    });
+
+    it('should record the search tree of constructive searches', () => {
+        const { engine, messages, runTimers } = setup();
+        engine.handleMessage(startMessage(1, 'backtracking', NQueensProblem.emptyState({ size: 6 }), { maxIterations: 10000 }));
+        engine.handleMessage({ type: 'play', turbo: true });
+        for (let i = 0; i < 100 && !batches(messages).at(-1)?.done; i++) {
+            engine.handleMessage({ type: 'ack', runId: 1 });
+            runTimers(1);
+        }
+
+        const events = batches(messages).flatMap(b => b.searchTree);
+        const tree = assembleSearchTree(events);
+        expect(tree.root.parent).toBe(null);
+        expect(tree.solutionId).not.toBe(null);
+
+        // The solution path runs from the root to a full board
+        const path = [...tree.nodes.values()].filter(n => n.onSolutionPath);
+        expect(path).toHaveLength(7);
+        const decoder = new SnapshotDecoder(NQueensProblem);
+        expect(NQueensProblem.isSolution(decoder.decodeState(tree.nodes.get(tree.solutionId).state))).toBe(true);
+
+        const pruned = [...tree.nodes.values()].filter(n => n.kind === 'pruned');
+        expect(pruned.length).toBeGreaterThan(0);
+        expect(pruned.every(n => n.reason === 'Constraint violated')).toBe(true);
+        expect([...tree.nodes.values()].some(n => n.backtrackPoint)).toBe(true);
+    });
+
+    it('should stop recording the search tree at the limit', () => {
+        const { engine, messages, runTimers } = setup();
+        engine.handleMessage(startMessage(1, 'bfs', NQueensProblem.emptyState({ size: 8 }), { size: 8, maxIterations: 2500 }));
+        engine.handleMessage({ type: 'play', turbo: true });
+        for (let i = 0; i < 1000 && !batches(messages).at(-1)?.done; i++) {
+            engine.handleMessage({ type: 'ack', runId: 1 });
+            runTimers(1);
+        }
+
+        const events = batches(messages).flatMap(b => b.searchTree);
+        expect(events).toHaveLength(2001);
+        expect(events.at(-1).kind).toBe('limit');
+        expect(assembleSearchTree(events).truncated).toBe(true);
+    });
+
+    it('should stop posting after pause and ignore acks for other runs', () => {
+        const { engine, messages, runTimers } = setup();
+        engine.handleMessage(startMessage(1, 'simulatedAnnealing', NQueensProblem.randomState({ size: 8, seed: 3 }), { seed: 3, initialTemp: 1000, coolingRate: 0.999 }));
+        engine.handleMessage({ type: 'play', turbo: false, speed: 10 });
+        engine.handleMessage({ type: 'pause' });
+        runTimers();
+        const count = batches(messages).length;
+
+        engine.handleMessage({ type: 'ack', runId: 99 });
+        runTimers();
+        expect(batches(messages)).toHaveLength(count);
+    });
+
+    it('should drop the run on cancel', () => {
+        const { engine, messages } = setup();
+        engine.handleMessage(startMessage(1, 'hillClimbing', NQueensProblem.randomState({ size: 6, seed: 4 })));
+        engine.handleMessage({ type: 'cancel' });
+        engine.handleMessage({ type: 'step' });
+        expect(batches(messages)).toHaveLength(0);
+    });
+
+    it('should report unknown algorithms as errors', () => {
+        const { engine, messages } = setup();
+        engine.handleMessage(startMessage(5, 'noSuchAlgorithm', NQueensProblem.emptyState({ size: 4 })));
+        expect(messages).toEqual([{ type: 'error', runId: 5, message: 'Unknown algorithm: noSuchAlgorithm' }]);
+    });
+});
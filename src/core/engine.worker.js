@@ -0,0 +1,6 @@
+// Web Worker entry point: hosts one execution engine per worker
+import { createEngine } from './engine.js';
+
+const engine = createEngine((msg) => self.postMessage(msg));
+
+self.onmessage = (e) => engine.handleMessage(e.data);
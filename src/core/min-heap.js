@@ -0,0 +1,60 @@
+// Binary min-heap keyed by a list of numbers compared lexicographically, e.g. [f, h].
+// Equal keys pop in insertion order, so searches stay deterministic.
+export class MinHeap {
+    constructor() {
+        this.items = [];
+        this.counter = 0;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, key) {
+        this.items.push({ value, key, order: this.counter++ });
+        this.siftUp(this.items.length - 1);
+    }
+
+    pop() {
+        const items = this.items;
+        if (items.length === 0) return undefined;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            this.siftDown(0);
+        }
+        return top.value;
+    }
+
+    less(a, b) {
+        for (let i = 0; i < a.key.length; i++) {
+            if (a.key[i] !== b.key[i]) return a.key[i] < b.key[i];
+        }
+        return a.order < b.order;
+    }
+
+    siftUp(i) {
+        const items = this.items;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    siftDown(i) {
+        const items = this.items;
+        while (true) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < items.length && this.less(items[left], items[smallest])) smallest = left;
+            if (right < items.length && this.less(items[right], items[smallest])) smallest = right;
+            if (smallest === i) break;
+            [items[i], items[smallest]] = [items[smallest], items[i]];
+            i = smallest;
+        }
+    }
+}
@@ -5,6 +5,7 @@ import { MapColoringProblem } from './problems/map-coloring';
 import { TetrisPackingProblem } from './problems/tetris-packing';
 import { TSPProblem } from './problems/tsp';
 import { Algorithms } from './algorithms';
+import { createRng } from './random';
 
 describe('Problems: Unit Tests', () => {
     describe('N-Queens', () => {
@@ -108,6 +109,57 @@ describe('Problems: Unit Tests', () => {
     });
 });
 
+describe('Local Search Move Contract', () => {
+    // Every move's delta against a full recount of the state it builds (clone() drops the caches)
+    const moveCases = [
+        { name: 'N-Queens', problem: NQueensProblem, params: { size: 8, seed: 1 } },
+        { name: 'TSP (swap)', problem: TSPProblem, params: { size: 8, seed: 2 } },
+        { name: 'TSP (3-opt)', problem: TSPProblem, params: { size: 8, neighborhood: '3opt', seed: 3 } },
+        { name: 'Map Coloring', problem: MapColoringProblem, params: { graphType: 'random', size: 12, numColors: 3, seed: 4 } },
+        { name: 'Map Coloring (min colors)', problem: MapColoringProblem, params: { graphType: 'us', objective: 'minimizeColors', seed: 9 } },
+        { name: 'Sudoku (cells)', problem: SudokuProblem, params: { size: 4, seed: 5 } },
+        { name: 'Sudoku (box)', problem: SudokuProblem, params: { size: 9, encoding: 'box', seed: 6 } },
+        { name: 'Sudoku (row)', problem: SudokuProblem, params: { size: 6, encoding: 'row', seed: 7 } }
+    ];
+
+    moveCases.forEach(({ name, problem, params }) => {
+        it(`${name}: deltas match a full recomputation`, () => {
+            const state = problem.randomState(params);
+            const moves = problem.enumerateMoves(state);
+            expect(moves.length).toBe(state.getNeighbors().length);
+            for (const move of moves) {
+                const delta = problem.moveDelta(state, move);
+                const next = problem.applyNeighborMove(state, move);
+                expect(state.cost + delta).toBeCloseTo(next.clone().cost, 9);
+                expect(next.cost).toBeCloseTo(next.clone().cost, 9);
+            }
+        });
+
+        it(`${name}: random moves are priced the same way`, () => {
+            const state = problem.randomState(params);
+            const rng = createRng(11);
+            for (let i = 0; i < 50; i++) {
+                const move = problem.randomMove(state, rng);
+                const next = problem.applyNeighborMove(state, move);
+                expect(state.cost + problem.moveDelta(state, move)).toBeCloseTo(next.clone().cost, 9);
+            }
+        });
+    });
+
+    it('Sudoku: deltas stay exact on grids with empty cells', () => {
+        const state = SudokuProblem.randomState({ size: 4, seed: 8 });
+        const free = [];
+        state.grid.forEach((row, r) => row.forEach((_, c) => { if (!state.fixed[r][c]) free.push({ r, c }); }));
+        state.grid[free[0].r][free[0].c] = 0;
+        state.grid[free[1].r][free[1].c] = 0;
+        state.cachedCost = null;
+        for (const move of SudokuProblem.enumerateMoves(state)) {
+            const next = SudokuProblem.applyNeighborMove(state, move);
+            expect(state.cost + SudokuProblem.moveDelta(state, move)).toBe(next.clone().cost);
+        }
+    });
+});
+
 describe('Integration Tests: Algorithm Compatibility', () => {
     const testCases = [
         { name: 'N-Queens', problem: NQueensProblem, params: { size: 4 } },
@@ -1,3 +1,5 @@
+import { getRng } from '../random.js';
+
 export class ASTNode {
     constructor(type, left = null, right = null, value = null) {
         this.type = type; // 'AND', 'OR', 'NOT', 'VAR'
@@ -152,17 +154,100 @@ export function countFalseClauses(node, assignments) {
     return { falseCount, unknownCount, total: clauses.length };
 }
 
+// --- Clause lists (DIMACS CNF) ---
+// Imported formulas skip the AST: `clauses` holds arrays of signed 1-based indices into
+// `variables` (DIMACS literals). Everything here is iterative, so thousands of clauses are fine.
+
+const literalValue = (literal, variables, assignments) => {
+    const val = assignments[variables[Math.abs(literal) - 1]];
+    if (val === null || val === undefined) return null;
+    return literal > 0 ? val : !val;
+};
+
+// Three-value evaluation of one clause
+export function evaluateClause(clause, variables, assignments) {
+    let unknown = false;
+    for (const literal of clause) {
+        const val = literalValue(literal, variables, assignments);
+        if (val === true) return true;
+        if (val === null) unknown = true;
+    }
+    return unknown ? null : false;
+}
+
+export function countFalseClauseList(clauses, variables, assignments) {
+    let falseCount = 0;
+    let unknownCount = 0;
+    for (const clause of clauses) {
+        const val = evaluateClause(clause, variables, assignments);
+        if (val === false) falseCount++;
+        else if (val === null) unknownCount++;
+    }
+    return { falseCount, unknownCount, total: clauses.length };
+}
+
+// Convert a CNF-shaped AST (AND of ORs of literals) into a clause list over `variables`.
+// Returns null if the expression is not in CNF. Uses explicit stacks rather than recursion.
+export function astToClauses(ast, variables) {
+    const index = new Map(variables.map((v, i) => [v, i + 1]));
+    const literalOf = (node) => {
+        if (node.type === 'VAR') return index.get(node.value) ?? null;
+        if (node.type === 'NOT' && node.left && node.left.type === 'VAR') {
+            const i = index.get(node.left.value);
+            return i === undefined ? null : -i;
+        }
+        return null;
+    };
+
+    const clauses = [];
+    const conjuncts = ast ? [ast] : [];
+    while (conjuncts.length > 0) {
+        const node = conjuncts.pop();
+        if (node.type === 'AND') {
+            conjuncts.push(node.right, node.left);
+            continue;
+        }
+        const clause = [];
+        const disjuncts = [node];
+        while (disjuncts.length > 0) {
+            const d = disjuncts.pop();
+            if (d.type === 'OR') {
+                disjuncts.push(d.right, d.left);
+                continue;
+            }
+            const literal = literalOf(d);
+            if (literal === null) return null;
+            clause.push(literal);
+        }
+        clauses.push(clause);
+    }
+    return clauses;
+}
+
 export class BooleanSatState {
-    constructor(variables, assignments, ast = null, domains = null) {
+    constructor(variables, assignments, ast = null, domains = null, clauses = null) {
         // variables is an array of strings (the variable names)
         this.variables = variables;
         // assignments is an object: { 'A': true, 'B': false, 'C': null }
         this.assignments = { ...assignments };
         this.ast = ast; // Not mutable, kept by state to avoid re-parsing
         this.domains = domains;
+        this.clauses = clauses; // Clause list for DIMACS formulas (then ast is null)
         this.cachedCost = null;
     }
 
+    // Three-value evaluation of the whole formula (true / false / null = undecided)
+    evaluate(assignments = this.assignments) {
+        if (!this.clauses) return evaluateAST(this.ast, assignments);
+        let unknown = false;
+        for (const clause of this.clauses) {
+            const val = evaluateClause(clause, this.variables, assignments);
+            if (val === false) return false;
+            if (val === null) unknown = true;
+        }
+        return unknown ? null : true;
+    }
+
     get placedCount() {
         let count = 0;
         for (const v of this.variables) {
@@ -175,14 +260,21 @@ export class BooleanSatState {
         return this.placedCount < this.variables.length;
     }
 
+    // Clauses (top-level AND terms) the assigned variables already make false
+    get falseClauses() {
+        if (!this.ast && !this.clauses) return 0;
+        const { falseCount } = this.clauses
+            ? countFalseClauseList(this.clauses, this.variables, this.assignments)
+            : countFalseClauses(this.ast, this.assignments);
+        return falseCount;
+    }
+
     get cost() {
         if (this.cachedCost !== null) return this.cachedCost;
-        if (!this.ast) return 0;
-        
-        const { falseCount, unknownCount } = countFalseClauses(this.ast, this.assignments);
+        if (!this.ast && !this.clauses) return 0;
         
         // Add huge penalty for being partial (unassigned variables)
-        let totalCost = falseCount;
+        let totalCost = this.falseClauses;
         if (this.isPartial) {
             totalCost += (this.variables.length - this.placedCount) * 1000;
         }
@@ -197,16 +289,16 @@ export class BooleanSatState {
             const nextAssignments = { ...this.assignments };
             // Flip true <-> false (if null, assign true)
             nextAssignments[v] = nextAssignments[v] === true ? false : true;
-            neighbors.push(new BooleanSatState(this.variables, nextAssignments, this.ast));
+            neighbors.push(new BooleanSatState(this.variables, nextAssignments, this.ast, null, this.clauses));
         }
         return neighbors;
     }
 
-    getRandomNeighbor() {
-        const v = this.variables[Math.floor(Math.random() * this.variables.length)];
+    getRandomNeighbor(rng = Math.random) {
+        const v = this.variables[Math.floor(rng() * this.variables.length)];
         const nextAssignments = { ...this.assignments };
         nextAssignments[v] = nextAssignments[v] === true ? false : true;
-        return new BooleanSatState(this.variables, nextAssignments, this.ast);
+        return new BooleanSatState(this.variables, nextAssignments, this.ast, null, this.clauses);
     }
 
     clone() {
@@ -217,12 +309,29 @@ export class BooleanSatState {
                 if (this.domains[v]) newDomains[v] = [...this.domains[v]];
             }
         }
-        return new BooleanSatState(this.variables, this.assignments, this.ast, newDomains);
+        return new BooleanSatState(this.variables, this.assignments, this.ast, newDomains, this.clauses);
+    }
+
+    // --- Serialization (Web Worker snapshots) ---
+    // The parsed AST (or clause list) is shared by every state of a formula, so it is sent once.
+    // Structured cloning drops the ASTNode prototype, which is fine: nodes are only read by field.
+    getSharedData() {
+        return this.clauses || this.ast;
+    }
+
+    serialize() {
+        return { variables: this.variables, assignments: this.assignments, domains: this.domains, isClauseList: !!this.clauses };
+    }
+
+    static deserialize(data, formula) {
+        return data.isClauseList
+            ? new BooleanSatState(data.variables, data.assignments, null, data.domains, formula)
+            : new BooleanSatState(data.variables, data.assignments, formula, data.domains);
     }
 }
 
 // Generate random 3-SAT problem
-function generateRandom3Sat(numVars, numClauses) {
+function generateRandom3Sat(numVars, numClauses, rng = Math.random) {
     const vars = Array.from({ length: numVars }, (_, i) => String.fromCharCode(65 + i));
     const clauses = [];
     
@@ -233,12 +342,12 @@ function generateRandom3Sat(numVars, numClauses) {
         // Pick 3 unique vars for this clause
         for (let i = 0; i < 3; i++) {
             if (availableVars.length === 0) break;
-            const idx = Math.floor(Math.random() * availableVars.length);
+            const idx = Math.floor(rng() * availableVars.length);
             clauseVars.push(availableVars[idx]);
             availableVars.splice(idx, 1);
         }
         
-        let clauseStr = "(" + clauseVars.map(v => (Math.random() > 0.5 ? '~' : '') + v).join(' v ') + ")";
+        let clauseStr = "(" + clauseVars.map(v => (rng() > 0.5 ? '~' : '') + v).join(' v ') + ")";
         clauses.push(clauseStr);
     }
     
@@ -253,10 +362,11 @@ let lastVars = [];
 export const BooleanSatProblem = {
     id: 'boolean-sat',
     name: 'Boolean Satisfiability',
+    StateClass: BooleanSatState,
     description: 'Find a truth assignment for boolean variables such that the expression evaluates to True.',
 
     defaultParams: {
-        mode: 'random',
+        mode: 'random', // 'random' | 'custom' | 'dimacs' (then `cnf` holds the imported formula)
         numVariables: 5,
         numClauses: 10,
         customExpression: 'A ^ (~B v C)'
@@ -269,88 +379,110 @@ export const BooleanSatProblem = {
         } else {
             // Need a deterministic way or consistent way to regenerate random state
             // If random, we generate random 3-SAT based on params
-            return generateRandom3Sat(params.numVariables, params.numClauses);
+            return generateRandom3Sat(params.numVariables, params.numClauses, getRng(params));
         }
     },
 
-    // Factory method
-    randomState: (params) => {
+    // Resolve params to a formula: an imported DIMACS clause list, or an infix expression (parsed once and cached)
+    _loadFormula: (params) => {
+        if (params.mode === 'dimacs' && params.cnf) {
+            return { vars: params.cnf.variables, ast: null, clauses: params.cnf.clauses };
+        }
+
         const expr = params.expression || BooleanSatProblem._getExpression(params);
-        let ast = lastAST;
-        let vars = lastVars;
-        
         if (expr !== lastExpression) {
             const tokens = tokenize(expr);
             const varSet = new Set();
-            ast = parse(tokens, varSet);
-            vars = Array.from(varSet).sort();
-            
+            lastAST = parse(tokens, varSet);
+            lastVars = Array.from(varSet).sort();
             lastExpression = expr;
-            lastAST = ast;
-            lastVars = vars;
         }
+        return { vars: lastVars, ast: lastAST, clauses: null };
+    },
+
+    // Factory method
+    randomState: (params) => {
+        const rng = getRng(params);
+        const { vars, ast, clauses } = BooleanSatProblem._loadFormula({ ...params, rng });
         
         // Random assignments
         const assignments = {};
         for (const v of vars) {
-            assignments[v] = Math.random() > 0.5;
+            assignments[v] = rng() > 0.5;
         }
         
-        return new BooleanSatState(vars, assignments, ast);
+        return new BooleanSatState(vars, assignments, ast, null, clauses);
     },
 
     emptyState: (params) => {
-        const expr = params.expression || BooleanSatProblem._getExpression(params);
-        let ast = lastAST;
-        let vars = lastVars;
-        
-        if (expr !== lastExpression) {
-            const tokens = tokenize(expr);
-            const varSet = new Set();
-            ast = parse(tokens, varSet);
-            vars = Array.from(varSet).sort();
-            
-            lastExpression = expr;
-            lastAST = ast;
-            lastVars = vars;
-        }
+        const { vars, ast, clauses } = BooleanSatProblem._loadFormula(params);
         
         const assignments = {};
         for (const v of vars) {
             assignments[v] = null;
         }
         
-        return new BooleanSatState(vars, assignments, ast);
+        return new BooleanSatState(vars, assignments, ast, null, clauses);
     },
     
     // Extractor used by benchmark & generic execution runner
     extractInstanceParams: (state) => {
+        if (state.clauses) {
+            return { cnf: { variables: state.variables, clauses: state.clauses }, numVariables: state.variables.length };
+        }
         return { expression: lastExpression, numVariables: state.variables.length };
     },
 
-    isSolution: (state) => !state.isPartial && evaluateAST(state.ast, state.assignments) === true,
+    isSolution: (state) => !state.isPartial && state.evaluate() === true,
+
+    // BFS/DFS and informed search: set the first unassigned variable, true before false
+    getSuccessors: (state) => {
+        const variable = BooleanSatProblem.selectUnassignedVariable(state);
+        if (variable === null) return [];
+        return [true, false].map(value => BooleanSatProblem.applyMove(state, variable, value, null));
+    },
+
+    // Informed search: setting a variable costs 1 plus the clauses it makes false. The heuristic counts
+    // the unassigned variables, so A* expands satisfying assignments (cost n) before any that break a clause.
+    stepCost: (from, to) => 1 + to.falseClauses - from.falseClauses,
+
+    heuristic: (state) => state.variables.length - state.placedCount,
+
+    // Tabu Search: a move flips one variable; flipping it back is the same move
+    getMoveSignature: (from, to) => {
+        const variable = to.variables.find(v => from.assignments[v] !== to.assignments[v]);
+        return variable === undefined ? null : { variable };
+    },
 
     crossover: (parents, params) => {
         // Uniform crossover
+        const rng = getRng(params);
         const p1 = parents[0];
         const p2 = parents[1];
         const childAssignments = {};
         
         for (const v of p1.variables) {
-            childAssignments[v] = Math.random() > 0.5 ? p1.assignments[v] : p2.assignments[v];
+            childAssignments[v] = rng() > 0.5 ? p1.assignments[v] : p2.assignments[v];
         }
         
-        return new BooleanSatState(p1.variables, childAssignments, p1.ast);
+        return new BooleanSatState(p1.variables, childAssignments, p1.ast, null, p1.clauses);
     },
 
     mutate: (state, rate, params) => {
+        const rng = getRng(params);
         for (const v of state.variables) {
-            if (Math.random() < rate) {
+            if (rng() < rate) {
                 state.assignments[v] = state.assignments[v] === true ? false : true;
                 state.cachedCost = null;
             }
         }
     },
+
+    // GA niching / diversity: share of variables assigned differently (0..1)
+    distance: (a, b) => {
+        const differ = a.variables.filter(v => a.assignments[v] !== b.assignments[v]).length;
+        return a.variables.length > 0 ? differ / a.variables.length : 0;
+    },
     
     // Used for optimal cost UI (always 0 for SAT if satisfiable, we assume 0)
     estimatedOptimalCost: () => 0,
@@ -425,9 +557,26 @@ export const BooleanSatProblem = {
     applyMove: (state, variable, value, newDomains) => {
         const nextAssignments = { ...state.assignments };
         nextAssignments[variable] = value;
-        return new BooleanSatState(state.variables, nextAssignments, state.ast, newDomains);
+        return new BooleanSatState(state.variables, nextAssignments, state.ast, newDomains, state.clauses);
     },
 
+    // Min-Conflicts: the variables of the false clauses (every variable when the formula is not
+    // in CNF), and the false clauses left with `variable` set to `value`
+    getVariableValue: (state, variable) => state.assignments[variable],
+
+    getConflictedVariables: (state) => {
+        const clauses = state.clauses || astToClauses(state.ast, state.variables);
+        if (!clauses) return state.evaluate() === false ? [...state.variables] : [];
+        const conflicted = new Set();
+        for (const clause of clauses) {
+            if (evaluateClause(clause, state.variables, state.assignments) !== false) continue;
+            for (const literal of clause) conflicted.add(state.variables[Math.abs(literal) - 1]);
+        }
+        return [...conflicted];
+    },
+
+    countConflicts: (state, variable, value) => BooleanSatProblem.applyMove(state, variable, value, null).cost,
+
     // Forward Checking Propagation
     propagate: (state, variable, value) => {
         // Assign value
@@ -442,7 +591,7 @@ export const BooleanSatProblem = {
         nextDomains[variable] = [value];
         
         // Check if the overall expression is already false due to this assignment
-        const evalRes = evaluateAST(state.ast, nextAssignments);
+        const evalRes = state.evaluate(nextAssignments);
         if (evalRes === false) {
             return { domains: nextDomains, success: false }; // Failed branch immediately
         }
@@ -0,0 +1,166 @@
+// Flat CNF Representation
+// Compact, clause-level view of a Boolean SAT formula for dedicated SAT local search (WalkSAT, GSAT).
+// Instead of re-evaluating the whole formula for every neighbor, SatCounters keeps per-clause
+// true-literal counts and per-variable break/make counts up to date as variables are flipped:
+//   break(v)  clauses that become unsatisfied if v is flipped (v holds their only true literal)
+//   make(v)   unsatisfied clauses that become satisfied if v is flipped
+// A flip only touches the clauses v occurs in, so it costs O(occurrences of v) instead of O(formula).
+import { astToClauses } from './boolean-sat.js';
+
+export class FlatCNF {
+    // clauses: arrays of signed 1-based variable indices (DIMACS literals)
+    constructor(numVars, clauses) {
+        this.numVars = numVars;
+
+        const starts = [0];
+        const literals = [];
+        const ids = [];
+        clauses.forEach((clause, id) => {
+            const unique = Array.from(new Set(clause));
+            // A clause holding x and ~x is always satisfied and never affects a flip
+            if (unique.some(l => unique.includes(-l))) return;
+            literals.push(...unique);
+            starts.push(literals.length);
+            ids.push(id);
+        });
+
+        this.numClauses = ids.length;
+        this.clauseStart = Int32Array.from(starts);
+        this.literals = Int32Array.from(literals);
+        this.clauseIds = Int32Array.from(ids); // Index of each clause in the source formula
+
+        // occurrences[litIndex(l)] = clauses containing literal l
+        const occurrences = Array.from({ length: 2 * numVars }, () => []);
+        for (let c = 0; c < this.numClauses; c++) {
+            for (let k = this.clauseStart[c]; k < this.clauseStart[c + 1]; k++) {
+                occurrences[litIndex(this.literals[k])].push(c);
+            }
+        }
+        this.occurrences = occurrences.map(list => Int32Array.from(list));
+    }
+
+    // Build from a BooleanSatState: DIMACS clause lists directly, infix expressions only if they are CNF
+    static fromState(state) {
+        if (!state || !state.variables) return null;
+        const clauses = state.clauses || (state.ast ? astToClauses(state.ast, state.variables) : null);
+        return clauses ? new FlatCNF(state.variables.length, clauses) : null;
+    }
+
+    // Signed 1-based literals of clause c (a view, not a copy)
+    clauseLiterals(c) {
+        return this.literals.subarray(this.clauseStart[c], this.clauseStart[c + 1]);
+    }
+
+    // 0-based variable indices of clause c
+    clauseVariables(c) {
+        const vars = [];
+        for (let k = this.clauseStart[c]; k < this.clauseStart[c + 1]; k++) vars.push(Math.abs(this.literals[k]) - 1);
+        return vars;
+    }
+}
+
+// Positive literal of variable v (1-based) -> 2(v-1), negative -> 2(v-1)+1
+const litIndex = (literal) => 2 * (Math.abs(literal) - 1) + (literal < 0 ? 1 : 0);
+
+export class SatCounters {
+    // values: truth value per 0-based variable
+    constructor(cnf, values) {
+        this.cnf = cnf;
+        this.values = Uint8Array.from(values, v => (v ? 1 : 0));
+        this.trueCount = new Int32Array(cnf.numClauses);
+        this.breakCount = new Int32Array(cnf.numVars);
+        this.makeCount = new Int32Array(cnf.numVars);
+        // Unsatisfied clauses as a dense list with positions, for O(1) add/remove/random pick
+        this.unsat = [];
+        this.unsatPos = new Int32Array(cnf.numClauses).fill(-1);
+
+        for (let c = 0; c < cnf.numClauses; c++) {
+            let count = 0;
+            let lastTrue = -1;
+            for (let k = cnf.clauseStart[c]; k < cnf.clauseStart[c + 1]; k++) {
+                if (this.isTrue(cnf.literals[k])) {
+                    count++;
+                    lastTrue = Math.abs(cnf.literals[k]) - 1;
+                }
+            }
+            this.trueCount[c] = count;
+            if (count === 0) {
+                this._addUnsat(c);
+                for (const u of cnf.clauseVariables(c)) this.makeCount[u]++;
+            } else if (count === 1) {
+                this.breakCount[lastTrue]++;
+            }
+        }
+    }
+
+    isTrue(literal) {
+        const value = this.values[Math.abs(literal) - 1] === 1;
+        return literal > 0 ? value : !value;
+    }
+
+    get numUnsat() {
+        return this.unsat.length;
+    }
+
+    // Net gain in satisfied clauses from flipping v
+    score(v) {
+        return this.makeCount[v] - this.breakCount[v];
+    }
+
+    // Flip 0-based variable v, updating true counts, break/make counts and the unsatisfied set
+    flip(v) {
+        const cnf = this.cnf;
+        const nowTrue = this.values[v] === 1 ? -(v + 1) : v + 1; // Literal of v that becomes true
+        this.values[v] ^= 1;
+
+        for (const c of cnf.occurrences[litIndex(nowTrue)]) {
+            const before = this.trueCount[c]++;
+            if (before === 0) {
+                // Satisfied again, with v as its only true literal
+                this._removeUnsat(c);
+                for (const u of cnf.clauseVariables(c)) this.makeCount[u]--;
+                this.breakCount[v]++;
+            } else if (before === 1) {
+                // The previous sole true literal no longer breaks this clause
+                this.breakCount[this._soleTrueVariable(c, v)]--;
+            }
+        }
+
+        for (const c of cnf.occurrences[litIndex(-nowTrue)]) {
+            const after = --this.trueCount[c];
+            if (after === 0) {
+                // v was the only true literal: the clause is now unsatisfied
+                this._addUnsat(c);
+                this.breakCount[v]--;
+                for (const u of cnf.clauseVariables(c)) this.makeCount[u]++;
+            } else if (after === 1) {
+                this.breakCount[this._soleTrueVariable(c, -1)]++;
+            }
+        }
+    }
+
+    // The variable holding the only true literal of clause c, ignoring variable `skip`
+    _soleTrueVariable(c, skip) {
+        const cnf = this.cnf;
+        for (let k = cnf.clauseStart[c]; k < cnf.clauseStart[c + 1]; k++) {
+            const u = Math.abs(cnf.literals[k]) - 1;
+            if (u !== skip && this.isTrue(cnf.literals[k])) return u;
+        }
+        return -1;
+    }
+
+    _addUnsat(c) {
+        this.unsatPos[c] = this.unsat.length;
+        this.unsat.push(c);
+    }
+
+    _removeUnsat(c) {
+        const pos = this.unsatPos[c];
+        const last = this.unsat.pop();
+        if (last !== c) {
+            this.unsat[pos] = last;
+            this.unsatPos[last] = pos;
+        }
+        this.unsatPos[c] = -1;
+    }
+}
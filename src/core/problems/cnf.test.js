@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { FlatCNF, SatCounters } from './cnf.js';
+import { BooleanSatProblem } from './boolean-sat.js';
+import { createRng } from '../random.js';
+
+// Recompute every counter from scratch for comparison
+const bruteForce = (clauses, values) => {
+    const n = values.length;
+    const isTrue = (l) => (l > 0 ? values[l - 1] : !values[-l - 1]);
+    const breaks = new Array(n).fill(0);
+    const makes = new Array(n).fill(0);
+    let unsat = 0;
+    for (const clause of clauses) {
+        const trueLits = clause.filter(isTrue);
+        if (trueLits.length === 0) {
+            unsat++;
+            for (const v of new Set(clause.map(l => Math.abs(l) - 1))) makes[v]++;
+        } else if (trueLits.length === 1) {
+            breaks[Math.abs(trueLits[0]) - 1]++;
+        }
+    }
+    return { breaks, makes, unsat };
+};
+
+describe('Flat CNF', () => {
+    it('drops tautologies and duplicate literals but remembers source clause indices', () => {
+        const cnf = new FlatCNF(3, [[1, 1, -2], [2, -2, 3], [-3]]);
+        expect(cnf.numClauses).toBe(2);
+        expect(Array.from(cnf.clauseIds)).toEqual([0, 2]);
+        expect(cnf.clauseVariables(0)).toEqual([0, 1]);
+    });
+
+    it('keeps break/make counts exact through random flips', () => {
+        const rng = createRng('cnf');
+        const n = 12;
+        const clauses = Array.from({ length: 50 }, () => Array.from({ length: 3 }, () => {
+            const v = 1 + Math.floor(rng() * n);
+            return rng() < 0.5 ? v : -v;
+        }));
+        const cnf = new FlatCNF(n, clauses);
+        // Compare against the same clauses the flat form keeps
+        const kept = Array.from(cnf.clauseIds, id => Array.from(new Set(clauses[id])));
+
+        const values = Array.from({ length: n }, () => rng() < 0.5);
+        const counters = new SatCounters(cnf, values);
+        for (let step = 0; step < 200; step++) {
+            const v = Math.floor(rng() * n);
+            counters.flip(v);
+            values[v] = !values[v];
+
+            const expected = bruteForce(kept, values);
+            expect(counters.numUnsat).toBe(expected.unsat);
+            expect(Array.from(counters.breakCount)).toEqual(expected.breaks);
+            expect(Array.from(counters.makeCount)).toEqual(expected.makes);
+        }
+    });
+
+    it('reads CNF-shaped expressions and rejects the rest', () => {
+        const params = { mode: 'custom', customExpression: '(A v ~B) ^ (B v C)' };
+        const cnf = FlatCNF.fromState(BooleanSatProblem.emptyState(params));
+        expect(cnf.numClauses).toBe(2);
+
+        const nonCnf = BooleanSatProblem.emptyState({ mode: 'custom', customExpression: '(A ^ B) v C' });
+        expect(FlatCNF.fromState(nonCnf)).toBeNull();
+    });
+});
@@ -0,0 +1,111 @@
+// DIMACS Import / Export
+// CNF formulas in the DIMACS format used by SATLIB and the SAT competitions:
+//   c comment lines
+//   p cnf <variables> <clauses>
+//   1 -2 3 0        one clause per `0`-terminated literal list (may span lines)
+// Formulas are read straight into clause lists (no expression AST), so SATLIB instances with
+// thousands of clauses load without deep recursion.
+// A parsed formula is { comments, variables, clauses }:
+//   variables   names of variables 1..n ('x1'...'xn' unless the file names them with `c var <i> = <name>`)
+//   clauses     arrays of signed 1-based variable indices, DIMACS style
+
+const VAR_NAME_COMMENT = /^var\s+(\d+)\s*=\s*(\S+)$/;
+
+export function parseDIMACSCNF(text) {
+    const comments = [];
+    const clauses = [];
+    let numVariables = null;
+    let numClauses = null;
+    let clause = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line[0] === 'c') {
+            comments.push(line.slice(1).trim());
+            continue;
+        }
+        // SATLIB uf* files end with "%" followed by a stray "0"
+        if (line[0] === '%') break;
+        if (line[0] === 'p') {
+            const header = line.split(/\s+/);
+            if (header[1] !== 'cnf' || header.length !== 4) {
+                throw new Error(`DIMACS: expected "p cnf <variables> <clauses>", got "${line}"`);
+            }
+            numVariables = parseInt(header[2], 10);
+            numClauses = parseInt(header[3], 10);
+            if (!(numVariables >= 0) || !(numClauses >= 0)) {
+                throw new Error(`DIMACS: invalid problem line "${line}"`);
+            }
+            continue;
+        }
+        if (numVariables === null) {
+            throw new Error('DIMACS: clauses found before the "p cnf" problem line');
+        }
+
+        for (const token of line.split(/\s+/)) {
+            const literal = Number(token);
+            if (!Number.isInteger(literal)) {
+                throw new Error(`DIMACS: invalid literal "${token}"`);
+            }
+            if (literal === 0) {
+                clauses.push(clause);
+                clause = [];
+            } else if (Math.abs(literal) > numVariables) {
+                throw new Error(`DIMACS: literal ${literal} exceeds the ${numVariables} declared variables`);
+            } else {
+                clause.push(literal);
+            }
+        }
+    }
+
+    if (numVariables === null) {
+        throw new Error('DIMACS: missing "p cnf" problem line');
+    }
+    // Tolerate a missing terminator on the last clause
+    if (clause.length > 0) clauses.push(clause);
+    if (clauses.length !== numClauses) {
+        throw new Error(`DIMACS: problem line declares ${numClauses} clauses, found ${clauses.length}`);
+    }
+
+    const variables = Array.from({ length: numVariables }, (_, i) => `x${i + 1}`);
+    for (const comment of comments) {
+        const named = comment.match(VAR_NAME_COMMENT);
+        if (named && named[1] >= 1 && named[1] <= numVariables) variables[named[1] - 1] = named[2];
+    }
+
+    return { comments, variables, clauses };
+}
+
+// Write a formula as DIMACS CNF. Variable names that are not the default x1..xn are kept in
+// `c var <i> = <name>` comments so the file reads back with the same names.
+export function formatDIMACSCNF({ comments = [], variables, clauses }) {
+    const lines = comments.filter(c => !VAR_NAME_COMMENT.test(c)).map(c => `c ${c}`);
+    variables.forEach((v, i) => {
+        if (v !== `x${i + 1}`) lines.push(`c var ${i + 1} = ${v}`);
+    });
+    lines.push(`p cnf ${variables.length} ${clauses.length}`);
+    for (const clause of clauses) lines.push(`${clause.join(' ')} 0`);
+    lines.push('');
+    return lines.join('\n');
+}
+
+// Write an assignment in the SAT competition solver output format:
+//   s SATISFIABLE | s UNKNOWN
+//   v 1 -2 3 ... 0    (assigned variables only)
+export function formatDIMACSSolution({ variables, assignments, satisfied, comments = [] }) {
+    const lines = comments.map(c => `c ${c}`);
+    lines.push(satisfied ? 's SATISFIABLE' : 's UNKNOWN');
+
+    const literals = [];
+    variables.forEach((v, i) => {
+        if (assignments[v] === true) literals.push(i + 1);
+        else if (assignments[v] === false) literals.push(-(i + 1));
+    });
+    // Keep `v` lines short, as solvers do
+    for (let k = 0; k < literals.length; k += 10) {
+        lines.push(`v ${literals.slice(k, k + 10).join(' ')}`);
+    }
+    lines.push('v 0', '');
+    return lines.join('\n');
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { parseDIMACSCNF, formatDIMACSCNF, formatDIMACSSolution } from './dimacs.js';
+import { BooleanSatProblem, BooleanSatState, astToClauses, parse, tokenize } from './boolean-sat.js';
+
+// SATLIB style: comments, clauses spanning lines, trailing "%" / "0"
+const SMALL = `c small test formula
+c
+p cnf 3 4
+1 -2 0
+2 3
+ 0
+-1 -3 0
+-2 0
+%
+0
+`;
+
+describe('DIMACS CNF Import / Export', () => {
+    it('parses clauses into signed variable indices', () => {
+        const cnf = parseDIMACSCNF(SMALL);
+        expect(cnf.variables).toEqual(['x1', 'x2', 'x3']);
+        expect(cnf.clauses).toEqual([[1, -2], [2, 3], [-1, -3], [-2]]);
+        expect(cnf.comments[0]).toBe('small test formula');
+    });
+
+    it('rejects malformed files with a descriptive error', () => {
+        expect(() => parseDIMACSCNF('1 2 0\n')).toThrow(/before the "p cnf"/);
+        expect(() => parseDIMACSCNF('p sat 3 1\n1 0\n')).toThrow(/p cnf/);
+        expect(() => parseDIMACSCNF('p cnf 2 1\n1 3 0\n')).toThrow(/exceeds the 2 declared/);
+        expect(() => parseDIMACSCNF('p cnf 2 2\n1 2 0\n')).toThrow(/declares 2 clauses, found 1/);
+        expect(() => parseDIMACSCNF('p cnf 2 1\n1 x 0\n')).toThrow(/invalid literal "x"/);
+    });
+
+    it('round-trips formulas, keeping custom variable names', () => {
+        const cnf = parseDIMACSCNF(SMALL);
+        expect(parseDIMACSCNF(formatDIMACSCNF(cnf)).clauses).toEqual(cnf.clauses);
+
+        const variables = ['A', 'B', 'C'];
+        const ast = parse(tokenize('(A v ~B) ^ (B v C) ^ ~C'));
+        const clauses = astToClauses(ast, variables);
+        expect(clauses).toEqual([[1, -2], [2, 3], [-3]]);
+        const again = parseDIMACSCNF(formatDIMACSCNF({ variables, clauses }));
+        expect(again.variables).toEqual(variables);
+        expect(again.clauses).toEqual(clauses);
+
+        // Not CNF: OR of ANDs
+        expect(astToClauses(parse(tokenize('(A ^ B) v C')), variables)).toBeNull();
+    });
+
+    it('writes assignments in solver output format', () => {
+        const text = formatDIMACSSolution({
+            variables: ['x1', 'x2', 'x3'],
+            assignments: { x1: true, x2: false, x3: null },
+            satisfied: false
+        });
+        expect(text).toContain('s UNKNOWN');
+        expect(text).toContain('v 1 -2');
+        expect(text.trim().endsWith('v 0')).toBe(true);
+    });
+
+    it('builds SAT states straight from the clause list', () => {
+        const cnf = parseDIMACSCNF(SMALL);
+        const params = { ...BooleanSatProblem.defaultParams, mode: 'dimacs', cnf };
+
+        const empty = BooleanSatProblem.emptyState(params);
+        expect(empty.ast).toBeNull();
+        expect(empty.isPartial).toBe(true);
+
+        // x1 = F, x2 = F, x3 = T satisfies every clause
+        const solved = new BooleanSatState(cnf.variables, { x1: false, x2: false, x3: true }, null, null, cnf.clauses);
+        expect(solved.cost).toBe(0);
+        expect(BooleanSatProblem.isSolution(solved)).toBe(true);
+
+        // x1 = T, x2 = T, x3 = T violates (-1 v -3) and (-2)
+        const wrong = new BooleanSatState(cnf.variables, { x1: true, x2: true, x3: true }, null, null, cnf.clauses);
+        expect(wrong.cost).toBe(2);
+        expect(BooleanSatProblem.isSolution(wrong)).toBe(false);
+        expect(wrong.getRandomNeighbor(() => 0).clauses).toBe(cnf.clauses);
+
+        // Worker snapshots keep the clause list as shared data
+        const copy = BooleanSatState.deserialize(wrong.serialize(), wrong.getSharedData());
+        expect(copy.cost).toBe(2);
+    });
+
+    it('handles SATLIB-sized formulas without recursion', () => {
+        const numVars = 2000;
+        const lines = [`p cnf ${numVars} ${numVars * 4}`];
+        for (let i = 0; i < numVars * 4; i++) {
+            const a = (i % numVars) + 1, b = ((i * 7) % numVars) + 1, c = ((i * 13) % numVars) + 1;
+            lines.push(`${a} -${b} ${c} 0`);
+        }
+        const cnf = parseDIMACSCNF(lines.join('\n'));
+        const state = BooleanSatProblem.randomState({ mode: 'dimacs', cnf, seed: 1 });
+        expect(state.variables).toHaveLength(numVars);
+        expect(Number.isInteger(state.cost)).toBe(true);
+    });
+});
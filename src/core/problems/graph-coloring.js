@@ -0,0 +1,94 @@
+// Graph Coloring Bounds
+// Heuristics on a built map-coloring graph ({ nodeCount, adjList }) that bracket its chromatic number:
+//   lower bound: a clique found greedily (its nodes need pairwise different colors)
+//   upper bound: the colors used by DSatur or greedy-by-degree (Welsh-Powell), whichever is fewer
+// Colorings are assignment arrays of color indices 0..k-1, in node order.
+
+// Smallest color not used by the colored neighbors of `node`
+const firstFreeColor = (graph, assignments, node) => {
+    const used = new Set();
+    for (const j of graph.adjList[node]) {
+        if (assignments[j] !== null) used.add(assignments[j]);
+    }
+    let color = 0;
+    while (used.has(color)) color++;
+    return color;
+};
+
+export const countColors = (assignments) => new Set(assignments.filter(c => c !== null && c !== undefined)).size;
+
+// Greedy clique: from every node, keep adding the candidate adjacent to the most other candidates
+// (candidates are the nodes adjacent to the whole clique so far). Returns the largest, as node indices.
+export function greedyClique(graph) {
+    const neighborSets = graph.adjList.map(list => new Set(list));
+    let best = [];
+    for (let start = 0; start < graph.nodeCount; start++) {
+        // A clique through `start` has at most deg(start) + 1 nodes
+        if (graph.adjList[start].length + 1 <= best.length) continue;
+        const clique = [start];
+        let candidates = [...neighborSets[start]];
+        while (candidates.length > 0) {
+            let pick = candidates[0];
+            let pickDegree = -1;
+            for (const c of candidates) {
+                let degree = 0;
+                for (const other of candidates) if (neighborSets[c].has(other)) degree++;
+                if (degree > pickDegree) {
+                    pick = c;
+                    pickDegree = degree;
+                }
+            }
+            clique.push(pick);
+            candidates = candidates.filter(c => c !== pick && neighborSets[pick].has(c));
+        }
+        if (clique.length > best.length) best = clique;
+    }
+    return best;
+}
+
+// DSatur (Brelaz): color the node seeing the most distinct neighbor colors next (ties: highest
+// degree, then lowest index), always with the smallest free color
+export function dsaturColoring(graph) {
+    const n = graph.nodeCount;
+    const assignments = Array(n).fill(null);
+    const seen = Array.from({ length: n }, () => new Set());
+    for (let step = 0; step < n; step++) {
+        let node = -1;
+        for (let i = 0; i < n; i++) {
+            if (assignments[i] !== null) continue;
+            if (node === -1 || seen[i].size > seen[node].size ||
+                (seen[i].size === seen[node].size && graph.adjList[i].length > graph.adjList[node].length)) {
+                node = i;
+            }
+        }
+        const color = firstFreeColor(graph, assignments, node);
+        assignments[node] = color;
+        for (const j of graph.adjList[node]) seen[j].add(color);
+    }
+    return assignments;
+}
+
+// Greedy by degree (Welsh-Powell): nodes by decreasing degree, each with the smallest free color
+export function greedyDegreeColoring(graph) {
+    const assignments = Array(graph.nodeCount).fill(null);
+    const order = Array.from({ length: graph.nodeCount }, (_, i) => i)
+        .sort((a, b) => graph.adjList[b].length - graph.adjList[a].length || a - b);
+    for (const node of order) assignments[node] = firstFreeColor(graph, assignments, node);
+    return assignments;
+}
+
+// { lower, upper, clique, coloring, upperBy }: `coloring` uses `upper` colors
+export function chromaticBounds(graph) {
+    const clique = greedyClique(graph);
+    const dsatur = dsaturColoring(graph);
+    const greedy = greedyDegreeColoring(graph);
+    const useGreedy = countColors(greedy) < countColors(dsatur);
+    const coloring = useGreedy ? greedy : dsatur;
+    return {
+        lower: clique.length,
+        upper: countColors(coloring),
+        clique,
+        coloring,
+        upperBy: useGreedy ? 'Greedy by degree' : 'DSatur',
+    };
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { greedyClique, dsaturColoring, greedyDegreeColoring, chromaticBounds, countColors } from './graph-coloring.js';
+import { MapColoringProblem } from './map-coloring.js';
+
+const graphOf = (adjacency) => MapColoringProblem.emptyState({ graphType: 'custom', customGraph: { adjacency } }).graph;
+
+// Complete graph on n nodes, odd/even cycles and the Mycielski graph of C5 (the Groetzsch graph's
+// little brother: triangle-free, chromatic number 4)
+const complete = (n) => Object.fromEntries(Array.from({ length: n }, (_, i) =>
+    [`K${i}`, Array.from({ length: n }, (_, j) => `K${j}`).filter(name => name !== `K${i}`)]));
+const cycle = (n) => Object.fromEntries(Array.from({ length: n }, (_, i) => [`C${i}`, [`C${(i + 1) % n}`, `C${(i + n - 1) % n}`]]));
+const MYCIEL3 = [[1, 2], [1, 4], [1, 7], [1, 9], [2, 3], [2, 6], [2, 8], [3, 5], [3, 7], [3, 10], [4, 5], [4, 6], [4, 10],
+    [5, 8], [5, 9], [6, 11], [7, 11], [8, 11], [9, 11], [10, 11]];
+const myciel3 = () => {
+    const adjacency = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [String(i + 1), []]));
+    for (const [u, v] of MYCIEL3) {
+        adjacency[u].push(String(v));
+        adjacency[v].push(String(u));
+    }
+    return adjacency;
+};
+
+const isProper = (graph, assignments) => graph.edges.every(([i, j]) => assignments[i] !== assignments[j]);
+const isClique = (graph, nodes) => nodes.every((u, a) => nodes.every((v, b) => a === b || graph.adjList[u].includes(v)));
+
+describe('Graph Coloring Bounds', () => {
+    it('finds maximum cliques on small graphs', () => {
+        const australia = MapColoringProblem.emptyState({ graphType: 'australia' }).graph;
+        const clique = greedyClique(australia);
+        expect(clique).toHaveLength(3);
+        expect(isClique(australia, clique)).toBe(true);
+
+        expect(greedyClique(graphOf(complete(6)))).toHaveLength(6);
+        expect(greedyClique(graphOf(cycle(5)))).toHaveLength(2);
+        expect(greedyClique(graphOf(myciel3()))).toHaveLength(2);
+        expect(greedyClique(graphOf({ A: [] }))).toEqual([0]);
+    });
+
+    it('DSatur and greedy-by-degree color properly', () => {
+        const us = MapColoringProblem.emptyState({ graphType: 'us' }).graph;
+        for (const graph of [us, graphOf(myciel3()), graphOf(cycle(7)), graphOf(complete(5))]) {
+            for (const coloring of [dsaturColoring(graph), greedyDegreeColoring(graph)]) {
+                expect(coloring.every(c => Number.isInteger(c))).toBe(true);
+                expect(isProper(graph, coloring)).toBe(true);
+            }
+        }
+        // DSatur is exact on cycles and complete graphs
+        expect(countColors(dsaturColoring(graphOf(cycle(6))))).toBe(2);
+        expect(countColors(dsaturColoring(graphOf(cycle(7))))).toBe(3);
+        expect(countColors(dsaturColoring(graphOf(complete(5))))).toBe(5);
+    });
+
+    it('brackets the chromatic number between the clique and the best heuristic coloring', () => {
+        const myciel = chromaticBounds(graphOf(myciel3()));
+        expect(myciel.lower).toBe(2);
+        expect(myciel.upper).toBeGreaterThanOrEqual(4);
+        expect(countColors(myciel.coloring)).toBe(myciel.upper);
+        expect(['DSatur', 'Greedy by degree']).toContain(myciel.upperBy);
+
+        const australia = chromaticBounds(MapColoringProblem.emptyState({ graphType: 'australia' }).graph);
+        expect([australia.lower, australia.upper]).toEqual([3, 3]);
+    });
+
+    it('minimizing colors ranks proper colorings by their number of colors', () => {
+        const params = { graphType: 'australia', objective: 'minimizeColors' };
+        const empty = MapColoringProblem.emptyState(params);
+        expect(empty.graph.colorBounds.lower).toBe(3);
+        expect(empty.numColors).toBe(3);
+        expect(MapColoringProblem.estimatedOptimalCost({ _graph: empty.graph })).toBe(3);
+        expect(MapColoringProblem.getCostBounds({ _graph: empty.graph })).toEqual({ lower: 3, upper: 3, lowerBy: 'Clique', upperBy: 'DSatur' });
+
+        const withColors = (assignments, numColors = 4) => new empty.constructor(empty.graph, numColors, assignments);
+        // WA, NT, SA, Q, NSW, V, T
+        const three = withColors([0, 1, 2, 0, 1, 0, 0]);
+        const four = withColors([0, 1, 2, 0, 1, 0, 3]);
+        const clash = withColors([0, 0, 2, 1, 0, 1, 0]);
+        expect(three.cost).toBe(3);
+        expect(four.cost).toBe(4);
+        expect(clash.cost).toBe(7 + 3); // One clash weighs nodeCount
+        expect(MapColoringProblem.isSolution(three)).toBe(true);
+        expect(MapColoringProblem.isSolution(four)).toBe(false);
+
+        // Moving Tasmania onto a used color empties color 3
+        const move = { node: 6, color: 1 };
+        expect(MapColoringProblem.moveDelta(four, move)).toBe(-1);
+        expect(MapColoringProblem.applyNeighborMove(four, move).cost).toBe(3);
+        expect(MapColoringProblem.moveDelta(three, { node: 6, color: 3 })).toBe(1);
+
+        expect(MapColoringProblem.getCostBounds({ graphType: 'australia' })).toBe(null);
+        expect(MapColoringProblem.getSearchSpace(params, empty).formula).toBe('3^7');
+    });
+});
@@ -0,0 +1,175 @@
+// Graph Coloring Import / Export
+// Custom map-coloring graphs come from two formats:
+//   DIMACS .col (the graph coloring benchmarks: myciel*, queen*, le450*, ...)
+//     c comment lines
+//     p edge <vertices> <edges>     ("p col" is accepted too)
+//     e 1 2                         one edge per line, 1-based vertices
+//   Adjacency JSON, the shape of the built-in maps: { "WA": ["NT", "SA"], ... },
+//   optionally wrapped as { "adjacency": {...}, "positions": { "WA": { "x": 0, "y": 0 }, ... } }
+// Both parse to { comments, adjacency, positions? } with a symmetric adjacency (every edge listed
+// from both ends, no self-loops), which MapColoringProblem builds as graphType 'custom'.
+// Graphs without positions get a force-directed layout (layoutGraph) for the board's graph view.
+import { forceSimulation, forceLink, forceManyBody, forceX, forceY } from 'd3';
+
+const NODE_NAME_COMMENT = /^node\s+(\d+)\s*=\s*(.+)$/;
+
+// Symmetric adjacency from node names and index pairs, keeping the node order
+const toAdjacency = (names, pairs) => {
+    const neighbors = names.map(() => new Set());
+    for (const [i, j] of pairs) {
+        if (i === j) continue;
+        neighbors[i].add(j);
+        neighbors[j].add(i);
+    }
+    const adjacency = {};
+    names.forEach((name, i) => { adjacency[name] = [...neighbors[i]].map(j => names[j]); });
+    return adjacency;
+};
+
+// Node names and 0-based edges (i < j, each once) of an adjacency map
+export function adjacencyEdges(adjacency) {
+    const names = Object.keys(adjacency);
+    const index = new Map(names.map((name, i) => [name, i]));
+    const edges = [];
+    names.forEach((name, i) => {
+        for (const neighbor of adjacency[name]) {
+            const j = index.get(neighbor);
+            if (j !== undefined && i < j) edges.push([i, j]);
+        }
+    });
+    return { names, edges };
+}
+
+// Adjacency map of a built MapColoringState graph ({ names, adjList })
+export function graphAdjacency(graph) {
+    const adjacency = {};
+    graph.names.forEach((name, i) => { adjacency[name] = graph.adjList[i].map(j => graph.names[j]); });
+    return adjacency;
+}
+
+export function parseDIMACSCol(text) {
+    const comments = [];
+    const pairs = [];
+    let numVertices = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        const fields = line.split(/\s+/);
+        switch (fields[0]) {
+            case 'c':
+                comments.push(line.slice(1).trim());
+                break;
+            case 'p':
+                if ((fields[1] !== 'edge' && fields[1] !== 'col') || fields.length !== 4) {
+                    throw new Error(`DIMACS: expected "p edge <vertices> <edges>", got "${line}"`);
+                }
+                numVertices = parseInt(fields[2], 10);
+                if (!(numVertices > 0)) throw new Error(`DIMACS: invalid problem line "${line}"`);
+                break;
+            case 'e': {
+                if (numVertices === null) throw new Error('DIMACS: edges found before the "p edge" problem line');
+                const [u, v] = [Number(fields[1]), Number(fields[2])];
+                for (const vertex of [u, v]) {
+                    if (!Number.isInteger(vertex) || vertex < 1) throw new Error(`DIMACS: invalid edge "${line}"`);
+                    if (vertex > numVertices) throw new Error(`DIMACS: vertex ${vertex} exceeds the ${numVertices} declared vertices`);
+                }
+                pairs.push([u - 1, v - 1]);
+                break;
+            }
+            default:
+                // Other descriptor lines ("n" vertex weights, "x" ...) do not affect the coloring
+                break;
+        }
+    }
+
+    if (numVertices === null) throw new Error('DIMACS: missing "p edge" problem line');
+
+    // Edge counts are not checked: some benchmark files (queen*) list every edge from both ends
+    const names = Array.from({ length: numVertices }, (_, i) => String(i + 1));
+    for (const comment of comments) {
+        const named = comment.match(NODE_NAME_COMMENT);
+        if (named && named[1] >= 1 && named[1] <= numVertices) names[named[1] - 1] = named[2].trim();
+    }
+    if (new Set(names).size !== names.length) throw new Error('DIMACS: node names must be unique');
+
+    return { comments: comments.filter(c => !NODE_NAME_COMMENT.test(c)), adjacency: toAdjacency(names, pairs) };
+}
+
+// Write a graph as DIMACS .col. Node names other than 1..n are kept in `c node <i> = <name>`
+// comments so the file reads back with the same names.
+export function formatDIMACSCol({ comments = [], adjacency }) {
+    const { names, edges } = adjacencyEdges(adjacency);
+    const lines = comments.filter(c => !NODE_NAME_COMMENT.test(c)).map(c => `c ${c}`);
+    names.forEach((name, i) => {
+        if (name !== String(i + 1)) lines.push(`c node ${i + 1} = ${name}`);
+    });
+    lines.push(`p edge ${names.length} ${edges.length}`);
+    for (const [i, j] of edges) lines.push(`e ${i + 1} ${j + 1}`);
+    lines.push('');
+    return lines.join('\n');
+}
+
+export function parseAdjacencyJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`JSON: ${e.message}`);
+    }
+    const isObject = (x) => x !== null && typeof x === 'object' && !Array.isArray(x);
+    if (!isObject(data)) throw new Error('JSON: expected an object mapping each node to its neighbors');
+    const wrapped = isObject(data.adjacency);
+    const raw = wrapped ? data.adjacency : data;
+
+    // Nodes that only appear as a neighbor are added after the listed ones
+    const names = Object.keys(raw);
+    const index = new Map(names.map((name, i) => [name, i]));
+    const pairs = [];
+    for (const [name, neighbors] of Object.entries(raw)) {
+        if (!Array.isArray(neighbors)) throw new Error(`JSON: neighbors of "${name}" must be an array`);
+        for (const neighbor of neighbors) {
+            if (typeof neighbor !== 'string' && typeof neighbor !== 'number') {
+                throw new Error(`JSON: invalid neighbor ${JSON.stringify(neighbor)} of "${name}"`);
+            }
+            const key = String(neighbor);
+            if (!index.has(key)) {
+                index.set(key, names.length);
+                names.push(key);
+            }
+            pairs.push([index.get(name), index.get(key)]);
+        }
+    }
+    if (names.length === 0) throw new Error('JSON: the graph has no nodes');
+
+    const adjacency = toAdjacency(names, pairs);
+    const positions = wrapped && isObject(data.positions) ? data.positions : null;
+    const placed = positions && names.every(name => Number.isFinite(positions[name]?.x) && Number.isFinite(positions[name]?.y));
+    return placed ? { comments: [], adjacency, positions } : { comments: [], adjacency };
+}
+
+// Adjacency JSON of a graph; positions are included when given
+export function formatAdjacencyJSON({ adjacency, positions = null }) {
+    const data = positions ? { adjacency, positions } : adjacency;
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+// Force-directed layout: { name: { x, y } }. The simulation is run to rest up front (it starts
+// from d3's deterministic phyllotaxis arrangement), so the same graph always gets the same drawing.
+export function layoutGraph(adjacency, iterations = 300) {
+    const { names, edges } = adjacencyEdges(adjacency);
+    const nodes = names.map(() => ({}));
+    const links = edges.map(([source, target]) => ({ source, target }));
+    forceSimulation(nodes)
+        .force('link', forceLink(links).distance(40))
+        .force('charge', forceManyBody().strength(-120))
+        // Weak pull to the origin keeps disconnected components (and isolated nodes) in view
+        .force('x', forceX(0).strength(0.05))
+        .force('y', forceY(0).strength(0.05))
+        .stop()
+        .tick(iterations);
+
+    const positions = {};
+    names.forEach((name, i) => { positions[name] = { x: nodes[i].x, y: nodes[i].y }; });
+    return positions;
+}
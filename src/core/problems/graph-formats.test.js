@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { parseDIMACSCol, formatDIMACSCol, parseAdjacencyJSON, formatAdjacencyJSON, graphAdjacency, layoutGraph, adjacencyEdges } from './graph-formats.js';
+import { MapColoringProblem } from './map-coloring.js';
+
+// myciel3 from the DIMACS coloring benchmarks (11 vertices, 20 edges, chromatic number 4)
+const MYCIEL3 = `c FILE: myciel3.col
+c SOURCE: Michael Trick (trick@cmu.edu)
+c DESCRIPTION: Graph based on Mycielski transformation.
+p edge 11 20
+e 1 2
+e 1 4
+e 1 7
+e 1 9
+e 2 3
+e 2 6
+e 2 8
+e 3 5
+e 3 7
+e 3 10
+e 4 5
+e 4 6
+e 4 10
+e 5 8
+e 5 9
+e 6 11
+e 7 11
+e 8 11
+e 9 11
+e 10 11
+`;
+
+const edgeCount = (adjacency) => adjacencyEdges(adjacency).edges.length;
+// Neighbor lists in a fixed order, so graphs compare by their edges
+const sortedNeighbors = (adjacency) => Object.fromEntries(Object.entries(adjacency).map(([node, list]) => [node, [...list].sort()]));
+
+describe('Graph Coloring Import / Export', () => {
+    it('parses DIMACS .col edges into a symmetric adjacency', () => {
+        const { comments, adjacency } = parseDIMACSCol(MYCIEL3);
+        expect(Object.keys(adjacency)).toHaveLength(11);
+        expect(edgeCount(adjacency)).toBe(20);
+        expect(adjacency['1']).toEqual(['2', '4', '7', '9']);
+        expect(adjacency['11']).toContain('6');
+        expect(comments[0]).toBe('FILE: myciel3.col');
+    });
+
+    it('tolerates edges listed from both ends, self-loops and vertex descriptors', () => {
+        const { adjacency } = parseDIMACSCol('p col 3 4\ne 1 2\ne 2 1\ne 3 3\nn 1 5\ne 2 3\n');
+        expect(adjacency).toEqual({ 1: ['2'], 2: ['1', '3'], 3: ['2'] });
+    });
+
+    it('rejects malformed DIMACS files with a descriptive error', () => {
+        expect(() => parseDIMACSCol('e 1 2\n')).toThrow(/before the "p edge"/);
+        expect(() => parseDIMACSCol('p cnf 3 1\n')).toThrow(/p edge/);
+        expect(() => parseDIMACSCol('p edge 2 1\ne 1 3\n')).toThrow(/exceeds the 2 declared/);
+        expect(() => parseDIMACSCol('p edge 2 1\ne 1 x\n')).toThrow(/invalid edge/);
+        expect(() => parseDIMACSCol('c nothing\n')).toThrow(/missing "p edge"/);
+    });
+
+    it('round-trips DIMACS files, keeping node names', () => {
+        const myciel = parseDIMACSCol(MYCIEL3);
+        expect(parseDIMACSCol(formatDIMACSCol(myciel))).toEqual(myciel);
+
+        const australia = MapColoringProblem.emptyState({ graphType: 'australia' }).graph;
+        const adjacency = graphAdjacency(australia);
+        const text = formatDIMACSCol({ adjacency });
+        expect(text).toContain('c node 1 = Western Australia');
+        expect(text).toContain(`p edge 7 ${australia.edges.length}`);
+        expect(sortedNeighbors(parseDIMACSCol(text).adjacency)).toEqual(sortedNeighbors(adjacency));
+    });
+
+    it('parses adjacency JSON, adding missing reverse edges and neighbor-only nodes', () => {
+        const { adjacency, positions } = parseAdjacencyJSON('{ "A": ["B", "C"], "B": ["C"], "D": [] , "C": ["E"] }');
+        expect(adjacency).toEqual({ A: ['B', 'C'], B: ['A', 'C'], C: ['A', 'B', 'E'], D: [], E: ['C'] });
+        expect(positions).toBeUndefined();
+
+        expect(() => parseAdjacencyJSON('[1, 2]')).toThrow(/expected an object/);
+        expect(() => parseAdjacencyJSON('{ "A": "B" }')).toThrow(/must be an array/);
+        expect(() => parseAdjacencyJSON('{ "A": [')).toThrow(/^JSON:/);
+    });
+
+    it('round-trips adjacency JSON with positions', () => {
+        const adjacency = { A: ['B'], B: ['A'] };
+        const positions = { A: { x: 0, y: 0 }, B: { x: 10, y: 5 } };
+        expect(parseAdjacencyJSON(formatAdjacencyJSON({ adjacency, positions }))).toEqual({ comments: [], adjacency, positions });
+        expect(parseAdjacencyJSON(formatAdjacencyJSON({ adjacency })).adjacency).toEqual(adjacency);
+    });
+
+    it('lays out every node at a distinct position, the same way every time', () => {
+        const { adjacency } = parseDIMACSCol(`${MYCIEL3}e 12 12\n`.replace('p edge 11 20', 'p edge 12 20'));
+        const positions = layoutGraph(adjacency);
+        const points = Object.values(positions);
+        expect(points).toHaveLength(12); // Including the isolated node 12
+        points.forEach(p => {
+            expect(Number.isFinite(p.x)).toBe(true);
+            expect(Number.isFinite(p.y)).toBe(true);
+        });
+        expect(new Set(points.map(p => `${p.x.toFixed(3)},${p.y.toFixed(3)}`)).size).toBe(12);
+        expect(layoutGraph(adjacency)).toEqual(positions);
+
+        // Linked nodes end up closer than the layout's radius
+        const dist = (a, b) => Math.hypot(positions[a].x - positions[b].x, positions[a].y - positions[b].y);
+        const spread = Math.max(...points.map(p => Math.hypot(p.x, p.y)));
+        expect(dist('1', '2')).toBeLessThan(spread);
+    });
+
+    it('builds map coloring instances from an imported graph', () => {
+        const { adjacency } = parseDIMACSCol(MYCIEL3);
+        const customGraph = { name: 'myciel3', comments: [], adjacency, positions: layoutGraph(adjacency) };
+        const params = { graphType: 'custom', customGraph, numColors: 4, seed: 1 };
+        const state = MapColoringProblem.randomState(params);
+        expect(state.graphType).toBe('custom');
+        expect(state.graph.nodeCount).toBe(11);
+        expect(state.graph.edges).toHaveLength(20);
+        expect(state.graph.positions).toBe(customGraph.positions);
+        expect(MapColoringProblem.getSearchSpace(params).formula).toBe('4^11');
+    });
+});
@@ -0,0 +1,17 @@
+// Problem Registry
+// Shared by the UI thread and the engine worker so both resolve a problem id to the same definition.
+import { NQueensProblem } from './n-queens.js';
+import { TSPProblem } from './tsp.js';
+import { SudokuProblem } from './sudoku.js';
+import { MapColoringProblem } from './map-coloring.js';
+import { TetrisPackingProblem } from './tetris-packing.js';
+import { BooleanSatProblem } from './boolean-sat.js';
+
+export const PROBLEM_REGISTRY = {
+    [NQueensProblem.id]: NQueensProblem,
+    [TSPProblem.id]: TSPProblem,
+    [SudokuProblem.id]: SudokuProblem,
+    [MapColoringProblem.id]: MapColoringProblem,
+    [TetrisPackingProblem.id]: TetrisPackingProblem,
+    [BooleanSatProblem.id]: BooleanSatProblem
+};
@@ -1,5 +1,7 @@
 // Map Coloring Problem Implementation
 // CSP: Variables = regions, Domains = colors, Constraints = adjacent regions differ
+import { getRng } from '../random.js';
+import { chromaticBounds, countColors } from './graph-coloring.js';
 
 // ============================================================
 // Color Palette
@@ -86,7 +88,7 @@ const US_ADJACENCY = {
 // ============================================================
 // Random Graph Generator
 // ============================================================
-function generateRandomGraph(nodeCount) {
+function generateRandomGraph(nodeCount, rng = Math.random) {
     const names = [];
     for (let i = 0; i < nodeCount; i++) {
         names.push(`R${i + 1}`);
@@ -96,7 +98,7 @@ function generateRandomGraph(nodeCount) {
     const positions = {};
     for (let i = 0; i < nodeCount; i++) {
         const angle = (2 * Math.PI * i) / nodeCount;
-        const radius = 150 + Math.random() * 50;
+        const radius = 150 + rng() * 50;
         positions[names[i]] = {
             x: 250 + radius * Math.cos(angle),
             y: 250 + radius * Math.sin(angle)
@@ -117,8 +119,8 @@ function generateRandomGraph(nodeCount) {
         }
 
         // Random cross-links (add ~1 extra edge per node on average)
-        if (Math.random() < 0.5) {
-            const skip = 2 + Math.floor(Math.random() * Math.max(1, nodeCount / 3));
+        if (rng() < 0.5) {
+            const skip = 2 + Math.floor(rng() * Math.max(1, nodeCount / 3));
             const target = (i + skip) % nodeCount;
             if (target !== i && !adjacency[names[i]].includes(names[target])) {
                 adjacency[names[i]].push(names[target]);
@@ -167,6 +169,7 @@ export class MapColoringState {
         this.assignments = [...assignments]; // Array(nodeCount): color index (0..k-1) or null
         this.domains = domains;      // Array(nodeCount): array of valid color indices
         this.cachedCost = null;
+        this.cachedColorCounts = null;
         this.graphType = null;       // 'australia', 'us', 'random' — set externally for rendering
     }
 
@@ -182,10 +185,8 @@ export class MapColoringState {
         return this.placedCount < this.graph.nodeCount;
     }
 
-    // Cost = number of constraint violations (adjacent pairs with same color)
-    get cost() {
-        if (this.cachedCost !== null) return this.cachedCost;
-
+    // Number of constraint violations (adjacent pairs with same color)
+    get conflicts() {
         let violations = 0;
         for (const [i, j] of this.graph.edges) {
             const ci = this.assignments[i];
@@ -194,52 +195,113 @@ export class MapColoringState {
                 if (ci === cj) violations++;
             }
         }
+        return violations;
+    }
+
+    get colorsUsed() {
+        return countColors(this.assignments);
+    }
+
+    // Nodes per color index, for pricing moves when minimizing colors
+    get colorCounts() {
+        if (this.cachedColorCounts === null) {
+            const counts = [];
+            for (const c of this.assignments) {
+                if (c !== null && c !== undefined) counts[c] = (counts[c] || 0) + 1;
+            }
+            this.cachedColorCounts = counts;
+        }
+        return this.cachedColorCounts;
+    }
+
+    // Cost = number of constraint violations. When minimizing colors (the graph carries colorBounds),
+    // cost = colors used + nodeCount per violation: any proper coloring beats any improper one,
+    // and proper colorings rank by their number of colors.
+    get cost() {
+        if (this.cachedCost !== null) return this.cachedCost;
+
+        let cost = this.graph.colorBounds
+            ? this.conflicts * this.graph.nodeCount + this.colorsUsed
+            : this.conflicts;
 
         // Penalty for partial states
         if (this.isPartial) {
-            violations += (this.graph.nodeCount - this.placedCount) * 1000;
+            cost += (this.graph.nodeCount - this.placedCount) * 1000;
         }
 
-        this.cachedCost = violations;
-        return violations;
+        this.cachedCost = cost;
+        return cost;
     }
 
-    // Neighbors: for each node, try every other color
-    getNeighbors() {
-        const neighbors = [];
-        const n = this.graph.nodeCount;
-        for (let i = 0; i < n; i++) {
-            if (this.assignments[i] === null || this.assignments[i] === undefined) continue;
-            const origColor = this.assignments[i];
-            for (let c = 0; c < this.numColors; c++) {
-                if (c === origColor) continue;
-                const newAssign = [...this.assignments];
-                newAssign[i] = c;
-                const s = new MapColoringState(this.graph, this.numColors, newAssign);
-                s.graphType = this.graphType;
-                neighbors.push(s);
+    // Every recoloring of an assigned node as { node, color }, in getNeighbors order
+    enumerateMoves() {
+        const moves = [];
+        for (let node = 0; node < this.graph.nodeCount; node++) {
+            const origColor = this.assignments[node];
+            if (origColor === null || origColor === undefined) continue;
+            for (let color = 0; color < this.numColors; color++) {
+                if (color !== origColor) moves.push({ node, color });
             }
         }
-        return neighbors;
+        return moves;
     }
 
-    // Random Neighbor: pick random node, random different color
-    getRandomNeighbor() {
-        const n = this.graph.nodeCount;
-        const node = Math.floor(Math.random() * n);
+    // Random node, random different color
+    randomMove(rng = Math.random) {
+        const node = Math.floor(rng() * this.graph.nodeCount);
         const origColor = this.assignments[node];
-        let newColor;
+        let color;
         do {
-            newColor = Math.floor(Math.random() * this.numColors);
-        } while (newColor === origColor && this.numColors > 1);
+            color = Math.floor(rng() * this.numColors);
+        } while (color === origColor && this.numColors > 1);
+        return { node, color };
+    }
 
+    // Change in cost if `move` were applied. O(degree): the node leaves the clashes of its old
+    // color and joins those of the new one (an unassigned node carries the 1000 penalty instead).
+    // When minimizing colors, emptying the old color or opening a new one also counts.
+    moveDelta({ node, color }) {
+        const from = this.assignments[node];
+        if (from === color) return 0;
+        const minimize = Boolean(this.graph.colorBounds);
+        const weight = minimize ? this.graph.nodeCount : 1;
+        const clashes = (c) => {
+            if (c === null || c === undefined) return 1000;
+            let count = 0;
+            for (const j of this.graph.adjList[node]) {
+                if (this.assignments[j] === c) count++;
+            }
+            return count * weight;
+        };
+        let delta = clashes(color) - clashes(from);
+        if (minimize) {
+            const counts = this.colorCounts;
+            if (!counts[color]) delta++;
+            if (from !== null && from !== undefined && counts[from] === 1) delta--;
+        }
+        return delta;
+    }
+
+    // Neighbor state after `move`, its cost filled in from the delta
+    applyMove(move) {
         const newAssign = [...this.assignments];
-        newAssign[node] = newColor;
+        newAssign[move.node] = move.color;
         const s = new MapColoringState(this.graph, this.numColors, newAssign);
         s.graphType = this.graphType;
+        s.cachedCost = this.cost + this.moveDelta(move);
         return s;
     }
 
+    // Neighbors: for each node, try every other color
+    getNeighbors() {
+        return this.enumerateMoves().map(move => this.applyMove(move));
+    }
+
+    // Random Neighbor: pick random node, random different color
+    getRandomNeighbor(rng = Math.random) {
+        return this.applyMove(this.randomMove(rng));
+    }
+
     clone() {
         let newDomains = null;
         if (this.domains) {
@@ -253,6 +315,27 @@ export class MapColoringState {
     toString() {
         return this.assignments.map(c => c === null ? '_' : c).join(',');
     }
+
+    // --- Serialization (Web Worker snapshots) ---
+    // The graph is shared by every state of an instance, so it is sent once.
+    getSharedData() {
+        return this.graph;
+    }
+
+    serialize() {
+        return {
+            numColors: this.numColors,
+            assignments: this.assignments,
+            domains: this.domains,
+            graphType: this.graphType,
+        };
+    }
+
+    static deserialize(data, graph) {
+        const s = new MapColoringState(graph, data.numColors, data.assignments, data.domains);
+        s.graphType = data.graphType;
+        return s;
+    }
 }
 
 // ============================================================
@@ -261,12 +344,22 @@ export class MapColoringState {
 export const MapColoringProblem = {
     id: 'map-coloring',
     name: 'Map Coloring',
+    StateClass: MapColoringState,
     description: 'Color a map so no two adjacent regions share the same color.',
 
     defaultParams: {
         graphType: 'australia',
         numColors: 3,
         size: 8, // For random graph node count
+        objective: 'satisfy',
+        // Imported graphs use graphType 'custom' and customGraph { name, comments, adjacency, positions }
+    },
+
+    // 'minimizeColors' searches for the chromatic number: the instance's graph then carries
+    // colorBounds (see graph-coloring.js), numColors is its upper bound and cost counts colors
+    objectives: {
+        satisfy: 'Proper coloring with k colors',
+        minimizeColors: 'Minimize colors (chromatic number)',
     },
 
     supportsCSP: true,
@@ -289,14 +382,25 @@ export const MapColoringProblem = {
     },
 
     _buildGraphForType(params) {
+        const result = this._buildGraphStructure(params);
+        if (params.objective === 'minimizeColors') result.graph.colorBounds = chromaticBounds(result.graph);
+        return result;
+    },
+
+    _buildGraphStructure(params) {
         const type = params.graphType || 'australia';
         if (type === 'australia') {
             return { graph: buildGraph(AUSTRALIA_ADJACENCY), graphType: 'australia' };
         } else if (type === 'us') {
             return { graph: buildGraph(US_ADJACENCY), graphType: 'us' };
+        } else if (type === 'custom' && params.customGraph) {
+            // Imported graph (see graph-formats.js), drawn at its stored layout
+            const graph = buildGraph(params.customGraph.adjacency);
+            graph.positions = params.customGraph.positions;
+            return { graph, graphType: 'custom' };
         } else {
             const nodeCount = params.size || 8;
-            const { names, adjacency, positions } = generateRandomGraph(nodeCount);
+            const { names, adjacency, positions } = generateRandomGraph(nodeCount, getRng(params));
             const graph = buildGraph(adjacency);
             graph.positions = positions;
             return { graph, graphType: 'random' };
@@ -304,6 +408,7 @@ export const MapColoringProblem = {
     },
 
     randomState(params) {
+        const rng = getRng(params);
         // Use existing graph if passed in params (for benchmarks / restarts)
         let graph, graphType;
         if (params._graph) {
@@ -315,10 +420,10 @@ export const MapColoringProblem = {
             graphType = result.graphType;
         }
 
-        const numColors = params.numColors || 3;
+        const numColors = this._numColors(params, graph);
         const assignments = [];
         for (let i = 0; i < graph.nodeCount; i++) {
-            assignments.push(Math.floor(Math.random() * numColors));
+            assignments.push(Math.floor(rng() * numColors));
         }
         const s = new MapColoringState(graph, numColors, assignments);
         s.graphType = graphType;
@@ -336,24 +441,64 @@ export const MapColoringProblem = {
             graphType = result.graphType;
         }
 
-        const numColors = params.numColors || 3;
+        const numColors = this._numColors(params, graph);
         const assignments = Array(graph.nodeCount).fill(null);
         const s = new MapColoringState(graph, numColors, assignments);
         s.graphType = graphType;
         return s;
     },
 
+    // Minimizing colors starts from the best heuristic coloring's palette
+    _numColors(params, graph) {
+        return graph.colorBounds ? graph.colorBounds.upper : params.numColors || 3;
+    },
+
     isSolution(state) {
-        return !state.isPartial && state.cost === 0;
+        if (state.isPartial || state.conflicts > 0) return false;
+        // Minimizing colors, a coloring is only known to be optimal at the clique bound
+        return !state.graph.colorBounds || state.colorsUsed <= state.graph.colorBounds.lower;
+    },
+
+    // Informed search (A*, IDA*, ...): coloring a node costs 1 plus the clashes it adds. The
+    // heuristic counts the uncolored nodes, plus one for each whose neighbors already use every color.
+    stepCost(from, to) {
+        const isSet = (c) => c !== null && c !== undefined;
+        const node = to.assignments.findIndex((c, i) => isSet(c) && !isSet(from.assignments[i]));
+        if (node === -1) return 1;
+        const clashes = to.graph.adjList[node].filter(j => to.assignments[j] === to.assignments[node]).length;
+        return 1 + clashes;
+    },
+
+    heuristic(state) {
+        let open = 0;
+        let dead = 0;
+        for (let i = 0; i < state.graph.nodeCount; i++) {
+            if (state.assignments[i] !== null && state.assignments[i] !== undefined) continue;
+            open++;
+            const used = new Set(state.graph.adjList[i].map(j => state.assignments[j]));
+            let free = false;
+            for (let c = 0; c < state.numColors && !free; c++) free = !used.has(c);
+            if (!free) dead++;
+        }
+        return open + dead;
+    },
+
+    // Tabu Search: the attribute a move sets, here "node has color"
+    getMoveSignature(from, to) {
+        for (let node = 0; node < to.graph.nodeCount; node++) {
+            if (from.assignments[node] !== to.assignments[node]) return { node, color: to.assignments[node] };
+        }
+        return null;
     },
 
     // GA: Crossover — uniform crossover
     crossover(parents, params) {
+        const rng = getRng(params);
         const p1 = parents[0];
         const n = p1.graph.nodeCount;
         const childAssign = [];
         for (let i = 0; i < n; i++) {
-            const p = parents[Math.floor(Math.random() * parents.length)];
+            const p = parents[Math.floor(rng() * parents.length)];
             childAssign.push(p.assignments[i]);
         }
         const s = new MapColoringState(p1.graph, p1.numColors, childAssign);
@@ -362,30 +507,50 @@ export const MapColoringProblem = {
     },
 
     // GA: Mutation — randomly re-color some nodes
-    mutate(state, rate) {
+    mutate(state, rate, params) {
+        const rng = getRng(params);
         for (let i = 0; i < state.graph.nodeCount; i++) {
-            if (Math.random() < rate) {
-                state.assignments[i] = Math.floor(Math.random() * state.numColors);
+            if (rng() < rate) {
+                state.assignments[i] = Math.floor(rng() * state.numColors);
                 state.cachedCost = null;
+                state.cachedColorCounts = null;
             }
         }
     },
 
-    estimatedOptimalCost() {
-        return 0; // A valid coloring has 0 violations
+    // GA niching / diversity: share of nodes colored differently (0..1)
+    distance(a, b) {
+        const n = a.graph.nodeCount;
+        let differ = 0;
+        for (let i = 0; i < n; i++) if (a.assignments[i] !== b.assignments[i]) differ++;
+        return n > 0 ? differ / n : 0;
+    },
+
+    estimatedOptimalCost(params) {
+        const bounds = params?._graph?.colorBounds;
+        return bounds ? bounds.lower : 0; // A valid coloring has 0 violations
+    },
+
+    // Chromatic number bracket for StatsPanel's "Known Best" when minimizing colors
+    getCostBounds(params) {
+        const bounds = params._graph?.colorBounds;
+        if (!bounds) return null;
+        return { lower: bounds.lower, upper: bounds.upper, lowerBy: 'Clique', upperBy: bounds.upperBy };
     },
 
     formatCost(cost) {
         return (cost !== undefined && cost !== null) ? cost.toFixed(0) : '-';
     },
 
-    getSearchSpace(params) {
+    getSearchSpace(params, state) {
         const type = params.graphType || 'australia';
         let n;
         if (type === 'australia') n = 7;
         else if (type === 'us') n = Object.keys(US_ADJACENCY).length;
+        else if (type === 'custom' && params.customGraph) n = Object.keys(params.customGraph.adjacency).length;
         else n = params.size || 8;
-        const k = params.numColors || 3;
+        // Minimizing colors, k is the instance's upper bound rather than the numColors param
+        const k = state?.graph?.colorBounds ? state.numColors : params.numColors || 3;
         const log10Val = n * Math.log10(k);
         const exponent = Math.floor(log10Val);
         const mantissa = Math.pow(10, log10Val - exponent);
@@ -478,6 +643,48 @@ export const MapColoringProblem = {
         return s;
     },
 
+    // Local search moves { node, color }, priced from the node's neighbors only
+    enumerateMoves(state) {
+        return state.enumerateMoves();
+    },
+
+    randomMove(state, rng) {
+        return state.randomMove(rng);
+    },
+
+    moveDelta(state, move) {
+        return state.moveDelta(move);
+    },
+
+    applyNeighborMove(state, move) {
+        return state.applyMove(move);
+    },
+
+    // Min-Conflicts: nodes sharing a color with a neighbor, and the neighbors already using `value`
+    getVariableValue(state, variable) {
+        return state.assignments[variable];
+    },
+
+    getConflictedVariables(state) {
+        const conflicted = new Set();
+        for (const [i, j] of state.graph.edges) {
+            const color = state.assignments[i];
+            if (color !== null && color !== undefined && color === state.assignments[j]) {
+                conflicted.add(i);
+                conflicted.add(j);
+            }
+        }
+        return [...conflicted];
+    },
+
+    countConflicts(state, variable, value) {
+        let conflicts = 0;
+        for (const neighbor of state.graph.adjList[variable]) {
+            if (state.assignments[neighbor] === value) conflicts++;
+        }
+        return conflicts;
+    },
+
     // Forward Checking
     propagate(state, variable, value) {
         const n = state.graph.nodeCount;
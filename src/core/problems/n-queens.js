@@ -1,3 +1,5 @@
+import { getRng } from '../random.js';
+
 export class NQueensState {
     constructor(size, queens = null, domains = null) {
         this.size = size;
@@ -13,6 +15,7 @@ export class NQueensState {
         // Only relevant for CSP/Constructive.
         this.domains = domains;
         this.cachedCost = null;
+        this.cachedCounters = null;
     }
 
     // Helper: count of assigned (non-null) queens
@@ -24,10 +27,10 @@ export class NQueensState {
         return count;
     }
 
-    static randomState(size) {
+    static randomState(size, rng = Math.random) {
         const queens = [];
         for (let i = 0; i < size; i++) {
-            queens.push(Math.floor(Math.random() * size));
+            queens.push(Math.floor(rng() * size));
         }
         return new NQueensState(size, queens);
     }
@@ -42,116 +45,151 @@ export class NQueensState {
         return this.placedCount < this.size;
     }
 
+    // Occupancy counters of the placed queens, built on first use:
+    //   cols[c]               queens in column c
+    //   diags[r + c]          queens on each diagonal
+    //   antis[r - c + n - 1]  queens on each anti-diagonal
+    // Every row holds at most one queen, so two queens attack each other iff they share one of
+    // these lines.
+    get counters() {
+        if (this.cachedCounters) return this.cachedCounters;
+        const n = this.size;
+        const counters = {
+            cols: new Int32Array(n),
+            diags: new Int32Array(Math.max(2 * n - 1, 0)),
+            antis: new Int32Array(Math.max(2 * n - 1, 0))
+        };
+        for (let row = 0; row < n; row++) {
+            const col = this.queens[row];
+            if (col !== null && col !== undefined) updateCounters(counters, n, row, col, 1);
+        }
+        this.cachedCounters = counters;
+        return counters;
+    }
+
+    // Number of queens (other than the one of `row`) attacking square (row, col). O(1).
+    conflictsAt(row, col) {
+        const n = this.size;
+        const { cols, diags, antis } = this.counters;
+        const count = cols[col] + diags[row + col] + antis[row - col + n - 1];
+        // The row's own queen only shares lines with its own square
+        return this.queens[row] === col ? count - 3 : count;
+    }
+
     // Calculate number of pairs of queens that are attacking each other
     // H = 0 is a solution
     get cost() {
         if (this.cachedCost !== null) return this.cachedCost;
 
+        // k queens on one line make k * (k - 1) / 2 attacking pairs
         let attacks = 0;
-        const n = this.size;
-
-        // Collect assigned rows
-        const assigned = [];
-        for (let i = 0; i < n; i++) {
-            if (this.queens[i] !== null && this.queens[i] !== undefined) {
-                assigned.push(i);
-            }
-        }
-
-        // Calculate attacks among placed queens
-        for (let a = 0; a < assigned.length; a++) {
-            for (let b = a + 1; b < assigned.length; b++) {
-                const i = assigned[a];
-                const j = assigned[b];
-                // Same column
-                if (this.queens[i] === this.queens[j]) {
-                    attacks++;
-                    continue;
-                }
-                // Diagonal
-                const deltaRow = Math.abs(i - j);
-                const deltaCol = Math.abs(this.queens[i] - this.queens[j]);
-                if (deltaRow === deltaCol) {
-                    attacks++;
-                }
-            }
+        const { cols, diags, antis } = this.counters;
+        for (const lines of [cols, diags, antis]) {
+            for (let i = 0; i < lines.length; i++) attacks += lines[i] * (lines[i] - 1) / 2;
         }
 
         // Penalty for partial state
-        if (this.isPartial) {
-            attacks += (this.size - assigned.length) * 1000;
+        const placed = this.placedCount;
+        if (placed < this.size) {
+            attacks += (this.size - placed) * 1000;
         }
 
         this.cachedCost = attacks;
         return attacks;
     }
 
+    // Row indices of the queens under attack, in row order
+    getAttackedRows() {
+        const n = this.size;
+        const { cols, diags, antis } = this.counters;
+        const rows = [];
+        for (let row = 0; row < n; row++) {
+            const col = this.queens[row];
+            if (col === null || col === undefined) continue;
+            if (cols[col] > 1 || diags[row + col] > 1 || antis[row - col + n - 1] > 1) rows.push(row);
+        }
+        return rows;
+    }
+
     // Returns a Set of row indices of queens that are under attack
     getAttackingQueens() {
-        const attackedRows = new Set();
-        const n = this.size;
+        return new Set(this.getAttackedRows());
+    }
 
-        // Collect assigned rows
-        const assigned = [];
-        for (let i = 0; i < n; i++) {
-            if (this.queens[i] !== null && this.queens[i] !== undefined) {
-                assigned.push(i);
-            }
-        }
+    // Change in cost if the queen of `row` moved to `col` (null lifts it off the board). O(1):
+    // the queen leaves the attacks on its old square and joins those on the new one.
+    moveDelta(row, col) {
+        const from = this.queens[row];
+        if (from === col) return 0;
+        const placed = (c) => c !== null && c !== undefined;
+        const leave = placed(from) ? this.conflictsAt(row, from) : 1000; // 1000 = unplaced-queen penalty
+        const join = placed(col) ? this.conflictsAt(row, col) : 1000;
+        return join - leave;
+    }
 
-        for (let a = 0; a < assigned.length; a++) {
-            for (let b = a + 1; b < assigned.length; b++) {
-                const i = assigned[a];
-                const j = assigned[b];
-                let isAttacking = false;
-                if (this.queens[i] === this.queens[j]) {
-                    isAttacking = true;
-                } else {
-                    const deltaRow = Math.abs(i - j);
-                    const deltaCol = Math.abs(this.queens[i] - this.queens[j]);
-                    if (deltaRow === deltaCol) {
-                        isAttacking = true;
-                    }
-                }
-                if (isAttacking) {
-                    attackedRows.add(i);
-                    attackedRows.add(j);
-                }
-            }
-        }
-        return attackedRows;
+    // New state with the queen of `row` moved to `col` (null lifts it off the board).
+    // The counters are handed over to the new state and updated in O(1), and a known cost is
+    // updated with the move's delta, so a local search step never rebuilds them. This state
+    // rebuilds its own counters if it needs them again.
+    moveQueen(row, col, domains = null) {
+        const next = new NQueensState(this.size, this.queens, domains);
+        next.queens[row] = col;
+        if (!this.cachedCounters) return next;
+
+        const n = this.size;
+        const from = this.queens[row];
+        const counters = this.cachedCounters;
+        if (this.cachedCost !== null) next.cachedCost = this.cachedCost + this.moveDelta(row, col);
+        if (from !== null && from !== undefined) updateCounters(counters, n, row, from, -1);
+        if (col !== null && col !== undefined) updateCounters(counters, n, row, col, 1);
+
+        this.cachedCounters = null;
+        next.cachedCounters = counters;
+        return next;
     }
 
-    // Generate all neighbors by moving each queen to every other square in its column
-    getNeighbors() {
-        const neighbors = [];
+    // Every single-queen move as { row, col }, in getNeighbors order
+    enumerateMoves() {
+        const moves = [];
         for (let row = 0; row < this.size; row++) {
             const originalCol = this.queens[row];
             for (let col = 0; col < this.size; col++) {
-                if (col === originalCol) continue;
-
-                const newQueens = [...this.queens];
-                newQueens[row] = col;
-                neighbors.push(new NQueensState(this.size, newQueens));
+                if (col !== originalCol) moves.push({ row, col });
             }
         }
-        return neighbors;
+        return moves;
     }
 
-    // Generate a single random neighbor (O(1) compared to getNeighbors O(N^2))
-    getRandomNeighbor() {
-        const row = Math.floor(Math.random() * this.size);
+    // One random queen moved to another square of its row
+    randomMove(rng = Math.random) {
+        const row = Math.floor(rng() * this.size);
         const originalCol = this.queens[row];
-        let col = Math.floor(Math.random() * this.size);
+        let col = Math.floor(rng() * this.size);
 
         // Ensure we actually change the column
         while (col === originalCol) {
-            col = Math.floor(Math.random() * this.size);
+            col = Math.floor(rng() * this.size);
         }
+        return { row, col };
+    }
+
+    // Neighbor with the queen of `row` in `col`, its cost filled in from the move's delta
+    neighborAt(row, col) {
+        const next = new NQueensState(this.size, this.queens);
+        next.queens[row] = col;
+        next.cachedCost = this.cost + this.moveDelta(row, col);
+        return next;
+    }
 
-        const newQueens = [...this.queens];
-        newQueens[row] = col;
-        return new NQueensState(this.size, newQueens);
+    // Generate all neighbors by moving each queen to every other square in its column
+    getNeighbors() {
+        return this.enumerateMoves().map(({ row, col }) => this.neighborAt(row, col));
+    }
+
+    // Generate a single random neighbor (O(1) compared to getNeighbors O(N^2))
+    getRandomNeighbor(rng = Math.random) {
+        const { row, col } = this.randomMove(rng);
+        return this.neighborAt(row, col);
     }
 
     // Helper to deep copy
@@ -170,11 +208,44 @@ export class NQueensState {
     toString() {
         return this.queens.join(',');
     }
+
+    // --- Serialization (Web Worker snapshots) ---
+    // No shared instance data: the whole board is in the snapshot.
+    getSharedData() {
+        return null;
+    }
+
+    serialize() {
+        return { size: this.size, queens: this.queens, domains: this.domains };
+    }
+
+    static deserialize(data) {
+        return new NQueensState(data.size, data.queens, data.domains);
+    }
+}
+
+// Add (+1) or remove (-1) the queen at (row, col) from the occupancy counters
+function updateCounters(counters, n, row, col, amount) {
+    counters.cols[col] += amount;
+    counters.diags[row + col] += amount;
+    counters.antis[row - col + n - 1] += amount;
 }
 
+export const N_QUEENS_CROSSOVERS = {
+    onePoint: 'One-point',
+    twoPoint: 'Two-point',
+    uniform: 'Uniform'
+};
+
+export const N_QUEENS_MUTATIONS = {
+    reset: 'Move a queen to a random column',
+    swap: 'Swap the columns of two rows'
+};
+
 export const NQueensProblem = {
     id: 'n-queens',
     name: 'N-Queens',
+    StateClass: NQueensState,
     description: 'Place N queens on an NxN chessboard so that no two queens attack each other.',
 
     // Default parameters for this problem
@@ -184,7 +255,7 @@ export const NQueensProblem = {
 
     // Factory method given params (which might contain size)
     randomState: (params) => {
-        return NQueensState.randomState(params.size);
+        return NQueensState.randomState(params.size, getRng(params));
     },
 
     emptyState: (params) => {
@@ -193,42 +264,117 @@ export const NQueensProblem = {
 
     isSolution: (state) => !state.isPartial && state.cost === 0,
 
+    // Informed search (A*, IDA*, ...): placing a queen costs 1 plus the attacks it adds, so a
+    // conflict-free board is the cheapest goal. The heuristic counts the open rows, plus one for
+    // each open row whose columns are all attacked already (its queen must add an attack).
+    stepCost: (from, to) => {
+        const row = to.queens.findIndex((col, r) => col !== null && col !== undefined && (from.queens[r] === null || from.queens[r] === undefined));
+        if (row === -1) return 1;
+        const col = to.queens[row];
+        let attacks = 0;
+        to.queens.forEach((c, r) => {
+            if (r === row || c === null || c === undefined) return;
+            if (c === col || Math.abs(c - col) === Math.abs(r - row)) attacks++;
+        });
+        return 1 + attacks;
+    },
+
+    heuristic: (state) => {
+        const placed = [];
+        const open = [];
+        state.queens.forEach((c, r) => (c === null || c === undefined ? open : placed).push(r));
+        let dead = 0;
+        for (const row of open) {
+            let free = false;
+            for (let col = 0; col < state.size && !free; col++) {
+                free = placed.every(r => {
+                    const c = state.queens[r];
+                    return c !== col && Math.abs(c - col) !== Math.abs(r - row);
+                });
+            }
+            if (!free) dead++;
+        }
+        return open.length + dead;
+    },
+
+    // Tabu Search: the attribute a move sets, here "the queen of row r stands in column c"
+    getMoveSignature: (from, to) => {
+        for (let row = 0; row < to.size; row++) {
+            if (from.queens[row] !== to.queens[row]) return { row, col: to.queens[row] };
+        }
+        return null;
+    },
+
+    // GA: crossover and mutation operators picked by the `crossoverOperator` / `mutationOperator` params
+    crossoverOperators: N_QUEENS_CROSSOVERS,
+    mutationOperators: N_QUEENS_MUTATIONS,
+
     // GA: Crossover parents to create a child
     crossover: (parents, params) => {
         const size = params.size;
+        const rng = getRng(params);
+        const operator = params.crossoverOperator in N_QUEENS_CROSSOVERS ? params.crossoverOperator : 'onePoint';
 
         // Uniform crossover generalizable to N parents: each gene comes from a random parent
-        if (parents.length > 2) {
+        if (parents.length > 2 || operator === 'uniform') {
             const childQueens = [];
             for (let i = 0; i < size; i++) {
-                const randomParent = parents[Math.floor(Math.random() * parents.length)];
+                const randomParent = parents[Math.floor(rng() * parents.length)];
                 childQueens.push(randomParent.queens[i]);
             }
             return new NQueensState(size, childQueens);
-        } else {
-            // Standard random point crossover for 2 parents
-            const p1 = parents[0];
-            const p2 = parents[1];
-            const point = Math.floor(Math.random() * size);
+        }
 
+        const p1 = parents[0];
+        const p2 = parents[1];
+        if (operator === 'twoPoint') {
+            // Middle section from p2, the ends from p1
+            let a = Math.floor(rng() * size);
+            let b = Math.floor(rng() * size);
+            if (a > b) [a, b] = [b, a];
             const childQueens = [
-                ...p1.queens.slice(0, point),
-                ...p2.queens.slice(point)
+                ...p1.queens.slice(0, a),
+                ...p2.queens.slice(a, b + 1),
+                ...p1.queens.slice(b + 1)
             ];
             return new NQueensState(size, childQueens);
         }
+
+        // Standard random point crossover for 2 parents
+        const point = Math.floor(rng() * size);
+        const childQueens = [
+            ...p1.queens.slice(0, point),
+            ...p2.queens.slice(point)
+        ];
+        return new NQueensState(size, childQueens);
     },
 
-    // GA: Mutate a state
+    // GA: Mutate a state, each row independently with probability `rate`
     mutate: (state, rate, params) => {
+        const rng = getRng(params);
+        const swap = params.mutationOperator === 'swap';
         for (let i = 0; i < state.size; i++) {
-            if (Math.random() < rate) {
-                state.queens[i] = Math.floor(Math.random() * state.size);
-                state.cachedCost = null; // Invalidate cache
+            if (rng() < rate) {
+                const j = Math.floor(rng() * state.size);
+                if (swap) {
+                    // Exchange the columns of two rows (keeps a permutation a permutation)
+                    [state.queens[i], state.queens[j]] = [state.queens[j], state.queens[i]];
+                } else {
+                    state.queens[i] = j;
+                }
+                state.cachedCost = null; // Invalidate caches
+                state.cachedCounters = null;
             }
         }
     },
 
+    // GA niching / diversity: share of rows whose queens differ (0..1)
+    distance: (a, b) => {
+        let differ = 0;
+        for (let i = 0; i < a.size; i++) if (a.queens[i] !== b.queens[i]) differ++;
+        return a.size > 0 ? differ / a.size : 0;
+    },
+
     // Known optimal cost
     estimatedOptimalCost: (params) => {
         const n = params.size;
@@ -326,16 +472,34 @@ export const NQueensProblem = {
 
     // All possible values for a variable (for backtracking without domains)
     getAllValues: (state, variable, params) => {
-        return Array.from({ length: state.size }, (_, i) => i);
+        // Plain loop: Min-Conflicts asks for every column of a large board on each step
+        const cols = new Array(state.size);
+        for (let i = 0; i < state.size; i++) cols[i] = i;
+        return cols;
     },
 
     applyMove: (state, variable, value, newDomains) => {
         // variable is row index, value is column
-        const newQueens = [...state.queens];
-        newQueens[variable] = value;
-        return new NQueensState(state.size, newQueens, newDomains);
+        return state.moveQueen(variable, value, newDomains);
     },
 
+    // Min-Conflicts: rows whose queen is attacked, and the attacks a queen would get in `value`
+    getVariableValue: (state, variable) => state.queens[variable],
+
+    getConflictedVariables: (state) => state.getAttackedRows(),
+
+    countConflicts: (state, variable, value) => state.conflictsAt(variable, value),
+
+    // Local search moves { row, col }: priced in O(1) from the conflict counters, and the
+    // counters follow the search from state to state
+    enumerateMoves: (state) => state.enumerateMoves(),
+
+    randomMove: (state, rng) => state.randomMove(rng),
+
+    moveDelta: (state, move) => state.moveDelta(move.row, move.col),
+
+    applyNeighborMove: (state, move) => state.moveQueen(move.row, move.col),
+
     // Forward Checking Propagation
     // Returns { domains: newDomains, success: boolean }
     propagate: (state, variable, value) => {
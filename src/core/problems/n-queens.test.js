@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { NQueensState, NQueensProblem } from './n-queens.js';
+import { createRng } from '../random.js';
 
 describe('N-Queens Logic', () => {
 
@@ -77,6 +78,53 @@ describe('N-Queens Logic', () => {
                 expect(col).toBeLessThan(N);
             });
         });
+
+        it('moveQueen should keep the counters and cost in step with a full recount', () => {
+            const N = 12;
+            let state = NQueensState.randomState(N, createRng(4));
+            state.cost; // Builds the counters that the moves hand over
+            const rng = createRng(9);
+            for (let i = 0; i < 200; i++) {
+                const row = Math.floor(rng() * N);
+                const col = rng() < 0.1 ? null : Math.floor(rng() * N);
+                state = state.moveQueen(row, col);
+
+                const fresh = new NQueensState(N, state.queens);
+                expect(state.cost).toBe(fresh.cost);
+                for (let c = 0; c < N; c++) expect(state.conflictsAt(row, c)).toBe(fresh.conflictsAt(row, c));
+            }
+        });
+
+        it('move deltas should match the cost of the rebuilt neighbor', () => {
+            const N = 9;
+            const state = new NQueensState(N, [0, 2, 2, 5, 8, null, 1, 1, 7]);
+            const moves = NQueensProblem.enumerateMoves(state);
+            expect(moves).toHaveLength(N * (N - 1) + 1); // The empty row can take any column
+            for (const move of moves) {
+                const queens = [...state.queens];
+                queens[move.row] = move.col;
+                const expected = new NQueensState(N, queens).cost - state.cost;
+                expect(NQueensProblem.moveDelta(state, move)).toBe(expected);
+            }
+            expect(state.moveDelta(1, null)).toBe(new NQueensState(N, [0, null, 2, 5, 8, null, 1, 1, 7]).cost - state.cost);
+
+            // Neighbors come with their cost filled in from the delta
+            state.getNeighbors().forEach(neighbor => {
+                expect(neighbor.cost).toBe(new NQueensState(N, neighbor.queens).cost);
+            });
+        });
+
+        it('conflictsAt should count the queens attacking a square', () => {
+            // Q . . .
+            // . . . .
+            // Q . . .
+            // . . Q .
+            const state = new NQueensState(4, [0, null, 0, 2]);
+            expect(state.conflictsAt(1, 1)).toBe(2); // (0,0) and (2,0) diagonally
+            expect(state.conflictsAt(0, 0)).toBe(1); // (2,0) by column, not its own queen
+            expect(state.conflictsAt(3, 3)).toBe(1); // (0,0) diagonally; its own queen at (3,2) does not count
+            expect(state.getAttackingQueens()).toEqual(new Set([0, 2]));
+        });
     });
 
     describe('NQueensProblem', () => {
@@ -100,6 +148,31 @@ describe('N-Queens Logic', () => {
             expect(isAllZeros).toBe(false);
         });
 
+        it('two-point crossover takes a middle section from the second parent', () => {
+            const p1 = new NQueensState(8, [0, 0, 0, 0, 0, 0, 0, 0]);
+            const p2 = new NQueensState(8, [1, 1, 1, 1, 1, 1, 1, 1]);
+            for (let seed = 0; seed < 10; seed++) {
+                const child = NQueensProblem.crossover([p1, p2], { size: 8, crossoverOperator: 'twoPoint', seed });
+                // 0...0 1...1 0...0: at most two changes along the board
+                const changes = child.queens.slice(1).filter((q, i) => q !== child.queens[i]).length;
+                expect(changes).toBeLessThanOrEqual(2);
+                expect(child.queens).toContain(1);
+            }
+        });
+
+        it('swap mutation keeps the set of columns', () => {
+            const state = new NQueensState(8, [0, 1, 2, 3, 4, 5, 6, 7]);
+            NQueensProblem.mutate(state, 1.0, { size: 8, mutationOperator: 'swap', seed: 3 });
+            expect([...state.queens].sort()).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+            expect(state.queens).not.toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+        });
+
+        it('distance is the share of rows that differ', () => {
+            const a = new NQueensState(4, [0, 1, 2, 3]);
+            expect(NQueensProblem.distance(a, new NQueensState(4, [0, 1, 3, 2]))).toBe(0.5);
+            expect(NQueensProblem.distance(a, a)).toBe(0);
+        });
+
         // [New Test] Heuristic Support
         it('getUnassignedVariables should return all unassigned rows', () => {
             // State: queens placed on Row 0 and Row 1 only, rows 2 and 3 are null
@@ -0,0 +1,104 @@
+// Sudoku Import / Export
+// Two plain-text puzzle formats, for N = 4, 6, 9, 12 and 16:
+//   line   one character per cell, row by row (the 81-character strings of puzzle collections):
+//            1....7.9..3..2...8..96..5....53..9...1..8...26....4...3......1..4......7..7...3..
+//   grid   one row per line, as in .sdk files and printed puzzles. Cells are single characters or
+//          whitespace-separated values; box separators (| + - lines) are ignored:
+//            1 . . | . . 7 | . 9 .
+//            ------+-------+------
+// Blanks are '.', '0' or '_'. Values above 9 are letters (A = 10 ... G = 16) or, in the grid
+// format, plain numbers. Lines starting with '#' are comments; "#N <name>" names the puzzle.
+// A parsed puzzle is { name, size, grid } with grid[row][col] = 1..N, or 0 for a blank.
+import { SudokuState } from './sudoku.js';
+
+export const SUDOKU_SIZES = [4, 6, 9, 12, 16];
+
+const BLANKS = ['.', '0', '_'];
+
+// Cell text -> 0 (blank) or value, validated against 1..size
+const parseCell = (token, size, row, col) => {
+    if (BLANKS.includes(token)) return 0;
+    let value = NaN;
+    if (/^\d+$/.test(token)) value = parseInt(token, 10);
+    else if (/^[A-Za-z]$/.test(token)) value = 10 + token.toUpperCase().charCodeAt(0) - 65;
+    if (!(value >= 1 && value <= size)) {
+        throw new Error(`Sudoku: row ${row + 1}, column ${col + 1}: "${token}" is not a blank or a value 1..${size}`);
+    }
+    return value;
+};
+
+const checkSize = (size, what) => {
+    if (!SUDOKU_SIZES.includes(size)) {
+        throw new Error(`Sudoku: ${what} does not match a supported grid (${SUDOKU_SIZES.map(n => `${n}x${n}`).join(', ')})`);
+    }
+};
+
+export function parseSudoku(text) {
+    let name = null;
+    const lines = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line[0] === '#') {
+            if (line.startsWith('#N')) name = line.slice(2).trim() || null;
+            continue;
+        }
+        // Box separator rows such as "------+-------+------"
+        if (/^[-+=|\s]+$/.test(line)) continue;
+        lines.push(line);
+    }
+    if (lines.length === 0) throw new Error('Sudoku: no puzzle found');
+
+    let size;
+    let rows;
+    if (lines.length === 1) {
+        const cells = lines[0].replace(/[\s|]/g, '');
+        size = Math.round(Math.sqrt(cells.length));
+        checkSize(size * size === cells.length ? size : null, `${cells.length} characters`);
+        rows = Array.from({ length: size }, (_, r) => cells.slice(r * size, (r + 1) * size).split(''));
+    } else {
+        size = lines.length;
+        checkSize(size, `${size} rows`);
+        rows = lines.map((line, r) => {
+            const tokens = line.replace(/\|/g, ' ').trim().split(/\s+/);
+            // Either one value per token, or compact rows (possibly grouped by box: "123 456 789")
+            const cells = tokens.length === size ? tokens : tokens.join('').split('');
+            if (cells.length !== size) {
+                throw new Error(`Sudoku: row ${r + 1} has ${cells.length} cells, expected ${size}`);
+            }
+            return cells;
+        });
+    }
+
+    const grid = rows.map((cells, r) => cells.map((token, c) => parseCell(token, size, r, c)));
+
+    const state = new SudokuState(size, grid);
+    if (state.conflicts > 0) {
+        throw new Error('Sudoku: the clues repeat a value in a row, column or box');
+    }
+    return { name, size, grid };
+}
+
+const cellChar = (value) => (value === 0 ? '.' : value <= 9 ? String(value) : String.fromCharCode(65 + value - 10));
+
+// format: 'line' (one character per cell) or 'grid' (rows with box separators)
+export function formatSudoku(grid, format = 'line') {
+    const size = grid.length;
+    if (format === 'line') return grid.map(row => row.map(cellChar).join('')).join('') + '\n';
+
+    const { boxWidth, boxHeight } = new SudokuState(size, grid);
+    const width = size > 9 ? 2 : 1;
+    const lines = [];
+    grid.forEach((row, r) => {
+        if (r > 0 && r % boxHeight === 0) {
+            const boxes = Array.from({ length: size / boxWidth }, () => '-'.repeat(boxWidth * (width + 1) + 1));
+            lines.push(boxes.join('+').slice(1, -1));
+        }
+        const boxes = [];
+        for (let c = 0; c < size; c += boxWidth) {
+            boxes.push(row.slice(c, c + boxWidth).map(v => (v === 0 ? '.' : String(v)).padStart(width)).join(' '));
+        }
+        lines.push(boxes.join(' | '));
+    });
+    return lines.join('\n') + '\n';
+}
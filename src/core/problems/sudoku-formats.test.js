@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { parseSudoku, formatSudoku } from './sudoku-formats.js';
+import { SudokuProblem } from './sudoku.js';
+
+const AI_ESCARGOT = '1....7.9..3..2...8..96..5....53..9...1..8...26....4...3......1..4......7..7...3..';
+
+const AI_ESCARGOT_GRID = `#N AI Escargot
+1 . . | . . 7 | . 9 .
+. 3 . | . 2 . | . . 8
+. . 9 | 6 . . | 5 . .
+------+-------+------
+. . 5 | 3 . . | 9 . .
+. 1 . | . 8 . | . . 2
+6 . . | . . 4 | . . .
+------+-------+------
+3 . . | . . . | . 1 .
+. 4 . | . . . | . . 7
+. . 7 | . . . | 3 . .
+`;
+
+describe('Sudoku Import / Export', () => {
+    it('reads 81-character strings and grids into the same puzzle', () => {
+        const line = parseSudoku(AI_ESCARGOT);
+        expect(line.size).toBe(9);
+        expect(line.grid[0]).toEqual([1, 0, 0, 0, 0, 7, 0, 9, 0]);
+
+        const grid = parseSudoku(AI_ESCARGOT_GRID);
+        expect(grid.name).toBe('AI Escargot');
+        expect(grid.grid).toEqual(line.grid);
+
+        // 0 blanks and compact .sdk rows
+        const sdk = AI_ESCARGOT.replace(/\./g, '0').match(/.{9}/g).join('\n');
+        expect(parseSudoku(sdk).grid).toEqual(line.grid);
+    });
+
+    it('supports 4x4 to 16x16 grids, with letters or numbers above 9', () => {
+        expect(parseSudoku('1.3.\n..1.\n.1..\n4...').size).toBe(4);
+        expect(parseSudoku('12....\n......\n......\n......\n......\n.....6').size).toBe(6);
+
+        const twelve = Array.from({ length: 12 }, (_, r) => Array.from({ length: 12 }, (_, c) => (r === c ? r + 1 : 0)));
+        expect(parseSudoku(formatSudoku(twelve, 'grid')).grid).toEqual(twelve);
+
+        const sixteen = Array.from({ length: 16 }, (_, r) => Array.from({ length: 16 }, (_, c) => (r === c ? 16 - r : 0)));
+        const line = formatSudoku(sixteen, 'line');
+        expect(line.trim()).toHaveLength(256);
+        expect(line[0]).toBe('G');
+        expect(parseSudoku(line).grid).toEqual(sixteen);
+        expect(parseSudoku(formatSudoku(sixteen, 'grid')).grid).toEqual(sixteen);
+    });
+
+    it('rejects malformed puzzles with a descriptive error', () => {
+        expect(() => parseSudoku('')).toThrow(/no puzzle/);
+        expect(() => parseSudoku('123')).toThrow(/3 characters does not match/);
+        expect(() => parseSudoku('1234\n....\n....')).toThrow(/3 rows/);
+        expect(() => parseSudoku('1234\n...\n....\n....')).toThrow(/row 2 has 3 cells/);
+        expect(() => parseSudoku('5...\n....\n....\n....')).toThrow(/row 1, column 1: "5"/);
+        expect(() => parseSudoku('11..\n....\n....\n....')).toThrow(/repeat a value/);
+    });
+
+    it('maps imported clues onto the fixed mask', () => {
+        const puzzle = parseSudoku(AI_ESCARGOT);
+        const params = { size: 9, puzzle, seed: 1 };
+
+        const empty = SudokuProblem.emptyState(params);
+        expect(empty.grid).toEqual(puzzle.grid);
+        expect(empty.fixed[0][0]).toBe(true);
+        expect(empty.fixed[0][1]).toBe(false);
+
+        const full = SudokuProblem.randomState(params);
+        expect(full.isPartial).toBe(false);
+        expect(full.grid[0][5]).toBe(7);
+        expect(puzzle.grid[0][1]).toBe(0); // The puzzle itself is not filled in
+
+        expect(formatSudoku(empty.grid, 'line').trim()).toBe(AI_ESCARGOT);
+    });
+});
@@ -0,0 +1,300 @@
+// Sudoku Analysis: solution counting and difficulty rating
+// countSolutions is an exhaustive backtracker (most constrained cell first, candidates as bitmasks)
+// that stops at `limit` solutions; the generator uses it to keep puzzles uniquely solvable.
+// ratePuzzle solves like a person would, always using the simplest technique that makes progress:
+//   easy     naked and hidden singles only
+//   medium   also naked / hidden pairs
+//   hard     also X-wings
+//   expert   stuck without guessing (needs trial and error)
+// It also reports the backtracking node count, a technique-independent measure of search effort.
+// Grids are [row][col] arrays of 1..N, 0 for a blank; boxes are boxWidth x boxHeight as in SudokuState.
+
+export const SUDOKU_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+// Rows, columns and boxes (boxes only from 4x4 up, as in SudokuState) with each cell's peers
+const layouts = new Map();
+const getLayout = (size, boxWidth, boxHeight) => {
+    const key = `${size}:${boxWidth}x${boxHeight}`;
+    if (layouts.has(key)) return layouts.get(key);
+
+    const units = [];
+    for (let r = 0; r < size; r++) units.push(Array.from({ length: size }, (_, c) => r * size + c));
+    for (let c = 0; c < size; c++) units.push(Array.from({ length: size }, (_, r) => r * size + c));
+    const boxOf = new Int32Array(size * size).fill(-1);
+    if (size >= 4) {
+        for (let br = 0; br < size; br += boxHeight) {
+            for (let bc = 0; bc < size; bc += boxWidth) {
+                const box = [];
+                for (let r = br; r < br + boxHeight; r++) {
+                    for (let c = bc; c < bc + boxWidth; c++) {
+                        box.push(r * size + c);
+                        boxOf[r * size + c] = units.length - 2 * size;
+                    }
+                }
+                units.push(box);
+            }
+        }
+    }
+
+    const peers = Array.from({ length: size * size }, () => new Set());
+    for (const unit of units) {
+        for (const a of unit) {
+            for (const b of unit) if (a !== b) peers[a].add(b);
+        }
+    }
+
+    const layout = { units, boxOf, peers: peers.map(set => Int32Array.from(set)) };
+    layouts.set(key, layout);
+    return layout;
+};
+
+const bitCount = (mask) => {
+    let count = 0;
+    for (let m = mask; m; m &= m - 1) count++;
+    return count;
+};
+
+// Value (1..N) of a single-bit candidate mask
+const bitValue = (mask) => 31 - Math.clz32(mask) + 1;
+
+// Count solutions up to `limit`. `complete` is false when the node budget ran out first.
+export function countSolutions(grid, boxWidth, boxHeight, { limit = 2, nodeLimit = Infinity } = {}) {
+    const size = grid.length;
+    const { boxOf } = getLayout(size, boxWidth, boxHeight);
+    const full = (1 << size) - 1;
+    const vals = grid.flat();
+    const rowUsed = new Int32Array(size);
+    const colUsed = new Int32Array(size);
+    const boxUsed = new Int32Array(size);
+
+    const boxMask = (i) => (boxOf[i] >= 0 ? boxUsed[boxOf[i]] : 0);
+    const set = (i, v, on) => {
+        const bit = 1 << (v - 1);
+        const r = Math.floor(i / size);
+        const c = i % size;
+        rowUsed[r] ^= bit;
+        colUsed[c] ^= bit;
+        if (boxOf[i] >= 0) boxUsed[boxOf[i]] ^= bit;
+        vals[i] = on ? v : 0;
+    };
+
+    for (let i = 0; i < vals.length; i++) {
+        const v = vals[i];
+        if (v === 0) continue;
+        const bit = 1 << (v - 1);
+        // Clashing clues: no solutions
+        if ((rowUsed[Math.floor(i / size)] | colUsed[i % size] | boxMask(i)) & bit) {
+            return { count: 0, nodes: 0, complete: true };
+        }
+        set(i, v, true);
+    }
+
+    let count = 0;
+    let nodes = 0;
+    let aborted = false;
+
+    const search = () => {
+        let cell = -1;
+        let cellMask = 0;
+        let fewest = size + 1;
+        for (let i = 0; i < vals.length; i++) {
+            if (vals[i] !== 0) continue;
+            const mask = full & ~(rowUsed[Math.floor(i / size)] | colUsed[i % size] | boxMask(i));
+            const options = bitCount(mask);
+            if (options < fewest) {
+                fewest = options;
+                cell = i;
+                cellMask = mask;
+                if (options <= 1) break;
+            }
+        }
+        if (cell === -1) {
+            count++;
+            return;
+        }
+        for (let m = cellMask; m; m &= m - 1) {
+            if (++nodes > nodeLimit) {
+                aborted = true;
+                return;
+            }
+            const v = bitValue(m & -m);
+            set(cell, v, true);
+            search();
+            set(cell, v, false);
+            if (aborted || count >= limit) return;
+        }
+    };
+
+    search();
+    return { count, nodes, complete: !aborted };
+}
+
+// --- Human-style techniques ---
+// Each one applies a single deduction to the candidate masks and returns true, or returns false.
+
+const nakedSingle = ({ vals, cand, place }) => {
+    for (let i = 0; i < vals.length; i++) {
+        if (vals[i] === 0 && bitCount(cand[i]) === 1) {
+            place(i, bitValue(cand[i]));
+            return true;
+        }
+    }
+    return false;
+};
+
+const hiddenSingle = ({ size, units, cand, place }) => {
+    for (const unit of units) {
+        for (let v = 1; v <= size; v++) {
+            const bit = 1 << (v - 1);
+            let only = -1;
+            let found = 0;
+            for (const i of unit) {
+                if (cand[i] & bit) {
+                    only = i;
+                    found++;
+                }
+            }
+            if (found === 1) {
+                place(only, v);
+                return true;
+            }
+        }
+    }
+    return false;
+};
+
+// Clear `mask` from the candidates of `cells`; true if anything changed
+const eliminate = (cand, cells, mask) => {
+    let changed = false;
+    for (const i of cells) {
+        if (cand[i] & mask) {
+            cand[i] &= ~mask;
+            changed = true;
+        }
+    }
+    return changed;
+};
+
+// Two cells of a unit with the same two candidates: no other cell of the unit can take them
+const nakedPair = ({ units, cand }) => {
+    for (const unit of units) {
+        const pairs = unit.filter(i => bitCount(cand[i]) === 2);
+        for (let a = 0; a < pairs.length; a++) {
+            for (let b = a + 1; b < pairs.length; b++) {
+                const mask = cand[pairs[a]];
+                if (mask !== cand[pairs[b]]) continue;
+                const others = unit.filter(i => i !== pairs[a] && i !== pairs[b]);
+                if (eliminate(cand, others, mask)) return true;
+            }
+        }
+    }
+    return false;
+};
+
+// Two values confined to the same two cells of a unit: those cells hold nothing else
+const hiddenPair = ({ size, units, cand }) => {
+    for (const unit of units) {
+        const places = [];
+        for (let v = 1; v <= size; v++) {
+            const cells = unit.filter(i => cand[i] & (1 << (v - 1)));
+            if (cells.length === 2) places.push({ v, cells });
+        }
+        for (let a = 0; a < places.length; a++) {
+            for (let b = a + 1; b < places.length; b++) {
+                const [p, q] = places[a].cells;
+                if (places[b].cells[0] !== p || places[b].cells[1] !== q) continue;
+                const keep = (1 << (places[a].v - 1)) | (1 << (places[b].v - 1));
+                if ((cand[p] | cand[q]) & ~keep) {
+                    cand[p] &= keep;
+                    cand[q] &= keep;
+                    return true;
+                }
+            }
+        }
+    }
+    return false;
+};
+
+// A value confined to the same two columns in two rows (or rows in two columns) is cleared
+// from the rest of those columns (rows)
+const xWing = ({ size, cand }) => {
+    for (const byRow of [true, false]) {
+        const cellAt = byRow ? (line, k) => line * size + k : (line, k) => k * size + line;
+        for (let v = 1; v <= size; v++) {
+            const bit = 1 << (v - 1);
+            const lines = [];
+            for (let line = 0; line < size; line++) {
+                const spots = [];
+                for (let k = 0; k < size; k++) if (cand[cellAt(line, k)] & bit) spots.push(k);
+                if (spots.length === 2) lines.push({ line, spots });
+            }
+            for (let a = 0; a < lines.length; a++) {
+                for (let b = a + 1; b < lines.length; b++) {
+                    const [k1, k2] = lines[a].spots;
+                    if (lines[b].spots[0] !== k1 || lines[b].spots[1] !== k2) continue;
+                    const others = [];
+                    for (let line = 0; line < size; line++) {
+                        if (line !== lines[a].line && line !== lines[b].line) others.push(cellAt(line, k1), cellAt(line, k2));
+                    }
+                    if (eliminate(cand, others, bit)) return true;
+                }
+            }
+        }
+    }
+    return false;
+};
+
+// Simplest first: the first technique that makes progress is applied, then the search starts over
+const TECHNIQUES = [
+    ['nakedSingle', nakedSingle],
+    ['hiddenSingle', hiddenSingle],
+    ['nakedPair', nakedPair],
+    ['hiddenPair', hiddenPair],
+    ['xWing', xWing]
+];
+
+// Returns { difficulty, techniques: { name: times used }, solved, nodes }. nodeLimit 0 skips the node count.
+export function ratePuzzle(grid, boxWidth, boxHeight, { nodeLimit = 200000 } = {}) {
+    const size = grid.length;
+    const { units, peers } = getLayout(size, boxWidth, boxHeight);
+    const full = (1 << size) - 1;
+    const vals = grid.flat();
+    const cand = new Int32Array(vals.length);
+    for (let i = 0; i < vals.length; i++) {
+        if (vals[i] !== 0) continue;
+        let mask = full;
+        for (const p of peers[i]) if (vals[p] !== 0) mask &= ~(1 << (vals[p] - 1));
+        cand[i] = mask;
+    }
+
+    const place = (i, v) => {
+        vals[i] = v;
+        cand[i] = 0;
+        for (const p of peers[i]) cand[p] &= ~(1 << (v - 1));
+    };
+
+    const ctx = { size, units, vals, cand, place };
+    const techniques = Object.fromEntries(TECHNIQUES.map(([name]) => [name, 0]));
+    let solved = false;
+    while (true) {
+        if (!vals.includes(0)) {
+            solved = true;
+            break;
+        }
+        // A cell without candidates: the clues contradict each other
+        if (vals.some((v, i) => v === 0 && cand[i] === 0)) break;
+        const step = TECHNIQUES.find(([, apply]) => apply(ctx));
+        if (!step) break;
+        techniques[step[0]]++;
+    }
+
+    let difficulty = 'expert';
+    if (solved) {
+        if (techniques.xWing > 0) difficulty = 'hard';
+        else if (techniques.nakedPair > 0 || techniques.hiddenPair > 0) difficulty = 'medium';
+        else difficulty = 'easy';
+    }
+
+    const nodes = nodeLimit > 0 ? countSolutions(grid, boxWidth, boxHeight, { limit: 2, nodeLimit }).nodes : null;
+    return { difficulty, techniques, solved, nodes };
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { countSolutions, ratePuzzle, SUDOKU_DIFFICULTIES } from './sudoku-rating.js';
+import { parseSudoku } from './sudoku-formats.js';
+import { SudokuProblem } from './sudoku.js';
+
+const grid = (text) => parseSudoku(text).grid;
+
+// Solved by naked and hidden singles alone
+const EASY = grid('..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..');
+// Needs trial and error
+const AI_ESCARGOT = grid('1....7.9..3..2...8..96..5....53..9...1..8...26....4...3......1..4......7..7...3..');
+
+describe('Sudoku Analysis', () => {
+    it('counts solutions up to the limit', () => {
+        expect(countSolutions(EASY, 3, 3).count).toBe(1);
+        expect(countSolutions(AI_ESCARGOT, 3, 3).count).toBe(1);
+
+        const blank = Array.from({ length: 4 }, () => Array(4).fill(0));
+        expect(countSolutions(blank, 2, 2, { limit: 1000 }).count).toBe(288);
+
+        const clash = EASY.map(row => [...row]);
+        clash[0][0] = 3; // 3 already in row 0
+        expect(countSolutions(clash, 3, 3).count).toBe(0);
+
+        const budget = countSolutions(blank, 2, 2, { limit: 1000, nodeLimit: 10 });
+        expect(budget.complete).toBe(false);
+    });
+
+    it('rates puzzles by the techniques they need', () => {
+        const easy = ratePuzzle(EASY, 3, 3);
+        expect(easy.difficulty).toBe('easy');
+        expect(easy.solved).toBe(true);
+        expect(easy.techniques.nakedPair + easy.techniques.hiddenPair + easy.techniques.xWing).toBe(0);
+
+        const escargot = ratePuzzle(AI_ESCARGOT, 3, 3);
+        expect(escargot.difficulty).toBe('expert');
+        expect(escargot.solved).toBe(false);
+        expect(escargot.nodes).toBeGreaterThan(easy.nodes);
+    });
+
+    it('generates uniquely solvable puzzles of the requested difficulty', () => {
+        for (const difficulty of ['easy', 'medium', 'hard', 'expert']) {
+            const puzzle = SudokuProblem.emptyState({ size: 9, difficulty, seed: `rated-${difficulty}` });
+            expect(countSolutions(puzzle.grid, 3, 3).count).toBe(1);
+            expect(ratePuzzle(puzzle.grid, 3, 3).difficulty).toBe(difficulty);
+        }
+
+        // Without a target, k cells are cleared whenever uniqueness allows it
+        for (const seed of [1, 2, 3]) {
+            const state = SudokuProblem.randomState({ size: 9, removeCount: 40, seed });
+            const clues = state.fixed.flat().filter(Boolean).length;
+            expect(clues).toBe(81 - 40);
+        }
+    });
+
+    it('keeps large targeted puzzles within the target on a bounded search budget', () => {
+        const puzzle = SudokuProblem.emptyState({ size: 15, difficulty: 'hard', seed: 1 });
+        const rated = ratePuzzle(puzzle.grid, 5, 3, { nodeLimit: 0 }).difficulty;
+        expect(SUDOKU_DIFFICULTIES.indexOf(rated)).toBeLessThanOrEqual(SUDOKU_DIFFICULTIES.indexOf('hard'));
+        expect(puzzle.fixed.flat().filter(Boolean).length).toBeLessThan(15 * 15 / 2);
+    });
+});
@@ -1,8 +1,22 @@
+import { getRng } from '../random.js';
+import { countSolutions, ratePuzzle, SUDOKU_DIFFICULTIES } from './sudoku-rating.js';
+
+// Local search encodings of a complete grid.
+//   cells  free cells hold any value 1..N; a move changes one cell
+//   box    every box is a permutation of its missing digits; a move swaps two free cells of a box,
+//          so boxes never hold duplicates and the cost only counts row and column conflicts
+//   row    the same with rows (cost counts column and box conflicts)
+export const SUDOKU_ENCODINGS = {
+    cells: 'Free cells (any value 1..N)',
+    box: 'Box permutations (swap within a box)',
+    row: 'Row permutations (swap within a row)'
+};
 
 export class SudokuState {
-    constructor(size, grid, fixed = null, domains = null) {
+    constructor(size, grid, fixed = null, domains = null, encoding = 'cells') {
         this.size = size;
         this.grid = grid; // 2D array [row][col] -> number (1..N) or 0 (empty)
+        this.encoding = encoding; // Key of SUDOKU_ENCODINGS
 
         // Fixed mask: true if the cell is a clue (cannot be changed)
         if (fixed) {
@@ -46,7 +60,51 @@ export class SudokuState {
             newDomains = this.domains.map(row => row.map(d => [...d]));
         }
 
-        return new SudokuState(this.size, newGrid, this.fixed, newDomains);
+        return new SudokuState(this.size, newGrid, this.fixed, newDomains, this.encoding);
+    }
+
+    // Units kept as permutations by the box / row encodings ({r, c} cells, clues included).
+    // Grids below 4x4 have no boxes and fall back to rows.
+    getPermutationUnits() {
+        const N = this.size;
+        const units = [];
+        if (this.encoding === 'box' && N >= 4) {
+            for (let br = 0; br < N; br += this.boxHeight) {
+                for (let bc = 0; bc < N; bc += this.boxWidth) {
+                    const unit = [];
+                    for (let r = br; r < br + this.boxHeight; r++) {
+                        for (let c = bc; c < bc + this.boxWidth; c++) unit.push({ r, c });
+                    }
+                    units.push(unit);
+                }
+            }
+        } else {
+            for (let r = 0; r < N; r++) units.push(Array.from({ length: N }, (_, c) => ({ r, c })));
+        }
+        return units;
+    }
+
+    // Free cells of each permutation unit: the cells a swap may exchange
+    getSwapGroups() {
+        return this.getPermutationUnits()
+            .map(unit => unit.filter(({ r, c }) => !this.fixed[r][c]))
+            .filter(group => group.length >= 2);
+    }
+
+    // Neighbor with the values of cells a and b exchanged
+    swapCells(a, b) {
+        const newGrid = this.grid.map(row => [...row]);
+        newGrid[a.r][a.c] = this.grid[b.r][b.c];
+        newGrid[b.r][b.c] = this.grid[a.r][a.c];
+        return new SudokuState(this.size, newGrid, this.fixed, null, this.encoding);
+    }
+
+    // The permutation encodings cannot produce duplicates inside their own units, so the cost skips them
+    get cleanUnits() {
+        return {
+            rowsClean: this.encoding === 'row' || (this.encoding === 'box' && this.size < 4),
+            boxesClean: this.encoding === 'box'
+        };
     }
 
     get isPartial() {
@@ -65,9 +123,10 @@ export class SudokuState {
 
         let conflicts = 0;
         const N = this.size;
+        const { rowsClean, boxesClean } = this.cleanUnits;
 
         // Rows
-        for (let r = 0; r < N; r++) {
+        for (let r = 0; r < N && !rowsClean; r++) {
             const seen = new Set();
             for (let c = 0; c < N; c++) {
                 const val = this.grid[r][c];
@@ -91,7 +150,7 @@ export class SudokuState {
         }
 
         // Boxes
-        if (N >= 4) {
+        if (N >= 4 && !boxesClean) {
             const bw = this.boxWidth;
             const bh = this.boxHeight;
 
@@ -199,36 +258,46 @@ export class SudokuState {
         return conflicts;
     }
 
-    getNeighbors() {
-        const neighbors = [];
+    // Local search moves: { r, c, value } sets one free cell (cells encoding),
+    // { a, b } swaps two free cells of one unit (box / row encodings). In getNeighbors order.
+    enumerateMoves() {
+        const moves = [];
         const N = this.size;
 
-        // Strategy: Just change one mutable cell to a different value.
-        // Find all mutable cells
-        const mutables = [];
-        for (let r = 0; r < N; r++) {
-            for (let c = 0; c < N; c++) {
-                if (!this.fixed[r][c]) mutables.push({ r, c });
+        // Permutation encodings: every swap of two free cells inside one unit
+        if (this.encoding !== 'cells') {
+            for (const group of this.getSwapGroups()) {
+                for (let i = 0; i < group.length; i++) {
+                    for (let j = i + 1; j < group.length; j++) moves.push({ a: group[i], b: group[j] });
+                }
             }
+            return moves;
         }
 
-        for (const { r, c } of mutables) {
-            const currentVal = this.grid[r][c];
-            // Try all other values
-            for (let v = 1; v <= N; v++) {
-                if (v !== currentVal) {
-                    const newGrid = this.grid.map(row => [...row]);
-                    newGrid[r][c] = v;
-                    neighbors.push(new SudokuState(N, newGrid, this.fixed));
+        // Change one mutable cell to a different value
+        for (let r = 0; r < N; r++) {
+            for (let c = 0; c < N; c++) {
+                if (this.fixed[r][c]) continue;
+                for (let v = 1; v <= N; v++) {
+                    if (v !== this.grid[r][c]) moves.push({ r, c, value: v });
                 }
             }
         }
-
-        return neighbors;
+        return moves;
     }
 
-    getRandomNeighbor() {
+    // One random move, or null when the grid has none
+    randomMove(rng = Math.random) {
         const N = this.size;
+
+        if (this.encoding !== 'cells') {
+            const groups = this.getSwapGroups();
+            if (groups.length === 0) return null;
+            const group = groups[Math.floor(rng() * groups.length)];
+            const i = Math.floor(rng() * group.length);
+            const j = (i + 1 + Math.floor(rng() * (group.length - 1))) % group.length;
+            return { a: group[i], b: group[j] };
+        }
         // 1. Pick random mutable cell
         // 2. Change to random valid value != current
 
@@ -239,9 +308,9 @@ export class SudokuState {
             }
         }
 
-        if (mutables.length === 0) return this; // No moves
+        if (mutables.length === 0) return null;
 
-        const { r, c } = mutables[Math.floor(Math.random() * mutables.length)];
+        const { r, c } = mutables[Math.floor(rng() * mutables.length)];
         const currentVal = this.grid[r][c];
 
         let attempts = 0;
@@ -249,32 +318,150 @@ export class SudokuState {
 
         // Try to find a different value
         while (newVal === currentVal && attempts < 20) {
-            newVal = Math.floor(Math.random() * N) + 1;
+            newVal = Math.floor(rng() * N) + 1;
             attempts++;
         }
 
-        // If failed to find diff value (shouldn't happen unless N=1), return this
-        if (newVal === currentVal) return this;
+        // Failed to find a different value (shouldn't happen unless N=1)
+        if (newVal === currentVal) return null;
+        return { r, c, value: newVal };
+    }
 
+    // Change in duplicates if cell (r, c) took `value`, reading the grid through `valueAt`.
+    // Each scored unit holding the cell loses a duplicate if another cell keeps the old value
+    // and gains one if another cell already holds the new value: O(N) instead of a recount.
+    _cellConflictDelta(r, c, value, valueAt) {
+        const old = valueAt(r, c);
+        if (old === value) return 0;
+        const N = this.size;
+        const { rowsClean, boxesClean } = this.cleanUnits;
+
+        let delta = 0;
+        const scoreUnit = (cells) => {
+            let keepsOld = false;
+            let hasNew = false;
+            for (const [ur, uc] of cells) {
+                if (ur === r && uc === c) continue;
+                const val = valueAt(ur, uc);
+                if (val === old) keepsOld = true;
+                if (val === value) hasNew = true;
+            }
+            if (old !== 0 && keepsOld) delta--;
+            if (value !== 0 && hasNew) delta++;
+        };
+
+        const line = (toCell) => Array.from({ length: N }, (_, i) => toCell(i));
+        if (!rowsClean) scoreUnit(line(i => [r, i]));
+        scoreUnit(line(i => [i, c]));
+        if (N >= 4 && !boxesClean) {
+            const br = Math.floor(r / this.boxHeight) * this.boxHeight;
+            const bc = Math.floor(c / this.boxWidth) * this.boxWidth;
+            const box = [];
+            for (let i = br; i < br + this.boxHeight; i++) {
+                for (let j = bc; j < bc + this.boxWidth; j++) box.push([i, j]);
+            }
+            scoreUnit(box);
+        }
+        return delta;
+    }
+
+    // Change in conflicts (not empty cells) if `move` were applied
+    _conflictDelta(move) {
+        const at = (r, c) => this.grid[r][c];
+        if (!move.a) return this._cellConflictDelta(move.r, move.c, move.value, at);
+
+        // A swap is two cell changes in a row; the second one sees the first already made
+        const { a, b } = move;
+        const va = at(a.r, a.c);
+        const vb = at(b.r, b.c);
+        const first = this._cellConflictDelta(a.r, a.c, vb, at);
+        const afterFirst = (r, c) => (r === a.r && c === a.c ? vb : at(r, c));
+        return first + this._cellConflictDelta(b.r, b.c, va, afterFirst);
+    }
+
+    // Change in cost if `move` were applied
+    moveDelta(move) {
+        const emptied = move.a ? 0 : (this.grid[move.r][move.c] === 0 ? -1 : 0);
+        return this._conflictDelta(move) + emptied;
+    }
+
+    // Neighbor state after `move`, its conflicts filled in from the delta
+    applyMove(move) {
+        const next = move.a
+            ? this.swapCells(move.a, move.b)
+            : this._withCell(move.r, move.c, move.value);
+        next.cachedCost = this.conflicts + this._conflictDelta(move);
+        return next;
+    }
+
+    _withCell(r, c, value) {
         const newGrid = this.grid.map(row => [...row]);
-        newGrid[r][c] = newVal;
-        return new SudokuState(N, newGrid, this.fixed);
+        newGrid[r][c] = value;
+        return new SudokuState(this.size, newGrid, this.fixed, null, this.encoding);
+    }
+
+    getNeighbors() {
+        return this.enumerateMoves().map(move => this.applyMove(move));
+    }
+
+    getRandomNeighbor(rng = Math.random) {
+        const move = this.randomMove(rng);
+        return move ? this.applyMove(move) : this; // No moves
     }
 
     toString() {
         return this.grid.map(row => row.join('')).join('|');
     }
+
+    // --- Serialization (Web Worker snapshots) ---
+    // The fixed (clue) mask is shared by every state of a puzzle, so it is sent once.
+    getSharedData() {
+        return this.fixed;
+    }
+
+    serialize() {
+        return { size: this.size, grid: this.grid, domains: this.domains, encoding: this.encoding };
+    }
+
+    static deserialize(data, fixed) {
+        return new SudokuState(data.size, data.grid, fixed, data.domains, data.encoding);
+    }
 }
 
+// Cells sharing a row, column or box (boxes from 4x4 up) with (r, c)
+const sudokuPeers = (state, r, c) => {
+    const peers = [];
+    for (let i = 0; i < state.size; i++) {
+        if (i !== c) peers.push([r, i]);
+        if (i !== r) peers.push([i, c]);
+    }
+    if (state.size >= 4) {
+        const br = r - (r % state.boxHeight);
+        const bc = c - (c % state.boxWidth);
+        for (let pr = br; pr < br + state.boxHeight; pr++) {
+            for (let pc = bc; pc < bc + state.boxWidth; pc++) {
+                if (pr !== r && pc !== c) peers.push([pr, pc]);
+            }
+        }
+    }
+    return peers;
+};
+
 export const SudokuProblem = {
     id: 'sudoku',
     name: 'Sudoku',
+    StateClass: SudokuState,
     description: 'Fill a grid so that every row, column, and subgrid contains all digits from 1 to N.',
 
     defaultParams: {
-        size: 9 // Default standard Sudoku
+        size: 9, // Default standard Sudoku
+        difficulty: 'any', // Target rating of generated puzzles: any, easy, medium, hard, expert
+        encoding: 'cells' // Key of SUDOKU_ENCODINGS (local search and GA)
+        // puzzle: { name, size, grid } replaces the generated puzzle (see sudoku-formats.js)
     },
 
+    encodings: SUDOKU_ENCODINGS,
+
     // Create an empty state (for Constructive Search)
     emptyState: (params) => {
         const size = params.size;
@@ -312,11 +499,13 @@ export const SudokuProblem = {
             return new SudokuState(size, grid, fixed);
         }
 
+        if (params.puzzle) return puzzleState(params.puzzle.grid);
+
         // Fallback: Generate a fresh one right now (might be slow if large?)
         // Better to have App.jsx generate it.
         // For now, return a blank grid? No, Sudoku needs clues.
         // Let's generate a simple one.
-        return SudokuGenerator.generate(size, 0.5); // 50% removed?
+        return SudokuGenerator.generate(size, params.removeCount, getRng(params), params.difficulty);
     },
 
     // Create a random full state (for Local Search)
@@ -327,19 +516,33 @@ export const SudokuProblem = {
 
         // We need the "Puzzle" (Clues) to be consistent. 
         // If params has it, use it.
+        const rng = getRng(params);
         let state;
         if (params.initialGrid && params.fixedMask) {
             state = new SudokuState(params.size, params.initialGrid.map(r => [...r]), params.fixedMask);
+        } else if (params.puzzle) {
+            state = puzzleState(params.puzzle.grid);
         } else {
             // Determine k from params if generating fresh
-            state = SudokuGenerator.generate(params.size, params.removeCount);
+            state = SudokuGenerator.generate(params.size, params.removeCount, rng, params.difficulty);
+        }
+
+        state.encoding = params.encoding || 'cells';
+        if (state.encoding !== 'cells') {
+            // Each box (row) gets a random permutation of the digits its clues leave out
+            for (const unit of state.getPermutationUnits()) {
+                const present = new Set(unit.filter(({ r, c }) => state.fixed[r][c]).map(({ r, c }) => state.grid[r][c]));
+                const missing = shuffle(Array.from({ length: state.size }, (_, i) => i + 1).filter(v => !present.has(v)), rng);
+                unit.filter(({ r, c }) => !state.fixed[r][c]).forEach(({ r, c }, k) => { state.grid[r][c] = missing[k]; });
+            }
+            return state;
         }
 
         // Now fill mutable cells randomly
         for (let r = 0; r < state.size; r++) {
             for (let c = 0; c < state.size; c++) {
                 if (!state.fixed[r][c]) {
-                    state.grid[r][c] = Math.floor(Math.random() * state.size) + 1;
+                    state.grid[r][c] = Math.floor(rng() * state.size) + 1;
                 }
             }
         }
@@ -350,6 +553,47 @@ export const SudokuProblem = {
         return state.cost === 0;
     },
 
+    // Informed search (A*, IDA*, ...): filling a cell costs 1 plus the clashes it adds. The
+    // heuristic is the number of empty cells, plus one for each empty cell without a value left
+    // that its row, column and box allow (filling it must add a clash).
+    stepCost: (from, to) => {
+        for (let r = 0; r < to.size; r++) {
+            for (let c = 0; c < to.size; c++) {
+                if (from.grid[r][c] !== 0 || to.grid[r][c] === 0) continue;
+                const value = to.grid[r][c];
+                const clashes = sudokuPeers(to, r, c).filter(([pr, pc]) => to.grid[pr][pc] === value).length;
+                return 1 + clashes;
+            }
+        }
+        return 1;
+    },
+
+    heuristic: (state) => {
+        let empty = 0;
+        let dead = 0;
+        for (let r = 0; r < state.size; r++) {
+            for (let c = 0; c < state.size; c++) {
+                if (state.grid[r][c] !== 0) continue;
+                empty++;
+                const used = new Set(sudokuPeers(state, r, c).map(([pr, pc]) => state.grid[pr][pc]));
+                let open = false;
+                for (let v = 1; v <= state.size && !open; v++) open = !used.has(v);
+                if (!open) dead++;
+            }
+        }
+        return empty + dead;
+    },
+
+    // Tabu Search: the attribute a move sets, here "cell (r, c) holds value"
+    getMoveSignature: (from, to) => {
+        for (let r = 0; r < to.size; r++) {
+            for (let c = 0; c < to.size; c++) {
+                if (from.grid[r][c] !== to.grid[r][c]) return { r, c, value: to.grid[r][c] };
+            }
+        }
+        return null;
+    },
+
     formatCost: (cost) => cost,
 
     estimatedOptimalCost: (params) => {
@@ -366,7 +610,18 @@ export const SudokuProblem = {
         const p2 = parents[1];
 
         // Random split point (row index)
-        const point = Math.floor(Math.random() * size);
+        const rng = getRng(params);
+        const point = Math.floor(rng() * size);
+
+        // Permutation encodings: split over whole boxes (rows) so every unit stays a permutation
+        if (p1.encoding !== 'cells') {
+            const childGrid = p1.grid.map(row => [...row]);
+            p1.getPermutationUnits().forEach((unit, u) => {
+                if (u < point) return;
+                for (const { r, c } of unit) childGrid[r][c] = p2.grid[r][c];
+            });
+            return new SudokuState(size, childGrid, p1.fixed, null, p1.encoding);
+        }
 
         // Child takes rows 0..point-1 from p1, and point..size-1 from p2
         const childGrid = [];
@@ -388,7 +643,15 @@ export const SudokuProblem = {
         // Usually per state in this framework (rate passed from algoParams)
         // Let's say if we mutate, we change 1 random mutable cell.
 
-        if (Math.random() < rate) {
+        const rng = getRng(params);
+        if (rng() < rate) {
+            // Permutation encodings: swap two free cells of one box (row)
+            if (state.encoding !== 'cells') {
+                state.grid = state.getRandomNeighbor(rng).grid;
+                state.cachedCost = null;
+                return;
+            }
+
             // Pick random mutable cell
             const mutables = [];
             for (let r = 0; r < state.size; r++) {
@@ -398,14 +661,28 @@ export const SudokuProblem = {
             }
 
             if (mutables.length > 0) {
-                const { r, c } = mutables[Math.floor(Math.random() * mutables.length)];
+                const { r, c } = mutables[Math.floor(rng() * mutables.length)];
                 // Change to random 1..N
-                state.grid[r][c] = Math.floor(Math.random() * state.size) + 1;
+                state.grid[r][c] = Math.floor(rng() * state.size) + 1;
                 state.cachedCost = null;
             }
         }
     },
 
+    // GA niching / diversity: share of free cells whose values differ (0..1)
+    distance: (a, b) => {
+        let free = 0;
+        let differ = 0;
+        for (let r = 0; r < a.size; r++) {
+            for (let c = 0; c < a.size; c++) {
+                if (a.fixed[r][c]) continue;
+                free++;
+                if (a.grid[r][c] !== b.grid[r][c]) differ++;
+            }
+        }
+        return free > 0 ? differ / free : 0;
+    },
+
     getSearchSpace: (params, state) => {
         const n = params.size;
         let k = 'k';
@@ -555,6 +832,31 @@ export const SudokuProblem = {
         return new SudokuState(state.size, newGrid, state.fixed, newDomains);
     },
 
+    // Min-Conflicts: free cells clashing with a peer, and the peers already holding `value`.
+    // Moves change one cell, so the result is scored like the free-cells encoding.
+    getVariableValue: (state, variable) => state.grid[variable.r][variable.c],
+
+    getConflictedVariables: (state) => {
+        return [...state.getConflictingCells()]
+            .map(key => key.split(',').map(Number))
+            .filter(([r, c]) => !state.fixed[r][c])
+            .map(([r, c]) => ({ r, c }));
+    },
+
+    countConflicts: (state, variable, value) => {
+        return sudokuPeers(state, variable.r, variable.c).filter(([pr, pc]) => state.grid[pr][pc] === value).length;
+    },
+
+    // Local search moves (cell changes or in-unit swaps, see SudokuState.enumerateMoves),
+    // priced from the units of the changed cells only
+    enumerateMoves: (state) => state.enumerateMoves(),
+
+    randomMove: (state, rng) => state.randomMove(rng),
+
+    moveDelta: (state, move) => state.moveDelta(move),
+
+    applyNeighborMove: (state, move) => state.applyMove(move),
+
     propagate: (state, variable, value) => {
         const { r, c } = variable;
 
@@ -668,20 +970,45 @@ export const SudokuProblem = {
         };
     }
 };
+// Fisher-Yates shuffle in place
+const shuffle = (values, rng) => {
+    for (let i = values.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+    return values;
+};
+
+// Imported puzzle: every given value is a clue
+const puzzleState = (grid) => new SudokuState(
+    grid.length,
+    grid.map(row => [...row]),
+    grid.map(row => row.map(v => v !== 0))
+);
+
+// Search budget for one uniqueness check; a check that runs out keeps the clue
+const uniquenessNodeLimit = (size) => (size <= 9 ? 100000 : 5000);
+
+// Full grids tried when aiming for a difficulty; random removals mostly give easy puzzles
+const DIFFICULTY_ATTEMPTS = 20;
+
+// Search nodes all uniqueness checks of one generation may use (about a second of work). Once it is
+// spent, the current puzzle keeps its remaining clues and no further grids are tried.
+const GENERATION_NODE_BUDGET = 600000;
+
 const SudokuGenerator = {
-    generate: (size, removeCount) => {
+    // Fill a random complete grid, then clear up to `removeCount` cells in random order; a cell
+    // stays cleared only if the puzzle keeps exactly one solution.
+    // With a target `difficulty` the count is not capped: every cell that keeps the solution unique
+    // is cleared, then the longest run of those removals not rated harder than the target is kept.
+    // Puzzles that come out easier are regenerated (keeping the closest).
+    generate: (size, removeCount, rng = Math.random, difficulty = 'any') => {
         // Default removeCount if not provided
         if (removeCount === undefined) {
             // Default 60% as per user request
             removeCount = Math.floor(size * size * 0.60);
         }
 
-        // 1. Generate full valid grid
-        const grid = Array(size).fill(0).map(() => Array(size).fill(0));
-        const domains = null; // not tracking domains for init
-
-        // Backtracking to fill
-        // Backtracking to fill
         let bw = Math.floor(Math.sqrt(size));
         let bh = Math.ceil(size / bw);
         if (size === 6) { bw = 3; bh = 2; }
@@ -689,50 +1016,85 @@ const SudokuGenerator = {
         if (size === 12) { bw = 4; bh = 3; }
         if (size === 15) { bw = 5; bh = 3; }
 
-        solve(grid, size, 0, 0, bw, bh);
+        const target = SUDOKU_DIFFICULTIES.indexOf(difficulty);
+        const rank = (grid) => SUDOKU_DIFFICULTIES.indexOf(ratePuzzle(grid, bw, bh, { nodeLimit: 0 }).difficulty);
+        const attempts = target >= 0 ? DIFFICULTY_ATTEMPTS : 1;
+        let budget = GENERATION_NODE_BUDGET;
 
-        // 2. Remove numbers
-        const fixed = Array(size).fill(0).map(() => Array(size).fill(false));
-        const finalGrid = grid.map(row => [...row]);
+        let best = null;
+        for (let attempt = 0; attempt < attempts && (attempt === 0 || budget > 0); attempt++) {
+            // 1. Generate full valid grid
+            const grid = Array(size).fill(0).map(() => Array(size).fill(0));
+            solve(grid, size, 0, 0, bw, bh, rng);
 
-        const totalCells = size * size;
-        const actualRemove = Math.min(removeCount, totalCells); // Safety cap
+            // 2. Remove numbers while the solution stays unique
+            const indices = [];
+            for (let r = 0; r < size; r++) {
+                for (let c = 0; c < size; c++) {
+                    indices.push({ r, c });
+                }
+            }
+            for (let i = indices.length - 1; i > 0; i--) {
+                const j = Math.floor(rng() * (i + 1));
+                [indices[i], indices[j]] = [indices[j], indices[i]];
+            }
 
-        let removed = 0;
-        // Simple random removal
-        // To be more efficient for high remove counts, we could shuffle indices and pick first N
-        const indices = [];
-        for (let r = 0; r < size; r++) {
-            for (let c = 0; c < size; c++) {
-                indices.push({ r, c });
+            const removed = [];
+            for (const { r, c } of indices) {
+                if ((target < 0 && removed.length >= removeCount) || budget <= 0) break;
+                const value = grid[r][c];
+                grid[r][c] = 0;
+                const { count, complete, nodes } = countSolutions(grid, bw, bh, { limit: 2, nodeLimit: uniquenessNodeLimit(size) });
+                budget -= nodes;
+                if (count !== 1 || !complete) {
+                    grid[r][c] = value;
+                } else {
+                    removed.push({ r, c, value });
+                }
+            }
+            if (target < 0) {
+                best = { grid, gap: 0 };
+                break;
             }
-        }
 
-        // Shuffle indices
-        for (let i = indices.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [indices[i], indices[j]] = [indices[j], indices[i]];
-        }
+            // 3. Puzzles get harder as clues go: binary-search the longest prefix of the removals
+            // rated at most the target, so a pass costs a handful of ratings. Every prefix stays unique.
+            const puzzleAt = (k) => {
+                const puzzle = grid.map(row => [...row]);
+                for (let i = k; i < removed.length; i++) puzzle[removed[i].r][removed[i].c] = removed[i].value;
+                return puzzle;
+            };
+            let kept = removed.length;
+            let keptRank = rank(grid);
+            if (keptRank > target) {
+                let lo = 0; // The full grid rates easy
+                let hi = removed.length;
+                keptRank = 0;
+                while (hi - lo > 1) {
+                    const mid = (lo + hi) >> 1;
+                    const midRank = rank(puzzleAt(mid));
+                    if (midRank <= target) {
+                        lo = mid;
+                        keptRank = midRank;
+                    } else {
+                        hi = mid;
+                    }
+                }
+                kept = lo;
+            }
 
-        // Remove the first 'actualRemove' cells
-        for (let i = 0; i < actualRemove; i++) {
-            const { r, c } = indices[i];
-            finalGrid[r][c] = 0;
-            removed++;
+            const gap = target - keptRank;
+            if (!best || gap < best.gap) best = { grid: puzzleAt(kept), gap };
+            if (gap === 0) break;
         }
 
         // Set fixed mask for remaining numbers
-        for (let r = 0; r < size; r++) {
-            for (let c = 0; c < size; c++) {
-                if (finalGrid[r][c] !== 0) fixed[r][c] = true;
-            }
-        }
-
-        return new SudokuState(size, finalGrid, fixed);
+        const fixed = best.grid.map(row => row.map(v => v !== 0));
+        return new SudokuState(size, best.grid, fixed);
     }
 };
 
-function solve(grid, size, r, c, bw, bh) {
+function solve(grid, size, r, c, bw, bh, rng) {
     if (r === size) return true; // Filled all rows
 
     // Calculate next cell coordinates
@@ -745,21 +1107,21 @@ function solve(grid, size, r, c, bw, bh) {
 
     // Skip filled cells
     if (grid[r][c] !== 0) {
-        return solve(grid, size, nr, nc, bw, bh);
+        return solve(grid, size, nr, nc, bw, bh, rng);
     }
 
     // Try values 1..N
     // Efficient shuffle: Fisher-Yates
     const vals = Array.from({ length: size }, (_, i) => i + 1);
     for (let i = size - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [vals[i], vals[j]] = [vals[j], vals[i]];
     }
 
     for (const v of vals) {
         if (isValid(grid, r, c, v, size, bw, bh)) {
             grid[r][c] = v;
-            if (solve(grid, size, nr, nc, bw, bh)) return true;
+            if (solve(grid, size, nr, nc, bw, bh, rng)) return true;
             grid[r][c] = 0;
         }
     }
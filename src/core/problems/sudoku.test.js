@@ -1,6 +1,7 @@
 
 import { describe, it, expect } from 'vitest';
 import { SudokuState, SudokuProblem } from './sudoku.js';
+import { createRng } from '../random.js';
 
 describe('Sudoku Logic', () => {
 
@@ -119,4 +120,56 @@ describe('Sudoku Logic', () => {
             expect(best).toEqual({ r: 0, c: 0 });
         });
     });
+
+    describe('Permutation encodings', () => {
+        const isPermutation = (state, unit) => {
+            const values = unit.map(({ r, c }) => state.grid[r][c]).sort((a, b) => a - b);
+            return values.every((v, i) => v === i + 1);
+        };
+        const allPermutations = (state) => state.getPermutationUnits().every(unit => isPermutation(state, unit));
+
+        for (const encoding of ['box', 'row']) {
+            it(`${encoding} encoding keeps every ${encoding} a permutation through moves, crossover and mutation`, () => {
+                const params = { size: 9, removeCount: 45, encoding, seed: `enc-${encoding}` };
+                const a = SudokuProblem.randomState(params);
+                const b = SudokuProblem.randomState({ ...params, ...SudokuProblem.extractInstanceParams(a), seed: 'other' });
+                expect(a.encoding).toBe(encoding);
+                expect(allPermutations(a)).toBe(true);
+                expect(allPermutations(b)).toBe(true);
+
+                const rng = createRng(3);
+                let s = a;
+                for (let i = 0; i < 50; i++) s = s.getRandomNeighbor(rng);
+                expect(allPermutations(s)).toBe(true);
+                expect(s.fixed).toBe(a.fixed);
+                for (let r = 0; r < 9; r++) {
+                    for (let c = 0; c < 9; c++) if (a.fixed[r][c]) expect(s.grid[r][c]).toBe(a.grid[r][c]);
+                }
+
+                // Swaps only: each neighbor differs from its parent in exactly two cells of one unit
+                const neighbors = a.getNeighbors();
+                expect(neighbors.length).toBeGreaterThan(0);
+                const diff = neighbors[0].grid.flat().filter((v, i) => v !== a.grid.flat()[i]).length;
+                expect(diff).toBe(2);
+
+                const child = SudokuProblem.crossover([a, b], { ...params, seed: 4 });
+                expect(allPermutations(child)).toBe(true);
+                SudokuProblem.mutate(child, 1, { ...params, seed: 5 });
+                expect(allPermutations(child)).toBe(true);
+
+                // Cost skips the unit the encoding keeps clean, but matches a full count
+                const full = new SudokuState(9, s.grid, s.fixed);
+                expect(s.cost).toBe(full.cost);
+
+                const copy = SudokuState.deserialize(s.serialize(), s.getSharedData());
+                expect(copy.encoding).toBe(encoding);
+            });
+        }
+
+        it('cells encoding is unchanged by default', () => {
+            const state = SudokuProblem.randomState({ size: 9, removeCount: 40, seed: 1 });
+            expect(state.encoding).toBe('cells');
+            expect(state.getNeighbors()).toHaveLength(40 * 8);
+        });
+    });
 });
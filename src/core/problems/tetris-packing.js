@@ -6,6 +6,7 @@
 // Tetromino Definitions
 // ============================================================
 import { TETRIS_SHAPES as SHAPES, TETRIS_COLORS as COLORS } from '../constants.js';
+import { getRng } from '../random.js';
 
 const SHAPE_KEYS = Object.keys(SHAPES);
 
@@ -183,14 +184,14 @@ export class TetrisPackingState {
         return this.cachedCost;
     }
 
-    getNeighbors() {
+    getNeighbors(rng = Math.random) {
         const neighbors = [];
 
         // 1. Mutate X of a random piece
         // 2. Mutate Rotation of a random piece
         // 3. Swap order of two pieces
 
-        const idx = Math.floor(Math.random() * this.placedCount);
+        const idx = Math.floor(rng() * this.placedCount);
         const p = this.pieces[idx];
 
         // Move X
@@ -210,20 +211,20 @@ export class TetrisPackingState {
         return neighbors;
     }
 
-    getRandomNeighbor() {
+    getRandomNeighbor(rng = Math.random) {
         const newPieces = JSON.parse(JSON.stringify(this.pieces));
-        const action = Math.random();
-        const idx = Math.floor(Math.random() * this.placedCount);
+        const action = rng();
+        const idx = Math.floor(rng() * this.placedCount);
 
         if (action < 0.4) {
             // Change X
-            newPieces[idx].x = Math.floor(Math.random() * this.gridWidth);
+            newPieces[idx].x = Math.floor(rng() * this.gridWidth);
         } else if (action < 0.7) {
             // Change Rotation
-            newPieces[idx].rotation = Math.floor(Math.random() * 4);
+            newPieces[idx].rotation = Math.floor(rng() * 4);
         } else {
             // Swap Order
-            const idx2 = Math.floor(Math.random() * this.placedCount);
+            const idx2 = Math.floor(rng() * this.placedCount);
             [newPieces[idx], newPieces[idx2]] = [newPieces[idx2], newPieces[idx]];
         }
 
@@ -233,6 +234,20 @@ export class TetrisPackingState {
     clone() {
         return new TetrisPackingState(this.gridWidth, JSON.parse(JSON.stringify(this.pieces)), this.placedCount);
     }
+
+    // --- Serialization (Web Worker snapshots) ---
+    // No shared instance data. The dropped grid is sent too so the UI doesn't re-simulate.
+    getSharedData() {
+        return null;
+    }
+
+    serialize() {
+        return { gridWidth: this.gridWidth, pieces: this.pieces, placedCount: this.placedCount, grid: this.grid };
+    }
+
+    static deserialize(data) {
+        return new TetrisPackingState(data.gridWidth, data.pieces, data.placedCount, data.grid);
+    }
 }
 
 
@@ -242,6 +257,7 @@ export class TetrisPackingState {
 export const TetrisPackingProblem = {
     id: 'tetris',
     name: 'Tetris Packing',
+    StateClass: TetrisPackingState,
     description: 'Pack a set of Tetris pieces into a 10-wide grid to minimize height.',
 
     defaultParams: {
@@ -252,16 +268,17 @@ export const TetrisPackingProblem = {
     supportsCSP: false, // It's an optimization problem
 
     randomState(params) {
+        const rng = getRng(params);
         const numPieces = params.numPieces || 20;
         const width = params.gridWidth || 10;
         const pieces = [];
 
         for (let i = 0; i < numPieces; i++) {
-            const type = SHAPE_KEYS[Math.floor(Math.random() * SHAPE_KEYS.length)];
+            const type = SHAPE_KEYS[Math.floor(rng() * SHAPE_KEYS.length)];
             pieces.push({
                 type,
-                rotation: Math.floor(Math.random() * 4),
-                x: Math.floor(Math.random() * width)
+                rotation: Math.floor(rng() * 4),
+                x: Math.floor(rng() * width)
             });
         }
 
@@ -289,15 +306,26 @@ export const TetrisPackingProblem = {
         return state.placedCount === state.pieces.length;
     },
 
+    // Tabu Search: the attribute a move sets, here "piece i sits at column x with rotation"
+    getMoveSignature(from, to) {
+        for (let piece = 0; piece < to.pieces.length; piece++) {
+            const a = from.pieces[piece];
+            const b = to.pieces[piece];
+            if (a.x !== b.x || a.rotation !== b.rotation) return { piece, x: b.x, rotation: b.rotation };
+        }
+        return null;
+    },
+
     // GA Operations
     crossover(parents, params) {
         // Order Crossover (similar to TSP) for the sequence of pieces
         // But also need to preserve the parameters (x, rot) attached to the pieces?
         // Actually, let's treat the gene as { type, rot, x }.
         // Standard single point crossover might work if list is fixed length
+        const rng = getRng(params);
         const p1 = parents[0];
         const p2 = parents[1];
-        const cut = Math.floor(Math.random() * p1.pieces.length);
+        const cut = Math.floor(rng() * p1.pieces.length);
 
         const newPieces = [
             ...p1.pieces.slice(0, cut).map(p => ({ ...p })),
@@ -307,20 +335,21 @@ export const TetrisPackingProblem = {
         return new TetrisPackingState(p1.gridWidth, newPieces, p1.placedCount);
     },
 
-    mutate(state, rate) {
+    mutate(state, rate, params) {
+        const rng = getRng(params);
         state.pieces.forEach(p => {
-            if (Math.random() < rate) {
-                if (Math.random() < 0.5) {
-                    p.x = Math.floor(Math.random() * state.gridWidth);
+            if (rng() < rate) {
+                if (rng() < 0.5) {
+                    p.x = Math.floor(rng() * state.gridWidth);
                 } else {
-                    p.rotation = Math.floor(Math.random() * 4);
+                    p.rotation = Math.floor(rng() * 4);
                 }
             }
         });
         // Swap mutation
-        if (Math.random() < rate) {
-            const i = Math.floor(Math.random() * state.pieces.length);
-            const j = Math.floor(Math.random() * state.pieces.length);
+        if (rng() < rate) {
+            const i = Math.floor(rng() * state.pieces.length);
+            const j = Math.floor(rng() * state.pieces.length);
             [state.pieces[i], state.pieces[j]] = [state.pieces[j], state.pieces[i]];
         }
         state.cachedCost = null;
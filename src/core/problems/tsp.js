@@ -1,10 +1,36 @@
 // Traveling Salesperson Problem Implementation
-import { Algorithms } from '../algorithms.js';
+import { getRng } from '../random.js';
+import { TSPLIB_DISTANCES } from './tsplib.js';
+
+// Distance between two cities (by index). Imported TSPLIB instances use the TSPLIB integer
+// distances (an EXPLICIT matrix row in `weights`, or the file's metric on `coord`), so tour
+// lengths match the published values; otherwise Euclidean.
+const dist = (cities, a, b) => {
+    const from = cities[a];
+    if (from.weights) return from.weights[b];
+    if (from.edgeWeightType) return TSPLIB_DISTANCES[from.edgeWeightType](from.coord, cities[b].coord);
+    return Math.hypot(from.x - cities[b].x, from.y - cities[b].y);
+};
+
+// Neighborhood operators. A move is a small plain object; moveDelta() prices it in O(1)
+// from the handful of edges it removes and adds, applyMove() builds the neighbor tour.
+//   swap  { i, j }            exchange the cities at tour positions i < j
+//   2opt  { i, j }            reverse the segment tour[i..j]
+//   orOpt { i, len, p }       move the segment tour[i..i+len-1] (len 1-3) between tour[p] and tour[p+1]
+//   3opt  { i, j, k, variant } remove edges after i, j, k and reconnect A|B|C|D as one of
+//                              A B' C' D, A C B D, A C B' D, A C' B D (the four pure 3-opt moves)
+export const TSP_NEIGHBORHOODS = {
+    swap: 'Swap (Exchange 2 cities)',
+    '2opt': '2-Opt (Reverse segment)',
+    orOpt: 'Or-Opt (Relocate 1-3 cities)',
+    '3opt': '3-Opt (Reconnect 3 edges, O(n³) neighbors)'
+};
 
 export class TSPState {
-    constructor(tour, cities) {
+    constructor(tour, cities, neighborhood = 'swap') {
         this.tour = [...tour]; // Array of city indices
         this.cities = cities; // Reference to cities array {x, y}
+        this.neighborhood = neighborhood; // Move operator used by getNeighbors/getRandomNeighbor
         this.cachedCost = null;
     }
 
@@ -17,7 +43,7 @@ export class TSPState {
     get cost() {
         if (this.cachedCost !== null) return this.cachedCost;
 
-        let dist = 0;
+        let total = 0;
         const len = this.tour.length;
 
         if (len < 2) {
@@ -28,77 +54,557 @@ export class TSPState {
 
         // 1. Path distance
         for (let i = 0; i < len - 1; i++) {
-            const from = this.cities[this.tour[i]];
-            const to = this.cities[this.tour[i + 1]];
-            dist += Math.hypot(from.x - to.x, from.y - to.y);
+            total += dist(this.cities, this.tour[i], this.tour[i + 1]);
         }
 
         // 2. Return to start (only if full tour)
         // If partial, do we assume return? Probably not.
         if (!this.isPartial) {
-            const from = this.cities[this.tour[len - 1]];
-            const to = this.cities[this.tour[0]];
-            dist += Math.hypot(from.x - to.x, from.y - to.y);
+            total += dist(this.cities, this.tour[len - 1], this.tour[0]);
         }
 
         // 3. Penalty for partial
         if (this.isPartial) {
-            dist += (this.cities.length - len) * 1000;
+            total += (this.cities.length - len) * 1000;
         }
 
-        this.cachedCost = dist;
-        return dist;
+        this.cachedCost = total;
+        return total;
     }
 
-    // Neighbors: Swap 2 cities (Simple neighborhood)
-    // Note: 2-Opt is better for TSP, let's implement both but use one by default?
-    // Let's stick to Swap for consistency with generic "move" logic, or implement 2-Opt if Swap is too weak.
-    // Swap is O(1) to generate one, but N^2 neighbors.
-    getNeighbors() {
-        const neighbors = [];
+    // All moves of this state's neighborhood
+    enumerateMoves() {
         const n = this.tour.length;
+        const moves = [];
+        switch (this.neighborhood) {
+            case '2opt':
+                for (let i = 0; i < n - 1; i++) {
+                    for (let j = i + 1; j < n; j++) {
+                        if (i === 0 && j === n - 1) continue; // Reversing the whole tour changes nothing
+                        moves.push({ type: '2opt', i, j });
+                    }
+                }
+                break;
+            case 'orOpt':
+                for (let len = 1; len <= 3 && len <= n - 3; len++) {
+                    for (let i = 0; i + len <= n; i++) {
+                        for (let p = 0; p < n; p++) {
+                            if (this._isOrOptAnchorValid(i, len, p)) moves.push({ type: 'orOpt', i, len, p });
+                        }
+                    }
+                }
+                break;
+            case '3opt':
+                for (let i = 0; i < n - 2; i++) {
+                    for (let j = i + 1; j < n - 1; j++) {
+                        for (let k = j + 1; k < n; k++) {
+                            for (let variant = 0; variant < 4; variant++) moves.push({ type: '3opt', i, j, k, variant });
+                        }
+                    }
+                }
+                break;
+            default:
+                for (let i = 0; i < n; i++) {
+                    for (let j = i + 1; j < n; j++) moves.push({ type: 'swap', i, j });
+                }
+        }
+        return moves;
+    }
 
-        // Generate all swaps
-        for (let i = 0; i < n; i++) {
-            for (let j = i + 1; j < n; j++) {
-                const newTour = [...this.tour];
-                [newTour[i], newTour[j]] = [newTour[j], newTour[i]];
-                neighbors.push(new TSPState(newTour, this.cities));
+    // One uniformly drawn move of this state's neighborhood
+    randomMove(rng = Math.random) {
+        const n = this.tour.length;
+        const pick = (k) => Math.floor(rng() * k);
+        if (n < 3) return { type: 'swap', i: 0, j: n - 1 }; // Too small for segment moves
+        switch (this.neighborhood) {
+            case '2opt': {
+                let i, j;
+                do {
+                    i = pick(n);
+                    j = pick(n);
+                    if (i > j) [i, j] = [j, i];
+                } while (i === j || (i === 0 && j === n - 1));
+                return { type: '2opt', i, j };
+            }
+            case 'orOpt': {
+                const len = 1 + pick(Math.max(1, Math.min(3, n - 3)));
+                const i = pick(n - len + 1);
+                let p;
+                do { p = pick(n); } while (!this._isOrOptAnchorValid(i, len, p));
+                return { type: 'orOpt', i, len, p };
+            }
+            case '3opt': {
+                const picks = new Set();
+                while (picks.size < 3) picks.add(pick(n));
+                const [i, j, k] = [...picks].sort((a, b) => a - b);
+                return { type: '3opt', i, j, k, variant: pick(4) };
+            }
+            default: {
+                const i = pick(n);
+                let j = pick(n);
+                while (j === i) j = pick(n);
+                return { type: 'swap', i: Math.min(i, j), j: Math.max(i, j) };
             }
         }
-        return neighbors;
     }
 
-    // Random Neighbor: Random Swap
-    getRandomNeighbor() {
+    // Or-opt: the insertion edge (tour[p], tour[p+1]) must lie outside the segment and not touch it
+    _isOrOptAnchorValid(i, len, p) {
         const n = this.tour.length;
-        const i = Math.floor(Math.random() * n);
-        let j = Math.floor(Math.random() * n);
-        while (j === i) j = Math.floor(Math.random() * n);
+        const offset = (p - (i - 1) + n) % n; // 0 = edge entering the segment
+        return offset > len;
+    }
+
+    // Change in tour length if `move` were applied. O(1): only the edges it replaces are priced.
+    moveDelta(move) {
+        const t = this.tour;
+        const n = t.length;
+        const d = (a, b) => dist(this.cities, a, b);
+        const at = (k) => t[(k + n) % n];
+
+        switch (move.type) {
+            case 'swap': {
+                const { i, j } = move;
+                // Edges touching positions i and j (deduplicated when i and j are adjacent)
+                const edges = new Set([(i - 1 + n) % n, i, (j - 1 + n) % n, j]);
+                const swapped = (k) => (k === i ? t[j] : (k === j ? t[i] : t[k]));
+                let delta = 0;
+                for (const e of edges) {
+                    const next = (e + 1) % n;
+                    delta += d(swapped(e), swapped(next)) - d(t[e], t[next]);
+                }
+                return delta;
+            }
+            case '2opt': {
+                const { i, j } = move;
+                const a = at(i - 1), b = t[i], c = t[j], e = at(j + 1);
+                return d(a, c) + d(b, e) - d(a, b) - d(c, e);
+            }
+            case 'orOpt': {
+                const { i, len, p } = move;
+                const prev = at(i - 1), first = t[i], last = t[i + len - 1], next = at(i + len);
+                const a = t[p], b = at(p + 1);
+                return d(prev, next) + d(a, first) + d(last, b)
+                    - d(prev, first) - d(last, next) - d(a, b);
+            }
+            case '3opt': {
+                const { i, j, k, variant } = move;
+                const x1 = t[i], x2 = t[i + 1], y1 = t[j], y2 = t[j + 1], z1 = t[k], z2 = at(k + 1);
+                const removed = d(x1, x2) + d(y1, y2) + d(z1, z2);
+                switch (variant) {
+                    case 0: return d(x1, y1) + d(x2, z1) + d(y2, z2) - removed; // A B' C' D
+                    case 1: return d(x1, y2) + d(z1, x2) + d(y1, z2) - removed; // A C B D
+                    case 2: return d(x1, y2) + d(z1, y1) + d(x2, z2) - removed; // A C B' D
+                    default: return d(x1, z1) + d(y2, x2) + d(y1, z2) - removed; // A C' B D
+                }
+            }
+            default:
+                throw new Error(`Unknown TSP move: ${move.type}`);
+        }
+    }
+
+    // Neighbor state after `move`; its cost is this.cost + moveDelta(move), no full recomputation
+    applyMove(move) {
+        const t = this.tour;
+        let tour;
+        switch (move.type) {
+            case 'swap':
+                tour = [...t];
+                [tour[move.i], tour[move.j]] = [tour[move.j], tour[move.i]];
+                break;
+            case '2opt':
+                tour = [...t.slice(0, move.i), ...t.slice(move.i, move.j + 1).reverse(), ...t.slice(move.j + 1)];
+                break;
+            case 'orOpt': {
+                const { i, len, p } = move;
+                const segment = t.slice(i, i + len);
+                tour = [...t.slice(0, i), ...t.slice(i + len)];
+                tour.splice(tour.indexOf(t[p]) + 1, 0, ...segment);
+                break;
+            }
+            case '3opt': {
+                const { i, j, k, variant } = move;
+                const A = t.slice(0, i + 1), B = t.slice(i + 1, j + 1), C = t.slice(j + 1, k + 1), D = t.slice(k + 1);
+                const rB = [...B].reverse(), rC = [...C].reverse();
+                const middle = [[...rB, ...rC], [...C, ...B], [...C, ...rB], [...rC, ...B]][variant];
+                tour = [...A, ...middle, ...D];
+                break;
+            }
+            default:
+                throw new Error(`Unknown TSP move: ${move.type}`);
+        }
+
+        const next = new TSPState(tour, this.cities, this.neighborhood);
+        if (!this.isPartial) next.cachedCost = this.cost + this.moveDelta(move);
+        return next;
+    }
 
-        const newTour = [...this.tour];
-        [newTour[i], newTour[j]] = [newTour[j], newTour[i]];
+    // Neighbors: every move of the selected neighborhood (swap: n²/2, 2-opt: n²/2, Or-opt: ~3n², 3-opt: ~2n³/3)
+    getNeighbors() {
+        return this.enumerateMoves().map(move => this.applyMove(move));
+    }
 
-        return new TSPState(newTour, this.cities);
+    // Random Neighbor: one random move of the selected neighborhood
+    getRandomNeighbor(rng = Math.random) {
+        return this.applyMove(this.randomMove(rng));
     }
 
     clone() {
-        return new TSPState(this.tour, this.cities);
+        return new TSPState(this.tour, this.cities, this.neighborhood);
+    }
+
+    // --- Serialization (Web Worker snapshots) ---
+    // The city list is shared by every state of an instance, so it is sent once.
+    getSharedData() {
+        return this.cities;
+    }
+
+    serialize() {
+        return { tour: this.tour, neighborhood: this.neighborhood };
+    }
+
+    static deserialize(data, cities) {
+        return new TSPState(data.tour, cities, data.neighborhood);
     }
 }
 
+// --- Optimal Cost Estimate ---
+// In-place 2-opt and Or-opt descent on plain arrays, used by estimatedOptimalCost.
+// Works on a precomputed distance matrix and never allocates states, so it stays fast for n in the hundreds.
+// It runs on the main thread whenever the instance changes, so large instances get fewer starts
+// and every descent draws on a shared budget of candidate moves (`budget.moves`).
+
+// Candidate moves one estimate may price: about half a second, whatever the size
+const ESTIMATE_MOVE_BUDGET = 2e7;
+
+const tourLength = (tour, D) => {
+    let total = 0;
+    for (let i = 0; i < tour.length; i++) total += D[tour[i]][tour[(i + 1) % tour.length]];
+    return total;
+};
+
+const nearestNeighborTour = (start, D) => {
+    const n = D.length;
+    const visited = new Array(n).fill(false);
+    const tour = [start];
+    visited[start] = true;
+    for (let step = 1; step < n; step++) {
+        const last = tour[tour.length - 1];
+        let best = -1;
+        for (let c = 0; c < n; c++) {
+            if (!visited[c] && (best === -1 || D[last][c] < D[last][best])) best = c;
+        }
+        tour.push(best);
+        visited[best] = true;
+    }
+    return tour;
+};
+
+// First-improvement 2-opt until no improving reversal remains (or the budget runs out)
+const twoOptDescent = (tour, D, budget) => {
+    const n = tour.length;
+    let improved = true;
+    let changed = false;
+    while (improved && budget.moves > 0) {
+        improved = false;
+        for (let i = 1; i < n - 1 && budget.moves > 0; i++) {
+            budget.moves -= n - i - 1;
+            for (let j = i + 1; j < n; j++) {
+                const a = tour[i - 1], b = tour[i], c = tour[j], e = tour[(j + 1) % n];
+                if (D[a][c] + D[b][e] - D[a][b] - D[c][e] < -1e-10) {
+                    for (let l = i, r = j; l < r; l++, r--) [tour[l], tour[r]] = [tour[r], tour[l]];
+                    improved = changed = true;
+                }
+            }
+        }
+    }
+    return changed;
+};
+
+// First-improvement Or-opt: relocate segments of 1-3 cities, in either orientation
+const orOptDescent = (tour, D, budget) => {
+    const n = tour.length;
+    let changed = false;
+    for (let len = 1; len <= 3 && len <= n - 3; len++) {
+        let improved = true;
+        while (improved && budget.moves > 0) {
+            improved = false;
+            for (let i = 0; i + len <= n && !improved && budget.moves > 0; i++) {
+                budget.moves -= n;
+                const prev = tour[(i - 1 + n) % n], first = tour[i], last = tour[i + len - 1], next = tour[(i + len) % n];
+                const removeGain = D[prev][first] + D[last][next] - D[prev][next];
+                for (let p = 0; p < n; p++) {
+                    const offset = (p - (i - 1) + n) % n;
+                    if (offset <= len) continue;
+                    const a = tour[p], b = tour[(p + 1) % n];
+                    const forward = D[a][first] + D[last][b] - D[a][b];
+                    const reversed = D[a][last] + D[first][b] - D[a][b];
+                    if (Math.min(forward, reversed) - removeGain < -1e-10) {
+                        const segment = tour.splice(i, len);
+                        if (reversed < forward) segment.reverse();
+                        tour.splice(tour.indexOf(a) + 1, 0, ...segment);
+                        improved = changed = true;
+                        break;
+                    }
+                }
+            }
+        }
+    }
+    return changed;
+};
+
+const estimateTourLength = (cities) => {
+    const n = cities.length;
+    const D = cities.map((_, a) => cities.map((__, b) => dist(cities, a, b)));
+
+    // Deterministic starts spread over the instance, fewer as it grows
+    const starts = Math.max(1, Math.min(n, 10, Math.floor(2000 / n)));
+    const budget = { moves: ESTIMATE_MOVE_BUDGET };
+    let best = Infinity;
+    for (let s = 0; s < starts; s++) {
+        const tour = nearestNeighborTour(Math.floor(s * n / starts), D);
+        let changed = true;
+        while (changed && budget.moves > 0) {
+            changed = twoOptDescent(tour, D, budget);
+            changed = orOptDescent(tour, D, budget) || changed;
+        }
+        best = Math.min(best, tourLength(tour, D));
+    }
+    return best;
+};
+
+// Total edge weight of a minimum spanning tree over `nodes` (Prim, O(k^2))
+const spanningTreeWeight = (nodes, cities) => {
+    if (nodes.length < 2) return 0;
+    const inTree = new Array(nodes.length).fill(false);
+    const link = nodes.map(c => dist(cities, nodes[0], c));
+    inTree[0] = true;
+    let total = 0;
+    for (let added = 1; added < nodes.length; added++) {
+        let next = -1;
+        for (let i = 0; i < nodes.length; i++) {
+            if (!inTree[i] && (next === -1 || link[i] < link[next])) next = i;
+        }
+        inTree[next] = true;
+        total += link[next];
+        for (let i = 0; i < nodes.length; i++) {
+            if (!inTree[i]) link[i] = Math.min(link[i], dist(cities, nodes[next], nodes[i]));
+        }
+    }
+    return total;
+};
+
+// Lower bound on completing a partial tour: the remaining path from the last city through every
+// unvisited city and back to the start contains a spanning tree of the unvisited cities, one edge
+// out of the last city and one into the start. A tour from scratch is at least a spanning tree.
+const remainingTourBound = (tour, cities) => {
+    if (tour.length === cities.length) return 0;
+    const visited = new Set(tour);
+    const rest = [];
+    for (let c = 0; c < cities.length; c++) if (!visited.has(c)) rest.push(c);
+
+    let bound = spanningTreeWeight(rest, cities);
+    if (tour.length > 0) {
+        const last = tour[tour.length - 1];
+        const start = tour[0];
+        bound += Math.min(...rest.map(c => dist(cities, last, c)));
+        bound += Math.min(...rest.map(c => dist(cities, c, start)));
+    }
+    return bound;
+};
+
+// --- GA operators ---
+// Tours are permutations of city indices; every operator keeps them permutations.
+// Crossovers combine the first two parents.
+export const TSP_CROSSOVERS = {
+    ox1: 'Order (OX1)',
+    pmx: 'Partially Mapped (PMX)',
+    cx: 'Cycle (CX)',
+    erx: 'Edge Recombination (ERX)'
+};
+
+export const TSP_MUTATIONS = {
+    swap: 'Swap two cities',
+    inversion: 'Inversion (reverse a segment)',
+    insertion: 'Insertion (move one city)',
+    scramble: 'Scramble a segment'
+};
+
+// Random positions i <= j
+const randomSegment = (n, rng) => {
+    let i = Math.floor(rng() * n);
+    let j = Math.floor(rng() * n);
+    if (i > j) [i, j] = [j, i];
+    return [i, j];
+};
+
+const CROSSOVERS = {
+    // OX1: keep a slice of p1 in place, fill the rest with the remaining cities in p2's order
+    ox1: (p1, p2, rng) => {
+        const size = p1.length;
+        // Pick 2 random cut points
+        let start = Math.floor(rng() * size);
+        let end = Math.floor(rng() * size);
+        if (start > end) [start, end] = [end, start];
+
+        // Output child array
+        const childTour = new Array(size).fill(-1);
+
+        // Copy segment from P1
+        for (let i = start; i <= end; i++) {
+            childTour[i] = p1[i];
+        }
+
+        // Fill remaining from P2 in order, skipping existing
+        let p2Index = 0;
+        for (let i = 0; i < size; i++) {
+            // Find next empty slot in child (wrapping around from end+1)
+            let childIndex = (end + 1 + i) % size;
+
+            // Find next valid city in P2
+            // We start checking P2 from end+1 too? Standard OX1 says yes?
+            // Simplified: Just scan P2 from 0.
+            while (childTour.includes(p2[p2Index])) {
+                p2Index++;
+            }
+            if (p2Index < size && childTour[childIndex] === -1) {
+                childTour[childIndex] = p2[p2Index];
+            }
+        }
+        return childTour;
+    },
+
+    // PMX: keep a slice of p1; p2's cities from that slice are placed by following the
+    // p1 <-> p2 position mapping out of the slice; all other positions come from p2
+    pmx: (p1, p2, rng) => {
+        const n = p1.length;
+        const [a, b] = randomSegment(n, rng);
+        const child = new Array(n).fill(-1);
+        const inChild = new Set();
+        const posInP2 = new Array(n);
+        p2.forEach((city, i) => { posInP2[city] = i; });
+
+        for (let i = a; i <= b; i++) {
+            child[i] = p1[i];
+            inChild.add(p1[i]);
+        }
+        for (let i = a; i <= b; i++) {
+            const city = p2[i];
+            if (inChild.has(city)) continue;
+            let pos = i;
+            while (pos >= a && pos <= b) pos = posInP2[p1[pos]];
+            child[pos] = city;
+            inChild.add(city);
+        }
+        for (let i = 0; i < n; i++) {
+            if (child[i] === -1) child[i] = p2[i];
+        }
+        return child;
+    },
+
+    // CX: split positions into cycles of the p1/p2 position mapping; cycles alternate between
+    // the parents, so every city keeps the position it has in one of them
+    cx: (p1, p2) => {
+        const n = p1.length;
+        const child = new Array(n).fill(-1);
+        const posInP1 = new Array(n);
+        p1.forEach((city, i) => { posInP1[city] = i; });
+
+        let cycle = 0;
+        for (let start = 0; start < n; start++) {
+            if (child[start] !== -1) continue;
+            const source = cycle % 2 === 0 ? p1 : p2;
+            let i = start;
+            do {
+                child[i] = source[i];
+                i = posInP1[p2[i]];
+            } while (i !== start);
+            cycle++;
+        }
+        return child;
+    },
+
+    // ERX: build the union of both parents' edges, then walk it, always moving to the
+    // neighbor with the fewest remaining edges (random city when stuck)
+    erx: (p1, p2, rng) => {
+        const n = p1.length;
+        const edges = Array.from({ length: n }, () => new Set());
+        for (const tour of [p1, p2]) {
+            for (let i = 0; i < n; i++) {
+                const city = tour[i];
+                edges[city].add(tour[(i + 1) % n]);
+                edges[city].add(tour[(i - 1 + n) % n]);
+            }
+        }
+
+        const visited = new Array(n).fill(false);
+        const child = [];
+        let current = rng() < 0.5 ? p1[0] : p2[0];
+        while (child.length < n) {
+            child.push(current);
+            visited[current] = true;
+            for (const list of edges) list.delete(current);
+
+            let candidates = [...edges[current]];
+            if (candidates.length === 0) {
+                candidates = [];
+                for (let c = 0; c < n; c++) if (!visited[c]) candidates.push(c);
+                if (candidates.length === 0) break;
+                current = candidates[Math.floor(rng() * candidates.length)];
+                continue;
+            }
+            const fewest = Math.min(...candidates.map(c => edges[c].size));
+            const best = candidates.filter(c => edges[c].size === fewest);
+            current = best[Math.floor(rng() * best.length)];
+        }
+        return child;
+    }
+};
+
+// Mutations change the tour in place
+const MUTATIONS = {
+    swap: (tour, rng) => {
+        const n = tour.length;
+        const i = Math.floor(rng() * n);
+        const j = Math.floor(rng() * n);
+        [tour[i], tour[j]] = [tour[j], tour[i]];
+    },
+    inversion: (tour, rng) => {
+        const [i, j] = randomSegment(tour.length, rng);
+        const reversed = tour.slice(i, j + 1).reverse();
+        tour.splice(i, reversed.length, ...reversed);
+    },
+    insertion: (tour, rng) => {
+        const [city] = tour.splice(Math.floor(rng() * tour.length), 1);
+        tour.splice(Math.floor(rng() * (tour.length + 1)), 0, city);
+    },
+    scramble: (tour, rng) => {
+        const [i, j] = randomSegment(tour.length, rng);
+        for (let k = j; k > i; k--) {
+            const m = i + Math.floor(rng() * (k - i + 1));
+            [tour[k], tour[m]] = [tour[m], tour[k]];
+        }
+    }
+};
+
 export const TSPProblem = {
     id: 'tsp',
     name: 'Traveling Salesperson',
+    StateClass: TSPState,
     description: 'Find the shortest path verifying all cities exactly once.',
 
     defaultParams: {
-        size: 20 // Number of cities
+        size: 20, // Number of cities
+        neighborhood: 'swap' // Key of TSP_NEIGHBORHOODS
+        // Imported TSPLIB instances also set: cities, tsplib { name, comment, edgeWeightType }, optimalTour
     },
 
+    neighborhoods: TSP_NEIGHBORHOODS,
+
     // Create random cities and initial random tour
     // Params might contain 'cities' if we want to reuse them, or just size
     randomState: (params) => {
+        const rng = getRng(params);
         let cities = params.cities;
 
         // If cities not provided, generate them
@@ -108,8 +614,8 @@ export const TSPProblem = {
             for (let i = 0; i < size; i++) {
                 // Generate cities in 100x100 grid for simplicity
                 cities.push({
-                    x: Math.random() * 100,
-                    y: Math.random() * 100,
+                    x: rng() * 100,
+                    y: rng() * 100,
                     name: i < 26 ? String.fromCharCode(65 + i) : `C${i}` // A..Z then C26...
                 });
             }
@@ -120,11 +626,11 @@ export const TSPProblem = {
         // Generate random permutation
         const tour = Array.from({ length: cities.length }, (_, i) => i);
         for (let i = tour.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(rng() * (i + 1));
             [tour[i], tour[j]] = [tour[j], tour[i]];
         }
 
-        return new TSPState(tour, cities);
+        return new TSPState(tour, cities, params.neighborhood);
     },
 
     // Empty state (start with no cities visited? or start city?)
@@ -138,7 +644,7 @@ export const TSPProblem = {
             // Let's assume params has cities
             cities = [];
         }
-        return new TSPState([], cities);
+        return new TSPState([], cities, params.neighborhood);
     },
 
     // Is Solution? For TSP, we don't know the optimal cost easily.
@@ -148,57 +654,80 @@ export const TSPProblem = {
         return false;
     },
 
-    // GA: Order Crossover (OX1)
-    crossover: (parents, params) => {
-        const p1 = parents[0].tour;
-        const p2 = parents[1].tour;
-        const size = p1.length;
+    // Informed search (A*, IDA*, ...): a path adds one city per step, the last step also closes the
+    // tour. The MST bound never overestimates, so A* returns an optimal tour.
+    stepCost: (from, to) => {
+        const { tour, cities } = to;
+        if (tour.length < 2) return 0;
+        let cost = dist(cities, tour[tour.length - 2], tour[tour.length - 1]);
+        if (tour.length === cities.length) cost += dist(cities, tour[tour.length - 1], tour[0]);
+        return cost;
+    },
 
-        // Pick 2 random cut points
-        let start = Math.floor(Math.random() * size);
-        let end = Math.floor(Math.random() * size);
-        if (start > end) [start, end] = [end, start];
+    heuristic: (state) => remainingTourBound(state.tour, state.cities),
 
-        // Output child array
-        const childTour = new Array(size).fill(-1);
+    isSearchGoal: (state) => state.tour.length === state.cities.length,
 
-        // Copy segment from P1
-        for (let i = start; i <= end; i++) {
-            childTour[i] = p1[i];
-        }
+    // Partial tours with the same start, city set and last city have the same completions
+    searchKey: (state) => {
+        const { tour } = state;
+        return `${tour[0]}|${tour[tour.length - 1]}|${[...tour].sort((a, b) => a - b).join(',')}`;
+    },
 
-        // Fill remaining from P2 in order, skipping existing
-        let p2Index = 0;
-        for (let i = 0; i < size; i++) {
-            // Find next empty slot in child (wrapping around from end+1)
-            let childIndex = (end + 1 + i) % size;
+    // Tabu Search: a move is identified by the first and last tour positions it changes
+    // (the swapped pair for a swap move). Undoing a swap touches the same pair.
+    getMoveSignature: (from, to) => {
+        const n = to.tour.length;
+        let i = 0;
+        while (i < n && from.tour[i] === to.tour[i]) i++;
+        if (i === n) return null;
+        let j = n - 1;
+        while (j > i && from.tour[j] === to.tour[j]) j--;
+        return { i, j };
+    },
 
-            // Find next valid city in P2
-            // We start checking P2 from end+1 too? Standard OX1 says yes?
-            // Simplified: Just scan P2 from 0.
-            while (childTour.includes(p2[p2Index])) {
-                p2Index++;
-            }
-            if (p2Index < size && childTour[childIndex] === -1) {
-                childTour[childIndex] = p2[p2Index];
-            }
-        }
+    // Local search moves of the state's neighborhood (see TSP_NEIGHBORHOODS), priced in O(1)
+    enumerateMoves: (state) => state.enumerateMoves(),
 
-        // Fallback for safety (though logic above should fill all)
-        return new TSPState(childTour, parents[0].cities);
+    randomMove: (state, rng) => state.randomMove(rng),
+
+    moveDelta: (state, move) => state.moveDelta(move),
+
+    applyNeighborMove: (state, move) => state.applyMove(move),
+
+    // GA: crossover and mutation operators picked by the `crossoverOperator` / `mutationOperator` params
+    crossoverOperators: TSP_CROSSOVERS,
+    mutationOperators: TSP_MUTATIONS,
+
+    crossover: (parents, params) => {
+        const rng = getRng(params);
+        const operator = CROSSOVERS[params.crossoverOperator] || CROSSOVERS.ox1;
+        const childTour = operator(parents[0].tour, parents[1].tour, rng);
+        return new TSPState(childTour, parents[0].cities, parents[0].neighborhood);
     },
 
     mutate: (state, rate, params) => {
-        // Swap mutation
-        if (Math.random() < rate) {
-            const n = state.tour.length;
-            const i = Math.floor(Math.random() * n);
-            const j = Math.floor(Math.random() * n);
-            [state.tour[i], state.tour[j]] = [state.tour[j], state.tour[i]];
+        const rng = getRng(params);
+        if (rng() < rate) {
+            (MUTATIONS[params.mutationOperator] || MUTATIONS.swap)(state.tour, rng);
             state.cachedCost = null;
         }
     },
 
+    // GA niching / diversity: share of a's edges that b does not use (0..1), independent of
+    // where the tours start and which way they run
+    distance: (a, b) => {
+        const n = a.tour.length;
+        if (n < 2) return 0;
+        const edgeKey = (u, v) => (u < v ? u * n + v : v * n + u);
+        const edgesOfB = new Set(b.tour.map((city, i) => edgeKey(city, b.tour[(i + 1) % n])));
+        let missing = 0;
+        for (let i = 0; i < n; i++) {
+            if (!edgesOfB.has(edgeKey(a.tour[i], a.tour[(i + 1) % n]))) missing++;
+        }
+        return missing / n;
+    },
+
     // Calculate or estimate the optimal cost
     estimatedOptimalCost: (params) => {
         const cities = params.cities;
@@ -206,11 +735,13 @@ export const TSPProblem = {
 
         const n = cities.length;
 
+        // A known optimal tour (TSPLIB .opt.tour) gives the exact optimum
+        if (params.optimalTour && params.optimalTour.length === n) {
+            return new TSPState(params.optimalTour, cities).cost;
+        }
+
         // Brute force for small N
         if (n <= 10) {
-            // Helper to calc distance
-            const dist = (c1, c2) => Math.hypot(c1.x - c2.x, c1.y - c2.y);
-
             // Generate all permutations
             const indices = Array.from({ length: n }, (_, i) => i);
             let minCost = Infinity;
@@ -221,7 +752,7 @@ export const TSPProblem = {
                     // Check cost
                     let cost = 0;
                     for (let i = 0; i < n; i++) {
-                        cost += dist(cities[A[i]], cities[A[(i + 1) % n]]);
+                        cost += dist(cities, A[i], A[(i + 1) % n]);
                     }
                     if (cost < minCost) minCost = cost;
                 } else {
@@ -239,39 +770,11 @@ export const TSPProblem = {
 
             generate(n, [...indices]);
             return minCost;
-        } else {
-            // Run a quick Hill Climbing (Standard) with restarts to estimate
-            const estimateParams = {
-                maxSideways: 100,
-                maxRestarts: 10,
-                variant: 'standard'
-            };
-
-            // We need to pass the current cities in params!
-            estimateParams.cities = cities;
-
-            const problem = TSPProblem; // Self reference
-
-            let bestEstimate = Infinity;
-
-            // Run the generator
-            const iterator = Algorithms.hillClimbing(null, estimateParams, problem);
-
-            // Fast forward
-            let result = iterator.next();
-            while (!result.done) {
-                if (result.value.state && result.value.state.cost < bestEstimate) {
-                    bestEstimate = result.value.state.cost;
-                }
-                result = iterator.next();
-            }
-            // Check final
-            if (result.value && result.value.state && result.value.state.cost < bestEstimate) {
-                bestEstimate = result.value.state.cost;
-            }
-
-            return bestEstimate;
         }
+
+        // Larger instances: 2-opt + Or-opt local search from several nearest-neighbor tours.
+        // Typically within a few percent of optimal, so it is a tight reference line.
+        return estimateTourLength(cities);
     },
 
     formatCost: (cost) => {
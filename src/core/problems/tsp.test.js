@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { TSPState, TSPProblem } from './tsp.js';
+import { createRng } from '../random.js';
 
 describe('TSP Logic', () => {
     // Helper to create a known state
@@ -77,4 +78,119 @@ describe('TSP Logic', () => {
         expect(typeof opt).toBe('number');
         expect(opt).toBeGreaterThan(0);
     });
+
+    it('gives a swap and its undo the same move signature', () => {
+        const a = new TSPState([0, 1, 2, 3], cities);
+        const b = new TSPState([0, 3, 2, 1], cities);
+
+        expect(TSPProblem.getMoveSignature(a, b)).toEqual({ i: 1, j: 3 });
+        expect(TSPProblem.getMoveSignature(b, a)).toEqual({ i: 1, j: 3 });
+        expect(TSPProblem.getMoveSignature(a, a)).toBeNull();
+    });
+
+    describe('Neighborhoods', () => {
+        const instance = TSPProblem.randomState({ size: 9, seed: 'neighborhoods' });
+
+        // Recompute the tour length from scratch to check the O(1) deltas
+        const fullCost = (state) => new TSPState(state.tour, state.cities).cost;
+        const isPermutation = (tour) => [...tour].sort((a, b) => a - b).every((c, i) => c === i);
+
+        for (const neighborhood of Object.keys(TSPProblem.neighborhoods)) {
+            it(`${neighborhood}: delta cost matches a full recomputation for every move`, () => {
+                const state = new TSPState(instance.tour, instance.cities, neighborhood);
+                const neighbors = state.getNeighbors();
+                expect(neighbors.length).toBeGreaterThan(0);
+                for (const neighbor of neighbors) {
+                    expect(isPermutation(neighbor.tour)).toBe(true);
+                    expect(neighbor.neighborhood).toBe(neighborhood);
+                    expect(neighbor.cost).toBeCloseTo(fullCost(neighbor), 9);
+                }
+            });
+
+            it(`${neighborhood}: random neighbors are valid tours with correct cost`, () => {
+                const state = new TSPState(instance.tour, instance.cities, neighborhood);
+                const rng = createRng(neighborhood);
+                for (let k = 0; k < 50; k++) {
+                    const neighbor = state.getRandomNeighbor(rng);
+                    expect(isPermutation(neighbor.tour)).toBe(true);
+                    expect(neighbor.cost).toBeCloseTo(fullCost(neighbor), 9);
+                }
+            });
+        }
+
+        it('2opt removes a crossing in one move', () => {
+            // 0 -> 2 -> 1 -> 3 crosses itself on the square; reversing [1..2] gives the perimeter
+            const state = new TSPState([0, 2, 1, 3], cities, '2opt');
+            const best = state.getNeighbors().reduce((a, b) => (b.cost < a.cost ? b : a));
+            expect(best.cost).toBeCloseTo(40);
+        });
+    });
+
+    describe('GA Operators', () => {
+        const a = TSPProblem.randomState({ size: 12, seed: 'parent-a' });
+        const b = TSPProblem.randomState({ cities: a.cities, seed: 'parent-b' });
+        const isPermutation = (tour) => tour.length === 12 && [...tour].sort((x, y) => x - y).every((c, i) => c === i);
+
+        for (const crossoverOperator of Object.keys(TSPProblem.crossoverOperators)) {
+            it(`${crossoverOperator}: children are valid tours`, () => {
+                const rng = createRng(crossoverOperator);
+                for (let k = 0; k < 30; k++) {
+                    const child = TSPProblem.crossover([a, b], { crossoverOperator, rng });
+                    expect(isPermutation(child.tour)).toBe(true);
+                }
+            });
+        }
+
+        it('cx keeps every city at its position in one of the parents', () => {
+            const child = TSPProblem.crossover([a, b], { crossoverOperator: 'cx', seed: 1 });
+            child.tour.forEach((city, i) => expect([a.tour[i], b.tour[i]]).toContain(city));
+        });
+
+        it('erx only uses parent edges while they are available', () => {
+            const edge = (tour, i) => [tour[i], tour[(i + 1) % tour.length]].sort((x, y) => x - y).join('-');
+            const parentEdges = new Set([...a.tour.map((_, i) => edge(a.tour, i)), ...b.tour.map((_, i) => edge(b.tour, i))]);
+            const child = TSPProblem.crossover([a, b], { crossoverOperator: 'erx', seed: 2 });
+            const inherited = child.tour.filter((_, i) => parentEdges.has(edge(child.tour, i))).length;
+            expect(inherited).toBeGreaterThanOrEqual(9);
+        });
+
+        it('distance counts edges, whatever the start city or direction', () => {
+            const rotated = new TSPState([...a.tour.slice(5), ...a.tour.slice(0, 5)].reverse(), a.cities);
+            expect(TSPProblem.distance(a, rotated)).toBe(0);
+            expect(TSPProblem.distance(a, b)).toBeGreaterThan(0);
+            expect(TSPProblem.distance(a, b)).toBeLessThanOrEqual(1);
+        });
+
+        for (const mutationOperator of Object.keys(TSPProblem.mutationOperators)) {
+            it(`${mutationOperator}: mutation keeps a valid tour and refreshes the cost`, () => {
+                const rng = createRng(mutationOperator);
+                const state = a.clone();
+                for (let k = 0; k < 30; k++) {
+                    TSPProblem.mutate(state, 1, { mutationOperator, rng });
+                    expect(isPermutation(state.tour)).toBe(true);
+                    expect(state.cost).toBeCloseTo(new TSPState(state.tour, state.cities).cost, 9);
+                }
+            });
+        }
+    });
+
+    it('estimates the optimum exactly for cities on a circle', () => {
+        const n = 30;
+        const circle = Array.from({ length: n }, (_, i) => ({
+            x: 50 + 40 * Math.cos(2 * Math.PI * i / n),
+            y: 50 + 40 * Math.sin(2 * Math.PI * i / n)
+        }));
+        // Shuffle so the nearest-neighbor start isn't trivially the index order
+        const shuffled = TSPProblem.randomState({ cities: circle, seed: 3 }).tour.map(i => circle[i]);
+        const perimeter = n * 2 * 40 * Math.sin(Math.PI / n);
+        expect(TSPProblem.estimatedOptimalCost({ cities: shuffled })).toBeCloseTo(perimeter, 6);
+    });
+
+    it('still estimates large instances well on a bounded move budget', () => {
+        const { cities, cost } = TSPProblem.randomState({ size: 600, seed: 4 });
+        const estimate = TSPProblem.estimatedOptimalCost({ cities });
+        // A random tour is far longer; the descent still gets well below it
+        expect(estimate).toBeGreaterThan(0);
+        expect(estimate).toBeLessThan(cost / 5);
+    });
 });
@@ -0,0 +1,322 @@
+// TSPLIB Import / Export
+// Parses symmetric TSPLIB `.tsp` instances and `.opt.tour` / `.tour` files and writes them back.
+// Supported EDGE_WEIGHT_TYPEs: EUC_2D, CEIL_2D, ATT, GEO and EXPLICIT (all symmetric matrix formats).
+// Imported instances become the TSP `cities` array:
+//   { x, y }    display position, normalized into the TSPBoard 0-100 viewBox
+//   name        node number from the file
+//   coord           original [x, y] from NODE_COORD_SECTION (kept for export)
+//   edgeWeightType  coordinate instances: the TSPLIB_DISTANCES metric tsp.js applies to `coord`
+//   weights         EXPLICIT instances: row of the integer distance matrix
+// Either way tour costs are the TSPLIB integer distances, so they match published optima.
+
+// Leave room for labels and the start marker at the edges of the viewBox
+const VIEW_MIN = 5;
+const VIEW_MAX = 95;
+
+const SUPPORTED_WEIGHT_TYPES = ['EUC_2D', 'CEIL_2D', 'ATT', 'GEO', 'EXPLICIT'];
+
+const nint = (x) => Math.floor(x + 0.5);
+
+// Generated instances are written in viewBox units times this, so EUC_2D's rounding of every
+// distance to an integer costs little (tour lengths read back 100x the displayed ones)
+const GENERATED_COORD_SCALE = 100;
+
+// --- TSPLIB distance functions (TSPLIB95 spec, section 2) ---
+
+// GEO distances use the spec's truncated PI; Math.PI moves some of them by one
+const GEO_PI = 3.141592;
+
+const geoRadians = (x) => {
+    const deg = Math.trunc(x);
+    const min = x - deg;
+    return GEO_PI * (deg + 5.0 * min / 3.0) / 180.0;
+};
+
+export const TSPLIB_DISTANCES = {
+    EUC_2D: (a, b) => nint(Math.hypot(a[0] - b[0], a[1] - b[1])),
+    CEIL_2D: (a, b) => Math.ceil(Math.hypot(a[0] - b[0], a[1] - b[1])),
+    ATT: (a, b) => {
+        const xd = a[0] - b[0];
+        const yd = a[1] - b[1];
+        const r = Math.sqrt((xd * xd + yd * yd) / 10.0);
+        const t = nint(r);
+        return t < r ? t + 1 : t;
+    },
+    GEO: (a, b) => {
+        const RRR = 6378.388;
+        const latA = geoRadians(a[0]), lonA = geoRadians(a[1]);
+        const latB = geoRadians(b[0]), lonB = geoRadians(b[1]);
+        const q1 = Math.cos(lonA - lonB);
+        const q2 = Math.cos(latA - latB);
+        const q3 = Math.cos(latA + latB);
+        return Math.floor(RRR * Math.acos(0.5 * ((1.0 + q1) * q2 - (1.0 - q1) * q3)) + 1.0);
+    }
+};
+
+// --- Parsing helpers ---
+
+// Split a TSPLIB file into header fields and raw section bodies
+function tokenizeTSPLIB(text) {
+    const header = {};
+    const sections = {};
+    let current = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line === 'EOF') break;
+
+        const field = line.match(/^([A-Z_]+)\s*:\s*(.*)$/);
+        if (field) {
+            header[field[1]] = field[2].trim();
+            current = null;
+            continue;
+        }
+        if (/^[A-Z_]+_SECTION$/.test(line)) {
+            current = line;
+            sections[current] = [];
+            continue;
+        }
+        if (current) {
+            sections[current].push(...line.split(/\s+/).map(Number));
+            continue;
+        }
+        throw new Error(`TSPLIB: unexpected line "${line}"`);
+    }
+    return { header, sections };
+}
+
+function requireDimension(header) {
+    const n = parseInt(header.DIMENSION, 10);
+    if (!Number.isInteger(n) || n < 2) {
+        throw new Error('TSPLIB: missing or invalid DIMENSION');
+    }
+    return n;
+}
+
+// NODE_COORD_SECTION / DISPLAY_DATA_SECTION: "id x y" per node
+function readCoords(values, n, sectionName) {
+    if (!values || values.length < n * 3) {
+        throw new Error(`TSPLIB: ${sectionName} must list ${n} nodes as "id x y"`);
+    }
+    const coords = new Array(n);
+    for (let k = 0; k < n; k++) {
+        const id = values[k * 3];
+        const x = values[k * 3 + 1];
+        const y = values[k * 3 + 2];
+        if (!Number.isInteger(id) || id < 1 || id > n || !Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error(`TSPLIB: invalid entry in ${sectionName} at node ${k + 1}`);
+        }
+        coords[id - 1] = [x, y];
+    }
+    if (coords.includes(undefined)) {
+        throw new Error(`TSPLIB: ${sectionName} is missing nodes`);
+    }
+    return coords;
+}
+
+// EDGE_WEIGHT_SECTION: expand any symmetric storage format into a full matrix
+function readMatrix(values, n, format) {
+    const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+    // Column-wise lower formats list the same sequence as the row-wise upper ones (and vice versa)
+    const order = {
+        FULL_MATRIX: 'full',
+        UPPER_ROW: 'upper', LOWER_COL: 'upper',
+        LOWER_ROW: 'lower', UPPER_COL: 'lower',
+        UPPER_DIAG_ROW: 'upperDiag', LOWER_DIAG_COL: 'upperDiag',
+        LOWER_DIAG_ROW: 'lowerDiag', UPPER_DIAG_COL: 'lowerDiag'
+    }[format];
+    if (!order) {
+        throw new Error(`TSPLIB: unsupported EDGE_WEIGHT_FORMAT "${format}"`);
+    }
+
+    let k = 0;
+    const next = () => {
+        if (k >= values.length || !Number.isFinite(values[k])) {
+            throw new Error(`TSPLIB: EDGE_WEIGHT_SECTION is too short for ${format} with DIMENSION ${n}`);
+        }
+        return values[k++];
+    };
+    const set = (i, j, w) => { matrix[i][j] = w; matrix[j][i] = w; };
+
+    for (let i = 0; i < n; i++) {
+        if (order === 'full') {
+            for (let j = 0; j < n; j++) matrix[i][j] = next();
+        } else if (order === 'upper') {
+            for (let j = i + 1; j < n; j++) set(i, j, next());
+        } else if (order === 'lower') {
+            for (let j = 0; j < i; j++) set(i, j, next());
+        } else if (order === 'upperDiag') {
+            for (let j = i; j < n; j++) set(i, j, next());
+        } else {
+            for (let j = 0; j <= i; j++) set(i, j, next());
+        }
+    }
+    return matrix;
+}
+
+// Classical MDS: 2D positions whose Euclidean distances approximate an explicit matrix.
+// Used to draw EXPLICIT instances that have no display coordinates.
+function embedMatrix(matrix) {
+    const n = matrix.length;
+    // Double-centered squared distances: B = -1/2 J D² J
+    const sq = matrix.map(row => row.map(d => d * d));
+    const rowMean = sq.map(row => row.reduce((a, b) => a + b, 0) / n);
+    const total = rowMean.reduce((a, b) => a + b, 0) / n;
+    const B = sq.map((row, i) => row.map((d, j) => -0.5 * (d - rowMean[i] - rowMean[j] + total)));
+
+    // Top two eigenvectors by power iteration with deflation
+    const axes = [];
+    for (let axis = 0; axis < 2; axis++) {
+        let v = Array.from({ length: n }, (_, i) => Math.sin(i + 1 + axis));
+        let lambda = 0;
+        for (let iter = 0; iter < 100; iter++) {
+            const w = B.map(row => row.reduce((acc, b, j) => acc + b * v[j], 0));
+            for (const prev of axes) {
+                const dot = w.reduce((acc, x, i) => acc + x * prev.v[i], 0);
+                for (let i = 0; i < n; i++) w[i] -= dot * prev.v[i];
+            }
+            const norm = Math.hypot(...w) || 1;
+            lambda = norm;
+            v = w.map(x => x / norm);
+        }
+        axes.push({ v, lambda });
+    }
+    return Array.from({ length: n }, (_, i) => axes.map(a => a.v[i] * Math.sqrt(Math.max(a.lambda, 0))));
+}
+
+// Fit positions into the viewBox, preserving aspect ratio
+function normalizeToView(points) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const span = Math.max(maxX - minX, maxY - minY) || 1;
+    const scale = (VIEW_MAX - VIEW_MIN) / span;
+    const offX = VIEW_MIN + ((VIEW_MAX - VIEW_MIN) - (maxX - minX) * scale) / 2;
+    const offY = VIEW_MIN + ((VIEW_MAX - VIEW_MIN) - (maxY - minY) * scale) / 2;
+    return points.map(([x, y]) => ({ x: offX + (x - minX) * scale, y: offY + (y - minY) * scale }));
+}
+
+// --- Public API ---
+
+// Parse a `.tsp` file into { name, comment, edgeWeightType, cities }
+export function parseTSPLIB(text) {
+    const { header, sections } = tokenizeTSPLIB(text);
+
+    const type = (header.TYPE || 'TSP').split(/\s/)[0];
+    if (type !== 'TSP') {
+        throw new Error(`TSPLIB: only symmetric TSP instances are supported (TYPE is "${header.TYPE}")`);
+    }
+    const n = requireDimension(header);
+    const edgeWeightType = header.EDGE_WEIGHT_TYPE;
+    if (!SUPPORTED_WEIGHT_TYPES.includes(edgeWeightType)) {
+        throw new Error(`TSPLIB: unsupported EDGE_WEIGHT_TYPE "${edgeWeightType}"`);
+    }
+
+    let coords = null;
+    let matrix = null;
+    let display;
+
+    if (edgeWeightType === 'EXPLICIT') {
+        matrix = readMatrix(sections.EDGE_WEIGHT_SECTION, n, header.EDGE_WEIGHT_FORMAT || 'FULL_MATRIX');
+        if (sections.NODE_COORD_SECTION) coords = readCoords(sections.NODE_COORD_SECTION, n, 'NODE_COORD_SECTION');
+        const shown = sections.DISPLAY_DATA_SECTION
+            ? readCoords(sections.DISPLAY_DATA_SECTION, n, 'DISPLAY_DATA_SECTION')
+            : coords;
+        // Display data follows the coordinate convention (y up); the MDS layout has no orientation
+        display = shown ? shown.map(([x, y]) => [x, -y]) : embedMatrix(matrix);
+    } else {
+        coords = readCoords(sections.NODE_COORD_SECTION, n, 'NODE_COORD_SECTION');
+        // GEO coordinates are (latitude, longitude): draw longitude across, north up
+        display = edgeWeightType === 'GEO'
+            ? coords.map(([lat, lon]) => [lon, -lat])
+            : coords.map(([x, y]) => [x, -y]); // TSPLIB y points up, SVG y points down
+    }
+
+    const positions = normalizeToView(display);
+    const cities = positions.map((p, i) => ({
+        x: p.x,
+        y: p.y,
+        name: String(i + 1),
+        ...(coords ? { coord: coords[i] } : {}),
+        // Coordinate distances are computed on demand: an n x n matrix per instance does not scale
+        ...(matrix ? { weights: matrix[i] } : { edgeWeightType })
+    }));
+
+    return {
+        name: header.NAME || 'tsplib',
+        comment: header.COMMENT || '',
+        edgeWeightType,
+        cities
+    };
+}
+
+// Parse a `.tour` / `.opt.tour` file into { name, tour } with 0-based city indices
+export function parseTSPLIBTour(text, expectedDimension = null) {
+    const { header, sections } = tokenizeTSPLIB(text);
+    const type = (header.TYPE || 'TOUR').split(/\s/)[0];
+    if (type !== 'TOUR') {
+        throw new Error(`TSPLIB: expected a TOUR file (TYPE is "${header.TYPE}")`);
+    }
+    const values = sections.TOUR_SECTION;
+    if (!values) {
+        throw new Error('TSPLIB: missing TOUR_SECTION');
+    }
+
+    const end = values.indexOf(-1);
+    const tour = (end === -1 ? values : values.slice(0, end)).map(id => id - 1);
+    const n = header.DIMENSION ? requireDimension(header) : tour.length;
+
+    if (tour.length !== n || (expectedDimension !== null && n !== expectedDimension)) {
+        throw new Error(`TSPLIB: tour visits ${tour.length} cities, instance has ${expectedDimension ?? n}`);
+    }
+    const seen = new Set(tour);
+    if (seen.size !== n || tour.some(c => !Number.isInteger(c) || c < 0 || c >= n)) {
+        throw new Error('TSPLIB: tour is not a permutation of the cities');
+    }
+    return { name: header.NAME || 'tour', tour };
+}
+
+// Write cities back as a `.tsp` file. Imported instances keep their original coordinates and
+// EDGE_WEIGHT_TYPE; generated instances are written as EUC_2D in scaled viewBox units, y up.
+export function formatTSPLIB({ name = 'instance', comment = '', edgeWeightType, cities }) {
+    const n = cities.length;
+    const lines = [`NAME : ${name}`];
+    if (comment) lines.push(`COMMENT : ${comment}`);
+    lines.push('TYPE : TSP', `DIMENSION : ${n}`);
+
+    const hasCoords = cities.every(c => c.coord);
+    if (edgeWeightType === 'EXPLICIT' || (edgeWeightType && edgeWeightType !== 'EUC_2D' && !hasCoords)) {
+        lines.push('EDGE_WEIGHT_TYPE : EXPLICIT', 'EDGE_WEIGHT_FORMAT : FULL_MATRIX', 'DISPLAY_DATA_TYPE : TWOD_DISPLAY');
+        lines.push('EDGE_WEIGHT_SECTION');
+        for (const c of cities) {
+            lines.push(cities.map((other, j) => (c.weights ? c.weights[j] : nint(Math.hypot(c.x - other.x, c.y - other.y)))).join(' '));
+        }
+        lines.push('DISPLAY_DATA_SECTION');
+        // Viewbox y points down, TSPLIB y points up
+        cities.forEach((c, i) => lines.push(`${i + 1} ${formatNumber(c.x)} ${formatNumber(-c.y)}`));
+    } else {
+        lines.push(`EDGE_WEIGHT_TYPE : ${hasCoords && edgeWeightType ? edgeWeightType : 'EUC_2D'}`);
+        lines.push('NODE_COORD_SECTION');
+        cities.forEach((c, i) => {
+            // Viewbox y points down, TSPLIB y points up (parseTSPLIB flips it back)
+            const [x, y] = hasCoords ? c.coord : [c.x * GENERATED_COORD_SCALE, -c.y * GENERATED_COORD_SCALE];
+            lines.push(`${i + 1} ${formatNumber(x)} ${formatNumber(y)}`);
+        });
+    }
+    lines.push('EOF', '');
+    return lines.join('\n');
+}
+
+// Write a tour (0-based city indices) as a `.tour` file
+export function formatTSPLIBTour({ name = 'tour', comment = '', tour }) {
+    const lines = [`NAME : ${name}`];
+    if (comment) lines.push(`COMMENT : ${comment}`);
+    lines.push('TYPE : TOUR', `DIMENSION : ${tour.length}`, 'TOUR_SECTION');
+    for (const city of tour) lines.push(String(city + 1));
+    lines.push('-1', 'EOF', '');
+    return lines.join('\n');
+}
+
+const formatNumber = (x) => (Number.isInteger(x) ? String(x) : String(Number(x.toFixed(6))));
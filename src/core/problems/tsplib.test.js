@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest';
+import { parseTSPLIB, parseTSPLIBTour, formatTSPLIB, formatTSPLIBTour } from './tsplib.js';
+import { TSPState, TSPProblem } from './tsp.js';
+
+// burma14 from TSPLIB (GEO), optimal tour length 3323
+const BURMA14 = `NAME: burma14
+TYPE: TSP
+COMMENT: 14-Staedte in Burma (Zaw Win)
+DIMENSION: 14
+EDGE_WEIGHT_TYPE: GEO
+EDGE_WEIGHT_FORMAT: FUNCTION
+DISPLAY_DATA_TYPE: COORD_DISPLAY
+NODE_COORD_SECTION
+   1  16.47       96.10
+   2  16.47       94.44
+   3  20.09       92.54
+   4  22.39       93.37
+   5  25.23       97.24
+   6  22.00       96.05
+   7  20.47       97.02
+   8  17.20       96.29
+   9  16.30       97.38
+  10  14.05       98.12
+  11  16.53       97.38
+  12  21.52       95.59
+  13  19.41       97.13
+  14  20.09       94.55
+EOF
+`;
+
+const BURMA14_OPT = `NAME : burma14.opt.tour
+TYPE : TOUR
+DIMENSION : 14
+TOUR_SECTION
+1
+2
+14
+3
+4
+5
+6
+12
+7
+13
+8
+11
+9
+10
+-1
+EOF
+`;
+
+describe('TSPLIB Import / Export', () => {
+    it('parses a GEO instance and reproduces the published optimum', () => {
+        const instance = parseTSPLIB(BURMA14);
+        expect(instance.name).toBe('burma14');
+        expect(instance.edgeWeightType).toBe('GEO');
+        expect(instance.cities).toHaveLength(14);
+
+        const { tour } = parseTSPLIBTour(BURMA14_OPT, 14);
+        expect(tour[0]).toBe(0);
+        expect(new TSPState(tour, instance.cities).cost).toBe(3323);
+
+        // The known tour becomes the optimal cost reference
+        expect(TSPProblem.estimatedOptimalCost({ cities: instance.cities, optimalTour: tour })).toBe(3323);
+    });
+
+    it('computes GEO distances with the TSPLIB value of PI', () => {
+        // Math.PI gives 9689 for this pair, TSPLIB's PI = 3.141592 gives 9688
+        const text = 'NAME: g\nTYPE: TSP\nDIMENSION: 2\nEDGE_WEIGHT_TYPE: GEO\nNODE_COORD_SECTION\n1 1.28 -73.41\n2 7.55 13.31\nEOF\n';
+        const { cities } = parseTSPLIB(text);
+        expect(new TSPState([0, 1], cities).cost).toBe(2 * 9688);
+    });
+
+    it('normalizes display coordinates into the board viewBox', () => {
+        const { cities } = parseTSPLIB(BURMA14);
+        for (const c of cities) {
+            expect(c.x).toBeGreaterThanOrEqual(5 - 1e-9);
+            expect(c.x).toBeLessThanOrEqual(95 + 1e-9);
+            expect(c.y).toBeGreaterThanOrEqual(5 - 1e-9);
+            expect(c.y).toBeLessThanOrEqual(95 + 1e-9);
+        }
+    });
+
+    it('rounds EUC_2D and ATT distances the TSPLIB way', () => {
+        const coords = (type) => `NAME: t\nTYPE: TSP\nDIMENSION: 2\nEDGE_WEIGHT_TYPE: ${type}\nNODE_COORD_SECTION\n1 0 0\n2 3 4.6\nEOF\n`;
+        // A two-city tour crosses the one edge twice
+        const edge = (type) => new TSPState([0, 1], parseTSPLIB(coords(type)).cities).cost / 2;
+        // hypot(3, 4.6) = 5.49 -> nint 5
+        expect(edge('EUC_2D')).toBe(5);
+        // sqrt(30.16 / 10) = 1.737 -> nint 2, not below r so stays 2
+        expect(edge('ATT')).toBe(2);
+        expect(edge('CEIL_2D')).toBe(6);
+    });
+
+    it('keeps a distance matrix only for EXPLICIT instances', () => {
+        const { cities } = parseTSPLIB(BURMA14);
+        expect(cities.some(c => c.weights)).toBe(false);
+        expect(cities.every(c => c.edgeWeightType === 'GEO' && c.coord.length === 2)).toBe(true);
+    });
+
+    it('expands every symmetric EXPLICIT matrix format to the same distances', () => {
+        const full = [
+            [0, 3, 4, 5],
+            [3, 0, 6, 7],
+            [4, 6, 0, 8],
+            [5, 7, 8, 0]
+        ];
+        const formats = {
+            FULL_MATRIX: full.flat(),
+            UPPER_ROW: [3, 4, 5, 6, 7, 8],
+            LOWER_ROW: [3, 4, 6, 5, 7, 8],
+            UPPER_DIAG_ROW: [0, 3, 4, 5, 0, 6, 7, 0, 8, 0],
+            LOWER_DIAG_ROW: [0, 3, 0, 4, 6, 0, 5, 7, 8, 0]
+        };
+        for (const [format, values] of Object.entries(formats)) {
+            const text = `NAME: m\nTYPE: TSP\nDIMENSION: 4\nEDGE_WEIGHT_TYPE: EXPLICIT\nEDGE_WEIGHT_FORMAT: ${format}\nEDGE_WEIGHT_SECTION\n${values.join(' ')}\nEOF\n`;
+            const { cities } = parseTSPLIB(text);
+            expect(cities.map(c => c.weights)).toEqual(full);
+            // Laid out by MDS since there are no display coordinates
+            expect(cities.every(c => Number.isFinite(c.x) && Number.isFinite(c.y))).toBe(true);
+        }
+    });
+
+    it('draws EXPLICIT display data y-up and writes it back the same way', () => {
+        const text = 'NAME: d\nTYPE: TSP\nDIMENSION: 3\nEDGE_WEIGHT_TYPE: EXPLICIT\nEDGE_WEIGHT_FORMAT: UPPER_ROW\n' +
+            'DISPLAY_DATA_TYPE: TWOD_DISPLAY\nEDGE_WEIGHT_SECTION\n10 10 14\nDISPLAY_DATA_SECTION\n1 0 0\n2 0 10\n3 10 0\nEOF\n';
+        const { cities } = parseTSPLIB(text);
+        // Node 2 lies north of node 1, so it is drawn above it; node 3 lies east
+        expect(cities[1].y).toBeLessThan(cities[0].y);
+        expect(cities[1].x).toBeCloseTo(cities[0].x, 9);
+        expect(cities[2].x).toBeGreaterThan(cities[0].x);
+        expect(cities[2].y).toBeCloseTo(cities[0].y, 9);
+
+        const exported = formatTSPLIB({ name: 'd', edgeWeightType: 'EXPLICIT', cities });
+        const again = parseTSPLIB(exported);
+        expect(again.cities.map(c => [c.x, c.y])).toEqual(cities.map(c => [c.x, c.y]));
+        // Written y-up: node 2 keeps the larger y in the file
+        const display = exported.split('DISPLAY_DATA_SECTION\n')[1].split('\n').slice(0, 3).map(line => line.split(' ').map(Number));
+        expect(display[1][2]).toBeGreaterThan(display[0][2]);
+    });
+
+    it('round-trips instances and tours through export', () => {
+        const instance = parseTSPLIB(BURMA14);
+        const again = parseTSPLIB(formatTSPLIB(instance));
+        expect(again.edgeWeightType).toBe('GEO');
+        expect(again.cities.map(c => c.coord)).toEqual(instance.cities.map(c => c.coord));
+        const { tour: opt } = parseTSPLIBTour(BURMA14_OPT, 14);
+        expect(new TSPState(opt, again.cities).cost).toBe(3323);
+
+        const tour = [3, 1, 0, 2];
+        expect(parseTSPLIBTour(formatTSPLIBTour({ name: 't', tour })).tour).toEqual(tour);
+
+        // Generated instances export as EUC_2D in 100x viewBox units
+        const random = [{ x: 10, y: 10 }, { x: 40, y: 50 }, { x: 70, y: 10 }];
+        const exported = parseTSPLIB(formatTSPLIB({ name: 'r', cities: random }));
+        expect(exported.edgeWeightType).toBe('EUC_2D');
+        expect(new TSPState([0, 1, 2], exported.cities).cost).toBe(5000 + 5000 + 6000);
+    });
+
+    it('round-trips generated instances without mirroring or rounding them', () => {
+        const generated = TSPProblem.randomState({ size: 12, seed: 5 });
+        const { cities } = parseTSPLIB(formatTSPLIB({ name: 'gen', cities: generated.cities }));
+
+        // Same drawing up to scale and offset: y still grows in the same direction
+        const scale = (cities[1].x - cities[0].x) / (generated.cities[1].x - generated.cities[0].x);
+        cities.forEach((c, i) => {
+            expect(c.x - cities[0].x).toBeCloseTo(scale * (generated.cities[i].x - generated.cities[0].x), 6);
+            expect(c.y - cities[0].y).toBeCloseTo(scale * (generated.cities[i].y - generated.cities[0].y), 6);
+        });
+
+        // Tour lengths come back 100x, off by at most half a unit per edge
+        const reimported = new TSPState(generated.tour, cities);
+        expect(Math.abs(reimported.cost - 100 * generated.cost)).toBeLessThanOrEqual(generated.tour.length / 2);
+    });
+
+    it('rejects malformed files with a descriptive error', () => {
+        expect(() => parseTSPLIB('NAME: x\nTYPE: ATSP\nDIMENSION: 3\nEOF')).toThrow(/symmetric/);
+        expect(() => parseTSPLIB('NAME: x\nTYPE: TSP\nDIMENSION: 3\nEDGE_WEIGHT_TYPE: MAN_2D\nEOF')).toThrow(/MAN_2D/);
+        expect(() => parseTSPLIB('NAME: x\nTYPE: TSP\nDIMENSION: 3\nEDGE_WEIGHT_TYPE: EUC_2D\nNODE_COORD_SECTION\n1 0 0\nEOF')).toThrow(/NODE_COORD_SECTION/);
+        expect(() => parseTSPLIBTour(BURMA14_OPT, 20)).toThrow(/instance has 20/);
+        expect(() => parseTSPLIBTour('TYPE: TOUR\nTOUR_SECTION\n1\n1\n2\n-1\n')).toThrow(/permutation/);
+    });
+});
@@ -0,0 +1,46 @@
+// Seedable Random Number Generation
+// Every stochastic step (random states, neighbors, crossover, mutation, acceptance)
+// draws from an `rng` function returning a float in [0, 1).
+// Passing `params.seed` makes a whole run reproducible; without a seed we fall back to Math.random.
+
+// Hash a numeric or string seed into a 32-bit unsigned integer
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    // FNV-1a over the string representation
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// Mulberry32: small, fast PRNG with a 32-bit state
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Unseeded fallback. Looked up on every call so tests can still spy on Math.random.
+const unseeded = () => Math.random();
+
+export function createRng(seed) {
+    if (seed === undefined || seed === null || seed === '') return unseeded;
+    return mulberry32(hashSeed(seed));
+}
+
+// Resolve the generator for a params object:
+// an explicit params.rng wins, then params.seed, then Math.random.
+export function getRng(params) {
+    if (params && typeof params.rng === 'function') return params.rng;
+    return createRng(params ? params.seed : undefined);
+}
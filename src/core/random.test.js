@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { createRng, getRng, hashSeed } from './random.js';
+
+describe('Seedable RNG', () => {
+    it('should produce the same sequence for the same seed', () => {
+        const a = createRng(42);
+        const b = createRng(42);
+        for (let i = 0; i < 20; i++) {
+            expect(a()).toBe(b());
+        }
+    });
+
+    it('should produce different sequences for different seeds', () => {
+        const a = createRng(1);
+        const b = createRng(2);
+        const seqA = Array.from({ length: 5 }, () => a());
+        const seqB = Array.from({ length: 5 }, () => b());
+        expect(seqA).not.toEqual(seqB);
+    });
+
+    it('should return values in [0, 1)', () => {
+        const rng = createRng('bug-report-17');
+        for (let i = 0; i < 1000; i++) {
+            const x = rng();
+            expect(x).toBeGreaterThanOrEqual(0);
+            expect(x).toBeLessThan(1);
+        }
+    });
+
+    it('should hash string seeds deterministically', () => {
+        expect(hashSeed('abc')).toBe(hashSeed('abc'));
+        expect(hashSeed('abc')).not.toBe(hashSeed('abd'));
+    });
+
+    it('getRng should prefer params.rng, then params.seed', () => {
+        const custom = () => 0.5;
+        expect(getRng({ rng: custom, seed: 1 })).toBe(custom);
+        expect(getRng({ seed: 7 })()).toBe(createRng(7)());
+    });
+
+    it('should fall back to Math.random when unseeded', () => {
+        const rng = getRng({});
+        const x = rng();
+        expect(x).toBeGreaterThanOrEqual(0);
+        expect(x).toBeLessThan(1);
+    });
+});
@@ -0,0 +1,149 @@
+// Dedicated SAT Local Search (Boolean SAT only)
+// WalkSAT and GSAT flip one variable per step using the incremental break/make counts of
+// SatCounters, so a step costs a handful of clause updates rather than a full formula evaluation.
+// Both restart from a fresh random assignment after `maxFlips` flips, up to `maxTries` times.
+import { getRng } from './random.js';
+import { BooleanSatState } from './problems/boolean-sat.js';
+import { FlatCNF, SatCounters } from './problems/cnf.js';
+
+const NOT_CNF = 'Needs a Boolean SAT formula in CNF (an AND of OR-clauses)';
+
+// Shared driver: `pickFlip(counters)` returns { variable, clause, move, breaks? } for one step
+function* satLocalSearch(name, initialState, params, problem, pickFlip) {
+    const rng = params.rng;
+    const { maxFlips = 1000, maxTries = 10 } = params;
+
+    const base = initialState || problem.randomState(params);
+    const cnf = FlatCNF.fromState(base);
+    if (!cnf) return `${name}: ${NOT_CNF}`;
+
+    // An empty clause (a bare "0" line in DIMACS) can never be satisfied, and has no variable to flip
+    for (let c = 0; c < cnf.numClauses; c++) {
+        if (cnf.clauseStart[c] === cnf.clauseStart[c + 1]) {
+            return { state: base, note: `Unsatisfiable: empty clause #${cnf.clauseIds[c] + 1}`, evaluations: 0 };
+        }
+    }
+
+    const { variables } = base;
+    const toState = (counters) => {
+        const assignments = {};
+        variables.forEach((v, i) => { assignments[v] = counters.values[i] === 1; });
+        const state = new BooleanSatState(variables, assignments, base.ast, null, base.clauses);
+        state.cachedCost = counters.numUnsat;
+        return state;
+    };
+
+    let bestState = null;
+    let evaluations = 0;
+    let totalFlips = 0;
+
+    for (let attempt = 1; attempt <= maxTries; attempt++) {
+        // The first try continues from the given assignment, later tries start fresh
+        const values = attempt === 1 && !base.isPartial
+            ? variables.map(v => base.assignments[v] === true)
+            : variables.map(() => rng() < 0.5);
+        const counters = new SatCounters(cnf, values);
+
+        let state = toState(counters);
+        if (!bestState || state.cost < bestState.cost) bestState = state;
+        yield { state, note: `Try ${attempt}: random assignment | Unsat: ${counters.numUnsat}`, evaluations };
+
+        for (let flip = 1; flip <= maxFlips; flip++) {
+            if (counters.numUnsat === 0) {
+                return { state: bestState, note: `Solution Found! (${totalFlips} flips, try ${attempt})`, evaluations };
+            }
+
+            const step = pickFlip(counters, rng);
+            evaluations += step.evaluated;
+            counters.flip(step.variable);
+            totalFlips++;
+
+            state = toState(counters);
+            if (state.cost < bestState.cost) bestState = state;
+
+            const breaks = step.breaks && Object.fromEntries(step.breaks.map(([u, b]) => [variables[u], b]));
+            const clauseNote = step.clause !== null ? `clause #${cnf.clauseIds[step.clause] + 1}, ` : '';
+            yield {
+                state,
+                note: `Try ${attempt}, flip ${flip}: ${clauseNote}flip ${variables[step.variable]} (${step.move}) | Unsat: ${counters.numUnsat}`,
+                evaluations,
+                satStep: {
+                    clause: step.clause !== null ? cnf.clauseIds[step.clause] : null,
+                    variable: variables[step.variable],
+                    move: step.move,
+                    breaks
+                }
+            };
+        }
+
+        if (counters.numUnsat === 0) {
+            return { state: bestState, note: `Solution Found! (${totalFlips} flips, try ${attempt})`, evaluations };
+        }
+    }
+
+    return { state: bestState, note: `Max tries (${maxTries} x ${maxFlips} flips) reached`, evaluations };
+}
+
+// Uniform choice among the candidates with the best key, ties broken at random
+const pickBest = (candidates, key, rng) => {
+    let best = [];
+    let bestKey = Infinity;
+    for (const c of candidates) {
+        const k = key(c);
+        if (k < bestKey) {
+            bestKey = k;
+            best = [c];
+        } else if (k === bestKey) {
+            best.push(c);
+        }
+    }
+    return best[Math.floor(rng() * best.length)];
+};
+
+export const SatAlgorithms = {
+    // WalkSAT (SKC): pick a random unsatisfied clause, flip a variable in it.
+    // A variable that breaks nothing is flipped for free; otherwise with probability `noise` a
+    // random one, else the one breaking the fewest clauses. Focusing on one broken clause is what
+    // lets it escape the plateaus where plain hill climbing stalls on random 3-SAT near m/n = 4.26.
+    walkSat: function* (initialState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
+        const { noise = 0.5 } = params;
+
+        return yield* satLocalSearch('WalkSAT', initialState, params, problem, (counters) => {
+            const clause = counters.unsat[Math.floor(rng() * counters.unsat.length)];
+            const vars = counters.cnf.clauseVariables(clause);
+            const breaks = vars.map(u => [u, counters.breakCount[u]]);
+            const evaluated = vars.length;
+
+            const freebies = breaks.filter(([, b]) => b === 0);
+            if (freebies.length > 0) {
+                return { variable: freebies[Math.floor(rng() * freebies.length)][0], clause, move: 'freebie', breaks, evaluated };
+            }
+            if (rng() < noise) {
+                return { variable: vars[Math.floor(rng() * vars.length)], clause, move: 'noise', breaks, evaluated };
+            }
+            return { variable: pickBest(breaks, ([, b]) => b, rng)[0], clause, move: 'greedy', breaks, evaluated };
+        });
+    },
+
+    // GSAT: flip the variable with the best make - break score over the whole formula.
+    // With probability `noise` it takes a random-walk step inside a random unsatisfied clause instead.
+    gsat: function* (initialState, params = {}, problem) {
+        const rng = getRng(params);
+        params = { ...params, rng };
+        const { noise = 0.5 } = params;
+
+        return yield* satLocalSearch('GSAT', initialState, params, problem, (counters) => {
+            if (rng() < noise) {
+                const clause = counters.unsat[Math.floor(rng() * counters.unsat.length)];
+                const vars = counters.cnf.clauseVariables(clause);
+                const breaks = vars.map(u => [u, counters.breakCount[u]]);
+                return { variable: vars[Math.floor(rng() * vars.length)], clause, move: 'walk', breaks, evaluated: 1 };
+            }
+            const all = Array.from({ length: counters.cnf.numVars }, (_, u) => u);
+            const variable = pickBest(all, (u) => -counters.score(u), rng);
+            return { variable, clause: null, move: `greedy, score ${counters.score(variable)}`, evaluated: all.length };
+        });
+    }
+};
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { Algorithms } from './algorithms';
+import { BooleanSatProblem, BooleanSatState } from './problems/boolean-sat';
+import { parseDIMACSCNF } from './problems/dimacs';
+import { createRng } from './random';
+
+// Random 3-SAT at m/n = 4.26 with a planted solution, so it is guaranteed satisfiable
+const plantedInstance = (n, seed) => {
+    const rng = createRng(seed);
+    const planted = Array.from({ length: n }, () => rng() < 0.5);
+    const clauses = [];
+    while (clauses.length < Math.round(4.26 * n)) {
+        const vars = new Set();
+        while (vars.size < 3) vars.add(1 + Math.floor(rng() * n));
+        const clause = [...vars].map(v => (rng() < 0.5 ? v : -v));
+        if (clause.some(l => (l > 0) === planted[Math.abs(l) - 1])) clauses.push(clause);
+    }
+    const variables = Array.from({ length: n }, (_, i) => `x${i + 1}`);
+    return { variables, clauses };
+};
+
+const runToEnd = (gen) => {
+    const steps = [];
+    let res = gen.next();
+    while (!res.done) {
+        steps.push(res.value);
+        res = gen.next();
+    }
+    return { steps, result: res.value };
+};
+
+describe('SAT Local Search', () => {
+    const cnf = plantedInstance(30, 'planted');
+    const params = { mode: 'dimacs', cnf, seed: 7, maxFlips: 2000, maxTries: 10 };
+    const start = () => BooleanSatProblem.randomState({ ...params });
+
+    for (const name of ['walkSat', 'gsat']) {
+        it(`${name} solves a satisfiable random 3-SAT instance`, () => {
+            const { steps, result } = runToEnd(Algorithms[name](start(), params, BooleanSatProblem));
+            expect(result.note).toContain('Solution Found');
+            expect(result.state.cost).toBe(0);
+            expect(BooleanSatProblem.isSolution(result.state)).toBe(true);
+            // Incremental cost agrees with a full evaluation
+            const last = steps[steps.length - 1].state;
+            const fresh = new BooleanSatState(last.variables, last.assignments, null, null, last.clauses);
+            expect(last.cost).toBe(fresh.cost);
+        });
+    }
+
+    it('walkSat always flips a variable of an unsatisfied clause', () => {
+        const { steps } = runToEnd(Algorithms.walkSat(start(), { ...params, maxFlips: 50, maxTries: 1 }, BooleanSatProblem));
+        for (let k = 1; k < steps.length; k++) {
+            const { satStep } = steps[k];
+            if (!satStep) continue;
+            const clause = cnf.clauses[satStep.clause];
+            const before = steps[k - 1].state.assignments;
+            expect(clause.every(l => before[`x${Math.abs(l)}`] === (l < 0))).toBe(true);
+            expect(clause.map(l => `x${Math.abs(l)}`)).toContain(satStep.variable);
+            expect(Object.keys(satStep.breaks)).toContain(satStep.variable);
+        }
+    });
+
+    it('reports an empty clause as unsatisfiable instead of flipping', () => {
+        const empty = { mode: 'dimacs', cnf: parseDIMACSCNF('p cnf 2 2\n1 2 0\n0\n'), seed: 3 };
+        for (const name of ['walkSat', 'gsat']) {
+            const { steps, result } = runToEnd(Algorithms[name](BooleanSatProblem.randomState(empty), empty, BooleanSatProblem));
+            expect(steps).toHaveLength(0);
+            expect(result.note).toBe('Unsatisfiable: empty clause #2');
+        }
+    });
+
+    it('explains why it cannot run on non-CNF expressions', () => {
+        const state = BooleanSatProblem.randomState({ mode: 'custom', customExpression: '(A ^ B) v C', seed: 1 });
+        const { result } = runToEnd(Algorithms.walkSat(state, { seed: 1 }, BooleanSatProblem));
+        expect(result).toMatch(/CNF/);
+    });
+});
@@ -0,0 +1,369 @@
+// Complete SAT Solvers (Boolean SAT only)
+// DPLL and CDCL build an assignment from the empty state like the CSP algorithms, but reason over
+// clauses: unit propagation, pure literals (DPLL) and conflict-driven clause learning with
+// non-chronological backjumping and VSIDS (CDCL). Every decision, propagation and conflict is
+// yielded with a `satTrail` snapshot so the board can show the trail, decision levels and learned clauses.
+import { BooleanSatState } from './problems/boolean-sat.js';
+import { FlatCNF } from './problems/cnf.js';
+
+const NOT_CNF = 'Needs a Boolean SAT formula in CNF (an AND of OR-clauses)';
+
+// The learned clause database can grow to thousands; the board only lists the newest ones
+const MAX_SHOWN_LEARNED = 20;
+
+// Assignment trail shared by both solvers. Values are 1 (true), -1 (false) or 0 (unassigned).
+class SolverTrail {
+    constructor(base, cnf) {
+        this.base = base;
+        this.cnf = cnf;
+        this.vals = new Int8Array(cnf.numVars);
+        this.level = new Int32Array(cnf.numVars).fill(-1);
+        this.reason = new Int32Array(cnf.numVars).fill(-1); // Clause that forced the value, -1 for decisions
+        this.entries = []; // { v, kind } in assignment order; kind: decision | flipped | unit | pure | learned | free
+        this.decisionLevel = 0;
+    }
+
+    litValue(literal) {
+        const val = this.vals[Math.abs(literal) - 1];
+        return literal > 0 ? val : -val;
+    }
+
+    assign(literal, kind, clause = -1) {
+        const v = Math.abs(literal) - 1;
+        this.vals[v] = literal > 0 ? 1 : -1;
+        this.level[v] = this.decisionLevel;
+        this.reason[v] = clause;
+        this.entries.push({ v, kind });
+    }
+
+    // Undo every assignment made above `level`; onUndo(v, value) sees each one (phase saving)
+    backtrackTo(level, onUndo = null) {
+        while (this.entries.length > 0) {
+            const { v } = this.entries[this.entries.length - 1];
+            if (this.level[v] <= level) break;
+            this.entries.pop();
+            if (onUndo) onUndo(v, this.vals[v]);
+            this.vals[v] = 0;
+            this.level[v] = -1;
+            this.reason[v] = -1;
+        }
+        this.decisionLevel = level;
+    }
+
+    literalName(literal) {
+        const name = this.base.variables[Math.abs(literal) - 1];
+        return literal > 0 ? name : `~${name}`;
+    }
+
+    toState() {
+        const assignments = {};
+        this.base.variables.forEach((name, v) => {
+            assignments[name] = this.vals[v] === 0 ? null : this.vals[v] === 1;
+        });
+        return new BooleanSatState(this.base.variables, assignments, this.base.ast, null, this.base.clauses);
+    }
+}
+
+// Clause database: the formula's clauses followed by learned ones (CDCL). Names are C<n> for
+// clause n of the source formula and L<k> for the k-th learned clause.
+class ClauseDB {
+    constructor(cnf) {
+        this.cnf = cnf;
+        this.learned = [];
+    }
+
+    get size() {
+        return this.cnf.numClauses + this.learned.length;
+    }
+
+    at(c) {
+        return c < this.cnf.numClauses ? this.cnf.clauseLiterals(c) : this.learned[c - this.cnf.numClauses];
+    }
+
+    name(c) {
+        return c < this.cnf.numClauses ? `C${this.cnf.clauseIds[c] + 1}` : `L${c - this.cnf.numClauses + 1}`;
+    }
+
+    learn(clause) {
+        this.learned.push(clause);
+        return this.size - 1;
+    }
+}
+
+// Build the yielded step: state, note and the trail snapshot for the board
+const makeReporter = (trail, db, stats) => (note, conflict = -1) => {
+    const { vals, level, reason } = trail;
+    const firstShown = Math.max(0, db.learned.length - MAX_SHOWN_LEARNED);
+    return {
+        state: trail.toState(),
+        note,
+        evaluations: stats.evaluations,
+        satTrail: {
+            level: trail.decisionLevel,
+            trail: trail.entries.map(({ v, kind }) => ({
+                variable: trail.base.variables[v],
+                value: vals[v] === 1,
+                level: level[v],
+                kind,
+                clause: reason[v] >= 0 ? db.name(reason[v]) : null
+            })),
+            conflict: conflict >= 0 ? db.name(conflict) : null,
+            learned: db.learned.slice(firstShown).map((clause, k) => ({
+                name: `L${firstShown + k + 1}`,
+                literals: Array.from(clause, l => trail.literalName(l))
+            })),
+            learnedCount: db.learned.length
+        }
+    };
+};
+
+// Unit propagation by repeated clause scans. Yields one step per forced assignment and
+// returns the index of a falsified clause, or -1.
+function* unitPropagate(trail, db, report, stats) {
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let c = 0; c < db.size; c++) {
+            stats.evaluations++;
+            let unassigned = 0;
+            let unit = 0;
+            let satisfied = false;
+            for (const literal of db.at(c)) {
+                const val = trail.litValue(literal);
+                if (val === 1) {
+                    satisfied = true;
+                    break;
+                }
+                if (val === 0) {
+                    unassigned++;
+                    unit = literal;
+                }
+            }
+            if (satisfied) continue;
+            if (unassigned === 0) return c;
+            if (unassigned === 1) {
+                trail.assign(unit, 'unit', c);
+                changed = true;
+                yield report(`Unit: ${trail.literalName(unit)} forced by ${db.name(c)} @ level ${trail.decisionLevel}`);
+            }
+        }
+    }
+    return -1;
+}
+
+const allSatisfied = (trail, db) => {
+    for (let c = 0; c < db.size; c++) {
+        if (!Array.from(db.at(c)).some(l => trail.litValue(l) === 1)) return false;
+    }
+    return true;
+};
+
+// Unassigned literal counts over clauses that are not yet satisfied
+const openLiteralCounts = (trail, db) => {
+    const counts = new Map();
+    for (let c = 0; c < db.size; c++) {
+        const clause = db.at(c);
+        if (Array.from(clause).some(l => trail.litValue(l) === 1)) continue;
+        for (const l of clause) {
+            if (trail.litValue(l) === 0) counts.set(l, (counts.get(l) || 0) + 1);
+        }
+    }
+    return counts;
+};
+
+// Satisfiable with variables left over: they appear in no open clause, so any value works
+function* finishFree(trail, report) {
+    const free = [];
+    trail.vals.forEach((val, v) => {
+        if (val === 0) free.push(v);
+    });
+    if (free.length === 0) return;
+    for (const v of free) trail.assign(-(v + 1), 'free');
+    yield report(`All clauses satisfied: ${free.length} free variable(s) set to false`);
+}
+
+export const SatSolvers = {
+    // DPLL: unit propagation, pure literal elimination, DLIS decisions (the literal in the most
+    // open clauses) and chronological backtracking that flips the most recent unflipped decision.
+    dpll: function* (dummyState, params, problem) {
+        const { maxIterations = 10000, pureLiterals = true } = params;
+        const base = problem.emptyState(params);
+        const cnf = FlatCNF.fromState(base);
+        if (!cnf) return `DPLL: ${NOT_CNF}`;
+
+        const trail = new SolverTrail(base, cnf);
+        const db = new ClauseDB(cnf);
+        const stats = { evaluations: 0 };
+        const report = makeReporter(trail, db, stats);
+        let steps = 0;
+
+        yield report('Start: empty assignment');
+
+        while (true) {
+            const conflict = yield* unitPropagate(trail, db, report, stats);
+
+            if (conflict >= 0) {
+                steps++;
+                yield report(`Conflict: ${db.name(conflict)} is falsified @ level ${trail.decisionLevel}`, conflict);
+
+                let d = trail.entries.length - 1;
+                while (d >= 0 && trail.entries[d].kind !== 'decision') d--;
+                if (d < 0) {
+                    yield { ...report('Unsatisfiable: every branch ends in a conflict', conflict), state: null };
+                    return 'Unsatisfiable (all branches refuted)';
+                }
+
+                const { v } = trail.entries[d];
+                const decisionLevel = trail.level[v];
+                const flippedLiteral = trail.vals[v] === 1 ? -(v + 1) : v + 1;
+                trail.backtrackTo(decisionLevel - 1);
+                trail.decisionLevel = decisionLevel;
+                trail.assign(flippedLiteral, 'flipped');
+                yield report(`Backtrack: try ${trail.literalName(flippedLiteral)} @ level ${decisionLevel}`);
+                continue;
+            }
+
+            if (pureLiterals) {
+                const counts = openLiteralCounts(trail, db);
+                const pure = [...counts.keys()].filter(l => !counts.has(-l));
+                for (const literal of pure) {
+                    trail.assign(literal, 'pure');
+                    yield report(`Pure literal: ${trail.literalName(literal)} @ level ${trail.decisionLevel}`);
+                }
+                if (pure.length > 0) continue;
+            }
+
+            if (allSatisfied(trail, db)) {
+                yield* finishFree(trail, report);
+                return 'Solution Found!';
+            }
+
+            if (steps >= maxIterations) {
+                yield report(`Stopped (Max Iterations ${maxIterations})`);
+                return 'Stopped (Max Iterations)';
+            }
+
+            // DLIS: the literal that satisfies the most open clauses
+            let decision = 0;
+            let bestCount = -1;
+            for (const [literal, count] of openLiteralCounts(trail, db)) {
+                if (count > bestCount) {
+                    bestCount = count;
+                    decision = literal;
+                }
+            }
+            steps++;
+            trail.decisionLevel++;
+            trail.assign(decision, 'decision');
+            yield report(`Decision: ${trail.literalName(decision)} @ level ${trail.decisionLevel}`);
+        }
+    },
+
+    // CDCL: on a conflict, learn the first-UIP clause, jump back to the second-highest level in it
+    // (not just the last decision) and let the learned clause assert the UIP literal.
+    // Decisions pick the unassigned variable with the highest VSIDS activity, using its saved phase.
+    cdcl: function* (dummyState, params, problem) {
+        const { maxIterations = 10000, vsidsDecay = 0.95 } = params;
+        const base = problem.emptyState(params);
+        const cnf = FlatCNF.fromState(base);
+        if (!cnf) return `CDCL: ${NOT_CNF}`;
+
+        const n = cnf.numVars;
+        const trail = new SolverTrail(base, cnf);
+        const db = new ClauseDB(cnf);
+        const stats = { evaluations: 0 };
+        const report = makeReporter(trail, db, stats);
+
+        const activity = new Float64Array(n);
+        const phase = new Int8Array(n).fill(-1); // Last value of each variable, false initially
+        let bumpAmount = 1;
+        const bump = (v) => {
+            activity[v] += bumpAmount;
+            if (activity[v] > 1e100) {
+                for (let u = 0; u < n; u++) activity[u] *= 1e-100;
+                bumpAmount *= 1e-100;
+            }
+        };
+
+        // First-UIP conflict analysis: resolve the conflict clause with reasons of current-level
+        // literals, latest first, until one current-level literal (the UIP) remains
+        const analyze = (conflict) => {
+            const seen = new Uint8Array(n);
+            const learnt = [0]; // Slot 0 receives the negated UIP literal
+            let pending = 0;
+            let clause = db.at(conflict);
+            let pVar = -1;
+            let index = trail.entries.length - 1;
+
+            while (true) {
+                for (const literal of clause) {
+                    const v = Math.abs(literal) - 1;
+                    if (v === pVar || seen[v] || trail.level[v] === 0) continue;
+                    seen[v] = 1;
+                    bump(v);
+                    if (trail.level[v] === trail.decisionLevel) pending++;
+                    else learnt.push(literal);
+                }
+                while (!seen[trail.entries[index].v]) index--;
+                pVar = trail.entries[index].v;
+                index--;
+                pending--;
+                if (pending === 0) break;
+                clause = db.at(trail.reason[pVar]);
+            }
+
+            learnt[0] = trail.vals[pVar] === 1 ? -(pVar + 1) : pVar + 1;
+            let backjump = 0;
+            for (let k = 1; k < learnt.length; k++) backjump = Math.max(backjump, trail.level[Math.abs(learnt[k]) - 1]);
+            return { learnt, backjump };
+        };
+
+        let steps = 0;
+        yield report('Start: empty assignment');
+
+        while (true) {
+            const conflict = yield* unitPropagate(trail, db, report, stats);
+
+            if (conflict >= 0) {
+                steps++;
+                yield report(`Conflict: ${db.name(conflict)} is falsified @ level ${trail.decisionLevel}`, conflict);
+                if (trail.decisionLevel === 0) {
+                    yield { ...report('Unsatisfiable: conflict at level 0', conflict), state: null };
+                    return 'Unsatisfiable (conflict at level 0)';
+                }
+
+                const { learnt, backjump } = analyze(conflict);
+                const index = db.learn(learnt);
+                bumpAmount /= vsidsDecay;
+
+                const fromLevel = trail.decisionLevel;
+                trail.backtrackTo(backjump, (v, val) => { phase[v] = val; });
+                trail.assign(learnt[0], 'learned', index);
+                const clauseText = learnt.map(l => trail.literalName(l)).join(' v ');
+                yield report(`Learned ${db.name(index)} = (${clauseText}); backjump ${fromLevel} -> ${backjump}, assert ${trail.literalName(learnt[0])}`);
+                continue;
+            }
+
+            if (allSatisfied(trail, db)) {
+                yield* finishFree(trail, report);
+                return 'Solution Found!';
+            }
+
+            if (steps >= maxIterations) {
+                yield report(`Stopped (Max Iterations ${maxIterations})`);
+                return 'Stopped (Max Iterations)';
+            }
+
+            // VSIDS: most active unassigned variable, lowest index on ties
+            let decisionVar = -1;
+            for (let v = 0; v < n; v++) {
+                if (trail.vals[v] === 0 && (decisionVar === -1 || activity[v] > activity[decisionVar])) decisionVar = v;
+            }
+            const decision = phase[decisionVar] === 1 ? decisionVar + 1 : -(decisionVar + 1);
+            steps++;
+            trail.decisionLevel++;
+            trail.assign(decision, 'decision');
+            yield report(`Decision: ${trail.literalName(decision)} @ level ${trail.decisionLevel} (activity ${activity[decisionVar].toFixed(1)})`);
+        }
+    }
+};
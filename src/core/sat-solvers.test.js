@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { Algorithms } from './algorithms';
+import { isConstructiveAlgorithm } from './constructive-algorithms';
+import { BooleanSatProblem } from './problems/boolean-sat';
+import { createRng } from './random';
+
+// Random 3-SAT with a planted solution (satisfiable) or without one (at m/n = 6, almost surely unsatisfiable)
+const random3Sat = (n, ratio, seed, planted = true) => {
+    const rng = createRng(seed);
+    const hidden = Array.from({ length: n }, () => rng() < 0.5);
+    const clauses = [];
+    while (clauses.length < Math.round(ratio * n)) {
+        const vars = new Set();
+        while (vars.size < 3) vars.add(1 + Math.floor(rng() * n));
+        const clause = [...vars].map(v => (rng() < 0.5 ? v : -v));
+        if (!planted || clause.some(l => (l > 0) === hidden[Math.abs(l) - 1])) clauses.push(clause);
+    }
+    const variables = Array.from({ length: n }, (_, i) => `x${i + 1}`);
+    return { variables, clauses };
+};
+
+// All 8 sign patterns over 3 variables: every assignment falsifies exactly one clause
+const ALL_EIGHT = {
+    variables: ['a', 'b', 'c'],
+    clauses: [0, 1, 2, 3, 4, 5, 6, 7].map(mask => [1, 2, 3].map((v, i) => (mask & (1 << i) ? -v : v)))
+};
+
+const runToEnd = (gen) => {
+    const steps = [];
+    let res = gen.next();
+    while (!res.done) {
+        steps.push(res.value);
+        res = gen.next();
+    }
+    return { steps, result: res.value };
+};
+
+const solve = (name, cnf, extra = {}) => {
+    const params = { mode: 'dimacs', cnf, seed: 3, ...extra };
+    return runToEnd(Algorithms[name](null, params, BooleanSatProblem));
+};
+
+describe('Complete SAT Solvers', () => {
+    const planted = random3Sat(40, 4.26, 'planted');
+
+    for (const name of ['dpll', 'cdcl']) {
+        it(`${name} is constructive and solves a satisfiable instance`, () => {
+            expect(isConstructiveAlgorithm(name)).toBe(true);
+            const { steps, result } = solve(name, planted);
+            expect(result).toBe('Solution Found!');
+            const last = steps[steps.length - 1];
+            expect(BooleanSatProblem.isSolution(last.state)).toBe(true);
+
+            // Levels never exceed the number of decisions (or flipped decisions) made before them
+            const { trail } = last.satTrail;
+            expect(trail).toHaveLength(planted.variables.length);
+            let decisions = 0;
+            for (const entry of trail) {
+                if (entry.kind === 'decision' || entry.kind === 'flipped') decisions++;
+                expect(entry.level).toBeLessThanOrEqual(decisions);
+                if (entry.kind === 'unit') expect(entry.clause).toMatch(/^[CL]\d+$/);
+            }
+        });
+
+        it(`${name} proves unsatisfiability`, () => {
+            const { steps, result } = solve(name, ALL_EIGHT);
+            expect(result).toMatch(/^Unsatisfiable/);
+            expect(steps[steps.length - 1].state).toBeNull();
+            expect(steps.some(s => s.satTrail.conflict)).toBe(true);
+        });
+    }
+
+    it('cdcl learns clauses and backjumps on a hard unsatisfiable instance', () => {
+        const { steps, result } = solve('cdcl', random3Sat(25, 6, 'unsat', false));
+        expect(result).toMatch(/^Unsatisfiable/);
+        const last = steps[steps.length - 1].satTrail;
+        expect(last.learnedCount).toBeGreaterThan(0);
+        expect(last.learned.length).toBeLessThanOrEqual(20);
+        expect(steps.some(s => /backjump \d+ -> \d+/.test(s.note))).toBe(true);
+
+        // Each learned clause asserts its UIP literal at the level it jumped back to
+        const learnedSteps = steps.filter(s => s.note.startsWith('Learned'));
+        for (const step of learnedSteps) {
+            const entry = step.satTrail.trail[step.satTrail.trail.length - 1];
+            expect(entry.kind).toBe('learned');
+            expect(entry.level).toBe(step.satTrail.level);
+        }
+    });
+
+    it('dpll uses pure literals unless disabled, and stops at maxIterations', () => {
+        const cnf = { variables: ['p', 'q', 'r'], clauses: [[1, 2], [1, -3], [2, 3]] };
+        const withPure = solve('dpll', cnf);
+        expect(withPure.steps.some(s => s.note.startsWith('Pure literal: p'))).toBe(true);
+        const withoutPure = solve('dpll', cnf, { pureLiterals: false });
+        expect(withoutPure.steps.some(s => s.note.startsWith('Pure'))).toBe(false);
+        expect(withoutPure.result).toBe('Solution Found!');
+
+        const { result } = solve('dpll', random3Sat(25, 6, 'unsat', false), { maxIterations: 5 });
+        expect(result).toBe('Stopped (Max Iterations)');
+    });
+
+    it('reports formulas that are not in CNF', () => {
+        const params = { ...BooleanSatProblem.defaultParams, mode: 'custom', expression: '(A ^ B) v C' };
+        const { result } = runToEnd(Algorithms.cdcl(null, params, BooleanSatProblem));
+        expect(result).toMatch(/Needs a Boolean SAT formula in CNF/);
+    });
+});
@@ -0,0 +1,94 @@
+// Search Tree
+// Constructive searches report the tree they explore with a `tree` event on each yield:
+//   { id, parent, kind, reason?, backtrack? }
+//   kind       'expand'   the node was taken off the frontier
+//              'pruned'   the node was rejected; `reason` says why (failed constraint check, wipeout, ...)
+//              'solution' the node is a goal
+//   backtrack  set on a visit above the node visited just before it: a depth-first search climbed
+//              back to `parent` after everything it tried below failed
+// The generators hand out ids with createSearchTree(); the SearchTreePanel rebuilds the tree with
+// assembleSearchTree(). The engine adds a { kind: 'limit' } event when it stops recording.
+
+// options.trackBacktracks: flag backtracks (only meaningful for depth-first searches)
+export function createSearchTree({ trackBacktracks = false } = {}) {
+    const nodes = new WeakMap(); // state -> { id, parent, depth }
+    let nextId = 0;
+    let lastDepth = null;
+
+    const idOf = (state) => nodes.get(state).id;
+
+    return {
+        // Register a generated state as a child of parentState (null for the root)
+        add(state, parentState = null) {
+            const parent = parentState ? nodes.get(parentState) : null;
+            nodes.set(state, { id: nextId++, parent: parent ? parent.id : null, depth: parent ? parent.depth + 1 : 0 });
+        },
+
+        // Event for a registered state. 'expand' and 'pruned' count as visits for backtrack tracking.
+        event(state, kind, reason) {
+            const { id, parent, depth } = nodes.get(state);
+            const event = { id, parent, kind };
+            if (reason) event.reason = reason;
+            if (kind !== 'solution') {
+                if (trackBacktracks && lastDepth !== null && depth < lastDepth) event.backtrack = true;
+                lastDepth = depth;
+            }
+            return event;
+        },
+
+        // A child rejected while being generated: it never enters the frontier
+        pruned(parentState, reason) {
+            return { id: nextId++, parent: idOf(parentState), kind: 'pruned', reason };
+        }
+    };
+}
+
+// Rebuild the tree from the recorded events ({ ...tree event, note, state }).
+// Returns { root, nodes: Map(id -> node), current, solutionId, truncated } where each node is
+//   { id, parent, kind, reason, note, state, children, backtrackPoint, onSolutionPath }
+export function assembleSearchTree(events) {
+    const nodes = new Map();
+    let root = null;
+    let current = null;
+    let solutionId = null;
+    let truncated = false;
+
+    for (const event of events) {
+        if (event.kind === 'limit') {
+            truncated = true;
+            continue;
+        }
+        let node = nodes.get(event.id);
+        if (!node) {
+            const parent = event.parent === null ? null : nodes.get(event.parent);
+            // Orphans (the parent was never recorded) cannot be placed
+            if (event.parent !== null && !parent) continue;
+            node = {
+                id: event.id,
+                parent: event.parent,
+                kind: event.kind,
+                reason: event.reason,
+                note: event.note,
+                state: event.state,
+                children: [],
+                backtrackPoint: false,
+                onSolutionPath: false
+            };
+            nodes.set(event.id, node);
+            if (parent) parent.children.push(node);
+            else if (!root) root = node;
+        } else {
+            node.kind = event.kind;
+            if (event.note) node.note = event.note;
+        }
+        if (event.kind === 'solution') solutionId = event.id;
+        if (event.backtrack && nodes.has(event.parent)) nodes.get(event.parent).backtrackPoint = true;
+        current = event.id;
+    }
+
+    for (let id = solutionId; id !== null && nodes.has(id); id = nodes.get(id).parent) {
+        nodes.get(id).onSolutionPath = true;
+    }
+
+    return { root, nodes, current, solutionId, truncated };
+}
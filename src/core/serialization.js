@@ -0,0 +1,92 @@
+// State Snapshot Serialization
+// Algorithms run in a Web Worker, so every state that reaches the UI crosses a postMessage boundary.
+// Class instances lose their prototypes under structured cloning, so each State class provides:
+//   serialize()                    -> plain data unique to this state (tour, grid, assignments, ...)
+//   getSharedData()                -> instance data shared by every state of a run (cities, graph, ...) or null
+//   static deserialize(data, shared) -> rebuilds the state from both
+// Shared data is sent once per run and referenced by id afterwards, so a 1000-city TSP doesn't
+// re-send its coordinates on every frame.
+
+// Worker side: tracks which shared objects the UI already has
+export class SnapshotEncoder {
+    constructor() {
+        this.sharedIds = new Map(); // shared object -> id
+        this.nextId = 1;
+        this.pendingShared = {};    // id -> shared object, not yet posted
+    }
+
+    encodeState(state) {
+        if (!state) return null;
+
+        let sharedId = null;
+        const shared = state.getSharedData ? state.getSharedData() : null;
+        if (shared) {
+            sharedId = this.sharedIds.get(shared);
+            if (sharedId === undefined) {
+                sharedId = this.nextId++;
+                this.sharedIds.set(shared, sharedId);
+                this.pendingShared[sharedId] = shared;
+            }
+        }
+
+        return {
+            data: state.serialize(),
+            sharedId,
+            metadata: state.metadata
+        };
+    }
+
+    // Encode one yielded/returned value: state and population are converted, the rest is copied as-is
+    encodeValue(value) {
+        if (!value || typeof value !== 'object') return value;
+
+        const encoded = { ...value };
+        if ('state' in value) encoded.state = this.encodeState(value.state);
+        if (Array.isArray(value.population)) {
+            encoded.population = value.population.map(s => this.encodeState(s));
+        }
+        return encoded;
+    }
+
+    // Shared objects first seen since the last call; attach these to the outgoing message
+    takeShared() {
+        const shared = this.pendingShared;
+        this.pendingShared = {};
+        return shared;
+    }
+}
+
+// UI side: rebuilds State instances for a given problem
+export class SnapshotDecoder {
+    constructor(problem) {
+        this.problem = problem;
+        this.shared = new Map(); // id -> shared object
+    }
+
+    addShared(entries) {
+        if (!entries) return;
+        for (const [id, value] of Object.entries(entries)) {
+            this.shared.set(Number(id), value);
+        }
+    }
+
+    decodeState(encoded) {
+        if (!encoded) return null;
+
+        const shared = encoded.sharedId !== null ? this.shared.get(encoded.sharedId) : null;
+        const state = this.problem.StateClass.deserialize(encoded.data, shared);
+        if (encoded.metadata !== undefined) state.metadata = encoded.metadata;
+        return state;
+    }
+
+    decodeValue(value) {
+        if (!value || typeof value !== 'object') return value;
+
+        const decoded = { ...value };
+        if ('state' in value) decoded.state = this.decodeState(value.state);
+        if (Array.isArray(value.population)) {
+            decoded.population = value.population.map(s => this.decodeState(s));
+        }
+        return decoded;
+    }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { SnapshotEncoder, SnapshotDecoder } from './serialization.js';
+import { PROBLEM_REGISTRY } from './problems/index.js';
+
+// Simulate a postMessage hop: structured cloning strips class prototypes
+const transfer = (msg) => structuredClone(msg);
+
+describe('State Snapshot Serialization', () => {
+    for (const problem of Object.values(PROBLEM_REGISTRY)) {
+        it(`should round-trip ${problem.id} states through structured clone`, () => {
+            const state = problem.randomState({ ...problem.defaultParams, seed: 7 });
+            const encoder = new SnapshotEncoder();
+            const encoded = transfer({ state: encoder.encodeState(state), shared: encoder.takeShared() });
+
+            const decoder = new SnapshotDecoder(problem);
+            decoder.addShared(encoded.shared);
+            const decoded = decoder.decodeState(encoded.state);
+
+            expect(decoded).toBeInstanceOf(problem.StateClass);
+            expect(decoded.serialize()).toEqual(state.serialize());
+            expect(decoded.cost).toBe(state.cost);
+            expect(decoded.isPartial).toBe(state.isPartial);
+        });
+    }
+
+    it('should send shared instance data only once per encoder', () => {
+        const problem = PROBLEM_REGISTRY['tsp'];
+        const state = problem.randomState({ ...problem.defaultParams, seed: 1 });
+        const neighbor = state.getRandomNeighbor();
+        const encoder = new SnapshotEncoder();
+
+        const first = encoder.encodeValue({ state, note: 'a' });
+        const firstShared = encoder.takeShared();
+        const second = encoder.encodeValue({ state: neighbor, note: 'b' });
+        const secondShared = encoder.takeShared();
+
+        expect(Object.keys(firstShared)).toHaveLength(1);
+        expect(Object.keys(secondShared)).toHaveLength(0);
+        expect(second.state.sharedId).toBe(first.state.sharedId);
+
+        const decoder = new SnapshotDecoder(problem);
+        decoder.addShared(transfer(firstShared));
+        const a = decoder.decodeValue(transfer(first));
+        const b = decoder.decodeValue(transfer(second));
+        expect(b.note).toBe('b');
+        expect(b.state.cities).toBe(a.state.cities);
+        expect(b.state.cost).toBeCloseTo(neighbor.cost);
+    });
+
+    it('should preserve population metadata', () => {
+        const problem = PROBLEM_REGISTRY['n-queens'];
+        const individual = problem.randomState({ size: 6, seed: 3 });
+        individual.metadata = { status: 'Elite' };
+        const encoder = new SnapshotEncoder();
+        const value = transfer(encoder.encodeValue({ state: individual, population: [individual] }));
+
+        const decoded = new SnapshotDecoder(problem).decodeValue(value);
+        expect(decoded.population[0].metadata).toEqual({ status: 'Elite' });
+        expect(decoded.population[0].queens).toEqual(individual.queens);
+    });
+});